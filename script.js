@@ -6,18 +6,13 @@ let stockData = {
   correlations: {},
   mstEdges: [],
   returns: [],
-  stockNames: {
-    'AAPL': 'Apple Inc.',
-    'MSFT': 'Microsoft Corporation',
-    'GOOG': 'Alphabet Inc.',
-    'AMZN': 'Amazon.com Inc.',
-    'PAYTM.NS': 'Paytm',
-    'HDFCBANK.NS': 'HDFC Bank',
-    'ICICIBANK.NS': 'ICICI Bank',
-    'RELIANCE.NS': 'Reliance Industries',
-    'ITC.NS': 'ITC Limited',
-    'TCS.NS': 'Tata Consultancy Services'
-  }
+  priceHistory: {}, // ticker -> [{ date, open, high, low, close, volume }]
+  lastPrices: {},
+  csvErrors: {}, // filename -> [{ line, message }]
+  returnTickers: [],
+  network: null, // windowed correlations/MST computed in the browser (null = pipeline snapshot)
+  tickerInfo: {}, // ticker -> { ticker, name, market, exchange, sector, currency, listings } from tickers.csv
+  fxRates: {} // currency -> [{ date, rate }] units per US dollar, from fx.csv
 };
 
 // Global variables for graph interactivity
@@ -26,30 +21,70 @@ let graphCtx = null;
 let graphPositions = {};
 let graphNodeList = [];
 let hoveredNode = null;
+let graphEdges = [];
+let graphView = { scale: 1, offsetX: 0, offsetY: 0 };
+let graphDragState = null;
+let graphAnimationId = null;
+let graphMode = 'mst'; // 'mst' | 'threshold' | 'pmfg'
+let graphThreshold = 0.3;
+let graphEdgeTransition = null; // { removed, added, start } while edges fade after a network change
 let marketChart = null;
 
-// CSV Parser
-function parseCSV(text) {
-  const lines = text.trim().split('\n').filter(line => line.trim().length > 0);
-  if (lines.length === 0) return { headers: [], data: [] };
-  
-  const headers = lines[0].split(',').map(h => h.trim());
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',');
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = values[index]?.trim() || '';
-    });
-    data.push(obj);
-  }
-  
-  return { headers, data };
+// Force-directed layout tuning
+const GRAPH_HEIGHT = 500;
+const GRAPH_DISTANCE_SCALE = 160; // px of spring rest length per unit of MST distance
+const GRAPH_SPRING_STRENGTH = 0.05;
+const GRAPH_REPULSION = 3000;
+const GRAPH_GRAVITY = 0.01;
+const GRAPH_DAMPING = 0.85;
+const GRAPH_MIN_ENERGY = 0.01;
+const GRAPH_MAX_TICKS = 600;
+const GRAPH_MIN_ZOOM = 0.3;
+const GRAPH_MAX_ZOOM = 4;
+const GRAPH_TRANSITION_MS = 700;
+const GRAPH_DOUBLE_CLICK_MS = 250; // a node click waits this long in case it becomes a double-click
+
+// Paper trading account (persisted in localStorage)
+const PAPER_ACCOUNT_STORAGE_KEY = 'stockgraphix.paperAccount';
+const PAPER_STARTING_CASH = 1000000;
+const PAPER_ACCOUNT_CURRENCY = 'INR'; // the ledger books cash and cost basis in this currency
+let paperAccount = null;
+
+// Currencies - fx.csv holds USD<CCY> columns (units of CCY per US dollar)
+const BASE_CURRENCY_STORAGE_KEY = 'stockgraphix.baseCurrency';
+const FX_PIVOT_CURRENCY = 'USD';
+const CURRENCY_SYMBOLS = { USD: '$', INR: '₹', EUR: '€', GBP: '£', JPY: '¥' };
+let baseCurrency = 'native'; // 'native' = each price in its own currency, otherwise an ISO code
+
+// CSV parsing (parseCSV, parsePriceCSV) and the DATA_SCHEMAS of the pipeline artifacts
+// live in shared/csv.js, which the server uses as well. Pages that include only script.js
+// get it loaded from next to script.js before any data is parsed.
+const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+
+function loadSharedCSV() {
+  if (typeof parseCSV === 'function') return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = new URL('shared/csv.js', SCRIPT_URL).href;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${script.src}`));
+    document.head.appendChild(script);
+  });
+}
+
+function reportCSVErrors(filename, errors) {
+  stockData.csvErrors[filename] = errors;
+  if (errors.length === 0) return;
+
+  console.warn(`${filename}: ${errors.length} malformed row(s)`);
+  errors.slice(0, 10).forEach(error => {
+    console.warn(`  line ${error.line}: ${error.message}`);
+  });
 }
 
 // Load CSV file - try multiple paths
-async function loadCSV(filename) {
+async function loadCSV(filename, options = {}) {
   const paths = [
     `data/${filename}`,           // Most common: data folder in same directory
     `./data/${filename}`,       // Explicit relative path
@@ -63,7 +98,9 @@ async function loadCSV(filename) {
       if (response.ok) {
         const text = await response.text();
         console.log(`Successfully loaded: ${path}`);
-        return parseCSV(text);
+        const parsed = parseCSV(text, options);
+        reportCSVErrors(filename, parsed.errors);
+        return parsed;
       }
     } catch (error) {
       console.log(`Failed to load ${path}:`, error.message);
@@ -75,6 +112,91 @@ async function loadCSV(filename) {
   return null;
 }
 
+// Health-check rules on top of the declared schemas
+const VALID_LABELS = ['BUY', 'HOLD', 'AVOID'];
+const CORRELATION_TOLERANCE = 1e-4;
+
+// Data sources - 'csv' fetches the static files in data/, 'api' the JSON endpoints of
+// server/server.js. Pick one with window.STOCKGRAPHIX_CONFIG = { dataSource, apiBase }
+// before script.js loads, or per visit with ?source=api (and optionally &api=<base URL>).
+const API_ENDPOINTS = {
+  'recommendations.csv': 'recommendations',
+  'corr.csv': 'correlations',
+  'mst_edges.csv': 'mst',
+  'returns.csv': 'returns',
+  'tickers.csv': 'tickers',
+  'fx.csv': 'fx'
+};
+
+let dataSourceConfig = null;
+
+function getDataSourceConfig() {
+  if (dataSourceConfig) return dataSourceConfig;
+
+  const config = { dataSource: 'csv', apiBase: '/api', ...(window.STOCKGRAPHIX_CONFIG || {}) };
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('source')) config.dataSource = params.get('source');
+  if (params.get('api')) config.apiBase = params.get('api');
+
+  if (!DATA_SOURCES[config.dataSource]) {
+    console.warn(`Unknown data source "${config.dataSource}", falling back to csv`);
+    config.dataSource = 'csv';
+  }
+  config.apiBase = config.apiBase.replace(/\/+$/, '');
+
+  dataSourceConfig = config;
+  console.log(`Data source: ${config.dataSource}${config.dataSource === 'api' ? ` (${config.apiBase})` : ''}`);
+  return config;
+}
+
+async function fetchAPI(pathname) {
+  const url = `${getDataSourceConfig().apiBase}/${pathname}`;
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`${url}: ${(body && body.error) || `HTTP ${response.status}`}`);
+  }
+  return body;
+}
+
+const DATA_SOURCES = {
+  csv: {
+    loadTable: filename => loadCSV(filename, DATA_SCHEMAS[filename]),
+    loadPrices: ticker => fetchPriceCSV(ticker)
+  },
+  api: {
+    // Same { headers, data } shape as parseCSV, so the validators run unchanged
+    async loadTable(filename) {
+      try {
+        const body = await fetchAPI(API_ENDPOINTS[filename]);
+        reportCSVErrors(filename, body.errors || []);
+        return { headers: body.columns, data: body.rows, errors: body.errors || [] };
+      } catch (error) {
+        console.error(`Failed to load ${filename} from the API:`, error.message);
+        return null;
+      }
+    },
+    async loadPrices(ticker) {
+      try {
+        const body = await fetchAPI(`prices/${encodeURIComponent(ticker)}`);
+        reportCSVErrors(`${ticker}.csv`, body.errors || []);
+        return body.rows;
+      } catch (error) {
+        console.warn(`Could not load price data for ${ticker}:`, error.message);
+        return null;
+      }
+    }
+  }
+};
+
+function getDataSource() {
+  return DATA_SOURCES[getDataSourceConfig().dataSource];
+}
+
+function loadDataTable(filename) {
+  return getDataSource().loadTable(filename);
+}
+
 // Load all data
 async function loadAllData() {
   console.log('Starting to load data...');
@@ -86,16 +208,56 @@ async function loadAllData() {
   }
   
   try {
+    await loadSharedCSV();
+
+    // Load ticker metadata (names, markets, exchanges, sectors, currencies)
+    console.log('Loading ticker metadata...');
+    const tickersData = await loadDataTable('tickers.csv');
+    if (tickersData && tickersData.data.length > 0) {
+      stockData.tickerInfo = {};
+      tickersData.data.forEach(row => {
+        stockData.tickerInfo[row.Ticker] = {
+          ticker: row.Ticker,
+          name: row.name || row.Ticker,
+          market: row.market || 'Other',
+          exchange: row.exchange || '',
+          sector: row.sector || 'Unknown',
+          currency: row.currency || null,
+          listings: parseListings(row)
+        };
+      });
+      console.log(`Loaded metadata for ${tickersData.data.length} tickers`);
+    } else {
+      console.warn('No ticker metadata loaded');
+    }
+
+    // Load FX rates (USD<CCY> columns)
+    console.log('Loading FX rates...');
+    const fxData = await loadDataTable('fx.csv');
+    if (fxData && fxData.data.length > 0) {
+      stockData.fxRates = {};
+      fxData.headers.filter(header => /^USD[A-Z]{3}$/.test(header)).forEach(header => {
+        stockData.fxRates[header.slice(3)] = fxData.data
+          .filter(row => row[header] > 0)
+          .map(row => ({ date: row.Date, rate: row[header] }))
+          .sort((a, b) => a.date.localeCompare(b.date));
+      });
+      console.log(`Loaded FX rates for ${Object.keys(stockData.fxRates).join(', ')}`);
+    } else {
+      console.warn('No FX rates loaded - prices stay in their own currencies');
+    }
+
     // Load recommendations
     console.log('Loading recommendations...');
-    const recData = await loadCSV('recommendations.csv');
+    const recData = await loadDataTable('recommendations.csv');
     if (recData && recData.data.length > 0) {
+      pipelineSignalModel = null;
       stockData.recommendations = recData.data.map(row => ({
         ticker: row.Ticker,
-        momentum: parseFloat(row.momentum_mean) || 0,
-        avgCorr: parseFloat(row.avg_corr_mst) || 0,
-        degree: parseInt(row.degree) || 0,
-        score: parseFloat(row.score) || 0,
+        momentum: row.momentum_mean,
+        avgCorr: row.avg_corr_mst,
+        degree: row.degree,
+        score: row.score,
         label: row.label
       }));
       console.log(`Loaded ${stockData.recommendations.length} recommendations`);
@@ -105,7 +267,7 @@ async function loadAllData() {
 
     // Load correlation matrix
     console.log('Loading correlations...');
-    const corrData = await loadCSV('corr.csv');
+    const corrData = await loadDataTable('corr.csv');
     if (corrData && corrData.data.length > 0) {
       const tickers = corrData.headers.slice(1); // Skip 'Ticker' header
       tickers.forEach(ticker => {
@@ -113,8 +275,10 @@ async function loadAllData() {
       });
       corrData.data.forEach(row => {
         const rowTicker = row.Ticker;
+        stockData.correlations[rowTicker] = stockData.correlations[rowTicker] || {};
         tickers.forEach(ticker => {
-          stockData.correlations[rowTicker][ticker] = parseFloat(row[ticker]) || 0;
+          // Missing cells stay NaN so they are skipped rather than read as zero correlation
+          stockData.correlations[rowTicker][ticker] = row[ticker] === null ? NaN : row[ticker];
         });
       });
       console.log('Correlation matrix loaded');
@@ -124,13 +288,13 @@ async function loadAllData() {
 
     // Load MST edges
     console.log('Loading MST edges...');
-    const mstData = await loadCSV('mst_edges.csv');
+    const mstData = await loadDataTable('mst_edges.csv');
     if (mstData && mstData.data.length > 0) {
       stockData.mstEdges = mstData.data.map(row => ({
         u: row.u,
         v: row.v,
-        corr: parseFloat(row.corr) || 0,
-        distance: parseFloat(row.distance) || 0
+        corr: row.corr,
+        distance: row.distance
       }));
       console.log(`Loaded ${stockData.mstEdges.length} MST edges`);
     } else {
@@ -139,9 +303,10 @@ async function loadAllData() {
 
     // Load returns (for market trends)
     console.log('Loading returns...');
-    const returnsData = await loadCSV('returns.csv');
+    const returnsData = await loadDataTable('returns.csv');
     if (returnsData && returnsData.data.length > 0) {
       stockData.returns = returnsData.data;
+      stockData.returnTickers = returnsData.headers.filter(header => header !== 'Date');
       console.log(`Loaded ${stockData.returns.length} days of returns data`);
     } else {
       console.warn('No returns data loaded');
@@ -152,12 +317,36 @@ async function loadAllData() {
       resultDiv.innerHTML = '';
     }
 
+    // Check the artifacts before anything is drawn from them
+    renderDataHealthPanel(runDataHealthChecks({
+      'recommendations.csv': recData,
+      'corr.csv': corrData,
+      'mst_edges.csv': mstData,
+      'returns.csv': returnsData,
+      'tickers.csv': tickersData,
+      'fx.csv': fxData
+    }));
+
     // Initialize UI
     console.log('Initializing UI...');
+    initializeCurrencySwitch();
+    initializeNotificationCenter();
+    initializeQuoteStream();
     updateTrendingStocks();
+    renderWatchlistStrip();
     drawMSTGraph();
+    renderMSTTimeline();
+    renderClusterPanel();
+    renderHeatmapPanel();
     updateMarketTrends();
     drawMarketTrendsChart();
+    renderOrdersPanel();
+    renderPortfolioPanel();
+    renderOptimizerPanel();
+    renderBacktestPanel();
+    initializeRouting();
+    await processAllPendingOrders();
+    await evaluateAlertRules();
     
     console.log('Data loading complete!');
 
@@ -169,6 +358,302 @@ async function loadAllData() {
   }
 }
 
+// Data health checks
+// Each check is { file, level: 'ok' | 'warning' | 'error', message }.
+function runDataHealthChecks(parsedFiles) {
+  const checks = [];
+  const add = (file, level, message) => checks.push({ file, level, message });
+
+  Object.entries(parsedFiles).forEach(([file, parsed]) => {
+    const schema = DATA_SCHEMAS[file];
+    if (!parsed) {
+      add(file, 'error', 'File could not be loaded');
+      return;
+    }
+    if (parsed.data.length === 0) {
+      add(file, 'error', 'File has no data rows');
+    }
+
+    const missing = schema.required.filter(column => !parsed.headers.includes(column));
+    if (missing.length > 0) {
+      add(file, 'error', `Missing required column(s): ${missing.join(', ')}`);
+    } else {
+      add(file, 'ok', 'All required columns present');
+    }
+
+    const rowErrors = parsed.errors.filter(error => error.line > 1);
+    if (rowErrors.length > 0) {
+      const first = rowErrors[0];
+      add(file, 'warning', `${rowErrors.length} malformed row(s) skipped (first: line ${first.line}, ${first.message})`);
+    }
+  });
+
+  const recData = parsedFiles['recommendations.csv'];
+  const corrData = parsedFiles['corr.csv'];
+  const mstData = parsedFiles['mst_edges.csv'];
+  const returnsData = parsedFiles['returns.csv'];
+  const tickersData = parsedFiles['tickers.csv'];
+  const fxData = parsedFiles['fx.csv'];
+  const corrTickers = corrData ? corrData.headers.slice(1) : [];
+
+  if (recData && recData.data.length > 0) {
+    checkRecommendations(recData, corrTickers, add);
+  }
+  if (corrData && corrData.data.length > 0) {
+    checkCorrelationMatrix(corrData, add);
+  }
+  if (mstData && mstData.data.length > 0 && corrTickers.length > 0) {
+    checkMSTEdges(mstData, corrTickers, add);
+  }
+  if (returnsData && returnsData.data.length > 0) {
+    checkReturns(returnsData, corrTickers, add);
+  }
+  if (tickersData && tickersData.data.length > 0) {
+    const usedTickers = new Set([
+      ...corrTickers,
+      ...(recData ? recData.data.map(row => row.Ticker) : []),
+      ...(returnsData ? returnsData.headers.filter(header => header !== 'Date') : [])
+    ]);
+    checkTickerMetadata(tickersData, [...usedTickers], add);
+  }
+  if (fxData && fxData.data.length > 0) {
+    const currencies = tickersData ? tickersData.data.map(row => row.currency).filter(Boolean) : [];
+    checkFXRates(fxData, [...new Set([...currencies, PAPER_ACCOUNT_CURRENCY])], add);
+  }
+
+  return checks;
+}
+
+function checkRecommendations(recData, corrTickers, add) {
+  const file = 'recommendations.csv';
+  const badLabels = recData.data.filter(row => !VALID_LABELS.includes(row.label));
+  if (badLabels.length > 0) {
+    add(file, 'error', `Unknown label(s): ${badLabels.map(row => `${row.Ticker}=${row.label}`).join(', ')}`);
+  } else {
+    add(file, 'ok', `All labels in {${VALID_LABELS.join(', ')}}`);
+  }
+
+  const tickers = recData.data.map(row => row.Ticker);
+  const duplicates = tickers.filter((ticker, index) => tickers.indexOf(ticker) !== index);
+  if (duplicates.length > 0) {
+    add(file, 'error', `Duplicate ticker(s): ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  if (corrTickers.length > 0) {
+    const missing = corrTickers.filter(ticker => !tickers.includes(ticker));
+    const extra = tickers.filter(ticker => !corrTickers.includes(ticker));
+    if (missing.length > 0 || extra.length > 0) {
+      add(file, 'warning', `Ticker set differs from corr.csv (missing: ${missing.join(', ') || 'none'}; extra: ${extra.join(', ') || 'none'})`);
+    } else {
+      add(file, 'ok', `Covers all ${corrTickers.length} tickers in corr.csv`);
+    }
+  }
+}
+
+function checkTickerMetadata(tickersData, usedTickers, add) {
+  const file = 'tickers.csv';
+  const tickers = tickersData.data.map(row => row.Ticker);
+  const duplicates = tickers.filter((ticker, index) => tickers.indexOf(ticker) !== index);
+  if (duplicates.length > 0) {
+    add(file, 'error', `Duplicate ticker(s): ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  const missing = usedTickers.filter(ticker => !tickers.includes(ticker));
+  if (missing.length > 0) {
+    add(file, 'warning', `No metadata for ${missing.join(', ')} - shown under market "Other"`);
+  } else {
+    add(file, 'ok', `Metadata covers all ${usedTickers.length} tickers in the pipeline outputs`);
+  }
+
+  const incomplete = tickersData.data.filter(row => !row.name || !row.market || !row.currency);
+  if (incomplete.length > 0) {
+    add(file, 'warning', `Missing name, market or currency for: ${incomplete.map(row => row.Ticker).join(', ')}`);
+  }
+}
+
+function checkFXRates(fxData, currencies, add) {
+  const file = 'fx.csv';
+  const dates = fxData.data.map(row => row.Date);
+  const outOfOrder = dates.findIndex((date, i) => i > 0 && date <= dates[i - 1]);
+  if (outOfOrder !== -1) {
+    add(file, 'error', `Dates are not strictly increasing (${dates[outOfOrder - 1]} → ${dates[outOfOrder]})`);
+  }
+
+  const columns = fxData.headers.filter(header => header !== 'Date');
+  const badColumns = columns.filter(header => !/^USD[A-Z]{3}$/.test(header));
+  if (badColumns.length > 0) {
+    add(file, 'warning', `Ignoring column(s) not named USD<CCY>: ${badColumns.join(', ')}`);
+  }
+
+  const uncovered = currencies.filter(currency => currency !== FX_PIVOT_CURRENCY && !columns.includes(`USD${currency}`));
+  if (uncovered.length > 0) {
+    add(file, 'warning', `No USD rate for ${uncovered.join(', ')} - those prices cannot be converted`);
+  } else {
+    add(file, 'ok', `Rates for ${currencies.join(', ')} from ${dates[0]} to ${dates[dates.length - 1]}`);
+  }
+
+  const nonPositive = columns.filter(header => fxData.data.some(row => row[header] !== null && !(row[header] > 0)));
+  if (nonPositive.length > 0) {
+    add(file, 'error', `Non-positive rate(s) in ${nonPositive.join(', ')}`);
+  }
+}
+
+function checkCorrelationMatrix(corrData, add) {
+  const file = 'corr.csv';
+  const columns = corrData.headers.slice(1);
+  const rows = {};
+  corrData.data.forEach(row => {
+    rows[row.Ticker] = row;
+  });
+  const rowTickers = Object.keys(rows);
+
+  const sameSet = rowTickers.length === columns.length && columns.every(ticker => rows[ticker]);
+  if (!sameSet) {
+    add(file, 'error', `Matrix is not square: ${rowTickers.length} rows vs ${columns.length} columns, or row/column tickers differ`);
+    return;
+  }
+  add(file, 'ok', `Square ${columns.length}×${columns.length} matrix`);
+
+  const badDiagonal = columns.filter(ticker => Math.abs(rows[ticker][ticker] - 1) > CORRELATION_TOLERANCE);
+  if (badDiagonal.length > 0) {
+    add(file, 'error', `Diagonal is not 1 for: ${badDiagonal.join(', ')}`);
+  } else {
+    add(file, 'ok', 'Unit diagonal');
+  }
+
+  const asymmetric = [];
+  const outOfRange = [];
+  columns.forEach((a, i) => {
+    columns.forEach((b, j) => {
+      const value = rows[a][b];
+      if (value === null || value < -1 - CORRELATION_TOLERANCE || value > 1 + CORRELATION_TOLERANCE) {
+        if (i <= j) outOfRange.push(`${a}/${b}`);
+      } else if (j > i && Math.abs(value - rows[b][a]) > CORRELATION_TOLERANCE) {
+        asymmetric.push(`${a}/${b}`);
+      }
+    });
+  });
+
+  if (outOfRange.length > 0) {
+    add(file, 'error', `Missing or out-of-range [-1, 1] value(s): ${outOfRange.slice(0, 5).join(', ')}${outOfRange.length > 5 ? '…' : ''}`);
+  }
+  if (asymmetric.length > 0) {
+    add(file, 'error', `Not symmetric for: ${asymmetric.slice(0, 5).join(', ')}${asymmetric.length > 5 ? '…' : ''}`);
+  } else if (outOfRange.length === 0) {
+    add(file, 'ok', 'Symmetric, all values within [-1, 1]');
+  }
+}
+
+function checkMSTEdges(mstData, tickers, add) {
+  const file = 'mst_edges.csv';
+  const expected = tickers.length - 1;
+  if (mstData.data.length !== expected) {
+    add(file, 'error', `Expected ${expected} edges (n−1) for ${tickers.length} tickers, found ${mstData.data.length}`);
+  } else {
+    add(file, 'ok', `${expected} edges (n−1)`);
+  }
+
+  const unknown = new Set();
+  mstData.data.forEach(row => {
+    [row.u, row.v].forEach(ticker => {
+      if (!tickers.includes(ticker)) unknown.add(ticker);
+    });
+  });
+  if (unknown.size > 0) {
+    add(file, 'error', `Edge endpoint(s) not in corr.csv: ${[...unknown].join(', ')}`);
+    return;
+  }
+
+  // Union-find: every edge must join two components and the result must be connected
+  const parent = {};
+  tickers.forEach(ticker => {
+    parent[ticker] = ticker;
+  });
+  const find = ticker => (parent[ticker] === ticker ? ticker : (parent[ticker] = find(parent[ticker])));
+
+  let cycles = 0;
+  mstData.data.forEach(row => {
+    const a = find(row.u);
+    const b = find(row.v);
+    if (a === b) {
+      cycles++;
+    } else {
+      parent[a] = b;
+    }
+  });
+  const components = new Set(tickers.map(find)).size;
+
+  if (cycles > 0 || components > 1) {
+    add(file, 'error', `Edges do not form a spanning tree (${cycles} cycle edge(s), ${components} component(s))`);
+  } else {
+    add(file, 'ok', 'Edges form a tree spanning every ticker');
+  }
+}
+
+function checkReturns(returnsData, tickers, add) {
+  const file = 'returns.csv';
+  const dates = returnsData.data.map(row => row.Date);
+  const outOfOrder = dates.findIndex((date, i) => i > 0 && date <= dates[i - 1]);
+  if (outOfOrder !== -1) {
+    add(file, 'error', `Dates are not strictly increasing (${dates[outOfOrder - 1]} → ${dates[outOfOrder]})`);
+  } else {
+    add(file, 'ok', `${dates.length} days, strictly increasing dates`);
+  }
+
+  if (tickers.length > 0) {
+    const columns = returnsData.headers.filter(header => header !== 'Date');
+    const missing = tickers.filter(ticker => !columns.includes(ticker));
+    if (missing.length > 0) {
+      add(file, 'warning', `No return column for: ${missing.join(', ')}`);
+    }
+  }
+
+  const lastDate = dates[dates.length - 1];
+  const ageDays = Math.floor((Date.now() - Date.parse(lastDate)) / 86400000);
+  add(file, ageDays > 7 ? 'warning' : 'ok', `Last return date ${lastDate} (${ageDays} day(s) ago)`);
+}
+
+// Render the data-health panel below the dashboard sections
+function renderDataHealthPanel(checks) {
+  let panel = document.getElementById('dataHealthPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'dataHealthPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    (document.querySelector('main') || document.body).appendChild(panel);
+  }
+
+  const errors = checks.filter(check => check.level === 'error').length;
+  const warnings = checks.filter(check => check.level === 'warning').length;
+  const levelColor = { ok: '#3fb950', warning: '#d29922', error: '#f85149' };
+  const levelIcon = { ok: '✓', warning: '!', error: '✗' };
+  const status = errors > 0 ? 'error' : warnings > 0 ? 'warning' : 'ok';
+
+  panel.innerHTML = `
+    <details ${status !== 'ok' ? 'open' : ''}>
+      <summary style="cursor: pointer; color: #e6edf3; font-size: 18px; font-weight: 500;">
+        Data Health
+        <span style="color: ${levelColor[status]}; font-size: 14px; margin-left: 10px;">
+          ${checks.length - errors - warnings} passed · ${warnings} warning(s) · ${errors} error(s)
+        </span>
+      </summary>
+      <table style="width: 100%; margin-top: 15px; font-size: 13px; border-collapse: collapse;">
+        ${checks.map(check => `
+          <tr style="border-top: 1px solid #21262d;">
+            <td style="color: ${levelColor[check.level]}; padding: 6px 8px; width: 20px;">${levelIcon[check.level]}</td>
+            <td style="color: #8b949e; padding: 6px 8px; white-space: nowrap;">${escapeHTML(check.file)}</td>
+            <td style="color: #e6edf3; padding: 6px 8px;">${escapeHTML(check.message)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </details>
+  `;
+
+  if (errors > 0) {
+    console.warn(`Data health: ${errors} error(s), ${warnings} warning(s)`);
+  }
+}
+
 // Update trending stocks section
 function updateTrendingStocks() {
   const trendGrid = document.querySelector('.trend-grid');
@@ -200,488 +685,6856 @@ function updateTrendingStocks() {
     card.className = `card ${isGain ? 'gain' : 'loss'}`;
     card.innerHTML = `
       <div style="font-weight: bold;">${stock.ticker}</div>
-      <div style="font-size: 12px; margin-top: 5px; opacity: 0.8;">${stockData.stockNames[stock.ticker] || stock.ticker}</div>
+      <div style="font-size: 12px; margin-top: 5px; opacity: 0.8;">${escapeHTML(getTickerInfo(stock.ticker).name)}</div>
       <span>${sign}${momentumPercent}%</span>
       <div style="font-size: 11px; margin-top: 3px; color: ${stock.label === 'BUY' ? '#3fb950' : stock.label === 'AVOID' ? '#f85149' : '#8b949e'};">
         ${stock.label}
       </div>
+      <div data-quote-ticker="${stock.ticker}" style="font-size: 11px; margin-top: 3px;">${formatLiveQuote(stock.ticker)}</div>
     `;
     
     card.style.cursor = 'pointer';
     card.onclick = () => showStockDetails(stock.ticker);
     trendGrid.appendChild(card);
   });
+  syncQuoteSubscriptions();
 }
 
 // Search functionality
+const SEARCH_MAX_SUGGESTIONS = 8;
+let searchSuggestionIndex = -1;
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Ticker metadata from tickers.csv, with a placeholder for tickers it doesn't list
+function getTickerInfo(ticker) {
+  return stockData.tickerInfo[ticker] || {
+    ticker,
+    name: ticker,
+    market: 'Other',
+    exchange: '',
+    sector: 'Unknown',
+    currency: null,
+    listings: [{ exchange: '', symbol: ticker }]
+  };
+}
+
+// "NSE;BSE:TCS.BO" -> [{ exchange: 'NSE', symbol: 'TCS.NS' }, { exchange: 'BSE', symbol: 'TCS.BO' }].
+// A bare exchange trades under the row's own ticker; the primary exchange always comes first.
+function parseListings(row) {
+  const listings = (row.listings || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [exchange, symbol] = entry.split(':').map(part => part.trim());
+      return { exchange, symbol: symbol || row.Ticker };
+    });
+
+  const primary = listings.find(listing => listing.symbol === row.Ticker) || { exchange: row.exchange || '', symbol: row.Ticker };
+  return [primary, ...listings.filter(listing => listing !== primary)];
+}
+
+// Group tickers by market, in the order markets first appear in tickers.csv
+function getMarketGroups(tickers) {
+  const marketOrder = [...new Set(Object.values(stockData.tickerInfo).map(info => info.market))];
+  const groups = {};
+  tickers.forEach(ticker => {
+    const market = getTickerInfo(ticker).market;
+    (groups[market] = groups[market] || []).push(ticker);
+  });
+
+  const rank = market => (marketOrder.includes(market) ? marketOrder.indexOf(market) : marketOrder.length);
+  return Object.keys(groups)
+    .sort((a, b) => rank(a) - rank(b))
+    .map(market => ({ market, tickers: groups[market] }));
+}
+
+// Currency conversion
+function getTickerCurrency(ticker) {
+  return getTickerInfo(ticker).currency || PAPER_ACCOUNT_CURRENCY;
+}
+
+// Currencies the base-currency switch can offer (the pivot plus every fx.csv column)
+function getFXCurrencies() {
+  return [FX_PIVOT_CURRENCY, ...Object.keys(stockData.fxRates).filter(currency => currency !== FX_PIVOT_CURRENCY)];
+}
+
+// Units of `currency` per US dollar on a date (latest when no date), linearly
+// interpolated between fx.csv rows and held flat beyond the first/last row
+function getUSDRate(currency, date = null) {
+  if (currency === FX_PIVOT_CURRENCY) return 1;
+  const series = stockData.fxRates[currency];
+  if (!series || series.length === 0) return null;
+  if (!date || date >= series[series.length - 1].date) return series[series.length - 1].rate;
+  if (date <= series[0].date) return series[0].rate;
+
+  let low = 0;
+  let high = series.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (series[mid].date <= date) low = mid; else high = mid;
+  }
+  const before = series[low];
+  const after = series[high];
+  const t = (Date.parse(date) - Date.parse(before.date)) / (Date.parse(after.date) - Date.parse(before.date));
+  return before.rate + (after.rate - before.rate) * t;
+}
+
+// Multiplier that turns an amount in `from` into `to` (null when a rate is missing)
+function getFXRate(from, to, date = null) {
+  if (from === to) return 1;
+  const fromRate = getUSDRate(from, date);
+  const toRate = getUSDRate(to, date);
+  return fromRate && toRate ? toRate / fromRate : null;
+}
+
+function convertCurrency(amount, from, to, date = null) {
+  const rate = getFXRate(from, to, date);
+  return rate === null ? null : amount * rate;
+}
+
+// Daily simple return restated in another currency: (1 + r) × FX(t) / FX(t−1) − 1
+function getFXAdjustedReturn(ret, from, to, date, prevDate) {
+  if (!to || from === to || !prevDate) return ret;
+  const rateToday = getFXRate(from, to, date);
+  const ratePrev = getFXRate(from, to, prevDate);
+  return rateToday && ratePrev ? (1 + ret) * rateToday / ratePrev - 1 : ret;
+}
+
+// Currency amounts are shown in: the base currency, or the amount's own in 'native' mode
+function getDisplayCurrency(currency) {
+  return baseCurrency === 'native' ? currency : baseCurrency;
+}
+
+// Currency for figures that aggregate several markets (portfolios, account totals)
+function getReportingCurrency() {
+  return baseCurrency === 'native' ? PAPER_ACCOUNT_CURRENCY : baseCurrency;
+}
+
+function formatMoney(amount, currency, { signed = false } = {}) {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  const sign = amount < 0 ? '-' : signed ? '+' : '';
+  const digits = Math.abs(amount).toFixed(2);
+  return symbol ? `${sign}${symbol}${digits}` : `${sign}${digits} ${currency}`;
+}
+
+// Format an amount in the display currency, keeping its own currency if no rate is available
+function formatInBase(amount, currency, { date = null, signed = false, target = getDisplayCurrency(currency) } = {}) {
+  const converted = convertCurrency(amount, currency, target, date);
+  return converted === null
+    ? formatMoney(amount, currency, { signed })
+    : formatMoney(converted, target, { signed });
+}
+
+// Format a fraction as a percentage (0.0123 -> 1.23%), '-' when the figure is missing
+function formatPercent(value, digits = 2, { signed = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '-';
+  return `${signed && value >= 0 ? '+' : ''}${(value * 100).toFixed(digits)}%`;
+}
+
+// Restate OHLC bars in another currency using each bar's own date
+function convertPriceBars(bars, from, to) {
+  if (from === to) return bars;
+  return bars.map(bar => {
+    const rate = getFXRate(from, to, bar.date);
+    if (rate === null) return bar;
+    return {
+      ...bar,
+      open: bar.open * rate,
+      high: bar.high * rate,
+      low: bar.low * rate,
+      close: bar.close * rate
+    };
+  });
+}
+
+// Dashboard-wide base-currency select, placed under the search bar
+function initializeCurrencySwitch() {
+  try {
+    baseCurrency = localStorage.getItem(BASE_CURRENCY_STORAGE_KEY) || 'native';
+  } catch (error) {
+    console.warn('Could not read base currency:', error.message);
+  }
+
+  const currencies = getFXCurrencies();
+  if (baseCurrency !== 'native' && !currencies.includes(baseCurrency)) {
+    baseCurrency = 'native';
+  }
+
+  const searchInput = document.getElementById('searchInput');
+  if (!searchInput || document.getElementById('baseCurrencySelect')) return;
+
+  const control = document.createElement('div');
+  control.id = 'baseCurrencyControl';
+  control.style.cssText = 'margin-top: 8px; font-size: 12px; color: #8b949e;';
+  control.innerHTML = `
+    Show prices in
+    <select id="baseCurrencySelect" class="trading-select">
+      <option value="native">Native currency</option>
+      ${currencies.map(currency => `<option value="${currency}">${currency} (${CURRENCY_SYMBOLS[currency] || currency})</option>`).join('')}
+    </select>
+  `;
+  searchInput.parentNode.insertAdjacentElement('afterend', control);
+
+  const select = document.getElementById('baseCurrencySelect');
+  select.value = baseCurrency;
+  select.addEventListener('change', () => setBaseCurrency(select.value));
+}
+
+function setBaseCurrency(currency) {
+  baseCurrency = currency;
+  try {
+    localStorage.setItem(BASE_CURRENCY_STORAGE_KEY, currency);
+  } catch (error) {
+    console.warn('Could not save base currency:', error.message);
+  }
+
+  updateMarketTrends();
+  drawMarketTrendsChart();
+  renderPaperAccountSummary();
+  refreshPortfolioAnalytics();
+  refreshOptimizer();
+  refreshBacktest();
+
+  const stock = currentStockTicker && stockData.recommendations.find(s => s.ticker === currentStockTicker);
+  if (stock) {
+    renderStockView(stock);
+  }
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Score how well a query matches one candidate string (0 = no match)
+function scoreSearchTerm(query, term) {
+  if (!term) return 0;
+  if (term === query) return 100;
+  if (term.startsWith(query)) return 90 - Math.min(10, term.length - query.length);
+  if (term.includes(query)) return 70;
+
+  // Typo tolerance: one edit for short queries, two for longer ones
+  const maxEdits = query.length >= 7 ? 2 : query.length >= 4 ? 1 : 0;
+  if (maxEdits > 0) {
+    const distance = Math.min(
+      editDistance(query, term),
+      editDistance(query, term.slice(0, query.length))
+    );
+    if (distance <= maxEdits) return 60 - distance * 10;
+  }
+
+  // Characters in order (e.g. "RLNC" -> "RELIANCE"), favouring compact matches
+  let position = -1;
+  let first = -1;
+  for (const ch of query) {
+    position = term.indexOf(ch, position + 1);
+    if (position === -1) return 0;
+    if (first === -1) first = position;
+  }
+  return query.length >= 3 ? Math.max(1, 30 - (position - first - query.length + 1)) : 0;
+}
+
+// Rank every stock against the query across ticker, company name, exchange and market
+function findStockMatches(query) {
+  const normalized = query.trim().toUpperCase();
+  if (!normalized) return [];
+
+  return stockData.recommendations
+    .map(rec => {
+      const ticker = rec.ticker.toUpperCase();
+      const baseTicker = ticker.replace(/\.[A-Z]+$/, '');
+      const info = getTickerInfo(rec.ticker);
+      const name = (stockData.tickerInfo[rec.ticker] ? info.name : '').toUpperCase();
+      const exchange = info.exchange.toUpperCase();
+      const market = info.market.toUpperCase();
+      const suffix = ticker.includes('.') ? ticker.slice(ticker.lastIndexOf('.')) : '';
+
+      const terms = [ticker, baseTicker, name, ...name.split(/[^A-Z0-9]+/)];
+      let score = Math.max(...terms.map(term => scoreSearchTerm(normalized, term)));
+      if (normalized === exchange || normalized === market || (suffix && (normalized === suffix || normalized === suffix.slice(1)))) {
+        score = Math.max(score, 65);
+      }
+      return { rec, score };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || b.rec.score - a.rec.score);
+}
+
 function searchStock() {
   const input = document.getElementById('searchInput');
   const resultDiv = document.getElementById('result');
   const query = input.value.trim().toUpperCase();
 
+  hideSearchSuggestions();
+
   if (!query) {
     resultDiv.innerHTML = '<p style="color: #8b949e;">Please enter a stock symbol or name</p>';
     return;
   }
 
-  // Find matching stock
-  let match = null;
-  for (const rec of stockData.recommendations) {
-    const ticker = rec.ticker.toUpperCase();
-    const name = (stockData.stockNames[rec.ticker] || '').toUpperCase();
-    
-    if (ticker.includes(query) || name.includes(query)) {
-      match = rec;
-      break;
-    }
+  const matches = findStockMatches(query);
+  const exact = matches.find(item =>
+    item.rec.ticker.toUpperCase() === query || item.rec.ticker.toUpperCase().replace(/\.[A-Z]+$/, '') === query
+  );
+
+  if (exact) {
+    renderStockView(exact.rec);
+  } else if (matches.length === 1) {
+    renderStockView(matches[0].rec);
+  } else if (matches.length > 1) {
+    currentStockTicker = null;
+    updateRoute({ push: true });
+    renderSearchResults(query, matches);
+  } else {
+    resultDiv.innerHTML = `<p style="color: #f85149;">Stock "${escapeHTML(query)}" not found. Try: AAPL, MSFT, GOOG, AMZN, TCS.NS, etc.</p>`;
   }
+}
 
-  if (match) {
-    const momentumPercent = (match.momentum * 100).toFixed(2);
-    const sign = match.momentum >= 0 ? '+' : '';
-    const labelColor = match.label === 'BUY' ? '#3fb950' : match.label === 'AVOID' ? '#f85149' : '#8b949e';
-    
-    // Get top correlated stocks
-    const correlations = stockData.correlations[match.ticker] || {};
-    const topCorrelated = Object.entries(correlations)
-      .filter(([ticker, corr]) => ticker !== match.ticker && !isNaN(corr))
-      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
-      .slice(0, 5)
-      .map(([ticker, corr]) => ({
-        ticker,
-        corr: parseFloat(corr) || 0
-      }));
-    
-    let correlationHTML = '';
-    if (topCorrelated.length > 0) {
-      correlationHTML = `
-        <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #30363d;">
-          <div style="color: #8b949e; font-size: 14px; margin-bottom: 10px;">Top Correlated Stocks:</div>
-          <div style="display: flex; flex-wrap: wrap; gap: 10px;">
-            ${topCorrelated.map(item => {
-              const corrPercent = (item.corr * 100).toFixed(1);
-              const corrColor = item.corr > 0.5 ? '#3fb950' : item.corr < -0.5 ? '#f85149' : '#8b949e';
-              return `
-                <div style="background: #161b22; padding: 8px 12px; border-radius: 6px; border: 1px solid #30363d;">
-                  <div style="font-size: 12px; color: #e6edf3;">${item.ticker}</div>
-                  <div style="font-size: 11px; color: ${corrColor}; margin-top: 2px;">${corrPercent}%</div>
-                </div>
-              `;
-            }).join('')}
-          </div>
-        </div>
-      `;
-    }
-    
-    // Calculate mock price (using momentum as a base)
-    const basePrice = 100;
-    const mockPrice = (basePrice * (1 + match.momentum)).toFixed(2);
-    const mockPriceNSE = parseFloat(mockPrice);
-    const mockPriceBSE = (mockPriceNSE * 0.999).toFixed(2);
-    
-    resultDiv.innerHTML = `
-      <div style="background: #0d1117; padding: 20px; border-radius: 10px; margin-top: 15px; border: 1px solid #30363d;">
-        <!-- Stock Header -->
-        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-          <h3 style="color: #58a6ff; margin: 0;">${match.ticker} - ${stockData.stockNames[match.ticker] || match.ticker}</h3>
-          <div style="text-align: right;">
-            <div style="color: #8b949e; font-size: 12px;">NSE ₹${mockPriceNSE.toFixed(2)}</div>
-            <div style="color: #8b949e; font-size: 12px;">BSE ₹${mockPriceBSE}</div>
-            <div style="color: ${match.momentum >= 0 ? '#3fb950' : '#f85149'}; font-size: 12px; margin-top: 2px;">
-              (${sign}${momentumPercent}%)
+// List every stock matching a query when there is no single obvious hit
+function renderSearchResults(query, matches) {
+  const resultDiv = document.getElementById('result');
+  resultDiv.innerHTML = `
+    <div style="background: #0d1117; padding: 20px; border-radius: 10px; margin-top: 15px; border: 1px solid #30363d;">
+      <div style="color: #8b949e; font-size: 14px; margin-bottom: 12px;">${matches.length} stocks match "${escapeHTML(query)}"</div>
+      ${matches.map(({ rec }) => {
+        const labelColor = rec.label === 'BUY' ? '#3fb950' : rec.label === 'AVOID' ? '#f85149' : '#8b949e';
+        const momentumPercent = (rec.momentum * 100).toFixed(2);
+        return `
+          <div class="search-result-row" data-ticker="${rec.ticker}" style="display: flex; justify-content: space-between; align-items: center; padding: 10px 12px; border-top: 1px solid #21262d; cursor: pointer;">
+            <div>
+              <span style="color: #58a6ff; font-weight: bold;">${rec.ticker}</span>
+              <span style="color: #e6edf3; margin-left: 8px;">${escapeHTML(getTickerInfo(rec.ticker).name)}</span>
+              <span style="color: #8b949e; font-size: 12px; margin-left: 8px;">${escapeHTML(getTickerInfo(rec.ticker).exchange)}</span>
             </div>
-          </div>
-        </div>
-        
-        <!-- Middle Section: Chart and Trading Interface -->
-        <div style="display: grid; grid-template-columns: 1.5fr 1fr; gap: 20px; margin-bottom: 20px;">
-          <!-- Left: Price Chart -->
-          <div style="background: #161b22; padding: 15px; border-radius: 10px; border: 1px solid #30363d;">
-            <div style="color: #e6edf3; font-size: 16px; font-weight: 500; margin-bottom: 15px;">Price Chart (6 Months)</div>
-            <div style="height: 350px; position: relative;">
-              <canvas id="stockPriceChart"></canvas>
+            <div style="font-size: 13px;">
+              <span style="color: ${rec.momentum >= 0 ? '#3fb950' : '#f85149'};">${rec.momentum >= 0 ? '+' : ''}${momentumPercent}%</span>
+              <span style="color: ${labelColor}; margin-left: 12px; font-weight: bold;">${rec.label}</span>
             </div>
           </div>
-          
-          <!-- Right: Trading Interface -->
-          <div>
-            ${createTradingInterface(match.ticker, mockPriceNSE, mockPriceBSE)}
-          </div>
-        </div>
-        
-        <!-- Bottom: Analysis Section -->
-        <div style="background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin-top: 20px;">
-          <div style="color: #e6edf3; font-size: 18px; font-weight: 500; margin-bottom: 15px;">Analysis</div>
-          <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin-bottom: 20px;">
-            <div>
-              <div style="color: #8b949e; font-size: 14px;">Recommendation</div>
-              <div style="color: ${labelColor}; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.label}</div>
-            </div>
-            <div>
-              <div style="color: #8b949e; font-size: 14px;">Momentum</div>
-              <div style="color: ${match.momentum >= 0 ? '#3fb950' : '#f85149'}; font-size: 18px; font-weight: bold; margin-top: 5px;">
-                ${sign}${momentumPercent}%
-              </div>
-            </div>
-            <div>
-              <div style="color: #8b949e; font-size: 14px;">Score</div>
-              <div style="color: #58a6ff; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.score.toFixed(3)}</div>
-            </div>
-            <div>
-              <div style="color: #8b949e; font-size: 14px;">Avg Correlation</div>
-              <div style="color: #58a6ff; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.avgCorr.toFixed(3)}</div>
-            </div>
-          </div>
-          ${correlationHTML}
-        </div>
-      </div>
-    `;
-    
-    // Initialize trading interface handlers
-    initializeTradingInterface();
-    
-    // Load and draw price chart
-    loadStockPriceChart(match.ticker);
-  } else {
-    resultDiv.innerHTML = `<p style="color: #f85149;">Stock "${query}" not found. Try: AAPL, MSFT, GOOG, AMZN, TCS.NS, etc.</p>`;
+        `;
+      }).join('')}
+    </div>
+  `;
+
+  resultDiv.querySelectorAll('.search-result-row').forEach(row => {
+    row.addEventListener('click', () => showStockDetails(row.dataset.ticker));
+  });
+}
+
+// As-you-type suggestions under the search box
+function initializeSearchSuggestions() {
+  const input = document.getElementById('searchInput');
+  if (!input) return;
+
+  const list = document.createElement('div');
+  list.id = 'searchSuggestions';
+  list.setAttribute('role', 'listbox');
+  list.style.cssText = 'display: none; position: absolute; z-index: 20; background: #161b22; border: 1px solid #30363d; border-radius: 6px; margin-top: 4px; min-width: 280px; max-height: 320px; overflow-y: auto; box-shadow: 0 8px 24px rgba(1, 4, 9, 0.6);';
+  input.parentNode.style.position = input.parentNode.style.position || 'relative';
+  input.insertAdjacentElement('afterend', list);
+  input.setAttribute('autocomplete', 'off');
+
+  input.addEventListener('input', () => renderSearchSuggestions(input.value));
+  input.addEventListener('focus', () => renderSearchSuggestions(input.value));
+  input.addEventListener('blur', () => {
+    // Let a click on a suggestion land before the list disappears
+    setTimeout(hideSearchSuggestions, 150);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const items = list.querySelectorAll('.search-suggestion');
+    const isOpen = list.style.display !== 'none' && items.length > 0;
+
+    if (e.key === 'ArrowDown' && isOpen) {
+      e.preventDefault();
+      setSearchSuggestionIndex((searchSuggestionIndex + 1) % items.length);
+    } else if (e.key === 'ArrowUp' && isOpen) {
+      e.preventDefault();
+      setSearchSuggestionIndex((searchSuggestionIndex - 1 + items.length) % items.length);
+    } else if (e.key === 'Escape') {
+      hideSearchSuggestions();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (isOpen && searchSuggestionIndex >= 0) {
+        showStockDetails(items[searchSuggestionIndex].dataset.ticker);
+      } else {
+        searchStock();
+      }
+    }
+  });
+}
+
+function renderSearchSuggestions(query) {
+  const list = document.getElementById('searchSuggestions');
+  if (!list) return;
+
+  const matches = findStockMatches(query).slice(0, SEARCH_MAX_SUGGESTIONS);
+  searchSuggestionIndex = -1;
+  if (matches.length === 0) {
+    hideSearchSuggestions();
+    return;
   }
+
+  list.innerHTML = matches.map(({ rec }) => `
+    <div class="search-suggestion" role="option" data-ticker="${rec.ticker}" style="padding: 8px 12px; cursor: pointer; display: flex; justify-content: space-between; gap: 12px;">
+      <span>
+        <span style="color: #58a6ff; font-weight: bold;">${rec.ticker}</span>
+        <span style="color: #e6edf3; font-size: 12px; margin-left: 6px;">${stockData.tickerInfo[rec.ticker] ? escapeHTML(getTickerInfo(rec.ticker).name) : ''}</span>
+      </span>
+      <span style="color: #8b949e; font-size: 11px;">${escapeHTML(getTickerInfo(rec.ticker).exchange)}</span>
+    </div>
+  `).join('');
+  list.style.display = 'block';
+
+  list.querySelectorAll('.search-suggestion').forEach((item, index) => {
+    item.addEventListener('mouseenter', () => setSearchSuggestionIndex(index));
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      showStockDetails(item.dataset.ticker);
+    });
+  });
 }
 
-// Create trading interface HTML
-function createTradingInterface(ticker, priceNSE, priceBSE) {
-  return `
-    <div class="trading-interface" id="tradingInterface">
-      <div class="trading-tabs">
-        <button class="trading-tab buy active" data-action="buy">BUY</button>
-        <button class="trading-tab sell" data-action="sell">SELL</button>
-      </div>
-      
-      <div class="order-type-buttons">
-        <button class="order-type-btn active" data-type="delivery">Delivery</button>
-        <button class="order-type-btn" data-type="intraday">Intraday</button>
-        <button class="order-type-btn" data-type="mtf">MTF</button>
-        <span class="trading-settings-icon">⚙️</span>
-      </div>
-      
-      <div class="trading-input-group">
-        <div class="trading-input-label">
-          <span>Qty</span>
-        </div>
-        <div class="trading-input-wrapper">
-          <select class="trading-select" id="tradingExchange">
-            <option value="BSE">BSE</option>
-            <option value="NSE">NSE</option>
-          </select>
-          <input type="number" class="trading-input" id="tradingQuantity" placeholder="Enter quantity" min="1" value="1">
+function setSearchSuggestionIndex(index) {
+  searchSuggestionIndex = index;
+  document.querySelectorAll('#searchSuggestions .search-suggestion').forEach((item, i) => {
+    item.style.background = i === index ? '#1f6feb33' : 'transparent';
+    item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+  });
+}
+
+function hideSearchSuggestions() {
+  const list = document.getElementById('searchSuggestions');
+  if (list) {
+    list.style.display = 'none';
+  }
+  searchSuggestionIndex = -1;
+}
+
+// Render the full stock view (header, chart, trading ticket, analysis)
+function renderStockView(match) {
+  const resultDiv = document.getElementById('result');
+  currentStockTicker = match.ticker;
+  updateRoute({ push: true });
+
+  const momentumPercent = (match.momentum * 100).toFixed(2);
+  const sign = match.momentum >= 0 ? '+' : '';
+  const labelColor = match.label === 'BUY' ? '#3fb950' : match.label === 'AVOID' ? '#f85149' : '#8b949e';
+  
+  resultDiv.innerHTML = `
+    <div style="background: #0d1117; padding: 20px; border-radius: 10px; margin-top: 15px; border: 1px solid #30363d;">
+      <!-- Stock Header -->
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+        <h3 style="color: #58a6ff; margin: 0;">${match.ticker} - ${escapeHTML(getTickerInfo(match.ticker).name)}</h3>
+        <div style="text-align: right;">
+          <div id="stockQuote"><div style="color: #8b949e; font-size: 12px;">Loading quote…</div></div>
+          <div id="stockExportControls" style="display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px;"></div>
         </div>
       </div>
+      <div id="stockQuoteStats" style="display: grid; grid-template-columns: repeat(5, 1fr); gap: 10px; margin-bottom: 20px;"></div>
       
-      <div class="trading-input-group">
-        <div class="trading-input-label">
-          <span>Price</span>
+      <!-- Middle Section: Chart and Trading Interface -->
+      <div style="display: grid; grid-template-columns: 1.5fr 1fr; gap: 20px; margin-bottom: 20px;">
+        <!-- Left: Price Chart -->
+        <div style="background: #161b22; padding: 15px; border-radius: 10px; border: 1px solid #30363d;">
+          <div style="color: #e6edf3; font-size: 16px; font-weight: 500; margin-bottom: 15px;">Price Chart</div>
+          ${createPriceChartToolbar()}
+          <div style="height: 350px; position: relative;">
+            <canvas id="stockPriceChart"></canvas>
+          </div>
+          <div id="stockIndicatorPanes"></div>
         </div>
-        <div class="trading-input-wrapper">
-          <select class="trading-select" id="tradingPriceType">
-            <option value="limit">Limit</option>
-            <option value="market">Market</option>
-          </select>
-          <input type="number" class="trading-input" id="tradingPrice" placeholder="Enter price" step="0.01" value="${priceNSE.toFixed(2)}">
+        
+        <!-- Right: Trading Interface -->
+        <div>
+          ${createTradingInterface(match.ticker)}
         </div>
       </div>
       
-      <div class="trading-summary">
-        <div class="trading-summary-item">
-          <div>Balance:</div>
-          <div class="trading-summary-value" id="tradingBalance">₹0</div>
-        </div>
-        <div class="trading-summary-item">
-          <div>Approx req.:</div>
-          <div class="trading-summary-value" id="tradingRequirement">₹0</div>
+      <!-- Bottom: Analysis Section -->
+      <div style="background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin-top: 20px;">
+        <div style="color: #e6edf3; font-size: 18px; font-weight: 500; margin-bottom: 15px;">Analysis</div>
+        <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin-bottom: 20px;">
+          <div>
+            <div style="color: #8b949e; font-size: 14px;">Recommendation</div>
+            <div style="color: ${labelColor}; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.label}</div>
+          </div>
+          <div>
+            <div style="color: #8b949e; font-size: 14px;">Momentum</div>
+            <div style="color: ${match.momentum >= 0 ? '#3fb950' : '#f85149'}; font-size: 18px; font-weight: bold; margin-top: 5px;">
+              ${sign}${momentumPercent}%
+            </div>
+          </div>
+          <div>
+            <div style="color: #8b949e; font-size: 14px;">Score</div>
+            <div style="color: #58a6ff; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.score.toFixed(3)}</div>
+          </div>
+          <div>
+            <div style="color: #8b949e; font-size: 14px;">Avg Correlation</div>
+            <div style="color: #58a6ff; font-size: 18px; font-weight: bold; margin-top: 5px;">${match.avgCorr.toFixed(3)}</div>
+          </div>
         </div>
+        <div id="topCorrelated" data-ticker="${escapeHTML(match.ticker)}"></div>
       </div>
-      
-      <button class="trading-submit-btn" id="tradingSubmitBtn">Buy</button>
     </div>
   `;
+  
+  // Initialize trading interface and chart toolbar handlers
+  renderTopCorrelated();
+  initializeTradingInterface();
+  initializePriceChartToolbar(match.ticker);
+  attachStockExports(match.ticker);
+  syncQuoteSubscriptions();
+  
+  // Load and draw price chart
+  loadStockPriceChart(match.ticker);
+}
+
+// Stock quote - figures from the daily bars of every exchange the ticker lists on
+const QUOTE_AVERAGE_VOLUME_DAYS = 30;
+
+function getTickerListings(ticker) {
+  return getTickerInfo(ticker).listings;
+}
+
+// Last close, change on the previous close, day and 52-week ranges, average volume
+function computeStockQuote(bars) {
+  if (!bars || bars.length === 0) return null;
+
+  const last = bars[bars.length - 1];
+  const previousClose = bars.length > 1 ? bars[bars.length - 2].close : null;
+  const yearBars = bars.slice(-TRADING_DAYS_PER_YEAR);
+  const volumes = bars
+    .slice(-QUOTE_AVERAGE_VOLUME_DAYS)
+    .map(bar => bar.volume)
+    .filter(volume => volume !== null && !isNaN(volume));
+
+  return {
+    date: last.date,
+    price: last.close,
+    open: last.open,
+    dayHigh: last.high,
+    dayLow: last.low,
+    previousClose,
+    change: previousClose === null ? null : last.close - previousClose,
+    changePercent: previousClose === null ? null : (last.close / previousClose - 1) * 100,
+    yearHigh: Math.max(...yearBars.map(bar => bar.high)),
+    yearLow: Math.min(...yearBars.map(bar => bar.low)),
+    yearSessions: yearBars.length,
+    averageVolume: volumes.length > 0 ? volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length : null
+  };
+}
+
+// Price-file symbol an order on `exchange` trades under - that listing's own symbol, or
+// the ticker itself when it does not list there (orders saved before listings existed)
+function getOrderSymbol(ticker, exchange) {
+  const listing = getTickerListings(ticker).find(other => (other.exchange || 'US') === exchange);
+  return listing ? listing.symbol : ticker;
+}
+
+// Latest close on one of the ticker's exchanges (the primary one without an exchange),
+// or null when that exchange has no price data
+function getListingPrice(ticker, exchange) {
+  const listings = getTickerListings(ticker);
+  const listing = exchange ? listings.find(other => (other.exchange || 'US') === exchange) : listings[0];
+  const quote = listing ? computeStockQuote(getDisplayHistory(listing.symbol)) : null;
+  return quote ? quote.price : null;
+}
+
+function formatVolume(volume) {
+  if (volume === null) return '—';
+  if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`;
+  if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`;
+  if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+  return volume.toFixed(0);
+}
+
+// Fill the header quote and the stats row from the loaded price files
+function renderStockQuote(ticker) {
+  const quoteEl = document.getElementById('stockQuote');
+  const statsEl = document.getElementById('stockQuoteStats');
+  if (!quoteEl || currentStockTicker !== ticker) return;
+
+  const currency = getTickerCurrency(ticker);
+  const listings = getTickerListings(ticker);
+  const quote = computeStockQuote(getDisplayHistory(ticker));
+  if (!quote) {
+    quoteEl.innerHTML = `<div style="color: #8b949e; font-size: 12px;">No price history for ${escapeHTML(ticker)}</div>`;
+    if (statsEl) statsEl.innerHTML = '';
+    return;
+  }
+
+  const live = liveQuotes[ticker];
+  const isLive = Boolean(live && live.quote && live.quote.date === quote.date);
+  const changeColor = quote.change === null || quote.change >= 0 ? '#3fb950' : '#f85149';
+  const changeText = quote.change === null
+    ? ''
+    : `${formatInBase(quote.change, currency, { signed: true })} (${quote.changePercent >= 0 ? '+' : ''}${quote.changePercent.toFixed(2)}%)`;
+
+  quoteEl.innerHTML = `
+    <div style="color: #e6edf3; font-size: 22px; font-weight: bold;">${formatInBase(quote.price, currency)}</div>
+    <div style="font-size: 12px; margin-top: 2px;">
+      <span style="color: ${changeColor};">${changeText}</span>
+      <span style="color: #6e7681;">${isLive ? 'Live' : 'Close'} ${quote.date}</span>
+    </div>
+    ${listings.length > 1 ? listings.map(listing => {
+      const listingQuote = computeStockQuote(getDisplayHistory(listing.symbol));
+      return `
+        <div style="color: #8b949e; font-size: 12px; margin-top: 2px;" title="${escapeHTML(listing.symbol)}">
+          ${escapeHTML(listing.exchange)} ${listingQuote
+            ? `${formatInBase(listingQuote.price, currency)}${listingQuote.date !== quote.date ? ` <span style="color: #6e7681;">(${listingQuote.date})</span>` : ''}`
+            : `<span style="color: #6e7681;">no price data</span>`}
+        </div>
+      `;
+    }).join('') : ''}
+  `;
+
+  if (!statsEl) return;
+  const stat = (label, value) => `
+    <div style="background: #161b22; border: 1px solid #30363d; border-radius: 8px; padding: 8px 10px;">
+      <div style="color: #8b949e; font-size: 11px;">${label}</div>
+      <div style="color: #e6edf3; font-size: 13px; margin-top: 3px;">${value}</div>
+    </div>
+  `;
+  statsEl.innerHTML = [
+    stat('Open', formatInBase(quote.open, currency)),
+    stat('Prev close', quote.previousClose === null ? '—' : formatInBase(quote.previousClose, currency)),
+    stat('Day range', `${formatInBase(quote.dayLow, currency)} – ${formatInBase(quote.dayHigh, currency)}`),
+    stat(quote.yearSessions >= TRADING_DAYS_PER_YEAR ? '52-week range' : `Range, ${quote.yearSessions} sessions`, `${formatInBase(quote.yearLow, currency)} – ${formatInBase(quote.yearHigh, currency)}`),
+    stat(`Avg volume (${QUOTE_AVERAGE_VOLUME_DAYS}d)`, formatVolume(quote.averageVolume))
+  ].join('');
 }
 
-// Initialize trading interface event handlers
-function initializeTradingInterface() {
+// Price files for the ticker's other exchanges (missing ones just show "no price data")
+function loadListingPrices(ticker) {
+  return Promise.all(getTickerListings(ticker)
+    .filter(listing => listing.symbol !== ticker)
+    .map(listing => loadPriceHistory(listing.symbol)));
+}
+
+// Disable ticket exchanges without price data, moving the ticket off one if it was selected
+function updateExchangeOptions(ticker) {
   const tradingInterface = document.getElementById('tradingInterface');
-  if (!tradingInterface) return;
-  
-  // Buy/Sell tab switching
-  const tabs = tradingInterface.querySelectorAll('.trading-tab');
-  tabs.forEach(tab => {
-    tab.addEventListener('click', () => {
-      tabs.forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      
-      const action = tab.dataset.action;
-      const submitBtn = document.getElementById('tradingSubmitBtn');
-      if (submitBtn) {
-        submitBtn.textContent = action === 'buy' ? 'Buy' : 'Sell';
-        submitBtn.classList.toggle('sell', action === 'sell');
-      }
-      updateTradingSummary();
-    });
-  });
-  
-  // Order type buttons
-  const orderTypeBtns = tradingInterface.querySelectorAll('.order-type-btn');
-  orderTypeBtns.forEach(btn => {
-    if (btn.dataset.type) {
-      btn.addEventListener('click', () => {
-        orderTypeBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-      });
-    }
+  const exchangeSelect = document.getElementById('tradingExchange');
+  if (!tradingInterface || tradingInterface.dataset.ticker !== ticker || !exchangeSelect) return;
+
+  const listings = getTickerListings(ticker);
+  Array.from(exchangeSelect.options).forEach((option, index) => {
+    const available = Boolean(listings[index] && stockData.priceHistory[listings[index].symbol]);
+    option.disabled = !available;
+    option.textContent = available ? option.value : `${option.value} (no price data)`;
   });
-  
-  // Update summary on input change
-  const quantityInput = document.getElementById('tradingQuantity');
+
+  const selected = exchangeSelect.options[exchangeSelect.selectedIndex];
+  const fallback = Array.from(exchangeSelect.options).find(option => !option.disabled);
+  if (selected && selected.disabled && fallback) {
+    exchangeSelect.value = fallback.value;
+    fillTicketPrice(ticker, { force: true });
+  }
+}
+
+// Ticket price from the selected exchange's latest close. A price the user typed is kept
+// unless force is set, and so is any price on a ticket dated before the latest bar.
+function fillTicketPrice(ticker, { force = false } = {}) {
+  const tradingInterface = document.getElementById('tradingInterface');
   const priceInput = document.getElementById('tradingPrice');
   const exchangeSelect = document.getElementById('tradingExchange');
-  
-  if (quantityInput) {
-    quantityInput.addEventListener('input', updateTradingSummary);
-    quantityInput.addEventListener('change', updateTradingSummary);
+  if (!tradingInterface || tradingInterface.dataset.ticker !== ticker || !priceInput) return;
+
+  const asOfInput = document.getElementById('tradingAsOf');
+  const onLatestBar = !asOfInput || !asOfInput.value || asOfInput.value >= asOfInput.max;
+  if (!onLatestBar || (priceInput.dataset.edited && !force)) return;
+
+  const price = getListingPrice(ticker, exchangeSelect ? exchangeSelect.value : null);
+  if (price === null) return;
+  priceInput.value = price.toFixed(2);
+  if (force) delete priceInput.dataset.edited;
+  updateTradingSummary();
+}
+
+// Order charges and margin - fee schedules per market and margin rules per product
+// (Delivery, Intraday, MTF). Rates are fractions of turnover unless noted; edit them
+// to match your broker. Indian rates follow a typical discount broker's published
+// schedule, US rates the SEC Section 31 fee and FINRA TAF on sells.
+const CHARGE_SCHEDULES = {
+  IN: {
+    label: 'Indian equity',
+    brokerage: {
+      delivery: { rate: 0, max: 0 },
+      intraday: { rate: 0.0003, max: 20 }, // 0.03% or ₹20 per order, whichever is lower
+      mtf: { rate: 0.003, max: 20 }
+    },
+    stt: {
+      delivery: { buy: 0.001, sell: 0.001 },
+      intraday: { buy: 0, sell: 0.00025 },
+      mtf: { buy: 0.001, sell: 0.001 }
+    },
+    exchangeFees: { NSE: 0.0000297, BSE: 0.0000375 },
+    sebiFee: 10 / 1e7, // ₹10 per crore
+    gst: 0.18, // on brokerage, exchange and SEBI fees
+    stampDuty: { delivery: 0.00015, intraday: 0.00003, mtf: 0.00015 } // buy side only
+  },
+  US: {
+    label: 'US equity',
+    commission: { perShare: 0, min: 0, max: null }, // zero-commission broker
+    secFee: 27.8 / 1e6, // sells, per dollar of proceeds
+    finraTAF: { perShare: 0.000166, max: 8.3 } // sells
   }
-  if (priceInput) {
-    priceInput.addEventListener('input', updateTradingSummary);
-    priceInput.addEventListener('change', updateTradingSummary);
+};
+const CHARGE_SCHEDULE_BY_EXCHANGE = { NSE: 'IN', BSE: 'IN' }; // anything else uses US
+
+const MARGIN_PRODUCTS = {
+  delivery: { label: 'Delivery', marginRate: 1 },
+  intraday: { label: 'Intraday', marginRate: 0.2 }, // 5x leverage, squared off the same day
+  mtf: { label: 'MTF', marginRate: 0.25, annualInterest: 0.15 } // broker funds 75% at 15% p.a.
+};
+
+function roundCharge(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Itemized charges for one order, in the ticker's own currency
+function computeOrderCharges({ exchange, product, side, quantity, price }) {
+  const scheduleKey = CHARGE_SCHEDULE_BY_EXCHANGE[exchange] || 'US';
+  const schedule = CHARGE_SCHEDULES[scheduleKey];
+  const turnover = quantity * price;
+  const items = [];
+
+  if (scheduleKey === 'IN') {
+    const brokerage = schedule.brokerage[product];
+    const brokerageAmount = roundCharge(Math.min(turnover * brokerage.rate, brokerage.max));
+    const exchangeAmount = roundCharge(turnover * (schedule.exchangeFees[exchange] || 0));
+    const sebiAmount = roundCharge(turnover * schedule.sebiFee);
+    items.push({ label: 'Brokerage', amount: brokerageAmount });
+    items.push({ label: 'STT', amount: Math.round(turnover * schedule.stt[product][side]) }); // STT rounds to the rupee
+    items.push({ label: `${exchange} transaction fee`, amount: exchangeAmount });
+    items.push({ label: 'SEBI fee', amount: sebiAmount });
+    items.push({ label: 'GST', amount: roundCharge((brokerageAmount + exchangeAmount + sebiAmount) * schedule.gst) });
+    items.push({ label: 'Stamp duty', amount: side === 'buy' ? roundCharge(turnover * schedule.stampDuty[product]) : 0 });
+  } else {
+    const commission = schedule.commission;
+    let commissionAmount = Math.max(quantity * commission.perShare, commission.min);
+    if (commission.max !== null) commissionAmount = Math.min(commissionAmount, commission.max);
+    items.push({ label: 'Commission', amount: roundCharge(commissionAmount) });
+    items.push({ label: 'SEC fee', amount: side === 'sell' ? roundCharge(turnover * schedule.secFee) : 0 });
+    items.push({ label: 'FINRA TAF', amount: side === 'sell' ? roundCharge(Math.min(quantity * schedule.finraTAF.perShare, schedule.finraTAF.max)) : 0 });
   }
-  if (exchangeSelect) {
-    exchangeSelect.addEventListener('change', () => {
-      // Update price based on exchange
-      const priceNSE = parseFloat(priceInput.value) || 0;
-      if (exchangeSelect.value === 'BSE') {
-        priceInput.value = (priceNSE * 0.999).toFixed(2);
-      } else {
-        priceInput.value = (priceNSE / 0.999).toFixed(2);
+
+  return {
+    schedule: schedule.label,
+    items,
+    total: roundCharge(items.reduce((sum, item) => sum + item.amount, 0))
+  };
+}
+
+// Cash an order ties up: the product's margin on buys plus charges, and for MTF the
+// broker-funded part with its daily interest. Sells only need the charges.
+function computeOrderCosts({ exchange, product, side, quantity, price }) {
+  const rules = MARGIN_PRODUCTS[product] || MARGIN_PRODUCTS.delivery;
+  const turnover = quantity * price;
+  const charges = computeOrderCharges({ exchange, product, side, quantity, price });
+  const margin = side === 'buy' ? turnover * rules.marginRate : 0;
+  const funded = side === 'buy' ? turnover - margin : 0;
+
+  return {
+    product,
+    turnover,
+    charges,
+    marginRate: rules.marginRate,
+    margin,
+    funded,
+    dailyInterest: rules.annualInterest ? funded * rules.annualInterest / 365 : 0,
+    required: margin + charges.total,
+    // Trade value with charges: buys cost turnover plus charges (of which only `required` is
+    // paid in cash), sells receive turnover less charges before any borrowed amount is repaid
+    net: side === 'buy' ? turnover + charges.total : turnover - charges.total
+  };
+}
+
+// Ticket breakdown: each charge, then margin and (for MTF) funding
+function renderOrderCostBreakdown(costs, currency) {
+  const row = (label, amount, color = '#e6edf3') => `
+    <div style="display: flex; justify-content: space-between;">
+      <span>${label}</span><span style="color: ${color};">${amount}</span>
+    </div>
+  `;
+  const money = amount => formatMoney(amount, currency);
+  const rules = MARGIN_PRODUCTS[costs.product] || MARGIN_PRODUCTS.delivery;
+
+  return `
+    <div style="color: #8b949e; margin-bottom: 4px;">${costs.charges.schedule} charges · ${rules.label}</div>
+    ${costs.charges.items.map(item => row(item.label, money(item.amount))).join('')}
+    ${row('<strong>Total charges</strong>', `<strong>${money(costs.charges.total)}</strong>`)}
+    ${costs.margin > 0 ? row(`Margin (${(costs.marginRate * 100).toFixed(0)}% of ${money(costs.turnover)})`, money(costs.margin)) : ''}
+    ${costs.funded > 0 ? row(costs.dailyInterest > 0 ? 'MTF funded by broker' : 'Leverage', money(costs.funded), '#d29922') : ''}
+    ${costs.dailyInterest > 0 ? row(`Interest (${(rules.annualInterest * 100).toFixed(0)}% p.a.)`, `${money(costs.dailyInterest)}/day`, '#d29922') : ''}
+  `;
+}
+
+// Paper trading ledger
+function createPaperAccount(startingCash = PAPER_STARTING_CASH) {
+  return {
+    startingCash,
+    currency: PAPER_ACCOUNT_CURRENCY,
+    cash: startingCash,
+    realizedPnl: 0,
+    chargesPaid: 0, // in the account currency
+    interestPaid: 0, // MTF interest, in the account currency
+    positions: {}, // ticker -> { quantity, avgCost, realizedPnl, borrowed, interestFrom } with amounts in the account currency
+    trades: [],
+    orders: [],
+    nextOrderId: 1
+  };
+}
+
+function loadPaperAccount() {
+  try {
+    const saved = localStorage.getItem(PAPER_ACCOUNT_STORAGE_KEY);
+    if (saved) {
+      const account = JSON.parse(saved);
+      if (account && typeof account.cash === 'number' && account.positions) {
+        return { ...createPaperAccount(account.startingCash), ...account };
       }
-      updateTradingSummary();
-    });
+      console.warn('Ignoring malformed paper account in localStorage');
+    }
+  } catch (error) {
+    console.warn('Could not read paper account:', error.message);
   }
-  
-  // Submit button
-  const submitBtn = document.getElementById('tradingSubmitBtn');
-  if (submitBtn) {
-    submitBtn.addEventListener('click', handleTradingSubmit);
+  return createPaperAccount();
+}
+
+function savePaperAccount() {
+  try {
+    localStorage.setItem(PAPER_ACCOUNT_STORAGE_KEY, JSON.stringify(getPaperAccount()));
+  } catch (error) {
+    console.warn('Could not save paper account:', error.message);
   }
-  
-  // Initial summary update
+}
+
+function getPaperAccount() {
+  if (!paperAccount) {
+    paperAccount = loadPaperAccount();
+  }
+  return paperAccount;
+}
+
+function resetPaperAccount() {
+  paperAccount = createPaperAccount();
+  savePaperAccount();
   updateTradingSummary();
+  renderPaperAccountSummary();
+  renderOrdersPanel();
 }
 
-// Update trading summary (balance and requirement)
-function updateTradingSummary() {
-  const quantityInput = document.getElementById('tradingQuantity');
-  const priceInput = document.getElementById('tradingPrice');
-  const balanceEl = document.getElementById('tradingBalance');
-  const requirementEl = document.getElementById('tradingRequirement');
-  
-  if (!quantityInput || !priceInput || !balanceEl || !requirementEl) return;
-  
-  const quantity = parseFloat(quantityInput.value) || 0;
-  const price = parseFloat(priceInput.value) || 0;
-  const requirement = quantity * price;
-  
-  requirementEl.textContent = `₹${requirement.toFixed(2)}`;
-  // Balance stays at ₹0 for demo purposes
-  balanceEl.textContent = '₹0';
+function getPaperPosition(ticker) {
+  const position = getPaperAccount().positions[ticker];
+  return position && position.quantity > 0 ? position : null;
 }
 
-// Handle trading submit (Buy/Sell button)
-function handleTradingSubmit() {
-  const activeTab = document.querySelector('.trading-tab.active');
-  const action = activeTab ? activeTab.dataset.action : 'buy';
-  const quantityInput = document.getElementById('tradingQuantity');
-  const priceInput = document.getElementById('tradingPrice');
-  const exchangeSelect = document.getElementById('tradingExchange');
-  const orderTypeBtn = document.querySelector('.order-type-btn.active');
-  const priceTypeSelect = document.getElementById('tradingPriceType');
-  
-  if (!quantityInput || !priceInput || !exchangeSelect) return;
-  
-  const quantity = parseFloat(quantityInput.value) || 0;
-  const price = parseFloat(priceInput.value) || 0;
-  const exchange = exchangeSelect.value;
-  const orderType = orderTypeBtn ? orderTypeBtn.dataset.type : 'delivery';
-  const priceType = priceTypeSelect ? priceTypeSelect.value : 'limit';
-  
-  if (quantity <= 0) {
-    alert('Please enter a valid quantity');
-    return;
-  }
-  
-  if (price <= 0 && priceType === 'limit') {
+// Interest on a position's borrowed (MTF-funded) amount for the calendar days since it
+// was last charged, up to `date`. Amounts are in the account currency.
+function computeMarginInterest(position, date) {
+  if (!position.borrowed || !position.interestFrom || !date) return 0;
+  const days = Math.max(0, (Date.parse(date) - Date.parse(position.interestFrom)) / 86400000);
+  return position.borrowed * MARGIN_PRODUCTS.mtf.annualInterest / 365 * days;
+}
+
+// Book a filled trade against the account. `price` is in the ticker's own currency
+// and is converted at that day's FX rate. Charges go into the cost basis of buys and
+// come out of the proceeds of sells. Buys pay only their margin plus charges in cash;
+// the broker-funded rest is owed on the position (borrowed) and repaid from the
+// proceeds of sells in proportion to the shares sold. MTF interest on what is borrowed
+// is charged up to each trade's date. Intraday buys are squared off at `squareOffPrice`
+// (the session close) and never reach the position. Returns { ok, error, trade, squareOff }.
+function applyPaperTrade(ticker, side, quantity, price, date = null, { exchange = getTickerInfo(ticker).exchange, product = 'delivery', orderId = null, squareOffPrice = null } = {}) {
+  const account = getPaperAccount();
+
+  if (!(quantity > 0) || !(price > 0)) {
+    return { ok: false, error: 'Quantity and price must be positive' };
+  }
+  const intraday = product === 'intraday' && side === 'buy';
+  if (intraday && !(squareOffPrice > 0)) {
+    return { ok: false, error: 'Intraday buys need the session close to square off at' };
+  }
+
+  const currency = getTickerCurrency(ticker);
+  const fxRate = getFXRate(currency, account.currency, date);
+  if (fxRate === null) {
+    return { ok: false, error: `No ${currency}/${account.currency} rate available to settle the trade` };
+  }
+  const cost = quantity * price * fxRate;
+  const costs = computeOrderCosts({ exchange, product, side, quantity, price });
+  const charges = costs.charges.total * fxRate;
+
+  const position = { borrowed: 0, interestFrom: null, ...(account.positions[ticker] || { quantity: 0, avgCost: 0, realizedPnl: 0 }) };
+  const interest = computeMarginInterest(position, date);
+  let realized = 0;
+  let repaid = 0;
+  let squareOff = null;
+
+  if (side === 'buy') {
+    const required = costs.required * fxRate + interest;
+    if (required > account.cash) {
+      return { ok: false, error: `Insufficient cash: need ${formatMoney(required, account.currency)} (margin + charges${interest > 0 ? ' + interest' : ''}), available ${formatMoney(account.cash, account.currency)}` };
+    }
+    if (intraday) {
+      // Bought and sold within the session: only the P&L and both legs' charges settle
+      const closeCosts = computeOrderCosts({ exchange, product, side: 'sell', quantity, price: squareOffPrice });
+      const closeCharges = closeCosts.charges.total * fxRate;
+      realized = (squareOffPrice - price) * quantity * fxRate - charges - closeCharges;
+      account.cash += realized;
+      account.chargesPaid += closeCharges;
+      squareOff = {
+        orderId,
+        ticker,
+        side: 'sell',
+        quantity,
+        price: squareOffPrice,
+        currency,
+        fxRate,
+        exchange,
+        product,
+        charges: closeCosts.charges.total,
+        margin: 0,
+        funded: 0,
+        repaid: 0,
+        interest: 0,
+        realizedPnl: realized,
+        squareOff: true,
+        date,
+        time: new Date().toISOString()
+      };
+      realized = 0;
+    } else {
+      const newQuantity = position.quantity + quantity;
+      position.avgCost = (position.avgCost * position.quantity + cost + charges) / newQuantity;
+      position.quantity = newQuantity;
+      position.borrowed += costs.funded * fxRate;
+      account.cash -= costs.margin * fxRate + charges;
+    }
+  } else {
+    if (quantity > position.quantity) {
+      return { ok: false, error: `Insufficient holding: you hold ${position.quantity} ${ticker}` };
+    }
+    realized = (price * fxRate - position.avgCost) * quantity - charges;
+    repaid = position.borrowed * quantity / position.quantity;
+    position.quantity -= quantity;
+    position.realizedPnl += realized;
+    position.borrowed -= repaid;
+    if (position.quantity === 0) {
+      position.avgCost = 0;
+      position.borrowed = 0;
+    }
+    account.cash += cost - charges - repaid;
+    account.realizedPnl += realized;
+  }
+  account.chargesPaid += charges;
+
+  // Interest is a realized cost of carrying the position; the clock restarts at this trade
+  // (never earlier, for orders that fill on back-dated bars)
+  account.cash -= interest;
+  account.interestPaid += interest;
+  account.realizedPnl -= interest;
+  position.realizedPnl -= interest;
+  position.interestFrom = position.borrowed > 0
+    ? [position.interestFrom, date].filter(Boolean).sort().pop() || null
+    : null;
+
+  account.positions[ticker] = position;
+  const trade = {
+    orderId,
+    ticker,
+    side,
+    quantity,
+    price,
+    currency,
+    fxRate,
+    exchange,
+    product,
+    charges: costs.charges.total, // in the ticker's currency
+    margin: costs.margin,
+    funded: costs.funded,
+    repaid, // borrowed amount paid back from a sell, in the account currency
+    interest, // MTF interest charged with this trade, in the account currency
+    realizedPnl: realized - interest,
+    date,
+    time: new Date().toISOString()
+  };
+  account.trades.push(trade);
+  if (squareOff) {
+    account.realizedPnl += squareOff.realizedPnl;
+    position.realizedPnl += squareOff.realizedPnl;
+    account.trades.push(squareOff);
+  }
+  savePaperAccount();
+
+  return { ok: true, trade, squareOff };
+}
+
+// Mark open positions to the last known close at the latest FX rate (falls back to
+// average cost). Equity nets off what is borrowed against margin positions and the MTF
+// interest accrued on it. Amounts are in the account currency; markPrice is in the ticker's own.
+function getPaperAccountValuation() {
+  const account = getPaperAccount();
+  let marketValue = 0;
+  let unrealizedPnl = 0;
+  let borrowed = 0;
+  let accruedInterest = 0;
+  const holdings = [];
+
+  Object.entries(account.positions).forEach(([ticker, position]) => {
+    if (position.quantity <= 0) return;
+    const currency = getTickerCurrency(ticker);
+    const markPrice = stockData.lastPrices[ticker] || null;
+    const markValue = markPrice === null ? null : convertCurrency(markPrice, currency, account.currency);
+    const unitValue = markValue === null ? position.avgCost : markValue;
+    const value = unitValue * position.quantity;
+    // MTF interest accrued since the last trade, up to the latest loaded bar
+    const bars = stockData.priceHistory[ticker];
+    const accrued = bars ? computeMarginInterest(position, bars[bars.length - 1].date) : 0;
+    const unrealized = (unitValue - position.avgCost) * position.quantity - accrued;
+    marketValue += value;
+    unrealizedPnl += unrealized;
+    borrowed += position.borrowed || 0;
+    accruedInterest += accrued;
+    holdings.push({ ticker, ...position, currency, markPrice, value, unrealizedPnl: unrealized });
+  });
+
+  return {
+    currency: account.currency,
+    cash: account.cash,
+    marketValue,
+    borrowed,
+    interest: account.interestPaid + accruedInterest,
+    equity: account.cash + marketValue - borrowed - accruedInterest,
+    realizedPnl: account.realizedPnl,
+    unrealizedPnl,
+    chargesPaid: account.chargesPaid,
+    holdings
+  };
+}
+
+function renderPaperAccountSummary() {
+  const container = document.getElementById('paperAccountSummary');
+  if (!container) return;
+
+  const valuation = getPaperAccountValuation();
+  const pnlColor = value => value >= 0 ? '#3fb950' : '#f85149';
+  const target = getReportingCurrency();
+  const money = value => formatInBase(value, valuation.currency, { target });
+  const signed = value => formatInBase(value, valuation.currency, { target, signed: true });
+
+  const holdingsHTML = valuation.holdings.length === 0
+    ? '<div style="color: #8b949e; font-size: 12px;">No open positions</div>'
+    : `
+      <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+        <tr style="color: #8b949e; text-align: right;">
+          <th style="text-align: left; font-weight: normal;">Ticker</th>
+          <th style="font-weight: normal;">Qty</th>
+          <th style="font-weight: normal;">Avg</th>
+          <th style="font-weight: normal;">Last</th>
+          <th style="font-weight: normal;">Unrealized</th>
+        </tr>
+        ${valuation.holdings.map(h => `
+          <tr style="color: #e6edf3; text-align: right;">
+            <td style="text-align: left; cursor: pointer;" data-holding-ticker="${escapeHTML(h.ticker)}">${escapeHTML(h.ticker)}</td>
+            <td>${h.quantity}</td>
+            <td>${money(h.avgCost)}</td>
+            <td>${h.markPrice === null ? '-' : formatInBase(h.markPrice, h.currency, { target })}</td>
+            <td style="color: ${pnlColor(h.unrealizedPnl)};">${signed(h.unrealizedPnl)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+
+  const pendingOrders = getPendingOrders();
+  const pendingHTML = pendingOrders.length === 0 ? '' : `
+    <div style="color: #8b949e; font-size: 12px; margin: 12px 0 6px;">Pending orders</div>
+    ${pendingOrders.map(order => `
+      <div style="color: #e6edf3; font-size: 12px; margin-bottom: 4px;">
+        #${order.id} ${order.side.toUpperCase()} ${order.quantity} ${order.ticker}
+        ${order.priceType === 'limit' ? `LMT ${formatMoney(order.limitPrice, getTickerCurrency(order.ticker))}` : 'MKT'}
+        <span style="color: #8b949e;">as of ${order.asOf}</span>
+      </div>
+    `).join('')}
+  `;
+
+  container.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+      <div style="color: #e6edf3; font-size: 14px; font-weight: 500;">Paper Account</div>
+      <button id="paperAccountReset" style="background: none; border: 1px solid #30363d; color: #8b949e; border-radius: 6px; padding: 2px 8px; cursor: pointer; font-size: 11px;">Reset</button>
+    </div>
+    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px; font-size: 12px; margin-bottom: 10px;">
+      <div style="color: #8b949e;">Cash <span style="color: #e6edf3; float: right;">${money(valuation.cash)}</span></div>
+      <div style="color: #8b949e;">Equity <span style="color: #e6edf3; float: right;">${money(valuation.equity)}</span></div>
+      <div style="color: #8b949e;">Realized <span style="color: ${pnlColor(valuation.realizedPnl)}; float: right;">${signed(valuation.realizedPnl)}</span></div>
+      <div style="color: #8b949e;">Unrealized <span style="color: ${pnlColor(valuation.unrealizedPnl)}; float: right;">${signed(valuation.unrealizedPnl)}</span></div>
+      <div style="color: #8b949e;">Charges paid <span style="color: #e6edf3; float: right;">${money(valuation.chargesPaid)}</span></div>
+      ${valuation.borrowed > 0 ? `<div style="color: #8b949e;">Borrowed <span style="color: #d29922; float: right;">${money(valuation.borrowed)}</span></div>` : ''}
+      ${valuation.interest > 0 ? `<div style="color: #8b949e;">MTF interest <span style="color: #d29922; float: right;">${money(valuation.interest)}</span></div>` : ''}
+    </div>
+    ${holdingsHTML}
+    ${pendingHTML}
+  `;
+
+  container.querySelectorAll('[data-holding-ticker]').forEach(cell => {
+    cell.addEventListener('click', () => showStockDetails(cell.dataset.holdingTicker));
+  });
+
+  const resetBtn = document.getElementById('paperAccountReset');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      if (confirm('Reset the paper account? All positions and trade history will be cleared.')) {
+        resetPaperAccount();
+      }
+    });
+  }
+}
+
+// Order simulator - replays pending orders against <Ticker>.csv daily bars.
+// Market orders fill at the open of the first bar after the order's as-of date;
+// limit orders stay pending until a later bar's low (buy) or high (sell) crosses
+// the limit, filling at the limit or at the open if the bar gapped through it.
+// Intraday buys are squared off at the close of the bar they fill on.
+function simulateOrderFill(order, bars) {
+  for (const bar of bars) {
+    if (bar.date <= order.asOf) continue;
+
+    if (order.priceType === 'market') {
+      return { price: bar.open, date: bar.date, close: bar.close };
+    }
+
+    if (order.side === 'buy' && bar.low <= order.limitPrice) {
+      return { price: Math.min(order.limitPrice, bar.open), date: bar.date, close: bar.close };
+    }
+    if (order.side === 'sell' && bar.high >= order.limitPrice) {
+      return { price: Math.max(order.limitPrice, bar.open), date: bar.date, close: bar.close };
+    }
+  }
+  return null;
+}
+
+function getPendingOrders(ticker = null) {
+  return getPaperAccount().orders.filter(order =>
+    order.status === 'pending' && (!ticker || order.ticker === ticker)
+  );
+}
+
+// Price an order is checked (and its cash held) at: its limit, else the ticket price it was
+// placed with, else the close on its as-of date on its exchange; null when none is known
+function getOrderReferencePrice(order) {
+  if (order.limitPrice > 0) return order.limitPrice;
+  if (order.referencePrice > 0) return order.referencePrice;
+  const bars = stockData.priceHistory[getOrderSymbol(order.ticker, order.exchange)] || [];
+  const asOfBar = [...bars].reverse().find(bar => bar.date <= order.asOf);
+  return asOfBar ? asOfBar.close : null;
+}
+
+// Cash a pending buy holds back in the account currency: margin plus charges at its reference price
+function getOrderCashReserve(order) {
+  const price = getOrderReferencePrice(order);
+  if (order.side !== 'buy' || !(price > 0)) return 0;
+  const costs = computeOrderCosts({ exchange: order.exchange, product: order.orderType, side: 'buy', quantity: order.quantity, price });
+  return convertCurrency(costs.required, getTickerCurrency(order.ticker), getPaperAccount().currency, order.asOf) || 0;
+}
+
+// Why an order cannot be accepted against the account right now, or '' if it can. Cash and
+// shares committed to the account's other pending orders are not available to it.
+function getOrderRejection(order) {
+  const { id, ticker, side, quantity, asOf, orderType, exchange } = order;
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return `Quantity must be a whole number of shares, got ${quantity}`;
+  }
+  const account = getPaperAccount();
+  const referencePrice = getOrderReferencePrice(order);
+  if (!(referencePrice > 0)) {
+    return `No reference price for ${ticker} - enter a price or wait for its price history to load`;
+  }
+  // Buys need the product's margin plus charges in cash; sells pay charges from the proceeds
+  const costs = computeOrderCosts({ exchange, product: orderType, side, quantity, price: referencePrice });
+  const estimatedCost = convertCurrency(costs.required, getTickerCurrency(ticker), account.currency, asOf);
+  if (estimatedCost === null) {
+    return `No ${getTickerCurrency(ticker)}/${account.currency} rate available to settle the trade`;
+  }
+
+  const others = getPendingOrders().filter(other => other.id !== id);
+  if (side === 'buy') {
+    const reserved = others.reduce((sum, other) => sum + getOrderCashReserve(other), 0);
+    if (estimatedCost > account.cash - reserved) {
+      return `Insufficient cash: need ~${formatMoney(estimatedCost, account.currency)}, available ${formatMoney(account.cash - reserved, account.currency)}` +
+        (reserved > 0 ? ` after ${formatMoney(reserved, account.currency)} held for pending buys` : '');
+    }
+  } else {
+    const position = getPaperPosition(ticker);
+    const held = position ? position.quantity : 0;
+    const reserved = others
+      .filter(other => other.side === 'sell' && other.ticker === ticker)
+      .reduce((sum, other) => sum + other.quantity, 0);
+    if (quantity > held - reserved) {
+      return `Insufficient holding: you hold ${held} ${ticker}` +
+        (reserved > 0 ? `, ${reserved} of them already in pending sells` : '');
+    }
+  }
+  return '';
+}
+
+// Validate and queue an order, then try to fill it. Returns the stored order.
+async function placePaperOrder({ ticker, side, quantity, priceType, limitPrice, asOf, orderType, exchange }) {
+  const account = getPaperAccount();
+  const placedAt = new Date().toISOString();
+  const order = {
+    id: account.nextOrderId++,
+    ticker,
+    side,
+    quantity,
+    priceType,
+    limitPrice: priceType === 'limit' ? limitPrice : null,
+    referencePrice: limitPrice > 0 ? limitPrice : null, // ticket price at placement
+    asOf,
+    orderType,
+    exchange,
+    status: 'pending', // 'pending' | 'filled' | 'cancelled' | 'rejected'
+    placedAt,
+    updatedAt: placedAt,
+    fillPrice: null,
+    fillDate: null,
+    reason: ''
+  };
+
+  // Market orders are checked at the ticket price (or the as-of close without one)
+  order.reason = getOrderRejection(order);
+  if (order.reason) {
+    order.status = 'rejected';
+  }
+
+  account.orders.push(order);
+  savePaperAccount();
+  renderOrdersPanel();
+
+  if (order.status === 'pending') {
+    await processPendingOrders(ticker);
+  }
+  return order;
+}
+
+// Why a pending order has not filled yet, shown in the order book
+function getPendingOrderNote(order, bars) {
+  const lastBar = bars[bars.length - 1];
+  if (!lastBar || lastBar.date <= order.asOf) {
+    return `Waiting for a bar after ${order.asOf} - the price history ends there, pick an earlier as-of date to replay against it`;
+  }
+  return `Limit not reached through ${lastBar.date}`;
+}
+
+// Fill whatever pending orders the loaded history allows, in fill-date order, and note
+// on the rest why they are still waiting. Each order replays against the bars of the
+// listing it was placed on.
+async function processPendingOrders(ticker) {
+  const pending = getPendingOrders(ticker);
+  if (pending.length === 0) return [];
+
+  const barsBySymbol = {};
+  for (const symbol of new Set(pending.map(order => getOrderSymbol(order.ticker, order.exchange)))) {
+    barsBySymbol[symbol] = await loadPriceHistory(symbol);
+  }
+  const barsOf = order => barsBySymbol[getOrderSymbol(order.ticker, order.exchange)];
+
+  const fills = pending
+    .filter(order => barsOf(order))
+    .map(order => ({ order, fill: simulateOrderFill(order, barsOf(order)) }))
+    .filter(item => item.fill)
+    .sort((a, b) => a.fill.date.localeCompare(b.fill.date) || a.order.id - b.order.id);
+
+  fills.forEach(({ order, fill }) => {
+    const result = applyPaperTrade(order.ticker, order.side, order.quantity, fill.price, fill.date, {
+      exchange: order.exchange,
+      product: order.orderType,
+      orderId: order.id,
+      squareOffPrice: fill.close
+    });
+    order.updatedAt = new Date().toISOString();
+    if (result.ok) {
+      order.status = 'filled';
+      order.fillPrice = fill.price;
+      order.fillDate = fill.date;
+      order.realizedPnl = result.trade.realizedPnl + (result.squareOff ? result.squareOff.realizedPnl : 0);
+      order.charges = result.trade.charges + (result.squareOff ? result.squareOff.charges : 0);
+      order.squareOffPrice = result.squareOff ? result.squareOff.price : null;
+    } else {
+      order.status = 'rejected';
+      order.reason = result.error;
+    }
+  });
+
+  let noted = false;
+  pending.filter(order => order.status === 'pending' && barsOf(order)).forEach(order => {
+    const note = getPendingOrderNote(order, barsOf(order));
+    if (order.reason !== note) {
+      order.reason = note;
+      noted = true;
+    }
+  });
+
+  if (fills.length > 0 || noted) {
+    savePaperAccount();
+    updateTradingSummary();
+    renderPaperAccountSummary();
+    renderOrdersPanel();
+  }
+  return fills.map(item => item.order);
+}
+
+// Replay every ticker that has pending orders (called after data loads)
+async function processAllPendingOrders() {
+  const tickers = [...new Set(getPendingOrders().map(order => order.ticker))];
+  for (const ticker of tickers) {
+    await processPendingOrders(ticker);
+  }
+}
+
+// Orders panel - the order book (every order with its status and timestamps) and the
+// trade blotter (one row per execution), filtered by ticker, side and status. Pending
+// orders can be cancelled, and pending limit orders modified in place.
+const ORDER_STATUS_COLORS = { pending: '#d29922', filled: '#3fb950', cancelled: '#8b949e', rejected: '#f85149' };
+let orderBookFilters = { ticker: '', side: '', status: '' }; // '' = all
+let editingOrderId = null;
+
+function formatTimestamp(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function getFilteredOrders() {
+  const { ticker, side, status } = orderBookFilters;
+  return getPaperAccount().orders
+    .filter(order => (!ticker || order.ticker === ticker) && (!side || order.side === side) && (!status || order.status === status))
+    .sort((a, b) => b.id - a.id);
+}
+
+// Executions have no status, so only the ticker and side filters apply
+function getFilteredTrades() {
+  const { ticker, side } = orderBookFilters;
+  return getPaperAccount().trades
+    .filter(trade => (!ticker || trade.ticker === ticker) && (!side || trade.side === side))
+    .reverse();
+}
+
+function renderOrdersPanel() {
+  let panel = document.getElementById('ordersPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'ordersPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    (document.querySelector('main') || document.body).appendChild(panel);
+  }
+
+  const account = getPaperAccount();
+  const tickers = [...new Set([...account.orders, ...account.trades].map(item => item.ticker))].sort();
+  const orders = getFilteredOrders();
+  const trades = getFilteredTrades();
+  const filterSelect = (id, value, options) => `
+    <select id="${id}" class="trading-select">
+      ${options.map(([optionValue, label]) => `<option value="${escapeHTML(optionValue)}" ${optionValue === value ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}
+    </select>
+  `;
+  const sideCell = side => `<span style="color: ${side === 'buy' ? '#3fb950' : '#f85149'};">${side.toUpperCase()}</span>`;
+  const productLabel = product => product ? (MARGIN_PRODUCTS[product] || { label: product }).label : '-';
+  const cellStyle = 'padding: 6px 8px; border-bottom: 1px solid #21262d;';
+  const headerRow = headers => `
+    <tr style="color: #8b949e; text-align: left;">
+      ${headers.map(header => `<th style="${cellStyle} font-weight: normal;">${header}</th>`).join('')}
+    </tr>
+  `;
+
+  const orderRow = order => {
+    const currency = getTickerCurrency(order.ticker);
+    const editing = order.id === editingOrderId && order.status === 'pending' && order.priceType === 'limit';
+    let statusText = order.status.charAt(0).toUpperCase() + order.status.slice(1);
+    if (order.status === 'filled') {
+      statusText += ` ${formatMoney(order.fillPrice, currency)} on ${order.fillDate}`;
+    }
+
+    let actions = '';
+    if (editing) {
+      actions = `
+        <button class="order-type-btn" data-order-action="save" data-order-id="${order.id}">Save</button>
+        <button class="order-type-btn" data-order-action="discard" data-order-id="${order.id}">Discard</button>
+      `;
+    } else if (order.status === 'pending') {
+      actions = `
+        ${order.priceType === 'limit' ? `<button class="order-type-btn" data-order-action="modify" data-order-id="${order.id}">Modify</button>` : ''}
+        <button class="order-type-btn" data-order-action="cancel" data-order-id="${order.id}">Cancel</button>
+      `;
+    }
+
+    return `
+      <tr style="color: #e6edf3;">
+        <td style="${cellStyle}">#${order.id}</td>
+        <td style="${cellStyle} color: #8b949e;">${formatTimestamp(order.placedAt)}</td>
+        <td style="${cellStyle} cursor: pointer; color: #58a6ff;" data-order-ticker="${escapeHTML(order.ticker)}">${escapeHTML(order.ticker)}</td>
+        <td style="${cellStyle}">${sideCell(order.side)}</td>
+        <td style="${cellStyle}">${editing
+          ? `<input type="number" id="orderEditQuantity" class="trading-input" min="1" step="1" value="${order.quantity}" style="width: 70px;">`
+          : order.quantity}</td>
+        <td style="${cellStyle}">${editing
+          ? `<input type="number" id="orderEditLimit" class="trading-input" step="0.01" value="${order.limitPrice.toFixed(2)}" style="width: 90px;">`
+          : order.priceType === 'limit' ? `LMT ${formatMoney(order.limitPrice, currency)}` : 'MKT'}</td>
+        <td style="${cellStyle}">${escapeHTML(productLabel(order.orderType))}</td>
+        <td style="${cellStyle}">${escapeHTML(order.exchange || '-')}</td>
+        <td style="${cellStyle}">${order.asOf}</td>
+        <td style="${cellStyle} color: ${ORDER_STATUS_COLORS[order.status] || '#e6edf3'};" title="${escapeHTML(order.reason || '')}">${statusText}${order.reason && order.status !== 'filled' ? ` <span style="color: #8b949e;">· ${escapeHTML(order.reason)}</span>` : ''}</td>
+        <td style="${cellStyle} color: #8b949e;">${formatTimestamp(order.updatedAt || order.placedAt)}${order.modifiedAt ? ' <span title="Modified">✎</span>' : ''}</td>
+        <td style="${cellStyle} white-space: nowrap;">${actions}</td>
+      </tr>
+    `;
+  };
+
+  const tradeRow = trade => `
+    <tr style="color: #e6edf3;">
+      <td style="${cellStyle} color: #8b949e;">${formatTimestamp(trade.time)}</td>
+      <td style="${cellStyle}">${trade.date || '-'}</td>
+      <td style="${cellStyle}">${trade.orderId ? `#${trade.orderId}` : '-'}</td>
+      <td style="${cellStyle} cursor: pointer; color: #58a6ff;" data-order-ticker="${escapeHTML(trade.ticker)}">${escapeHTML(trade.ticker)}</td>
+      <td style="${cellStyle}">${sideCell(trade.side)}</td>
+      <td style="${cellStyle}">${trade.quantity}</td>
+      <td style="${cellStyle}">${formatMoney(trade.price, trade.currency)}</td>
+      <td style="${cellStyle}">${escapeHTML(trade.exchange || '-')}</td>
+      <td style="${cellStyle}">${escapeHTML(productLabel(trade.product))}${trade.squareOff ? ' <span style="color: #8b949e;">square-off</span>' : ''}</td>
+      <td style="${cellStyle}">${trade.charges === undefined ? '-' : formatMoney(trade.charges, trade.currency)}</td>
+      <td style="${cellStyle} color: ${trade.realizedPnl >= 0 ? '#3fb950' : '#f85149'};">${trade.side === 'sell' || trade.interest > 0 ? formatMoney(trade.realizedPnl, account.currency, { signed: true }) : '-'}</td>
+    </tr>
+  `;
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Orders & Trades</div>
+      <div style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
+        ${filterSelect('orderFilterTicker', orderBookFilters.ticker, [['', 'All tickers'], ...tickers.map(ticker => [ticker, ticker])])}
+        ${filterSelect('orderFilterSide', orderBookFilters.side, [['', 'Buy & sell'], ['buy', 'Buy'], ['sell', 'Sell']])}
+        ${filterSelect('orderFilterStatus', orderBookFilters.status, [['', 'All statuses'], ['pending', 'Open'], ['filled', 'Filled'], ['cancelled', 'Cancelled'], ['rejected', 'Rejected']])}
+        <span id="ordersExport"></span>
+      </div>
+    </div>
+
+    <div style="color: #8b949e; font-size: 13px; margin: 15px 0 6px;">Order book (${orders.length} of ${account.orders.length})</div>
+    <div style="overflow-x: auto;">
+      ${orders.length === 0
+        ? '<div style="color: #6e7681; font-size: 13px;">No orders match - place one from a stock\'s trading ticket.</div>'
+        : `<table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            ${headerRow(['Order', 'Placed', 'Ticker', 'Side', 'Qty', 'Price', 'Product', 'Exchange', 'As of', 'Status', 'Updated', ''])}
+            ${orders.map(orderRow).join('')}
+          </table>`}
+    </div>
+
+    <div style="color: #8b949e; font-size: 13px; margin: 20px 0 6px;">Trade blotter (${trades.length} of ${account.trades.length} executions)</div>
+    <div style="overflow-x: auto;">
+      ${trades.length === 0
+        ? '<div style="color: #6e7681; font-size: 13px;">No executions match.</div>'
+        : `<table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            ${headerRow(['Booked', 'Fill date', 'Order', 'Ticker', 'Side', 'Qty', 'Price', 'Exchange', 'Product', 'Charges', `Realized (${account.currency})`])}
+            ${trades.map(tradeRow).join('')}
+          </table>`}
+    </div>
+  `;
+
+  [['orderFilterTicker', 'ticker'], ['orderFilterSide', 'side'], ['orderFilterStatus', 'status']].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', event => {
+      orderBookFilters[key] = event.target.value;
+      renderOrdersPanel();
+    });
+  });
+
+  panel.querySelectorAll('[data-order-ticker]').forEach(cell => {
+    cell.addEventListener('click', () => showStockDetails(cell.dataset.orderTicker));
+  });
+
+  panel.querySelectorAll('[data-order-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const id = Number(button.dataset.orderId);
+      switch (button.dataset.orderAction) {
+        case 'modify':
+          editingOrderId = id;
+          renderOrdersPanel();
+          break;
+        case 'discard':
+          editingOrderId = null;
+          renderOrdersPanel();
+          break;
+        case 'save':
+          modifyPaperOrder(id, {
+            quantity: Number(document.getElementById('orderEditQuantity').value),
+            limitPrice: parseFloat(document.getElementById('orderEditLimit').value)
+          });
+          break;
+        case 'cancel':
+          cancelPaperOrder(id);
+          break;
+      }
+    });
+  });
+
+  attachExportMenu(document.getElementById('ordersExport'), [
+    ...getTableExportActions('Order book', 'orders', getOrderBookTable),
+    ...getTableExportActions('Trade blotter', 'blotter', getBlotterTable)
+  ]);
+}
+
+function cancelPaperOrder(id) {
+  const order = getPaperAccount().orders.find(other => other.id === id);
+  if (!order || order.status !== 'pending') return;
+  if (!confirm(`Cancel order #${order.id} (${order.side.toUpperCase()} ${order.quantity} ${order.ticker})?`)) return;
+
+  order.status = 'cancelled';
+  order.reason = 'Cancelled by user';
+  order.updatedAt = new Date().toISOString();
+  if (editingOrderId === id) editingOrderId = null;
+  savePaperAccount();
+  renderOrdersPanel();
+  renderPaperAccountSummary();
+}
+
+// The simulated "now" for a ticker: the ticket's as-of date while its ticket is open,
+// otherwise its latest loaded bar (null before the history loads)
+function getCurrentAsOf(ticker) {
+  const tradingInterface = document.getElementById('tradingInterface');
+  const asOfInput = document.getElementById('tradingAsOf');
+  if (tradingInterface && tradingInterface.dataset.ticker === ticker && asOfInput && asOfInput.value) {
+    return asOfInput.value;
+  }
+  const bars = stockData.priceHistory[ticker];
+  return bars && bars.length > 0 ? bars[bars.length - 1].date : null;
+}
+
+// New quantity and limit for a pending limit order. The order is re-dated to the current
+// as-of date (never earlier than it was placed), re-checked against the account, and
+// only fills on bars after that date.
+async function modifyPaperOrder(id, { quantity, limitPrice }) {
+  const order = getPaperAccount().orders.find(other => other.id === id);
+  if (!order || order.status !== 'pending' || order.priceType !== 'limit') return false;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    alert('Please enter a whole number of shares');
+    return false;
+  }
+  if (!(limitPrice > 0)) {
     alert('Please enter a valid price');
-    return;
+    return false;
+  }
+  await loadPriceHistory(order.ticker);
+  const currentAsOf = getCurrentAsOf(order.ticker);
+  const asOf = currentAsOf && currentAsOf > order.asOf ? currentAsOf : order.asOf;
+  const rejection = getOrderRejection({ ...order, quantity, limitPrice, asOf });
+  if (rejection) {
+    alert(`Order #${order.id} not modified: ${rejection}`);
+    return false;
   }
+
+  order.quantity = quantity;
+  order.limitPrice = limitPrice;
+  order.asOf = asOf;
+  order.modifiedAt = new Date().toISOString();
+  order.updatedAt = order.modifiedAt;
+  editingOrderId = null;
+  savePaperAccount();
+  renderOrdersPanel();
+  renderPaperAccountSummary();
+
+  await processPendingOrders(order.ticker);
+  return true;
+}
+
+// Top correlated stocks chips for the search view (uses the active network window)
+function createTopCorrelatedHTML(ticker) {
+  const correlations = getActiveCorrelations()[ticker] || {};
+  const topCorrelated = Object.entries(correlations)
+    .filter(([other, corr]) => other !== ticker && !isNaN(corr))
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 5)
+    .map(([other, corr]) => ({ ticker: other, corr }));
+
+  if (topCorrelated.length === 0) return '';
+
+  return `
+    <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #30363d;">
+      <div style="color: #8b949e; font-size: 14px; margin-bottom: 10px;">Top Correlated Stocks (${describeNetworkWindow()}):</div>
+      <div style="display: flex; flex-wrap: wrap; gap: 10px;">
+        ${topCorrelated.map(item => {
+          const corrPercent = (item.corr * 100).toFixed(1);
+          const corrColor = item.corr > 0.5 ? '#3fb950' : item.corr < -0.5 ? '#f85149' : '#8b949e';
+          return `
+            <div style="background: #161b22; padding: 8px 12px; border-radius: 6px; border: 1px solid #30363d; cursor: pointer;" title="Compare ${escapeHTML(ticker)} with ${escapeHTML(item.ticker)}" data-pair-ticker="${escapeHTML(item.ticker)}">
+              <div style="font-size: 12px; color: #e6edf3;">${escapeHTML(item.ticker)}</div>
+              <div style="font-size: 11px; color: ${corrColor}; margin-top: 2px;">${corrPercent}%</div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// Fill #topCorrelated for the ticker it was rendered for; a chip opens the pair chart
+function renderTopCorrelated() {
+  const container = document.getElementById('topCorrelated');
+  if (!container) return;
+
+  const ticker = container.dataset.ticker;
+  container.innerHTML = createTopCorrelatedHTML(ticker);
+  container.querySelectorAll('[data-pair-ticker]').forEach(chip => {
+    chip.addEventListener('click', () => showCorrelationPair(ticker, chip.dataset.pairTicker));
+  });
+}
+
+// Create trading interface HTML
+// The price is filled in from the quote once the price files have loaded
+function createTradingInterface(ticker) {
+  const exchanges = getTickerListings(ticker).map(listing => listing.exchange || 'US');
+
+  return `
+    <div class="trading-interface" id="tradingInterface" data-ticker="${ticker}">
+      <div class="trading-tabs">
+        <button class="trading-tab buy active" data-action="buy">BUY</button>
+        <button class="trading-tab sell" data-action="sell">SELL</button>
+      </div>
+      
+      <div class="order-type-buttons">
+        <button class="order-type-btn active" data-type="delivery">Delivery</button>
+        <button class="order-type-btn" data-type="intraday">Intraday</button>
+        <button class="order-type-btn" data-type="mtf">MTF</button>
+        <span class="trading-settings-icon">⚙️</span>
+      </div>
+      
+      <div class="trading-input-group">
+        <div class="trading-input-label">
+          <span>Qty</span>
+        </div>
+        <div class="trading-input-wrapper">
+          <select class="trading-select" id="tradingExchange">
+            ${exchanges.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('')}
+          </select>
+          <input type="number" class="trading-input" id="tradingQuantity" placeholder="Enter quantity" min="1" step="1" value="1">
+        </div>
+      </div>
+      
+      <div class="trading-input-group">
+        <div class="trading-input-label">
+          <span>Price (${getTickerCurrency(ticker)})</span>
+        </div>
+        <div class="trading-input-wrapper">
+          <select class="trading-select" id="tradingPriceType">
+            <option value="limit">Limit</option>
+            <option value="market">Market</option>
+          </select>
+          <input type="number" class="trading-input" id="tradingPrice" placeholder="Enter price" step="0.01">
+        </div>
+      </div>
+      
+      <div class="trading-input-group">
+        <div class="trading-input-label">
+          <span>As of</span>
+        </div>
+        <div class="trading-input-wrapper">
+          <input type="date" class="trading-input" id="tradingAsOf">
+        </div>
+        <div id="tradingFillHint" style="color: #8b949e; font-size: 11px; margin-top: 4px;"></div>
+      </div>
+      
+      <div class="trading-summary">
+        <div class="trading-summary-item">
+          <div>Balance:</div>
+          <div class="trading-summary-value" id="tradingBalance">-</div>
+        </div>
+        <div class="trading-summary-item">
+          <div id="tradingRequirementLabel">Required:</div>
+          <div class="trading-summary-value" id="tradingRequirement">-</div>
+        </div>
+        <div class="trading-summary-item">
+          <div>Holding:</div>
+          <div class="trading-summary-value" id="tradingHolding">0</div>
+        </div>
+      </div>
+      <div id="tradingCharges" style="background: #0d1117; border: 1px solid #30363d; border-radius: 6px; padding: 8px 10px; font-size: 11px; color: #8b949e; margin-bottom: 10px;"></div>
+      
+      <button class="trading-submit-btn" id="tradingSubmitBtn">Buy</button>
+    </div>
+    <div id="paperAccountSummary" style="background: #161b22; padding: 15px; border-radius: 10px; border: 1px solid #30363d; margin-top: 15px;"></div>
+  `;
+}
+
+// Initialize trading interface event handlers
+function initializeTradingInterface() {
+  const tradingInterface = document.getElementById('tradingInterface');
+  if (!tradingInterface) return;
   
-  // Show confirmation (demo - not actually executing trade)
-  const actionText = action === 'buy' ? 'Buy' : 'Sell';
-  const orderTypeText = orderType.charAt(0).toUpperCase() + orderType.slice(1);
-  const priceTypeText = priceType.charAt(0).toUpperCase() + priceType.slice(1);
+  // Buy/Sell tab switching
+  const tabs = tradingInterface.querySelectorAll('.trading-tab');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      tabs.forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      
+      const action = tab.dataset.action;
+      const submitBtn = document.getElementById('tradingSubmitBtn');
+      if (submitBtn) {
+        submitBtn.textContent = action === 'buy' ? 'Buy' : 'Sell';
+        submitBtn.classList.toggle('sell', action === 'sell');
+      }
+      updateTradingSummary();
+    });
+  });
   
-  alert(`${actionText} order placed!\n\n` +
-        `Quantity: ${quantity}\n` +
-        `Exchange: ${exchange}\n` +
-        `Order Type: ${orderTypeText}\n` +
-        `Price Type: ${priceTypeText}\n` +
-        `Price: ₹${price.toFixed(2)}\n` +
-        `Total: ₹${(quantity * price).toFixed(2)}\n\n` +
-        `(This is a demo - no actual trade was executed)`);
+  // Order type buttons
+  const orderTypeBtns = tradingInterface.querySelectorAll('.order-type-btn');
+  orderTypeBtns.forEach(btn => {
+    if (btn.dataset.type) {
+      btn.addEventListener('click', () => {
+        orderTypeBtns.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        updateTradingSummary();
+      });
+    }
+  });
+  
+  // Update summary on input change
+  const quantityInput = document.getElementById('tradingQuantity');
+  const priceInput = document.getElementById('tradingPrice');
+  const exchangeSelect = document.getElementById('tradingExchange');
+  const priceTypeSelect = document.getElementById('tradingPriceType');
+  
+  if (priceTypeSelect) {
+    priceTypeSelect.addEventListener('change', updateFillHint);
+  }
+  if (quantityInput) {
+    quantityInput.addEventListener('input', updateTradingSummary);
+    quantityInput.addEventListener('change', updateTradingSummary);
+  }
+  if (priceInput) {
+    // A typed price stops the ticket from following the live feed
+    priceInput.addEventListener('input', () => {
+      priceInput.dataset.edited = 'true';
+    });
+    priceInput.addEventListener('input', updateTradingSummary);
+    priceInput.addEventListener('change', updateTradingSummary);
+  }
+  if (exchangeSelect) {
+    exchangeSelect.addEventListener('change', () => {
+      // Switch to the chosen exchange's own last close
+      fillTicketPrice(tradingInterface.dataset.ticker, { force: true });
+      updateTradingSummary();
+      updateFillHint();
+    });
+  }
+  
+  // Submit button
+  const submitBtn = document.getElementById('tradingSubmitBtn');
+  if (submitBtn) {
+    submitBtn.addEventListener('click', handleTradingSubmit);
+  }
+  
+  // Initial summary update
+  updateTradingSummary();
+  renderPaperAccountSummary();
+}
+
+// Set up the "as of" date picker once the ticker's price history is known
+function initializeAsOfSelector(priceData) {
+  const asOfInput = document.getElementById('tradingAsOf');
+  if (!asOfInput || priceData.length === 0) return;
+
+  asOfInput.min = priceData[0].date;
+  asOfInput.max = priceData[priceData.length - 1].date;
+  if (!asOfInput.value) {
+    asOfInput.value = asOfInput.max;
+  }
+
+  asOfInput.onchange = () => {
+    // Snap to the last trading day on or before the chosen date
+    const bar = [...priceData].reverse().find(b => b.date <= asOfInput.value) || priceData[0];
+    asOfInput.value = bar.date;
+
+    const priceInput = document.getElementById('tradingPrice');
+    if (priceInput) {
+      priceInput.value = bar.close.toFixed(2);
+    }
+    updateTradingSummary();
+    updateFillHint();
+  };
+
+  updateTradingSummary();
+  updateFillHint();
+}
+
+// Explain when the current ticket would fill under the simulator
+function updateFillHint() {
+  const hintEl = document.getElementById('tradingFillHint');
+  const asOfInput = document.getElementById('tradingAsOf');
+  const priceTypeSelect = document.getElementById('tradingPriceType');
+  const tradingInterface = document.getElementById('tradingInterface');
+  if (!hintEl || !asOfInput || !priceTypeSelect || !tradingInterface) return;
+
+  // Orders replay against the selected exchange's own bars
+  const exchangeSelect = document.getElementById('tradingExchange');
+  const symbol = getOrderSymbol(tradingInterface.dataset.ticker, exchangeSelect ? exchangeSelect.value : '');
+  const bars = stockData.priceHistory[symbol] || [];
+  const nextBar = bars.find(bar => bar.date > asOfInput.value);
+
+  if (priceTypeSelect.value === 'market') {
+    hintEl.textContent = nextBar
+      ? `Market order fills at the ${nextBar.date} open (${formatMoney(nextBar.open, getTickerCurrency(tradingInterface.dataset.ticker))})`
+      : 'Market order stays pending until a newer bar is available';
+  } else {
+    hintEl.textContent = nextBar
+      ? 'Limit order fills when a later bar trades through the limit'
+      : 'Limit order stays pending until a newer bar is available';
+  }
+  if (!nextBar) {
+    hintEl.textContent += ` - pick an as-of date before ${asOfInput.value} to replay it against the history`;
+  }
+}
+
+// Update trading summary (balance and requirement)
+function updateTradingSummary() {
+  const quantityInput = document.getElementById('tradingQuantity');
+  const priceInput = document.getElementById('tradingPrice');
+  const balanceEl = document.getElementById('tradingBalance');
+  const requirementEl = document.getElementById('tradingRequirement');
+  const holdingEl = document.getElementById('tradingHolding');
+  const tradingInterface = document.getElementById('tradingInterface');
+  
+  if (!quantityInput || !priceInput || !balanceEl || !requirementEl) return;
+  
+  const quantity = parseFloat(quantityInput.value) || 0;
+  const price = parseFloat(priceInput.value) || 0;
+  const account = getPaperAccount();
+  const target = getReportingCurrency();
+  const asOfInput = document.getElementById('tradingAsOf');
+  const currency = tradingInterface ? getTickerCurrency(tradingInterface.dataset.ticker) : account.currency;
+
+  // Side, product and exchange as the order would be placed
+  const activeTab = tradingInterface ? tradingInterface.querySelector('.trading-tab.active') : null;
+  const productBtn = tradingInterface ? tradingInterface.querySelector('.order-type-btn.active') : null;
+  const exchangeSelect = document.getElementById('tradingExchange');
+  const side = activeTab ? activeTab.dataset.action : 'buy';
+  const costs = computeOrderCosts({
+    exchange: exchangeSelect ? exchangeSelect.value : '',
+    product: productBtn ? productBtn.dataset.type : 'delivery',
+    side,
+    quantity,
+    price
+  });
+  
+  // Buys need margin + charges, sells receive the proceeds less charges; converted at
+  // the as-of date's rate, like the order itself
+  const labelEl = document.getElementById('tradingRequirementLabel');
+  if (labelEl) {
+    labelEl.textContent = side === 'buy' ? 'Required:' : 'Proceeds:';
+  }
+  requirementEl.textContent = formatInBase(side === 'buy' ? costs.required : costs.net, currency, { target, date: asOfInput ? asOfInput.value || null : null });
+  balanceEl.textContent = formatInBase(account.cash, account.currency, { target });
+
+  const chargesEl = document.getElementById('tradingCharges');
+  if (chargesEl) {
+    chargesEl.innerHTML = renderOrderCostBreakdown(costs, currency);
+  }
+
+  if (holdingEl && tradingInterface) {
+    const position = getPaperPosition(tradingInterface.dataset.ticker);
+    holdingEl.textContent = position
+      ? `${position.quantity} @ ${formatInBase(position.avgCost, account.currency, { target })}`
+      : '0';
+  }
+}
+
+// Handle trading submit (Buy/Sell button)
+async function handleTradingSubmit() {
+  const activeTab = document.querySelector('.trading-tab.active');
+  const action = activeTab ? activeTab.dataset.action : 'buy';
+  const quantityInput = document.getElementById('tradingQuantity');
+  const priceInput = document.getElementById('tradingPrice');
+  const exchangeSelect = document.getElementById('tradingExchange');
+  const priceTypeSelect = document.getElementById('tradingPriceType');
+  const asOfInput = document.getElementById('tradingAsOf');
+  const tradingInterface = document.getElementById('tradingInterface');
+  
+  if (!quantityInput || !priceInput || !exchangeSelect || !tradingInterface) return;
+  // Scoped to the ticket - the chart toolbar reuses the same button class
+  const orderTypeBtn = tradingInterface.querySelector('.order-type-btn.active');
+  
+  const ticker = tradingInterface.dataset.ticker;
+  const quantity = Number(quantityInput.value);
+  const price = parseFloat(priceInput.value) || 0;
+  const exchange = exchangeSelect.value;
+  const orderType = orderTypeBtn ? orderTypeBtn.dataset.type : 'delivery';
+  const priceType = priceTypeSelect ? priceTypeSelect.value : 'limit';
+  const asOf = asOfInput ? asOfInput.value : '';
+  
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    alert('Please enter a whole number of shares');
+    return;
+  }
+  
+  if (price <= 0 && priceType === 'limit') {
+    alert('Please enter a valid price');
+    return;
+  }
+
+  if (!asOf) {
+    alert('Price history is still loading - please wait a moment and try again');
+    return;
+  }
+  
+  const currency = getTickerCurrency(ticker);
+  const account = getPaperAccount();
+  const target = getReportingCurrency();
+  const actionText = action === 'buy' ? 'Buy' : 'Sell';
+  const orderTypeText = (MARGIN_PRODUCTS[orderType] || MARGIN_PRODUCTS.delivery).label;
+  const priceTypeText = priceType.charAt(0).toUpperCase() + priceType.slice(1);
+
+  // Queue the order and replay it against the price history
+  const order = await placePaperOrder({
+    ticker,
+    side: action,
+    quantity,
+    priceType,
+    limitPrice: price,
+    asOf,
+    orderType,
+    exchange
+  });
+
+  updateTradingSummary();
+  renderPaperAccountSummary();
+
+  if (order.status === 'rejected') {
+    alert(`${actionText} order rejected: ${order.reason}`);
+    return;
+  }
+
+  const details = `Ticker: ${ticker}\n` +
+        `Quantity: ${quantity}\n` +
+        `Exchange: ${exchange}\n` +
+        `Order Type: ${orderTypeText}\n` +
+        `Price Type: ${priceTypeText}\n` +
+        `As of: ${asOf}\n`;
+  // Itemized charges (and margin) at a given price
+  const describeCosts = fillPrice => {
+    const costs = computeOrderCosts({ exchange, product: orderType, side: action, quantity, price: fillPrice });
+    return costs.charges.items
+      .filter(item => item.amount > 0)
+      .map(item => `  ${item.label}: ${formatMoney(item.amount, currency)}\n`)
+      .join('') +
+      `Charges: ${formatMoney(costs.charges.total, currency)}\n` +
+      (costs.margin > 0 && costs.funded > 0 ? `Margin: ${formatMoney(costs.margin, currency)}, funded: ${formatMoney(costs.funded, currency)}\n` : '') +
+      (costs.dailyInterest > 0 ? `MTF interest: ${formatMoney(costs.dailyInterest, currency)}/day\n` : '') +
+      `Net ${action === 'buy' ? 'cost' : 'proceeds'}: ${formatMoney(costs.net, currency)}\n`;
+  };
+
+  if (order.status === 'pending') {
+    alert(`${actionText} order #${order.id} is pending\n\n` +
+          details +
+          (priceType === 'limit' ? `Limit: ${formatMoney(price, currency)}\n` : '') +
+          (price > 0 ? `Estimated at ${formatMoney(price, currency)}:\n${describeCosts(price)}\n` : '\n') +
+          `${order.reason || 'It will fill when the price history reaches a qualifying bar'}.`);
+    return;
+  }
+
+  const realizedText = action === 'sell' || order.squareOffPrice
+    ? (order.squareOffPrice ? `Squared off at the ${order.fillDate} close: ${formatMoney(order.squareOffPrice, currency)}\n` : '') +
+      `Realized P&L (after charges): ${formatInBase(order.realizedPnl, account.currency, { target, signed: true })}\n`
+    : '';
+  
+  alert(`${actionText} order #${order.id} filled!\n\n` +
+        details +
+        `Fill: ${formatMoney(order.fillPrice, currency)} on ${order.fillDate}\n` +
+        `Total: ${formatMoney(quantity * order.fillPrice, currency)}` +
+        (currency !== target ? ` (${formatInBase(quantity * order.fillPrice, currency, { target, date: order.fillDate })})\n` : '\n') +
+        describeCosts(order.fillPrice) +
+        realizedText +
+        `Cash balance: ${formatInBase(account.cash, account.currency, { target })}\n\n` +
+        `(Paper trade - simulated account only)`);
+}
+
+// Load and draw stock price chart
+let stockPriceChart = null;
+let stockPaneCharts = [];
+let stockPriceChartState = null; // { ticker, nativeCurrency, currency, visible } of the drawn chart, for live updates
+
+const PRICE_CHART_RANGES = ['1M', '3M', '6M', '1Y', 'All'];
+
+// Chart type, range and indicator settings (kept while switching between stocks)
+let priceChartSettings = {
+  type: 'line', // 'line' | 'candlestick' | 'ohlc'
+  range: '6M',
+  indicators: {
+    sma: { enabled: false, period: 20 },
+    ema: { enabled: false, period: 50 },
+    bollinger: { enabled: false, period: 20, stdDev: 2 },
+    rsi: { enabled: false, period: 14 },
+    macd: { enabled: false, fast: 12, slow: 26, signal: 9 }
+  }
+};
+
+// Load daily OHLC bars for a ticker from the data source (cached per ticker)
+async function loadPriceHistory(ticker) {
+  if (stockData.priceHistory[ticker]) {
+    return stockData.priceHistory[ticker];
+  }
+
+  try {
+    const priceData = await getDataSource().loadPrices(ticker);
+    if (!priceData || priceData.length === 0) {
+      console.warn(`No valid price data for ${ticker}`);
+      return null;
+    }
+    
+    stockData.priceHistory[ticker] = priceData;
+    // Remember the last close for marking paper positions
+    stockData.lastPrices[ticker] = priceData[priceData.length - 1].close;
+    return priceData;
+  } catch (error) {
+    console.error(`Error loading price data for ${ticker}:`, error);
+    return null;
+  }
+}
+
+// Bars from data/<Ticker>.csv, or null when the file is missing
+async function fetchPriceCSV(ticker) {
+  // Load stock CSV file directly (different format than other CSVs)
+  const response = await fetch(`data/${ticker}.csv`);
+  if (!response.ok) {
+    console.warn(`Could not load price data for ${ticker}`);
+    return null;
+  }
+  
+  const text = await response.text();
+  
+  // Parse the special format: 
+  // Line 1: Price,Close,High,Low,Open,Volume
+  // Line 2: Ticker,TCS.NS,TCS.NS,TCS.NS,TCS.NS,TCS.NS
+  // Line 3: Date,,,,,
+  // Line 4+: Date,Close,High,Low,Open,Volume
+  // The first column is headed "Price" but holds the date.
+  const { bars, errors } = parsePriceCSV(text);
+  reportCSVErrors(`${ticker}.csv`, errors);
+  return bars;
+}
+
+async function loadStockPriceChart(ticker) {
+  try {
+    const priceData = await loadPriceHistory(ticker);
+    await loadListingPrices(ticker);
+    renderStockQuote(ticker);
+    updateExchangeOptions(ticker);
+    syncQuoteSubscriptions();
+    if (!priceData) return;
+
+    renderPaperAccountSummary();
+    initializeAsOfSelector(priceData);
+    fillTicketPrice(ticker);
+    await processPendingOrders(ticker);
+    
+    // Draw chart
+    drawStockPriceChart(getDisplayHistory(ticker), ticker);
+  } catch (error) {
+    console.error(`Error loading price chart for ${ticker}:`, error);
+  }
+}
+
+// Technical indicators - each returns an array aligned with the input (null until enough data)
+function computeSMA(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  });
+  return result;
+}
+
+// EMA seeded with the SMA of the first `period` values
+function computeEMA(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = ema;
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    result[i] = ema;
+  }
+  return result;
+}
+
+function computeBollingerBands(values, period, stdDevs) {
+  const middle = computeSMA(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const windowValues = values.slice(i - period + 1, i + 1);
+    const variance = windowValues.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+    const sd = Math.sqrt(variance);
+    upper[i] = middle[i] + stdDevs * sd;
+    lower[i] = middle[i] - stdDevs * sd;
+  }
+  return { middle, upper, lower };
+}
+
+// Wilder's RSI
+function computeRSI(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  const rsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = rsi();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = rsi();
+  }
+  return result;
+}
+
+function computeMACD(values, fastPeriod, slowPeriod, signalPeriod) {
+  const fast = computeEMA(values, fastPeriod);
+  const slow = computeEMA(values, slowPeriod);
+  const macd = values.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+
+  // Signal line is an EMA over the defined part of the MACD line
+  const firstDefined = macd.findIndex(value => value !== null);
+  const signal = new Array(values.length).fill(null);
+  if (firstDefined !== -1) {
+    computeEMA(macd.slice(firstDefined), signalPeriod).forEach((value, i) => {
+      signal[firstDefined + i] = value;
+    });
+  }
+  const histogram = macd.map((value, i) => (value !== null && signal[i] !== null ? value - signal[i] : null));
+  return { macd, signal, histogram };
+}
+
+// First date included by a range button (1M/3M/6M/1Y/All), relative to the last bar
+function getChartRangeStart(lastDate, range) {
+  const months = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12 }[range];
+  if (!months) return '';
+  const start = new Date(`${lastDate}T00:00:00Z`);
+  start.setUTCMonth(start.getUTCMonth() - months);
+  return start.toISOString().slice(0, 10);
+}
+
+// Toolbar above the price chart: chart type, range and indicator toggles
+function createPriceChartToolbar() {
+  const settings = priceChartSettings;
+  const indicators = settings.indicators;
+  const numberInput = (id, value) =>
+    `<input type="number" id="${id}" class="trading-input" min="1" max="250" value="${value}" style="width: 52px; padding: 2px 4px;">`;
+  const toggle = (key, label, inputs) => `
+    <label style="white-space: nowrap;">
+      <input type="checkbox" data-indicator="${key}" ${indicators[key].enabled ? 'checked' : ''}> ${label} ${inputs}
+    </label>
+  `;
+
+  return `
+    <div id="priceChartToolbar" style="display: flex; flex-wrap: wrap; gap: 8px 14px; align-items: center; margin-bottom: 12px; font-size: 12px; color: #8b949e;">
+      <div style="display: flex; gap: 4px;">
+        ${['line', 'candlestick', 'ohlc'].map(type => `
+          <button class="order-type-btn ${settings.type === type ? 'active' : ''}" data-chart-type="${type}">
+            ${type === 'line' ? 'Line' : type === 'candlestick' ? 'Candles' : 'OHLC'}
+          </button>
+        `).join('')}
+      </div>
+      <div style="display: flex; gap: 4px;">
+        ${PRICE_CHART_RANGES.map(range => `
+          <button class="order-type-btn ${settings.range === range ? 'active' : ''}" data-chart-range="${range}">${range}</button>
+        `).join('')}
+      </div>
+      ${toggle('sma', 'SMA', numberInput('smaPeriod', indicators.sma.period))}
+      ${toggle('ema', 'EMA', numberInput('emaPeriod', indicators.ema.period))}
+      ${toggle('bollinger', 'Bollinger', numberInput('bollingerPeriod', indicators.bollinger.period) + ' ±' + numberInput('bollingerStdDev', indicators.bollinger.stdDev) + 'σ')}
+      ${toggle('rsi', 'RSI', numberInput('rsiPeriod', indicators.rsi.period))}
+      ${toggle('macd', 'MACD', numberInput('macdFast', indicators.macd.fast) + numberInput('macdSlow', indicators.macd.slow) + numberInput('macdSignal', indicators.macd.signal))}
+    </div>
+  `;
+}
+
+function initializePriceChartToolbar(ticker) {
+  const toolbar = document.getElementById('priceChartToolbar');
+  if (!toolbar) return;
+
+  const redraw = () => {
+    if (stockData.priceHistory[ticker]) {
+      drawStockPriceChart(getDisplayHistory(ticker), ticker);
+    }
+  };
+  const readPositive = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? value : fallback;
+  };
+
+  toolbar.querySelectorAll('[data-chart-type]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      priceChartSettings.type = btn.dataset.chartType;
+      toolbar.querySelectorAll('[data-chart-type]').forEach(b => b.classList.toggle('active', b === btn));
+      redraw();
+      updateRoute();
+    });
+  });
+
+  toolbar.querySelectorAll('[data-chart-range]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      priceChartSettings.range = btn.dataset.chartRange;
+      toolbar.querySelectorAll('[data-chart-range]').forEach(b => b.classList.toggle('active', b === btn));
+      redraw();
+      updateRoute();
+    });
+  });
+
+  toolbar.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', () => {
+      const indicators = priceChartSettings.indicators;
+      toolbar.querySelectorAll('[data-indicator]').forEach(checkbox => {
+        indicators[checkbox.dataset.indicator].enabled = checkbox.checked;
+      });
+      indicators.sma.period = Math.round(readPositive('smaPeriod', indicators.sma.period));
+      indicators.ema.period = Math.round(readPositive('emaPeriod', indicators.ema.period));
+      indicators.bollinger.period = Math.round(readPositive('bollingerPeriod', indicators.bollinger.period));
+      indicators.bollinger.stdDev = readPositive('bollingerStdDev', indicators.bollinger.stdDev);
+      indicators.rsi.period = Math.round(readPositive('rsiPeriod', indicators.rsi.period));
+      indicators.macd.fast = Math.round(readPositive('macdFast', indicators.macd.fast));
+      indicators.macd.slow = Math.round(readPositive('macdSlow', indicators.macd.slow));
+      indicators.macd.signal = Math.round(readPositive('macdSignal', indicators.macd.signal));
+      redraw();
+    });
+  });
+}
+
+// Chart.js has no financial chart type built in, so candles/OHLC bars are drawn by
+// a small inline plugin on top of an invisible close-price line (which keeps tooltips)
+function createOHLCPlugin(bars, style) {
+  return {
+    id: 'ohlcBars',
+    afterDatasetsDraw(chart) {
+      const { ctx, chartArea, scales } = chart;
+      const slot = chartArea.width / Math.max(bars.length, 1);
+      const bodyWidth = Math.max(1, slot * 0.6);
+
+      ctx.save();
+      bars.forEach((bar, i) => {
+        const x = scales.x.getPixelForValue(i);
+        const yOpen = scales.y.getPixelForValue(bar.open);
+        const yClose = scales.y.getPixelForValue(bar.close);
+        const yHigh = scales.y.getPixelForValue(bar.high);
+        const yLow = scales.y.getPixelForValue(bar.low);
+        const color = bar.close >= bar.open ? '#3fb950' : '#f85149';
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, yHigh);
+        ctx.lineTo(x, yLow);
+        if (style === 'ohlc') {
+          // Left tick = open, right tick = close
+          ctx.moveTo(x - bodyWidth / 2, yOpen);
+          ctx.lineTo(x, yOpen);
+          ctx.moveTo(x, yClose);
+          ctx.lineTo(x + bodyWidth / 2, yClose);
+        }
+        ctx.stroke();
+
+        if (style === 'candlestick') {
+          const top = Math.min(yOpen, yClose);
+          const height = Math.max(1, Math.abs(yClose - yOpen));
+          ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, height);
+        }
+      });
+      ctx.restore();
+    }
+  };
+}
+
+const CHART_TOOLTIP_OPTIONS = {
+  mode: 'index',
+  intersect: false,
+  backgroundColor: '#161b22',
+  titleColor: '#e6edf3',
+  bodyColor: '#e6edf3',
+  borderColor: '#30363d',
+  borderWidth: 1
+};
+
+function drawStockPriceChart(nativeBars, ticker) {
+  const canvas = document.getElementById('stockPriceChart');
+  if (!canvas) return;
+
+  // Plot in the display currency, converting each bar at its own date's rate
+  const nativeCurrency = getTickerCurrency(ticker);
+  const displayCurrency = getDisplayCurrency(nativeCurrency);
+  const currency = getFXRate(nativeCurrency, displayCurrency) === null ? nativeCurrency : displayCurrency;
+  const priceData = convertPriceBars(nativeBars, nativeCurrency, currency);
+
+  // Destroy existing charts if they exist
+  if (stockPriceChart) {
+    stockPriceChart.destroy();
+  }
+  stockPaneCharts.forEach(chart => chart.destroy());
+  stockPaneCharts = [];
+
+  const settings = priceChartSettings;
+  const indicators = settings.indicators;
+
+  // Indicators are computed over the full history, then cut to the selected range
+  const allCloses = priceData.map(d => d.close);
+  const rangeStart = getChartRangeStart(priceData[priceData.length - 1].date, settings.range);
+  const startIndex = Math.max(0, priceData.findIndex(d => d.date >= rangeStart));
+  const visible = priceData.slice(startIndex);
+  const cut = values => values.slice(startIndex);
+
+  const dates = visible.map(d => d.date);
+  const closes = visible.map(d => d.close);
+
+  // Determine color based on price trend
+  const firstPrice = closes[0];
+  const lastPrice = closes[closes.length - 1];
+  const isPositive = lastPrice >= firstPrice;
+  const chartColor = isPositive ? '#3fb950' : '#f85149';
+  const isBars = settings.type !== 'line';
+
+  const datasets = [
+    {
+      label: 'Close Price',
+      data: closes,
+      borderColor: isBars ? 'transparent' : chartColor,
+      backgroundColor: isPositive ? 'rgba(63, 185, 80, 0.1)' : 'rgba(248, 81, 73, 0.1)',
+      tension: 0.4,
+      fill: !isBars,
+      pointRadius: 0,
+      pointHoverRadius: isBars ? 0 : 4
+    }
+  ];
+  const overlay = (label, data, color, dash = []) => ({
+    label,
+    data,
+    borderColor: color,
+    borderWidth: 1.5,
+    borderDash: dash,
+    pointRadius: 0,
+    fill: false,
+    tension: 0
+  });
+
+  if (indicators.sma.enabled) {
+    datasets.push(overlay(`SMA ${indicators.sma.period}`, cut(computeSMA(allCloses, indicators.sma.period)), '#d29922'));
+  }
+  if (indicators.ema.enabled) {
+    datasets.push(overlay(`EMA ${indicators.ema.period}`, cut(computeEMA(allCloses, indicators.ema.period)), '#a371f7'));
+  }
+  if (indicators.bollinger.enabled) {
+    const bands = computeBollingerBands(allCloses, indicators.bollinger.period, indicators.bollinger.stdDev);
+    datasets.push(overlay(`BB upper`, cut(bands.upper), '#58a6ff', [4, 3]));
+    datasets.push(overlay(`BB middle`, cut(bands.middle), '#58a6ff'));
+    datasets.push(overlay(`BB lower`, cut(bands.lower), '#58a6ff', [4, 3]));
+  }
+
+  const lows = visible.map(d => d.low);
+  const highs = visible.map(d => d.high);
+
+  const ctx = canvas.getContext('2d');
+  stockPriceChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: dates,
+      datasets
+    },
+    plugins: isBars ? [createOHLCPlugin(visible, settings.type)] : [],
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: datasets.length > 1,
+          labels: {
+            color: '#e6edf3',
+            filter: item => item.datasetIndex > 0
+          }
+        },
+        tooltip: {
+          ...CHART_TOOLTIP_OPTIONS,
+          callbacks: {
+            label: function(context) {
+              if (context.datasetIndex > 0) {
+                return context.parsed.y === null ? null : `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+              }
+              const index = context.dataIndex;
+              const data = visible[index];
+              return [
+                `Open: ${formatMoney(data.open, currency)}`,
+                `High: ${formatMoney(data.high, currency)}`,
+                `Low: ${formatMoney(data.low, currency)}`,
+                `Close: ${formatMoney(data.close, currency)}`
+              ];
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: '#8b949e',
+            maxRotation: 45,
+            minRotation: 45,
+            maxTicksLimit: 10
+          },
+          grid: {
+            color: '#21262d'
+          }
+        },
+        y: {
+          // Keep wicks inside the plot in candle/OHLC mode
+          suggestedMin: isBars ? Math.min(...lows) : undefined,
+          suggestedMax: isBars ? Math.max(...highs) : undefined,
+          ticks: {
+            color: '#8b949e',
+            callback: function(value) {
+              return (CURRENCY_SYMBOLS[currency] || '') + value.toFixed(0);
+            }
+          },
+          grid: {
+            color: '#21262d'
+          }
+        }
+      },
+      interaction: {
+        mode: 'nearest',
+        axis: 'x',
+        intersect: false
+      }
+    }
+  });
+
+  stockPriceChartState = { ticker, nativeCurrency, currency, visible };
+  drawStockIndicatorPanes(visible, dates, allCloses, startIndex);
+}
+
+// Follow the feed: patch the last bar in place, redraw when a new bar starts
+function updateLivePriceChart(ticker) {
+  const state = stockPriceChartState;
+  const history = getDisplayHistory(ticker);
+  if (!stockPriceChart || !state || state.ticker !== ticker || !history || !document.getElementById('stockPriceChart')) return;
+
+  const visible = state.visible;
+  const last = visible.length - 1;
+  const bar = convertPriceBars([history[history.length - 1]], state.nativeCurrency, state.currency)[0];
+  if (bar.date !== visible[last].date) {
+    drawStockPriceChart(history, ticker);
+    return;
+  }
+
+  Object.assign(visible[last], bar);
+  stockPriceChart.data.datasets[0].data[last] = bar.close;
+  const yScale = stockPriceChart.options.scales.y;
+  if (yScale.suggestedMin !== undefined) {
+    yScale.suggestedMin = Math.min(yScale.suggestedMin, bar.low);
+    yScale.suggestedMax = Math.max(yScale.suggestedMax, bar.high);
+  }
+  stockPriceChart.update('none');
+}
+
+// Sub-panes under the price chart: volume, then RSI and MACD when enabled
+function drawStockIndicatorPanes(visible, dates, allCloses, startIndex) {
+  const container = document.getElementById('stockIndicatorPanes');
+  if (!container) return;
+
+  const indicators = priceChartSettings.indicators;
+  const panes = [];
+
+  if (visible.some(d => d.volume !== null)) {
+    panes.push({
+      type: 'bar',
+      title: 'Volume',
+      datasets: [{
+        label: 'Volume',
+        data: visible.map(d => d.volume),
+        backgroundColor: visible.map(d => (d.close >= d.open ? 'rgba(63, 185, 80, 0.5)' : 'rgba(248, 81, 73, 0.5)'))
+      }],
+      tickFormat: value => (value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : value >= 1e3 ? `${(value / 1e3).toFixed(0)}K` : value)
+    });
+  }
+
+  if (indicators.rsi.enabled) {
+    const rsi = computeRSI(allCloses, indicators.rsi.period).slice(startIndex);
+    panes.push({
+      type: 'line',
+      title: `RSI ${indicators.rsi.period}`,
+      datasets: [
+        { label: 'RSI', data: rsi, borderColor: '#a371f7', borderWidth: 1.5, pointRadius: 0 },
+        { label: '70', data: rsi.map(() => 70), borderColor: 'rgba(248, 81, 73, 0.5)', borderDash: [4, 3], borderWidth: 1, pointRadius: 0 },
+        { label: '30', data: rsi.map(() => 30), borderColor: 'rgba(63, 185, 80, 0.5)', borderDash: [4, 3], borderWidth: 1, pointRadius: 0 }
+      ],
+      min: 0,
+      max: 100
+    });
+  }
+
+  if (indicators.macd.enabled) {
+    const { fast, slow, signal } = indicators.macd;
+    const macd = computeMACD(allCloses, fast, slow, signal);
+    const histogram = macd.histogram.slice(startIndex);
+    panes.push({
+      type: 'bar',
+      title: `MACD ${fast}/${slow}/${signal}`,
+      datasets: [
+        { type: 'line', label: 'MACD', data: macd.macd.slice(startIndex), borderColor: '#58a6ff', borderWidth: 1.5, pointRadius: 0 },
+        { type: 'line', label: 'Signal', data: macd.signal.slice(startIndex), borderColor: '#d29922', borderWidth: 1.5, pointRadius: 0 },
+        {
+          label: 'Histogram',
+          data: histogram,
+          backgroundColor: histogram.map(value => (value >= 0 ? 'rgba(63, 185, 80, 0.5)' : 'rgba(248, 81, 73, 0.5)'))
+        }
+      ]
+    });
+  }
+
+  container.innerHTML = panes.map((pane, i) => `
+    <div style="color: #8b949e; font-size: 11px; margin-top: 8px;">${pane.title}</div>
+    <div style="height: ${i === 0 ? 90 : 110}px; position: relative;">
+      <canvas id="stockPane${i}"></canvas>
+    </div>
+  `).join('');
+
+  panes.forEach((pane, i) => {
+    const ctx = document.getElementById(`stockPane${i}`).getContext('2d');
+    stockPaneCharts.push(new Chart(ctx, {
+      type: pane.type,
+      data: { labels: dates, datasets: pane.datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: CHART_TOOLTIP_OPTIONS
+        },
+        scales: {
+          x: { display: false },
+          y: {
+            grid: { color: '#21262d' },
+            min: pane.min,
+            max: pane.max,
+            ticks: {
+              color: '#8b949e',
+              maxTicksLimit: 4,
+              callback: pane.tickFormat || (value => value)
+            }
+          }
+        },
+        interaction: {
+          mode: 'index',
+          intersect: false
+        }
+      }
+    }));
+  });
+}
+
+// Show stock details (for clickable cards)
+function showStockDetails(ticker) {
+  const stock = stockData.recommendations.find(s => s.ticker === ticker);
+  if (stock) {
+    document.getElementById('searchInput').value = ticker;
+    searchStock();
+    document.getElementById('searchInput').scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+}
+
+// Network computation - Pearson correlations, distance transform and Kruskal MST
+// over a window of stockData.returns (mirrors src/preprocess.cpp)
+const NETWORK_WINDOW_PRESETS = [60, 120, 250];
+const NETWORK_MIN_OBSERVATIONS = 20;
+
+function getReturnTickers() {
+  return stockData.returnTickers.length > 0
+    ? stockData.returnTickers
+    : Object.keys(stockData.correlations);
+}
+
+// Pearson correlation over pairwise-complete observations
+function pearsonCorrelation(xs, ys) {
+  let n = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] === null || ys[i] === null) continue;
+    sumX += xs[i];
+    sumY += ys[i];
+    n++;
+  }
+  if (n < 2) return NaN;
+
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] === null || ys[i] === null) continue;
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+function computeCorrelationMatrix(rows, tickers) {
+  const series = {};
+  tickers.forEach(ticker => {
+    series[ticker] = rows.map(row => (typeof row[ticker] === 'number' ? row[ticker] : null));
+  });
+
+  const matrix = {};
+  tickers.forEach(ticker => {
+    matrix[ticker] = {};
+  });
+  tickers.forEach((a, i) => {
+    matrix[a][a] = 1;
+    for (let j = i + 1; j < tickers.length; j++) {
+      const b = tickers[j];
+      const corr = pearsonCorrelation(series[a], series[b]);
+      matrix[a][b] = corr;
+      matrix[b][a] = corr;
+    }
+  });
+  return matrix;
+}
+
+// Mantegna distance: d = sqrt(2 (1 - rho))
+function correlationToDistance(corr) {
+  return Math.sqrt(2 * (1 - corr));
+}
+
+// Kruskal's algorithm over all pairs with a defined correlation
+function computeMST(tickers, correlations) {
+  const candidates = [];
+  tickers.forEach((u, i) => {
+    for (let j = i + 1; j < tickers.length; j++) {
+      const v = tickers[j];
+      const corr = correlations[u][v];
+      if (!isNaN(corr)) {
+        candidates.push({ u, v, corr, distance: correlationToDistance(corr) });
+      }
+    }
+  });
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  const parent = {};
+  tickers.forEach(ticker => {
+    parent[ticker] = ticker;
+  });
+  const find = ticker => (parent[ticker] === ticker ? ticker : (parent[ticker] = find(parent[ticker])));
+
+  const edges = [];
+  for (const edge of candidates) {
+    const a = find(edge.u);
+    const b = find(edge.v);
+    if (a !== b) {
+      parent[a] = b;
+      edges.push(edge);
+      if (edges.length === tickers.length - 1) break;
+    }
+  }
+  return edges;
+}
+
+// Threshold network: every pair whose |correlation| reaches the threshold
+function computeThresholdEdges(tickers, correlations, threshold) {
+  const edges = [];
+  tickers.forEach((u, i) => {
+    for (let j = i + 1; j < tickers.length; j++) {
+      const v = tickers[j];
+      const corr = correlations[u][v];
+      if (!isNaN(corr) && Math.abs(corr) >= threshold) {
+        edges.push({ u, v, corr, distance: correlationToDistance(corr) });
+      }
+    }
+  });
+  return edges;
+}
+
+// Planar Maximally Filtered Graph (Tumminello et al. 2005): add pairs in order of
+// decreasing correlation whenever the graph stays planar, up to 3(n-2) edges
+function computePMFG(tickers, correlations) {
+  const candidates = [];
+  tickers.forEach((u, i) => {
+    for (let j = i + 1; j < tickers.length; j++) {
+      const v = tickers[j];
+      const corr = correlations[u][v];
+      if (!isNaN(corr)) {
+        candidates.push({ u, v, corr, distance: correlationToDistance(corr) });
+      }
+    }
+  });
+  candidates.sort((a, b) => b.corr - a.corr);
+
+  const maxEdges = 3 * (tickers.length - 2);
+  const edges = [];
+  for (const edge of candidates) {
+    if (edges.length >= maxEdges) break;
+    edges.push(edge);
+    if (!isPlanarGraph(edges)) {
+      edges.pop();
+    }
+  }
+  return edges;
+}
+
+// Planarity test - a graph is planar iff each biconnected block is, and each block
+// is tested with the Demoucron-Malgrange-Pertuiset face-embedding algorithm
+function isPlanarGraph(edges) {
+  const adjacency = buildAdjacency(edges);
+  const vertexCount = adjacency.size;
+  if (vertexCount >= 3 && edges.length > 3 * vertexCount - 6) return false;
+
+  // K3,3 (9 edges) is the smallest non-planar graph by edge count
+  return getBiconnectedBlocks(adjacency).every(block =>
+    block.length < 9 || isBiconnectedPlanar(block)
+  );
+}
+
+function buildAdjacency(edges) {
+  const adjacency = new Map();
+  edges.forEach(edge => {
+    const u = edge.u !== undefined ? edge.u : edge[0];
+    const v = edge.v !== undefined ? edge.v : edge[1];
+    if (!adjacency.has(u)) adjacency.set(u, new Set());
+    if (!adjacency.has(v)) adjacency.set(v, new Set());
+    adjacency.get(u).add(v);
+    adjacency.get(v).add(u);
+  });
+  return adjacency;
+}
+
+function edgeKey(u, v) {
+  return u < v ? `${u}|${v}` : `${v}|${u}`;
+}
+
+// Tarjan's algorithm; each block is returned as a list of [u, v] edges
+function getBiconnectedBlocks(adjacency) {
+  const discovery = new Map();
+  const low = new Map();
+  const edgeStack = [];
+  const blocks = [];
+  let time = 0;
+
+  const visit = (u, parent) => {
+    discovery.set(u, ++time);
+    low.set(u, time);
+    adjacency.get(u).forEach(v => {
+      if (!discovery.has(v)) {
+        edgeStack.push([u, v]);
+        visit(v, u);
+        low.set(u, Math.min(low.get(u), low.get(v)));
+        if (low.get(v) >= discovery.get(u)) {
+          const block = [];
+          let edge;
+          do {
+            edge = edgeStack.pop();
+            block.push(edge);
+          } while (edge[0] !== u || edge[1] !== v);
+          blocks.push(block);
+        }
+      } else if (v !== parent && discovery.get(v) < discovery.get(u)) {
+        edgeStack.push([u, v]);
+        low.set(u, Math.min(low.get(u), discovery.get(v)));
+      }
+    });
+  };
+
+  adjacency.forEach((_, vertex) => {
+    if (!discovery.has(vertex)) visit(vertex, null);
+  });
+  return blocks;
+}
+
+function isBiconnectedPlanar(blockEdges) {
+  const adjacency = buildAdjacency(blockEdges);
+  const totalEdges = new Set(blockEdges.map(([u, v]) => edgeKey(u, v))).size;
+
+  // Start from any cycle; it splits the plane into an inside and an outside face
+  const cycle = findGraphCycle(adjacency, adjacency.keys().next().value);
+  const embedded = new Set(cycle);
+  const embeddedEdges = new Set(cycle.map((u, i) => edgeKey(u, cycle[(i + 1) % cycle.length])));
+  const faces = [cycle.slice(), cycle.slice()];
+
+  while (embeddedEdges.size < totalEdges) {
+    let chosen = null;
+    let chosenFace = -1;
+
+    for (const fragment of findFragments(adjacency, embedded, embeddedEdges)) {
+      const admissible = [];
+      faces.forEach((face, index) => {
+        if (fragment.contacts.every(contact => face.includes(contact))) {
+          admissible.push(index);
+        }
+      });
+      if (admissible.length === 0) return false;
+      if (!chosen || admissible.length === 1) {
+        chosen = fragment;
+        chosenFace = admissible[0];
+        if (admissible.length === 1) break;
+      }
+    }
+
+    // Embed a path through the fragment, splitting the chosen face in two
+    const path = findFragmentPath(chosen, adjacency);
+    const face = faces[chosenFace];
+    const walk = (from, to) => {
+      const vertices = [];
+      for (let k = from; ; k = (k + 1) % face.length) {
+        vertices.push(face[k]);
+        if (k === to) break;
+      }
+      return vertices;
+    };
+    const start = face.indexOf(path[0]);
+    const end = face.indexOf(path[path.length - 1]);
+    const inner = path.slice(1, -1);
+    faces.splice(chosenFace, 1,
+      walk(start, end).concat(inner.slice().reverse()),
+      walk(end, start).concat(inner)
+    );
+
+    path.forEach(vertex => embedded.add(vertex));
+    for (let k = 0; k < path.length - 1; k++) {
+      embeddedEdges.add(edgeKey(path[k], path[k + 1]));
+    }
+  }
+  return true;
+}
+
+function findGraphCycle(adjacency, start) {
+  const path = [];
+  const onPath = new Set();
+  const visited = new Set();
+
+  const visit = (u, from) => {
+    visited.add(u);
+    onPath.add(u);
+    path.push(u);
+    for (const v of adjacency.get(u)) {
+      if (v === from) continue;
+      if (onPath.has(v)) return path.slice(path.indexOf(v));
+      if (!visited.has(v)) {
+        const cycle = visit(v, u);
+        if (cycle) return cycle;
+      }
+    }
+    onPath.delete(u);
+    path.pop();
+    return null;
+  };
+  return visit(start, null);
+}
+
+// Fragments of the graph relative to the embedded subgraph: single unembedded edges
+// between embedded vertices, and connected components of unembedded vertices
+// together with their contact vertices
+function findFragments(adjacency, embedded, embeddedEdges) {
+  const fragments = [];
+
+  embedded.forEach(u => {
+    adjacency.get(u).forEach(v => {
+      if (u < v && embedded.has(v) && !embeddedEdges.has(edgeKey(u, v))) {
+        fragments.push({ vertices: [], contacts: [u, v] });
+      }
+    });
+  });
+
+  const seen = new Set();
+  adjacency.forEach((_, start) => {
+    if (embedded.has(start) || seen.has(start)) return;
+    const vertices = [];
+    const contacts = new Set();
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const u = queue.shift();
+      vertices.push(u);
+      adjacency.get(u).forEach(v => {
+        if (embedded.has(v)) {
+          contacts.add(v);
+        } else if (!seen.has(v)) {
+          seen.add(v);
+          queue.push(v);
+        }
+      });
+    }
+    fragments.push({ vertices, contacts: [...contacts] });
+  });
+
+  return fragments;
+}
+
+// Path between two distinct contact vertices running through the fragment's interior
+function findFragmentPath(fragment, adjacency) {
+  if (fragment.vertices.length === 0) return fragment.contacts.slice();
+
+  const inside = new Set(fragment.vertices);
+  const start = fragment.contacts[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const u = queue.shift();
+    for (const v of adjacency.get(u)) {
+      if (previous.has(v)) continue;
+      if (u !== start && fragment.contacts.includes(v)) {
+        const path = [v];
+        for (let node = u; node !== null; node = previous.get(node)) {
+          path.unshift(node);
+        }
+        return path;
+      }
+      if (inside.has(v)) {
+        previous.set(v, u);
+        queue.push(v);
+      }
+    }
+  }
+  return null;
+}
+
+// Rows of stockData.returns for a window: { days } for the last N rows or { from, to } dates
+function getReturnsWindow(range) {
+  if (range.days) {
+    return stockData.returns.slice(-range.days);
+  }
+  return stockData.returns.filter(row =>
+    (!range.from || row.Date >= range.from) && (!range.to || row.Date <= range.to)
+  );
+}
+
+function computeNetwork(range) {
+  const rows = getReturnsWindow(range);
+  if (rows.length < NETWORK_MIN_OBSERVATIONS) {
+    return { error: `Only ${rows.length} trading day(s) in range - need at least ${NETWORK_MIN_OBSERVATIONS}` };
+  }
+
+  const tickers = getReturnTickers();
+  const correlations = computeCorrelationMatrix(rows, tickers);
+  return {
+    window: range,
+    from: rows[0].Date,
+    to: rows[rows.length - 1].Date,
+    observations: rows.length,
+    correlations,
+    mstEdges: computeMST(tickers, correlations)
+  };
+}
+
+// Active network: null means the offline pipeline snapshot (corr.csv / mst_edges.csv)
+function getActiveCorrelations() {
+  return stockData.network ? stockData.network.correlations : stockData.correlations;
+}
+
+function getActiveMSTEdges() {
+  return stockData.network ? stockData.network.mstEdges : stockData.mstEdges;
+}
+
+// Edges for the selected network mode, built from the active correlations
+function getActiveGraphEdges() {
+  if (graphMode === 'mst') return getActiveMSTEdges();
+
+  const correlations = getActiveCorrelations();
+  const tickers = Object.keys(correlations);
+  return graphMode === 'threshold'
+    ? computeThresholdEdges(tickers, correlations, graphThreshold)
+    : computePMFG(tickers, correlations);
+}
+
+function describeNetworkWindow() {
+  const network = stockData.network;
+  if (!network) return 'full period';
+  if (network.window.days) return `last ${network.observations} days`;
+  return `${network.from} to ${network.to}`;
+}
+
+function setNetworkWindow(range) {
+  const statusEl = document.getElementById('networkWindowStatus');
+
+  if (!range) {
+    stockData.network = null;
+  } else {
+    const network = computeNetwork(range);
+    if (network.error) {
+      if (statusEl) {
+        statusEl.textContent = network.error;
+        statusEl.style.color = '#f85149';
+      }
+      return false;
+    }
+    stockData.network = network;
+  }
+
+  if (statusEl) {
+    statusEl.style.color = '#8b949e';
+    statusEl.textContent = stockData.network
+      ? `${stockData.network.from} → ${stockData.network.to} (${stockData.network.observations} days)`
+      : 'Pipeline snapshot (corr.csv / mst_edges.csv)';
+  }
+
+  drawMSTGraph();
+  updateClusters();
+  refreshHeatmap();
+  updateRoute();
+  refreshPortfolioAnalytics();
+  refreshOptimizer();
+
+  renderTopCorrelated();
+  return true;
+}
+
+// Toolbar above the MST canvas (created once, kept across redraws)
+function ensureGraphControls() {
+  let controls = document.getElementById('graphControls');
+  if (controls) return controls;
+
+  const placeholder = document.querySelector('.graph-placeholder');
+  if (!placeholder) return null;
+
+  const dates = stockData.returns.map(row => row.Date);
+  controls = document.createElement('div');
+  controls.id = 'graphControls';
+  controls.style.cssText = 'display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 10px; font-size: 13px; color: #8b949e;';
+  controls.innerHTML = `
+    <label>Network
+      <select id="graphModeSelect" class="trading-select">
+        <option value="mst">MST</option>
+        <option value="threshold">Threshold</option>
+        <option value="pmfg">PMFG</option>
+      </select>
+    </label>
+    <label>Color
+      <select id="graphColorSelect" class="trading-select">
+        <option value="label">Signal</option>
+        <option value="cluster">Cluster</option>
+      </select>
+    </label>
+    <label id="graphThresholdControl" style="display: none;">|ρ| ≥
+      <input type="range" id="graphThresholdSlider" min="0" max="1" step="0.05" value="${graphThreshold}">
+      <span id="graphThresholdValue">${graphThreshold.toFixed(2)}</span>
+    </label>
+    <label>Window
+      <select id="networkWindowSelect" class="trading-select">
+        <option value="pipeline">Full period (pipeline)</option>
+        ${NETWORK_WINDOW_PRESETS.map(days => `<option value="${days}">Last ${days} days</option>`).join('')}
+        <option value="custom">Custom range</option>
+      </select>
+    </label>
+    <span id="networkCustomRange" style="display: none;">
+      <input type="date" id="networkFrom" class="trading-input" min="${dates[0] || ''}" max="${dates[dates.length - 1] || ''}" value="${dates[0] || ''}">
+      →
+      <input type="date" id="networkTo" class="trading-input" min="${dates[0] || ''}" max="${dates[dates.length - 1] || ''}" value="${dates[dates.length - 1] || ''}">
+    </span>
+    <span id="networkWindowStatus">Pipeline snapshot (corr.csv / mst_edges.csv)</span>
+    <button id="graphResetBtn" class="order-type-btn" style="margin-left: auto;">Reset view</button>
+    <span id="graphExport"></span>
+  `;
+  placeholder.parentNode.insertBefore(controls, placeholder);
+  attachExportMenu(document.getElementById('graphExport'), getNetworkExportActions());
+
+  const select = document.getElementById('networkWindowSelect');
+  const customRange = document.getElementById('networkCustomRange');
+  const fromInput = document.getElementById('networkFrom');
+  const toInput = document.getElementById('networkTo');
+  const applyCustomRange = () => setNetworkWindow({ from: fromInput.value, to: toInput.value });
+
+  select.addEventListener('change', () => {
+    stopMSTTimeline();
+    customRange.style.display = select.value === 'custom' ? 'inline' : 'none';
+    if (select.value === 'pipeline') {
+      setNetworkWindow(null);
+    } else if (select.value === 'custom') {
+      applyCustomRange();
+    } else {
+      setNetworkWindow({ days: parseInt(select.value, 10) });
+    }
+  });
+  fromInput.addEventListener('change', applyCustomRange);
+  toInput.addEventListener('change', applyCustomRange);
+  document.getElementById('graphResetBtn').addEventListener('click', resetGraphView);
+
+  const modeSelect = document.getElementById('graphModeSelect');
+  const thresholdControl = document.getElementById('graphThresholdControl');
+  const thresholdSlider = document.getElementById('graphThresholdSlider');
+  const colorSelect = document.getElementById('graphColorSelect');
+  colorSelect.value = graphColorMode;
+  colorSelect.addEventListener('change', () => {
+    graphColorMode = colorSelect.value;
+    redrawGraph();
+    updateRoute();
+  });
+  modeSelect.addEventListener('change', () => {
+    graphMode = modeSelect.value;
+    thresholdControl.style.display = graphMode === 'threshold' ? 'inline' : 'none';
+    drawMSTGraph();
+    updateRoute();
+  });
+  thresholdSlider.addEventListener('input', () => {
+    graphThreshold = parseFloat(thresholdSlider.value);
+    document.getElementById('graphThresholdValue').textContent = graphThreshold.toFixed(2);
+    drawMSTGraph();
+    updateRoute();
+  });
+
+  return controls;
+}
+
+// Draw MST Graph with interactivity
+function drawMSTGraph() {
+  const placeholder = document.querySelector('.graph-placeholder');
+  if (!placeholder) return;
+
+  if (stockData.returns.length > 0) {
+    ensureGraphControls();
+  }
+
+  const edges = getActiveGraphEdges();
+  if (graphMode === 'mst' && edges.length === 0) return;
+
+  // Create canvas for graph (width follows the container, height is fixed)
+  const canvas = document.createElement('canvas');
+  canvas.width = placeholder.clientWidth > 0 ? Math.max(400, placeholder.clientWidth - 40) : 800;
+  canvas.height = GRAPH_HEIGHT;
+  canvas.style.width = '100%';
+  canvas.style.height = 'auto';
+  canvas.style.maxWidth = '100%';
+  canvas.style.border = '1px solid #30363d';
+  canvas.style.borderRadius = '10px';
+  canvas.style.background = '#0d1117';
+  canvas.style.cursor = 'grab';
+
+  placeholder.innerHTML = '';
+  placeholder.appendChild(canvas);
+  placeholder.style.padding = '20px';
+
+  graphCanvas = canvas;
+  graphCtx = canvas.getContext('2d');
+
+  // Fade out edges that left the network and fade in the new ones
+  const previousKeys = new Set(graphEdges.map(graphEdgeKey));
+  const nextKeys = new Set(edges.map(graphEdgeKey));
+  graphEdgeTransition = graphEdges.length > 0
+    ? {
+      removed: graphEdges.filter(edge => !nextKeys.has(graphEdgeKey(edge))),
+      added: new Set([...nextKeys].filter(key => !previousKeys.has(key))),
+      start: Date.now()
+    }
+    : null;
+  graphEdges = edges;
+
+  // Collect all unique nodes (filtered networks keep isolated tickers visible)
+  const nodes = new Set(graphMode === 'mst' ? [] : Object.keys(getActiveCorrelations()));
+  graphEdges.forEach(edge => {
+    nodes.add(edge.u);
+    nodes.add(edge.v);
+  });
+  graphNodeList = Array.from(nodes);
+  hoveredNode = null;
+
+  initializeGraphPositions();
+  attachGraphHandlers(canvas);
+  startGraphLayout();
+}
+
+// Seed new nodes on a circle; nodes already laid out keep their position
+function initializeGraphPositions() {
+  const centerX = graphCanvas.width / 2;
+  const centerY = graphCanvas.height / 2;
+  const radius = Math.min(graphCanvas.width, graphCanvas.height) * 0.35;
+
+  graphNodeList.forEach((node, i) => {
+    if (graphPositions[node]) return;
+    const angle = (2 * Math.PI * i) / graphNodeList.length;
+    graphPositions[node] = {
+      x: centerX + radius * Math.cos(angle),
+      y: centerY + radius * Math.sin(angle),
+      vx: 0,
+      vy: 0,
+      pinned: false
+    };
+  });
+}
+
+// One step of the force simulation: springs along edges (rest length proportional
+// to MST distance), pairwise repulsion and a weak pull towards the centre.
+// Returns the kinetic energy so the caller can stop once the layout settles.
+function stepGraphLayout() {
+  const forces = {};
+  graphNodeList.forEach(node => {
+    forces[node] = { x: 0, y: 0 };
+  });
+
+  for (let i = 0; i < graphNodeList.length; i++) {
+    for (let j = i + 1; j < graphNodeList.length; j++) {
+      const a = graphPositions[graphNodeList[i]];
+      const b = graphPositions[graphNodeList[j]];
+      let dx = a.x - b.x;
+      let dy = a.y - b.y;
+      let distSq = dx * dx + dy * dy;
+      if (distSq < 1) {
+        // Nudge coincident nodes apart
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        distSq = 1;
+      }
+      const dist = Math.sqrt(distSq);
+      const force = GRAPH_REPULSION / distSq;
+      forces[graphNodeList[i]].x += (dx / dist) * force;
+      forces[graphNodeList[i]].y += (dy / dist) * force;
+      forces[graphNodeList[j]].x -= (dx / dist) * force;
+      forces[graphNodeList[j]].y -= (dy / dist) * force;
+    }
+  }
+
+  graphEdges.forEach(edge => {
+    const a = graphPositions[edge.u];
+    const b = graphPositions[edge.v];
+    if (!a || !b) return;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const restLength = getGraphEdgeLength(edge);
+    const force = GRAPH_SPRING_STRENGTH * (dist - restLength);
+    forces[edge.u].x += (dx / dist) * force;
+    forces[edge.u].y += (dy / dist) * force;
+    forces[edge.v].x -= (dx / dist) * force;
+    forces[edge.v].y -= (dy / dist) * force;
+  });
+
+  const centerX = graphCanvas.width / 2;
+  const centerY = graphCanvas.height / 2;
+  let energy = 0;
+
+  graphNodeList.forEach(node => {
+    const pos = graphPositions[node];
+    if (pos.pinned || (graphDragState && graphDragState.node === node)) {
+      pos.vx = 0;
+      pos.vy = 0;
+      return;
+    }
+    pos.vx = (pos.vx + forces[node].x + (centerX - pos.x) * GRAPH_GRAVITY) * GRAPH_DAMPING;
+    pos.vy = (pos.vy + forces[node].y + (centerY - pos.y) * GRAPH_GRAVITY) * GRAPH_DAMPING;
+    pos.x += pos.vx;
+    pos.y += pos.vy;
+    energy += pos.vx * pos.vx + pos.vy * pos.vy;
+  });
+
+  return energy;
+}
+
+function getGraphEdgeLength(edge) {
+  const distance = !isNaN(edge.distance) && edge.distance > 0
+    ? edge.distance
+    : correlationToDistance(edge.corr);
+  return distance * GRAPH_DISTANCE_SCALE;
+}
+
+// Run the simulation until it settles, redrawing every frame
+function startGraphLayout() {
+  if (graphAnimationId) {
+    cancelAnimationFrame(graphAnimationId);
+  }
+
+  let ticks = 0;
+  const tick = () => {
+    const energy = stepGraphLayout();
+    redrawGraph();
+    ticks++;
+    const fading = graphEdgeTransition && getGraphTransitionProgress() < 1;
+    graphAnimationId = (energy > GRAPH_MIN_ENERGY && ticks < GRAPH_MAX_TICKS) || fading
+      ? requestAnimationFrame(tick)
+      : null;
+  };
+  tick();
+}
+
+// Convert a mouse event to canvas pixels, then to layout (world) coordinates
+function getGraphPointer(e) {
+  const rect = graphCanvas.getBoundingClientRect();
+  const scaleX = rect.width ? graphCanvas.width / rect.width : 1;
+  const scaleY = rect.height ? graphCanvas.height / rect.height : 1;
+  const x = (e.clientX - rect.left) * scaleX;
+  const y = (e.clientY - rect.top) * scaleY;
+  return {
+    x,
+    y,
+    worldX: (x - graphView.offsetX) / graphView.scale,
+    worldY: (y - graphView.offsetY) / graphView.scale
+  };
+}
+
+function findGraphNodeAt(worldX, worldY) {
+  let foundNode = null;
+  graphNodeList.forEach(node => {
+    const pos = graphPositions[node];
+    const distance = Math.sqrt((worldX - pos.x) ** 2 + (worldY - pos.y) ** 2);
+    if (distance <= 20) {
+      foundNode = node;
+    }
+  });
+  return foundNode;
+}
+
+function attachGraphHandlers(canvas) {
+  let pendingNodeClick = null;
+
+  // Press on a node to drag (and pin) it, or on the background to pan
+  canvas.addEventListener('mousedown', (e) => {
+    const pointer = getGraphPointer(e);
+    const node = findGraphNodeAt(pointer.worldX, pointer.worldY);
+    graphDragState = {
+      node,
+      startX: pointer.x,
+      startY: pointer.y,
+      offsetX: graphView.offsetX,
+      offsetY: graphView.offsetY,
+      moved: false
+    };
+    canvas.style.cursor = node ? 'grabbing' : 'move';
+  });
+
+  canvas.addEventListener('mousemove', (e) => {
+    const pointer = getGraphPointer(e);
+
+    if (graphDragState) {
+      const dx = pointer.x - graphDragState.startX;
+      const dy = pointer.y - graphDragState.startY;
+      if (Math.abs(dx) > 3 || Math.abs(dy) > 3) {
+        graphDragState.moved = true;
+      }
+
+      if (graphDragState.node) {
+        const pos = graphPositions[graphDragState.node];
+        pos.x = pointer.worldX;
+        pos.y = pointer.worldY;
+        if (!graphAnimationId) startGraphLayout();
+      } else {
+        graphView.offsetX = graphDragState.offsetX + dx;
+        graphView.offsetY = graphDragState.offsetY + dy;
+        redrawGraph();
+      }
+      return;
+    }
+
+    const foundNode = findGraphNodeAt(pointer.worldX, pointer.worldY);
+    canvas.style.cursor = foundNode ? 'pointer' : 'grab';
+    if (foundNode !== hoveredNode) {
+      hoveredNode = foundNode;
+      redrawGraph();
+    }
+  });
+
+  const endDrag = () => {
+    if (!graphDragState) return;
+    const { node, moved } = graphDragState;
+    graphDragState = null;
+    canvas.style.cursor = hoveredNode ? 'pointer' : 'grab';
+
+    if (node && moved) {
+      // Dropped nodes stay where they were put
+      graphPositions[node].pinned = true;
+      startGraphLayout();
+    } else if (node && !moved) {
+      clearTimeout(pendingNodeClick);
+      pendingNodeClick = setTimeout(() => {
+        pendingNodeClick = null;
+        showStockDetails(node);
+      }, GRAPH_DOUBLE_CLICK_MS);
+    }
+  };
+
+  canvas.addEventListener('mouseup', endDrag);
+
+  // Mouse leave handler
+  canvas.addEventListener('mouseleave', () => {
+    endDrag();
+    hoveredNode = null;
+    redrawGraph();
+  });
+
+  // Double-click a pinned node to release it back to the simulation
+  canvas.addEventListener('dblclick', (e) => {
+    const pointer = getGraphPointer(e);
+    const node = findGraphNodeAt(pointer.worldX, pointer.worldY);
+    if (node && graphPositions[node].pinned) {
+      // Releasing the node replaces the clicks that led up to the double-click
+      clearTimeout(pendingNodeClick);
+      pendingNodeClick = null;
+      graphPositions[node].pinned = false;
+      startGraphLayout();
+    }
+  });
+
+  // Wheel zoom around the cursor
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const pointer = getGraphPointer(e);
+    const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+    const scale = Math.min(GRAPH_MAX_ZOOM, Math.max(GRAPH_MIN_ZOOM, graphView.scale * factor));
+    graphView.offsetX = pointer.x - pointer.worldX * scale;
+    graphView.offsetY = pointer.y - pointer.worldY * scale;
+    graphView.scale = scale;
+    redrawGraph();
+  }, { passive: false });
+}
+
+// Reset zoom/pan, release pinned nodes and lay the graph out again from scratch
+function resetGraphView() {
+  graphView = { scale: 1, offsetX: 0, offsetY: 0 };
+  graphPositions = {};
+  if (!graphCanvas) return;
+  initializeGraphPositions();
+  startGraphLayout();
+}
+
+function getGraphTransitionProgress() {
+  if (!graphEdgeTransition) return 1;
+  return Math.min(1, (Date.now() - graphEdgeTransition.start) / GRAPH_TRANSITION_MS);
+}
+
+// Node color based on recommendation, or on the dendrogram cluster
+function getGraphNodeColor(node) {
+  if (graphColorMode === 'cluster' && clusterState) {
+    return getClusterColor(clusterState.assignment[node]);
+  }
+  const stock = stockData.recommendations.find(s => s.ticker === node);
+  const label = stock ? stock.label : 'HOLD';
+  if (label === 'BUY') return '#3fb950';
+  if (label === 'AVOID') return '#f85149';
+  return '#8b949e';
+}
+
+// Draw function
+function redrawGraph() {
+  if (!graphCtx) return;
+  const width = graphCanvas.width;
+  const height = graphCanvas.height;
+
+  graphCtx.setTransform(1, 0, 0, 1, 0, 0);
+  graphCtx.clearRect(0, 0, width, height);
+  graphCtx.setTransform(graphView.scale, 0, 0, graphView.scale, graphView.offsetX, graphView.offsetY);
+
+  // Edges that just left the network fade out
+  const progress = getGraphTransitionProgress();
+  if (graphEdgeTransition && progress < 1) {
+    graphCtx.save();
+    graphCtx.setLineDash([4, 4]);
+    graphCtx.lineWidth = 2;
+    graphEdgeTransition.removed.forEach(edge => {
+      const u = graphPositions[edge.u];
+      const v = graphPositions[edge.v];
+      if (!u || !v) return;
+      graphCtx.strokeStyle = `rgba(139, 148, 158, ${0.8 * (1 - progress)})`;
+      graphCtx.beginPath();
+      graphCtx.moveTo(u.x, u.y);
+      graphCtx.lineTo(v.x, v.y);
+      graphCtx.stroke();
+    });
+    graphCtx.restore();
+  }
+
+  // Draw edges
+  graphEdges.forEach(edge => {
+    const u = graphPositions[edge.u];
+    const v = graphPositions[edge.v];
+    if (u && v) {
+      // Highlight edge if connected to hovered node
+      const isHighlighted = hoveredNode && (edge.u === hoveredNode || edge.v === hoveredNode);
+      const corr = Math.abs(edge.corr);
+      const fade = graphEdgeTransition && graphEdgeTransition.added.has(graphEdgeKey(edge)) ? progress : 1;
+      const alpha = (isHighlighted ? 1.0 : Math.max(0.3, corr)) * fade;
+      const lineWidth = isHighlighted ? 3 : 2;
+      
+      // Negative correlations (possible in threshold mode) are drawn in red
+      graphCtx.strokeStyle = edge.corr < 0 ? `rgba(248, 81, 73, ${alpha})` : `rgba(88, 166, 255, ${alpha})`;
+      graphCtx.lineWidth = lineWidth;
+      graphCtx.beginPath();
+      graphCtx.moveTo(u.x, u.y);
+      graphCtx.lineTo(v.x, v.y);
+      graphCtx.stroke();
+
+      // Draw edge weight (distance preferred, fallback to correlation) at midpoint;
+      // denser networks only label the hovered node's edges
+      const weightValue = !isNaN(edge.distance) && edge.distance !== 0 ? edge.distance : edge.corr;
+      if (!isNaN(weightValue) && (graphMode === 'mst' || isHighlighted)) {
+        const midX = (u.x + v.x) / 2;
+        const midY = (u.y + v.y) / 2;
+        const label = weightValue.toFixed(2);
+        graphCtx.save();
+        graphCtx.font = '10px "Segoe UI", sans-serif';
+        const textWidth = graphCtx.measureText(label).width;
+        const padding = 4;
+        graphCtx.fillStyle = 'rgba(13, 17, 23, 0.85)';
+        graphCtx.fillRect(midX - textWidth / 2 - padding, midY - 8, textWidth + padding * 2, 16);
+        graphCtx.fillStyle = isHighlighted ? '#58a6ff' : '#8b949e';
+        graphCtx.textAlign = 'center';
+        graphCtx.textBaseline = 'middle';
+        graphCtx.fillText(label, midX, midY);
+        graphCtx.restore();
+      }
+    }
+  });
+
+  // Draw nodes
+  graphNodeList.forEach(node => {
+    const pos = graphPositions[node];
+    const stock = stockData.recommendations.find(s => s.ticker === node);
+    const isHovered = hoveredNode === node;
+    const nodeColor = getGraphNodeColor(node);
+
+    // Draw node circle (larger if hovered)
+    const nodeRadius = isHovered ? 20 : 15;
+    graphCtx.fillStyle = nodeColor;
+    graphCtx.beginPath();
+    graphCtx.arc(pos.x, pos.y, nodeRadius, 0, 2 * Math.PI);
+    graphCtx.fill();
+    graphCtx.strokeStyle = isHovered ? '#58a6ff' : '#161b22';
+    graphCtx.lineWidth = isHovered ? 3 : 2;
+    graphCtx.stroke();
+
+    // Pinned nodes get a dashed outer ring
+    if (pos.pinned) {
+      graphCtx.save();
+      graphCtx.setLineDash([3, 3]);
+      graphCtx.strokeStyle = '#e6edf3';
+      graphCtx.lineWidth = 1;
+      graphCtx.beginPath();
+      graphCtx.arc(pos.x, pos.y, nodeRadius + 5, 0, 2 * Math.PI);
+      graphCtx.stroke();
+      graphCtx.restore();
+    }
+
+    // Draw node label
+    graphCtx.fillStyle = isHovered ? '#58a6ff' : '#e6edf3';
+    graphCtx.font = isHovered ? 'bold 13px "Segoe UI", sans-serif' : '12px "Segoe UI", sans-serif';
+    graphCtx.textAlign = 'center';
+    graphCtx.textBaseline = 'middle';
+    
+    // Shorten ticker for display
+    const displayName = node.replace('.NS', '');
+    graphCtx.fillText(displayName, pos.x, pos.y - 30);
+    
+    // Show additional info on hover
+    if (isHovered && stock) {
+      const momentumPercent = (stock.momentum * 100).toFixed(2);
+      const sign = stock.momentum >= 0 ? '+' : '';
+      graphCtx.fillStyle = '#8b949e';
+      graphCtx.font = '10px "Segoe UI", sans-serif';
+      graphCtx.fillText(`${sign}${momentumPercent}%`, pos.x, pos.y + 35);
+      graphCtx.fillText(stock.label, pos.x, pos.y + 48);
+    }
+  });
+
+  // Legend and hints are drawn in screen space
+  graphCtx.setTransform(1, 0, 0, 1, 0, 0);
+
+  const legend = graphColorMode === 'cluster' && clusterState
+    ? Array.from({ length: clusterState.clusterCount }, (_, cluster) => ({
+      text: `Cluster ${cluster + 1} (${Object.values(clusterState.assignment).filter(value => value === cluster).length})`,
+      color: getClusterColor(cluster)
+    }))
+    : [
+      { text: 'BUY', color: '#3fb950' },
+      { text: 'HOLD', color: '#8b949e' },
+      { text: 'AVOID', color: '#f85149' }
+    ];
+  graphCtx.font = '11px "Segoe UI", sans-serif';
+  graphCtx.textAlign = 'left';
+  legend.forEach((item, i) => {
+    const y = height - 20 - (legend.length - 1 - i) * 15;
+    graphCtx.fillStyle = '#8b949e';
+    graphCtx.fillText(item.text, 20, y);
+    graphCtx.fillStyle = item.color;
+    graphCtx.beginPath();
+    graphCtx.arc(10, y, 5, 0, 2 * Math.PI);
+    graphCtx.fill();
+  });
+
+  const modeLabel = graphMode === 'mst'
+    ? 'MST'
+    : graphMode === 'threshold' ? `Threshold |ρ| ≥ ${graphThreshold.toFixed(2)}` : 'PMFG';
+  graphCtx.fillStyle = '#8b949e';
+  graphCtx.textAlign = 'left';
+  graphCtx.fillText(`${modeLabel} · ${graphNodeList.length} nodes · ${graphEdges.length} edges`, 10, 18);
+
+  graphCtx.fillStyle = '#6e7681';
+  graphCtx.textAlign = 'right';
+  graphCtx.fillText('Drag nodes to pin · double-click to release · scroll to zoom · drag background to pan', width - 10, height - 12);
+}
+
+// MST timeline - rolling windows over stockData.returns, stepped with a slider or
+// played back; the layout carries node positions across steps and fades edges that
+// enter or leave the tree, while survival and tree length show how stable it is
+const MST_TIMELINE_WINDOWS = [60, 120, 250];
+const MST_TIMELINE_STEPS = [5, 20, 60];
+const MST_TIMELINE_INTERVAL_MS = 1500;
+let mstTimelineSettings = { windowDays: 120, stepDays: 20 };
+let mstTimeline = null; // { steps: [{ range, from, to, network, survival, treeLength }] }
+let mstTimelineIndex = 0;
+let mstTimelineTimer = null;
+let mstTimelineChart = null;
+
+function graphEdgeKey(edge) {
+  return [edge.u, edge.v].sort().join('|');
+}
+
+function computeMSTTimeline(windowDays, stepDays) {
+  const rows = stockData.returns;
+  const steps = [];
+  let previousKeys = null;
+
+  for (let end = windowDays; end <= rows.length; end += stepDays) {
+    const range = { from: rows[end - windowDays].Date, to: rows[end - 1].Date };
+    const network = computeNetwork(range);
+    if (network.error) continue;
+
+    const keys = new Set(network.mstEdges.map(graphEdgeKey));
+    const survived = previousKeys ? [...keys].filter(key => previousKeys.has(key)).length : null;
+    steps.push({
+      range,
+      from: network.from,
+      to: network.to,
+      network,
+      survival: previousKeys && previousKeys.size > 0 ? survived / previousKeys.size : null,
+      treeLength: network.mstEdges.reduce((sum, edge) => sum + edge.distance, 0)
+    });
+    previousKeys = keys;
+  }
+  return { steps };
+}
+
+function renderMSTTimeline() {
+  const controls = document.getElementById('graphControls');
+  if (!controls || stockData.returns.length === 0) return;
+
+  let timeline = document.getElementById('mstTimeline');
+  if (!timeline) {
+    timeline = document.createElement('div');
+    timeline.id = 'mstTimeline';
+    timeline.style.cssText = 'background: #0d1117; border: 1px solid #30363d; border-radius: 10px; padding: 12px; margin-bottom: 10px; font-size: 13px; color: #8b949e;';
+    controls.parentNode.insertBefore(timeline, controls.nextSibling);
+  }
+
+  timeline.innerHTML = `
+    <div style="display: flex; flex-wrap: wrap; gap: 10px; align-items: center;">
+      <button id="mstTimelinePlayBtn" class="order-type-btn" style="min-width: 70px;">▶ Play</button>
+      <label>Rolling
+        <select id="mstTimelineWindowSelect" class="trading-select">
+          ${MST_TIMELINE_WINDOWS.map(days => `<option value="${days}" ${days === mstTimelineSettings.windowDays ? 'selected' : ''}>${days} days</option>`).join('')}
+        </select>
+      </label>
+      <label>Step
+        <select id="mstTimelineStepSelect" class="trading-select">
+          ${MST_TIMELINE_STEPS.map(days => `<option value="${days}" ${days === mstTimelineSettings.stepDays ? 'selected' : ''}>${days} days</option>`).join('')}
+        </select>
+      </label>
+      <input type="range" id="mstTimelineSlider" min="0" max="0" step="1" value="0" style="flex: 1; min-width: 160px;">
+      <span id="mstTimelineStatus"></span>
+    </div>
+    <div style="height: 120px; margin-top: 8px;"><canvas id="mstTimelineChart"></canvas></div>
+  `;
+
+  const rebuild = () => {
+    stopMSTTimeline();
+    mstTimelineSettings = {
+      windowDays: parseInt(document.getElementById('mstTimelineWindowSelect').value, 10),
+      stepDays: parseInt(document.getElementById('mstTimelineStepSelect').value, 10)
+    };
+    buildMSTTimeline();
+  };
+  document.getElementById('mstTimelineWindowSelect').addEventListener('change', rebuild);
+  document.getElementById('mstTimelineStepSelect').addEventListener('change', rebuild);
+
+  const slider = document.getElementById('mstTimelineSlider');
+  // Dragging only redraws the tree; releasing applies the window everywhere
+  slider.addEventListener('input', () => {
+    stopMSTTimeline();
+    showMSTTimelineStep(parseInt(slider.value, 10));
+  });
+  slider.addEventListener('change', () => {
+    applyMSTTimelineStep();
+  });
+  document.getElementById('mstTimelinePlayBtn').addEventListener('click', () => {
+    if (mstTimelineTimer) {
+      stopMSTTimeline();
+      applyMSTTimelineStep();
+    } else {
+      playMSTTimeline();
+    }
+  });
+
+  buildMSTTimeline();
+}
+
+function buildMSTTimeline() {
+  mstTimeline = computeMSTTimeline(mstTimelineSettings.windowDays, mstTimelineSettings.stepDays);
+  mstTimelineIndex = Math.max(0, mstTimeline.steps.length - 1);
+
+  const slider = document.getElementById('mstTimelineSlider');
+  const status = document.getElementById('mstTimelineStatus');
+  if (mstTimeline.steps.length === 0) {
+    slider.disabled = true;
+    status.textContent = `Not enough history for a ${mstTimelineSettings.windowDays}-day window`;
+    drawMSTTimelineChart();
+    return;
+  }
+
+  slider.disabled = false;
+  slider.max = mstTimeline.steps.length - 1;
+  slider.value = mstTimelineIndex;
+  drawMSTTimelineChart();
+  updateMSTTimelineStatus();
+}
+
+function updateMSTTimelineStatus() {
+  const step = mstTimeline && mstTimeline.steps[mstTimelineIndex];
+  const status = document.getElementById('mstTimelineStatus');
+  if (!step || !status) return;
+
+  const survival = step.survival === null ? '—' : `${(step.survival * 100).toFixed(0)}%`;
+  status.innerHTML = `
+    <span style="color: #e6edf3;">${step.from} → ${step.to}</span>
+    · step ${mstTimelineIndex + 1}/${mstTimeline.steps.length}
+    · edge survival <span style="color: #e6edf3;">${survival}</span>
+    · tree length <span style="color: #e6edf3;">${step.treeLength.toFixed(3)}</span>
+  `;
+
+  if (mstTimelineChart) {
+    mstTimelineChart.data.datasets.forEach(dataset => {
+      dataset.pointRadius = mstTimeline.steps.map((_, i) => (i === mstTimelineIndex ? 4 : 0));
+    });
+    mstTimelineChart.update('none');
+  }
+}
+
+// Redraw the network for one step without touching the panels that follow the window
+function showMSTTimelineStep(index) {
+  if (!mstTimeline || !mstTimeline.steps[index]) return;
+  mstTimelineIndex = index;
+  const step = mstTimeline.steps[index];
+
+  stockData.network = step.network;
+  const statusEl = document.getElementById('networkWindowStatus');
+  if (statusEl) {
+    statusEl.style.color = '#8b949e';
+    statusEl.textContent = `${step.from} → ${step.to} (${step.network.observations} days)`;
+  }
+  document.getElementById('mstTimelineSlider').value = index;
+  drawMSTGraph();
+  updateClusters();
+  refreshHeatmap();
+  updateMSTTimelineStatus();
+}
+
+// Make the current step the network window for every panel (and the URL)
+function applyMSTTimelineStep() {
+  const step = mstTimeline && mstTimeline.steps[mstTimelineIndex];
+  if (!step) return;
+  syncGraphControls(`${step.range.from}..${step.range.to}`);
+  setNetworkWindow(step.range);
+}
+
+function playMSTTimeline() {
+  if (!mstTimeline || mstTimeline.steps.length === 0) return;
+  if (mstTimelineIndex >= mstTimeline.steps.length - 1) {
+    mstTimelineIndex = -1;
+  }
+
+  document.getElementById('mstTimelinePlayBtn').textContent = '❚❚ Pause';
+  const advance = () => {
+    showMSTTimelineStep(mstTimelineIndex + 1);
+    if (mstTimelineIndex >= mstTimeline.steps.length - 1) {
+      stopMSTTimeline();
+      applyMSTTimelineStep();
+      return;
+    }
+    mstTimelineTimer = setTimeout(advance, MST_TIMELINE_INTERVAL_MS);
+  };
+  advance();
+}
+
+function stopMSTTimeline() {
+  if (mstTimelineTimer) {
+    clearTimeout(mstTimelineTimer);
+    mstTimelineTimer = null;
+  }
+  const button = document.getElementById('mstTimelinePlayBtn');
+  if (button) {
+    button.textContent = '▶ Play';
+  }
+}
+
+function drawMSTTimelineChart() {
+  const canvas = document.getElementById('mstTimelineChart');
+  if (!canvas) return;
+
+  if (mstTimelineChart) {
+    mstTimelineChart.destroy();
+    mstTimelineChart = null;
+  }
+  if (!mstTimeline || mstTimeline.steps.length === 0) return;
+
+  const steps = mstTimeline.steps;
+  mstTimelineChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: steps.map(step => step.to),
+      datasets: [
+        {
+          label: 'Edge survival',
+          data: steps.map(step => (step.survival === null ? null : step.survival * 100)),
+          borderColor: '#3fb950',
+          backgroundColor: '#3fb950',
+          borderWidth: 1.5,
+          pointRadius: steps.map((_, i) => (i === mstTimelineIndex ? 4 : 0)),
+          fill: false,
+          tension: 0,
+          yAxisID: 'survival'
+        },
+        {
+          label: 'Tree length',
+          data: steps.map(step => step.treeLength),
+          borderColor: '#a371f7',
+          backgroundColor: '#a371f7',
+          borderWidth: 1.5,
+          pointRadius: steps.map((_, i) => (i === mstTimelineIndex ? 4 : 0)),
+          fill: false,
+          tension: 0,
+          yAxisID: 'length'
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: '#e6edf3', boxWidth: 12 } },
+        tooltip: CHART_TOOLTIP_OPTIONS
+      },
+      scales: {
+        x: {
+          ticks: { color: '#8b949e', maxTicksLimit: 8 },
+          grid: { color: '#21262d' }
+        },
+        survival: {
+          position: 'left',
+          min: 0,
+          max: 100,
+          ticks: { color: '#3fb950', callback: value => `${value}%` },
+          grid: { color: '#21262d' }
+        },
+        length: {
+          position: 'right',
+          ticks: { color: '#a371f7' },
+          grid: { drawOnChartArea: false }
+        }
+      },
+      interaction: {
+        mode: 'nearest',
+        axis: 'x',
+        intersect: false
+      },
+      onClick: (event, elements) => {
+        if (elements.length > 0) {
+          stopMSTTimeline();
+          showMSTTimelineStep(elements[0].index);
+          applyMSTTimelineStep();
+        }
+      }
+    }
+  });
+}
+
+// Hierarchical clustering - agglomerative linkage over the correlation distance
+// d = √(2(1−ρ)), shown as a dendrogram whose cut height assigns network clusters
+const LINKAGE_METHODS = { single: 'Single', average: 'Average', complete: 'Complete' };
+const CLUSTER_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#a371f7', '#f85149', '#39c5cf', '#db61a2', '#ffa657', '#7ee787', '#79c0ff'];
+const DENDROGRAM_HEIGHT = 280;
+let clusterSettings = { method: 'average', cutHeight: null }; // null = cut at the largest gap
+let clusterState = null; // { tickers, merges, order, cutHeight, assignment, mergeClusters, clusterCount }
+let graphColorMode = 'label'; // 'label' | 'cluster'
+let dendrogramLayout = null;
+let dendrogramDragging = false;
+
+// Agglomerative clustering with single (min), average (UPGMA) or complete (max) linkage.
+// Returns the merge list [{ left, right, distance, members }] where left/right index
+// leaves (< n) or earlier merges (n + k), as in scipy's linkage matrix.
+function computeLinkage(tickers, correlations, method = 'single') {
+  const n = tickers.length;
+  const distance = (a, b) => {
+    const corr = (correlations[tickers[a]] || {})[tickers[b]];
+    return correlationToDistance(typeof corr === 'number' && !isNaN(corr) ? corr : 0);
+  };
+  const clusterDistance = (left, right) => {
+    const pairs = [];
+    left.members.forEach(a => {
+      right.members.forEach(b => {
+        pairs.push(distance(a, b));
+      });
+    });
+    if (method === 'complete') return Math.max(...pairs);
+    if (method === 'average') return meanOf(pairs);
+    return Math.min(...pairs);
+  };
+
+  let clusters = tickers.map((_, i) => ({ id: i, members: [i] }));
+  const merges = [];
+  while (clusters.length > 1) {
+    let best = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = clusterDistance(clusters[i], clusters[j]);
+        if (!best || d < best.d) best = { i, j, d };
+      }
+    }
+    const left = clusters[best.i];
+    const right = clusters[best.j];
+    const merged = { id: n + merges.length, members: [...left.members, ...right.members] };
+    merges.push({ left: left.id, right: right.id, distance: best.d, members: merged.members });
+    clusters = clusters.filter((_, k) => k !== best.i && k !== best.j);
+    clusters.push(merged);
+  }
+  return merges;
+}
+
+// Cut halfway across the widest gap between successive merge heights
+function getDefaultCutHeight(merges) {
+  if (merges.length < 2) return merges.length ? merges[0].distance : 0;
+  let bestGap = -1;
+  let cut = merges[merges.length - 1].distance;
+  for (let k = 1; k < merges.length; k++) {
+    const gap = merges[k].distance - merges[k - 1].distance;
+    if (gap > bestGap) {
+      bestGap = gap;
+      cut = (merges[k].distance + merges[k - 1].distance) / 2;
+    }
+  }
+  return cut;
+}
+
+// Clusters are the subtrees whose root merges at or below the cut, numbered in
+// dendrogram (leaf) order so colors stay stable as the cut moves
+function cutLinkage(tickers, merges, order, cutHeight) {
+  const n = tickers.length;
+  const leafCluster = new Array(n).fill(null);
+  const mergeClusters = new Array(merges.length).fill(null);
+  const rootOf = new Array(n).fill(null);
+
+  merges.forEach((merge, k) => {
+    if (merge.distance <= cutHeight) {
+      merge.members.forEach(leaf => {
+        rootOf[leaf] = k;
+      });
+    }
+  });
+
+  let clusterCount = 0;
+  const clusterOfRoot = {};
+  order.forEach(leaf => {
+    const key = rootOf[leaf] === null ? `leaf${leaf}` : `merge${rootOf[leaf]}`;
+    if (clusterOfRoot[key] === undefined) clusterOfRoot[key] = clusterCount++;
+    leafCluster[leaf] = clusterOfRoot[key];
+  });
+  merges.forEach((merge, k) => {
+    if (merge.distance <= cutHeight) mergeClusters[k] = leafCluster[merge.members[0]];
+  });
+
+  const assignment = {};
+  tickers.forEach((ticker, i) => {
+    assignment[ticker] = leafCluster[i];
+  });
+  return { assignment, mergeClusters, clusterCount };
+}
+
+// Recompute the linkage for the active correlations and redraw what depends on it
+function updateClusters() {
+  const tickers = getReturnTickers().filter(ticker => getActiveCorrelations()[ticker]);
+  if (tickers.length < 2) {
+    clusterState = null;
+    return;
+  }
+
+  const merges = computeLinkage(tickers, getActiveCorrelations(), clusterSettings.method);
+  const order = merges[merges.length - 1].members;
+  const maxHeight = merges[merges.length - 1].distance;
+  const cutHeight = clusterSettings.cutHeight === null
+    ? getDefaultCutHeight(merges)
+    : Math.min(clusterSettings.cutHeight, maxHeight);
+
+  clusterState = { tickers, merges, order, cutHeight, ...cutLinkage(tickers, merges, order, cutHeight) };
+
+  const slider = document.getElementById('clusterCutSlider');
+  if (slider) {
+    slider.max = (maxHeight * 1.05).toFixed(3);
+    slider.value = cutHeight;
+  }
+  drawDendrogram();
+  if (graphColorMode === 'cluster') {
+    redrawGraph();
+  }
+  if (heatmapSettings.order === 'cluster') {
+    drawHeatmap();
+  }
+}
+
+function getClusterColor(cluster) {
+  return cluster === null || cluster === undefined ? '#6e7681' : CLUSTER_COLORS[cluster % CLUSTER_COLORS.length];
+}
+
+function renderClusterPanel() {
+  const placeholder = document.querySelector('.graph-placeholder');
+  if (!placeholder || stockData.returns.length === 0 && Object.keys(stockData.correlations).length === 0) return;
+
+  let panel = document.getElementById('clusterPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'clusterPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    placeholder.parentNode.insertBefore(panel, placeholder.nextSibling);
+  }
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Hierarchical Clustering</div>
+      <div style="display: flex; gap: 14px; align-items: center; font-size: 12px; color: #8b949e;">
+        <label>Linkage
+          <select id="clusterMethodSelect" class="trading-select">
+            ${Object.entries(LINKAGE_METHODS).map(([key, label]) => `<option value="${key}" ${key === clusterSettings.method ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </label>
+        <label>Cut height
+          <input type="range" id="clusterCutSlider" min="0" max="2" step="0.005">
+        </label>
+        <span id="clusterSummary"></span>
+        <button id="clusterAutoCutBtn" class="order-type-btn">Auto cut</button>
+        <span id="clusterExport"></span>
+      </div>
+    </div>
+    <canvas id="dendrogramCanvas" style="width: 100%; cursor: crosshair;"></canvas>
+    <div style="color: #6e7681; font-size: 11px; margin-top: 6px;">Drag on the tree to move the cut · click a ticker to open it · pick "Color: Cluster" above the network to color nodes by cluster</div>
+  `;
+
+  attachExportMenu(document.getElementById('clusterExport'), [
+    ...getTableExportActions('Cluster assignment', `clusters-${clusterSettings.method}`, () => (clusterState ? {
+      columns: [
+        { key: 'ticker', header: 'Ticker' },
+        { key: 'cluster', header: 'cluster' }
+      ],
+      rows: clusterState.order.map(leaf => ({
+        ticker: clusterState.tickers[leaf],
+        cluster: clusterState.assignment[clusterState.tickers[leaf]] + 1
+      }))
+    } : null)),
+    ...getCanvasExportActions('Dendrogram', 'dendrogram', () => document.getElementById('dendrogramCanvas'))
+  ]);
+
+  document.getElementById('clusterMethodSelect').addEventListener('change', event => {
+    clusterSettings.method = event.target.value;
+    updateClusters();
+  });
+  document.getElementById('clusterCutSlider').addEventListener('input', event => {
+    clusterSettings.cutHeight = parseFloat(event.target.value);
+    updateClusters();
+  });
+  document.getElementById('clusterAutoCutBtn').addEventListener('click', () => {
+    clusterSettings.cutHeight = null;
+    updateClusters();
+  });
+
+  const canvas = document.getElementById('dendrogramCanvas');
+  const pointer = event => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+  const setCutFromPointer = ({ y }) => {
+    if (!dendrogramLayout) return;
+    clusterSettings.cutHeight = Math.max(0, dendrogramLayout.heightAt(y));
+    updateClusters();
+  };
+
+  canvas.addEventListener('mousedown', event => {
+    const point = pointer(event);
+    if (dendrogramLayout && point.y < dendrogramLayout.baseline) {
+      dendrogramDragging = true;
+      setCutFromPointer(point);
+    }
+  });
+  canvas.addEventListener('mousemove', event => {
+    const point = pointer(event);
+    if (dendrogramDragging) {
+      setCutFromPointer(point);
+      return;
+    }
+    const leaf = dendrogramLayout ? dendrogramLayout.leafAt(point) : null;
+    if (leaf !== hoveredNode) {
+      // Hovering a leaf highlights the same stock in the network
+      hoveredNode = leaf;
+      redrawGraph();
+      drawDendrogram();
+    }
+  });
+  window.addEventListener('mouseup', () => {
+    dendrogramDragging = false;
+  });
+  canvas.addEventListener('mouseleave', () => {
+    if (hoveredNode && !dendrogramDragging) {
+      hoveredNode = null;
+      redrawGraph();
+      drawDendrogram();
+    }
+  });
+  canvas.addEventListener('click', event => {
+    const leaf = dendrogramLayout ? dendrogramLayout.leafAt(pointer(event)) : null;
+    if (leaf) {
+      showStockDetails(leaf);
+    }
+  });
+
+  updateClusters();
+}
+
+function drawDendrogram() {
+  const canvas = document.getElementById('dendrogramCanvas');
+  if (!canvas || !clusterState) return;
+
+  const width = canvas.clientWidth > 0 ? canvas.clientWidth : 800;
+  canvas.width = width;
+  canvas.height = DENDROGRAM_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const { tickers, merges, order, cutHeight, mergeClusters, assignment, clusterCount } = clusterState;
+  const n = tickers.length;
+
+  const margin = { left: 45, right: 15, top: 15, bottom: 60 };
+  const baseline = DENDROGRAM_HEIGHT - margin.bottom;
+  const maxHeight = merges[merges.length - 1].distance * 1.05 || 1;
+  const yFor = height => baseline - (height / maxHeight) * (baseline - margin.top);
+  const slot = (width - margin.left - margin.right) / n;
+  const leafX = {};
+  order.forEach((leaf, position) => {
+    leafX[leaf] = margin.left + slot * (position + 0.5);
+  });
+
+  // Node coordinates: leaves on the baseline, merges at their linkage height
+  const nodeX = id => (id < n ? leafX[id] : mergeX[id - n]);
+  const nodeY = id => (id < n ? baseline : yFor(merges[id - n].distance));
+  const mergeX = [];
+  merges.forEach(merge => {
+    mergeX.push((nodeX(merge.left) + nodeX(merge.right)) / 2);
+  });
+
+  dendrogramLayout = {
+    baseline,
+    heightAt: y => ((baseline - y) / (baseline - margin.top)) * maxHeight,
+    leafAt: ({ x, y }) => {
+      if (y < baseline - 5) return null;
+      const position = Math.floor((x - margin.left) / slot);
+      return position >= 0 && position < n ? tickers[order[position]] : null;
+    }
+  };
+
+  ctx.clearRect(0, 0, width, DENDROGRAM_HEIGHT);
+
+  // Height axis
+  ctx.strokeStyle = '#30363d';
+  ctx.fillStyle = '#8b949e';
+  ctx.font = '10px "Segoe UI", sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let k = 0; k <= 4; k++) {
+    const height = (maxHeight * k) / 4;
+    const y = yFor(height);
+    ctx.beginPath();
+    ctx.moveTo(margin.left - 4, y);
+    ctx.lineTo(width - margin.right, y);
+    ctx.globalAlpha = k === 0 ? 1 : 0.3;
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.fillText(height.toFixed(2), margin.left - 6, y);
+  }
+
+  // Branches: colored by cluster below the cut, grey above it
+  ctx.lineWidth = 1.5;
+  merges.forEach((merge, k) => {
+    const y = yFor(merge.distance);
+    ctx.strokeStyle = getClusterColor(mergeClusters[k]);
+    ctx.beginPath();
+    ctx.moveTo(nodeX(merge.left), nodeY(merge.left));
+    ctx.lineTo(nodeX(merge.left), y);
+    ctx.lineTo(nodeX(merge.right), y);
+    ctx.lineTo(nodeX(merge.right), nodeY(merge.right));
+    ctx.stroke();
+  });
+
+  // Cut line
+  const cutY = yFor(cutHeight);
+  ctx.save();
+  ctx.setLineDash([6, 4]);
+  ctx.strokeStyle = '#e6edf3';
+  ctx.beginPath();
+  ctx.moveTo(margin.left, cutY);
+  ctx.lineTo(width - margin.right, cutY);
+  ctx.stroke();
+  ctx.restore();
+
+  // Leaf labels
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  order.forEach(leaf => {
+    const ticker = tickers[leaf];
+    ctx.save();
+    ctx.translate(leafX[leaf], baseline + 8);
+    ctx.rotate(-Math.PI / 3);
+    ctx.fillStyle = ticker === hoveredNode ? '#58a6ff' : getClusterColor(assignment[ticker]);
+    ctx.font = ticker === hoveredNode ? 'bold 11px "Segoe UI", sans-serif' : '11px "Segoe UI", sans-serif';
+    ctx.fillText(ticker.replace('.NS', ''), 0, 0);
+    ctx.restore();
+  });
+
+  const summary = document.getElementById('clusterSummary');
+  if (summary) {
+    summary.textContent = `cut ${cutHeight.toFixed(3)} → ${clusterCount} cluster(s) · ${describeNetworkWindow()}`;
+  }
+}
+
+// Correlation heatmap - the full active matrix on a diverging scale, optionally in
+// dendrogram order, with a click-through pair view (returns, scatter, rolling ρ)
+const PAIR_ROLLING_WINDOWS = [20, 60, 120];
+const PAIR_MIN_OBSERVATIONS = 10; // fewest overlapping returns behind any pair statistic
+let heatmapSettings = { order: 'cluster' }; // 'ticker' | 'cluster'
+let heatmapLayout = null;
+let heatmapHover = null;
+let selectedPair = null; // { a, b }
+let pairRollingWindow = 60;
+let pairCharts = {};
+
+// Diverging scale: −1 red, 0 panel grey, +1 blue
+function correlationColor(corr) {
+  if (typeof corr !== 'number' || isNaN(corr)) return '#21262d';
+  const mid = [33, 38, 45];
+  const end = corr >= 0 ? [88, 166, 255] : [248, 81, 73];
+  const t = Math.min(1, Math.abs(corr));
+  const channel = k => Math.round(mid[k] + (end[k] - mid[k]) * t);
+  return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+function getHeatmapOrder() {
+  const tickers = getReturnTickers().filter(ticker => getActiveCorrelations()[ticker]);
+  if (heatmapSettings.order === 'cluster' && clusterState && clusterState.tickers.length === tickers.length) {
+    return clusterState.order.map(leaf => clusterState.tickers[leaf]);
+  }
+  return tickers.sort((x, y) => x.localeCompare(y));
+}
+
+function renderHeatmapPanel() {
+  const anchor = document.getElementById('clusterPanel') || document.querySelector('.graph-placeholder');
+  if (!anchor || getReturnTickers().length < 2) return;
+
+  let panel = document.getElementById('heatmapPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'heatmapPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    anchor.parentNode.insertBefore(panel, anchor.nextSibling);
+  }
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Correlation Heatmap</div>
+      <div style="display: flex; gap: 14px; align-items: center; font-size: 12px; color: #8b949e;">
+        <label>Order
+          <select id="heatmapOrderSelect" class="trading-select">
+            <option value="cluster" ${heatmapSettings.order === 'cluster' ? 'selected' : ''}>Cluster (dendrogram)</option>
+            <option value="ticker" ${heatmapSettings.order === 'ticker' ? 'selected' : ''}>Ticker</option>
+          </select>
+        </label>
+        <span style="display: flex; align-items: center; gap: 6px;">−1
+          <span style="display: inline-block; width: 120px; height: 10px; border-radius: 2px; background: linear-gradient(to right, ${correlationColor(-1)}, ${correlationColor(0)}, ${correlationColor(1)});"></span>
+        +1</span>
+        <span id="heatmapExport"></span>
+      </div>
+    </div>
+    <div id="heatmapReadout" style="color: #8b949e; font-size: 12px; min-height: 16px; margin-bottom: 6px;"></div>
+    <canvas id="heatmapCanvas" style="width: 100%; cursor: pointer;"></canvas>
+    <div id="pairView"></div>
+  `;
+
+  attachExportMenu(document.getElementById('heatmapExport'), [
+    ...getTableExportActions('Correlation matrix', 'correlations', getCorrelationTable),
+    ...getCanvasExportActions('Heatmap', 'heatmap', () => document.getElementById('heatmapCanvas'))
+  ]);
+
+  document.getElementById('heatmapOrderSelect').addEventListener('change', event => {
+    heatmapSettings.order = event.target.value;
+    drawHeatmap();
+  });
+
+  const canvas = document.getElementById('heatmapCanvas');
+  const cellAt = event => {
+    if (!heatmapLayout) return null;
+    const rect = canvas.getBoundingClientRect();
+    return heatmapLayout.cellAt(event.clientX - rect.left, event.clientY - rect.top);
+  };
+  canvas.addEventListener('mousemove', event => {
+    const cell = cellAt(event);
+    const key = cell ? `${cell.a}|${cell.b}` : null;
+    if (key === (heatmapHover ? `${heatmapHover.a}|${heatmapHover.b}` : null)) return;
+    heatmapHover = cell;
+    drawHeatmap();
+  });
+  canvas.addEventListener('mouseleave', () => {
+    heatmapHover = null;
+    drawHeatmap();
+  });
+  canvas.addEventListener('click', event => {
+    const cell = cellAt(event);
+    if (cell && cell.a !== cell.b) {
+      showCorrelationPair(cell.a, cell.b);
+    }
+  });
+
+  drawHeatmap();
+}
+
+function drawHeatmap() {
+  const canvas = document.getElementById('heatmapCanvas');
+  if (!canvas) return;
+
+  const tickers = getHeatmapOrder();
+  const correlations = getActiveCorrelations();
+  const n = tickers.length;
+  const labelSpace = 90;
+  const available = (canvas.clientWidth > 0 ? canvas.clientWidth : 800) - labelSpace - 10;
+  const cell = Math.max(8, Math.min(48, Math.floor(Math.min(available, 640) / n)));
+  const size = labelSpace + cell * n + 10;
+  canvas.width = size;
+  canvas.height = size;
+  canvas.style.width = `${size}px`;
+  const ctx = canvas.getContext('2d');
+  const label = ticker => ticker.replace('.NS', '');
+
+  heatmapLayout = {
+    cellAt: (x, y) => {
+      const col = Math.floor((x - labelSpace) / cell);
+      const row = Math.floor((y - labelSpace) / cell);
+      if (col < 0 || row < 0 || col >= n || row >= n) return null;
+      return { a: tickers[row], b: tickers[col] };
+    }
+  };
+
+  ctx.clearRect(0, 0, size, size);
+  ctx.textBaseline = 'middle';
+  tickers.forEach((a, row) => {
+    tickers.forEach((b, col) => {
+      const corr = a === b ? 1 : (correlations[a] || {})[b];
+      const x = labelSpace + col * cell;
+      const y = labelSpace + row * cell;
+      ctx.fillStyle = correlationColor(corr);
+      ctx.fillRect(x, y, cell - 1, cell - 1);
+      if (cell >= 30 && typeof corr === 'number' && !isNaN(corr)) {
+        ctx.fillStyle = Math.abs(corr) > 0.6 ? '#0d1117' : '#e6edf3';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(corr.toFixed(2), x + cell / 2, y + cell / 2);
+      }
+    });
+  });
+
+  // Hovered row/column and the selected pair
+  const outline = (a, b, color) => {
+    const row = tickers.indexOf(a);
+    const col = tickers.indexOf(b);
+    if (row === -1 || col === -1) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(labelSpace + col * cell, labelSpace + row * cell, cell - 1, cell - 1);
+  };
+  if (selectedPair) {
+    outline(selectedPair.a, selectedPair.b, '#d29922');
+    outline(selectedPair.b, selectedPair.a, '#d29922');
+  }
+  if (heatmapHover) {
+    outline(heatmapHover.a, heatmapHover.b, '#e6edf3');
+  }
+
+  ctx.font = '11px "Segoe UI", sans-serif';
+  tickers.forEach((ticker, i) => {
+    const active = heatmapHover && (heatmapHover.a === ticker || heatmapHover.b === ticker);
+    ctx.fillStyle = active ? '#58a6ff' : '#8b949e';
+    ctx.textAlign = 'right';
+    ctx.fillText(label(ticker), labelSpace - 6, labelSpace + i * cell + cell / 2);
+    ctx.save();
+    ctx.translate(labelSpace + i * cell + cell / 2, labelSpace - 6);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'left';
+    ctx.fillText(label(ticker), 0, 0);
+    ctx.restore();
+  });
+
+  const readout = document.getElementById('heatmapReadout');
+  if (readout) {
+    if (heatmapHover) {
+      const corr = heatmapHover.a === heatmapHover.b ? 1 : (correlations[heatmapHover.a] || {})[heatmapHover.b];
+      readout.innerHTML = `${escapeHTML(heatmapHover.a)} × ${escapeHTML(heatmapHover.b)}: <span style="color: #e6edf3;">ρ = ${typeof corr === 'number' && !isNaN(corr) ? corr.toFixed(3) : 'n/a'}</span>${heatmapHover.a !== heatmapHover.b ? ' · click for the pair view' : ''}`;
+    } else {
+      readout.textContent = `${n} tickers · ${describeNetworkWindow()}`;
+    }
+  }
+}
+
+// Pairwise-complete returns for two tickers over the active window, the OLS fit
+// of b on a, and their rolling correlation over the full history. A rolling point needs
+// at least half its window (and PAIR_MIN_OBSERVATIONS) in overlapping returns, else null.
+function computePairStats(a, b, rollingWindow) {
+  const windowRows = stockData.network ? getReturnsWindow(stockData.network.window) : stockData.returns;
+  const isReturn = value => typeof value === 'number' && !isNaN(value);
+  const paired = windowRows.filter(row => isReturn(row[a]) && isReturn(row[b]));
+  if (paired.length < PAIR_MIN_OBSERVATIONS) {
+    return { error: `Only ${paired.length} overlapping return(s) for ${a} and ${b} - need at least ${PAIR_MIN_OBSERVATIONS}` };
+  }
+
+  const xs = paired.map(row => row[a]);
+  const ys = paired.map(row => row[b]);
+  const meanX = meanOf(xs);
+  const meanY = meanOf(ys);
+  let sxy = 0;
+  let sxx = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - meanX) * (ys[i] - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const correlation = pearsonCorrelation(xs, ys);
+
+  const cumulative = ticker => {
+    let value = 1;
+    return paired.map(row => {
+      value *= 1 + row[ticker];
+      return value;
+    });
+  };
+
+  const allA = stockData.returns.map(row => (isReturn(row[a]) ? row[a] : null));
+  const allB = stockData.returns.map(row => (isReturn(row[b]) ? row[b] : null));
+  const minimumOverlap = Math.max(PAIR_MIN_OBSERVATIONS, Math.ceil(rollingWindow / 2));
+  const rolling = [];
+  for (let end = rollingWindow; end <= stockData.returns.length; end++) {
+    const sliceA = allA.slice(end - rollingWindow, end);
+    const sliceB = allB.slice(end - rollingWindow, end);
+    const overlap = sliceA.filter((value, i) => value !== null && sliceB[i] !== null).length;
+    const corr = overlap >= minimumOverlap ? pearsonCorrelation(sliceA, sliceB) : NaN;
+    rolling.push({ date: stockData.returns[end - 1].Date, corr: isNaN(corr) ? null : corr });
+  }
+
+  return {
+    dates: paired.map(row => row.Date),
+    xs,
+    ys,
+    cumulativeA: cumulative(a),
+    cumulativeB: cumulative(b),
+    correlation,
+    slope,
+    intercept: meanY - slope * meanX,
+    rSquared: correlation * correlation,
+    rolling
+  };
+}
+
+function showCorrelationPair(a, b) {
+  if (!document.getElementById('pairView')) {
+    renderHeatmapPanel();
+  }
+  selectedPair = { a, b };
+  drawHeatmap();
+  renderPairView();
+  const panel = document.getElementById('heatmapPanel');
+  if (panel) {
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+function renderPairView() {
+  const container = document.getElementById('pairView');
+  if (!container) return;
+
+  Object.values(pairCharts).forEach(chart => chart.destroy());
+  pairCharts = {};
+  if (!selectedPair) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const { a, b } = selectedPair;
+  const stats = computePairStats(a, b, pairRollingWindow);
+  if (stats.error) {
+    container.innerHTML = `<div style="color: #f85149; font-size: 13px; margin-top: 15px;">${escapeHTML(stats.error)}</div>`;
+    return;
+  }
+
+  const stat = (labelText, value) => `
+    <div style="background: #0d1117; padding: 8px 12px; border-radius: 6px; border: 1px solid #30363d;">
+      <div style="font-size: 11px; color: #8b949e;">${labelText}</div>
+      <div style="font-size: 14px; color: #e6edf3; margin-top: 2px;">${value}</div>
+    </div>
+  `;
+  const fixed = value => (Number.isFinite(value) ? value.toFixed(3) : 'n/a'); // e.g. a flat return series
+
+  container.innerHTML = `
+    <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #30363d;">
+      <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 12px;">
+        <div style="color: #e6edf3; font-size: 16px;">${escapeHTML(a)} vs ${escapeHTML(b)}</div>
+        <div style="display: flex; gap: 10px; align-items: center; font-size: 12px; color: #8b949e;">
+          <label>Rolling window
+            <select id="pairRollingSelect" class="trading-select">
+              ${PAIR_ROLLING_WINDOWS.map(days => `<option value="${days}" ${days === pairRollingWindow ? 'selected' : ''}>${days} days</option>`).join('')}
+            </select>
+          </label>
+          <button id="pairSwapBtn" class="order-type-btn">Swap axes</button>
+          <button id="pairCloseBtn" class="order-type-btn">Close</button>
+        </div>
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 15px;">
+        ${stat('Correlation ρ', fixed(stats.correlation))}
+        ${stat(`Beta of ${escapeHTML(b)} on ${escapeHTML(a)}`, fixed(stats.slope))}
+        ${stat('R²', fixed(stats.rSquared))}
+        ${stat('Observations', `${stats.xs.length} (${describeNetworkWindow()})`)}
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 15px;">
+        <div style="height: 260px;"><canvas id="pairReturnsChart"></canvas></div>
+        <div style="height: 260px;"><canvas id="pairScatterChart"></canvas></div>
+      </div>
+      <div style="height: 220px; margin-top: 15px;"><canvas id="pairRollingChart"></canvas></div>
+    </div>
+  `;
+
+  document.getElementById('pairRollingSelect').addEventListener('change', event => {
+    pairRollingWindow = parseInt(event.target.value, 10);
+    renderPairView();
+  });
+  document.getElementById('pairSwapBtn').addEventListener('click', () => {
+    selectedPair = { a: b, b: a };
+    drawHeatmap();
+    renderPairView();
+  });
+  document.getElementById('pairCloseBtn').addEventListener('click', () => {
+    selectedPair = null;
+    drawHeatmap();
+    renderPairView();
+  });
+
+  drawPairCharts(a, b, stats);
+}
+
+function drawPairCharts(a, b, stats) {
+  const axis = title => ({
+    ticks: { color: '#8b949e', maxTicksLimit: 8 },
+    grid: { color: '#21262d' },
+    title: title ? { display: true, text: title, color: '#8b949e' } : undefined
+  });
+  const legend = { labels: { color: '#e6edf3' } };
+
+  pairCharts.returns = new Chart(document.getElementById('pairReturnsChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: stats.dates,
+      datasets: [
+        { label: `${a} (growth of 1)`, data: stats.cumulativeA, borderColor: '#58a6ff', borderWidth: 1.5, pointRadius: 0, fill: false, tension: 0 },
+        { label: `${b} (growth of 1)`, data: stats.cumulativeB, borderColor: '#d29922', borderWidth: 1.5, pointRadius: 0, fill: false, tension: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend, tooltip: CHART_TOOLTIP_OPTIONS },
+      scales: { x: axis(), y: axis() },
+      interaction: { mode: 'nearest', axis: 'x', intersect: false }
+    }
+  });
+
+  const minX = Math.min(...stats.xs);
+  const maxX = Math.max(...stats.xs);
+  pairCharts.scatter = new Chart(document.getElementById('pairScatterChart').getContext('2d'), {
+    type: 'scatter',
+    data: {
+      datasets: [
+        {
+          label: 'Daily returns',
+          data: stats.xs.map((x, i) => ({ x, y: stats.ys[i], date: stats.dates[i] })),
+          backgroundColor: 'rgba(88, 166, 255, 0.5)',
+          pointRadius: 2.5
+        },
+        {
+          label: `y = ${stats.intercept.toFixed(4)} + ${stats.slope.toFixed(3)}x`,
+          type: 'line',
+          data: [
+            { x: minX, y: stats.intercept + stats.slope * minX },
+            { x: maxX, y: stats.intercept + stats.slope * maxX }
+          ],
+          borderColor: '#f85149',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend,
+        tooltip: {
+          ...CHART_TOOLTIP_OPTIONS,
+          mode: 'nearest',
+          intersect: true,
+          callbacks: {
+            label: context => {
+              const point = context.raw;
+              const prefix = point.date ? `${point.date}: ` : '';
+              return `${prefix}${a} ${(point.x * 100).toFixed(2)}%, ${b} ${(point.y * 100).toFixed(2)}%`;
+            }
+          }
+        }
+      },
+      scales: { x: { ...axis(`${a} return`), type: 'linear' }, y: axis(`${b} return`) }
+    }
+  });
+
+  pairCharts.rolling = new Chart(document.getElementById('pairRollingChart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: stats.rolling.map(point => point.date),
+      datasets: [
+        {
+          label: `${pairRollingWindow}-day rolling correlation`,
+          data: stats.rolling.map(point => point.corr),
+          borderColor: '#a371f7',
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: false,
+          tension: 0,
+          spanGaps: false
+        },
+        {
+          label: `Window ρ (${describeNetworkWindow()})`,
+          data: stats.rolling.map(() => (Number.isFinite(stats.correlation) ? stats.correlation : null)),
+          borderColor: '#8b949e',
+          borderWidth: 1,
+          borderDash: [4, 3],
+          pointRadius: 0,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend, tooltip: CHART_TOOLTIP_OPTIONS },
+      scales: { x: axis(), y: { ...axis(), min: -1, max: 1 } },
+      interaction: { mode: 'nearest', axis: 'x', intersect: false }
+    }
+  });
+}
+
+// The heatmap follows the network window; the open pair view is recomputed with it
+function refreshHeatmap() {
+  drawHeatmap();
+  if (selectedPair) {
+    renderPairView();
+  }
+}
+
+// Update market trends
+function updateMarketTrends() {
+  if (stockData.returns.length === 0) return;
+
+  const trendBox = document.querySelector('.trend-box');
+  if (!trendBox) return;
+
+  // Calculate average returns for each market group in tickers.csv (in the base currency when one is set)
+  const marketCurrency = baseCurrency === 'native' ? null : baseCurrency;
+  const marketAverages = getMarketGroups(getReturnTickers()).map(({ market, tickers }) => {
+    let total = 0;
+    let count = 0;
+    stockData.returns.forEach((day, index) => {
+      getReturnsInCurrency(index, tickers, marketCurrency).forEach(ret => {
+        total += ret;
+        count++;
+      });
+    });
+    return { market, avgReturn: count > 0 ? (total / count) * 100 : 0 };
+  });
+
+  // Calculate equal-weight portfolio value in the reporting currency (assuming starting at 10000)
+  const portfolioCurrency = getReportingCurrency();
+  let portfolioValue = 10000;
+  stockData.returns.forEach((day, index) => {
+    const dayReturns = getReturnsInCurrency(index, getReturnTickers(), portfolioCurrency);
+    if (dayReturns.length > 0) {
+      portfolioValue *= (1 + dayReturns.reduce((sum, ret) => sum + ret, 0) / dayReturns.length);
+    }
+  });
+
+  trendBox.innerHTML = `
+    ${marketAverages.map(({ market, avgReturn }) => `
+      <p>${escapeHTML(market)} Market Avg${marketCurrency ? ` (${marketCurrency})` : ''}: <span>${avgReturn >= 0 ? '+' : ''}${avgReturn.toFixed(2)}%</span></p>
+    `).join('')}
+    <p>Portfolio Value: <span>${formatMoney(portfolioValue, portfolioCurrency)}</span></p>
+  `;
+}
+
+// One day's returns for the given tickers, FX-adjusted into `currency` (left native when null)
+function getReturnsInCurrency(dayIndex, tickers, currency) {
+  const day = stockData.returns[dayIndex];
+  const prevDate = dayIndex > 0 ? stockData.returns[dayIndex - 1].Date : null;
+  return tickers
+    .map(ticker => {
+      const ret = parseFloat(day[ticker]);
+      return isNaN(ret) ? NaN : getFXAdjustedReturn(ret, getTickerCurrency(ticker), currency, day.Date, prevDate);
+    })
+    .filter(ret => !isNaN(ret));
+}
+
+// Line colors for market groups, assigned in tickers.csv order
+const MARKET_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#a371f7', '#39c5cf', '#db61a2'];
+
+// Draw market trends chart
+function drawMarketTrendsChart() {
+  if (stockData.returns.length === 0) return;
+
+  const canvas = document.getElementById('marketChart');
+  if (!canvas) return;
+
+  // Prepare data for chart
+  const dates = stockData.returns.map(day => day.Date).slice(-30); // Last 30 days
+  const marketGroups = getMarketGroups(getReturnTickers());
+
+  const marketCurrency = baseCurrency === 'native' ? null : baseCurrency;
+  const portfolioCurrency = getReportingCurrency();
+
+  // Calculate cumulative returns for each market group
+  const marketSeries = marketGroups.map(({ market, tickers }) => ({ market, tickers, cumulative: 0, values: [] }));
+  const portfolioValues = [];
+  let portfolioValue = 10000;
+  const firstIndex = Math.max(0, stockData.returns.length - 30);
+
+  for (let index = firstIndex; index < stockData.returns.length; index++) {
+    // Market average return
+    marketSeries.forEach(series => {
+      const dayReturns = getReturnsInCurrency(index, series.tickers, marketCurrency);
+      if (dayReturns.length > 0) {
+        series.cumulative += dayReturns.reduce((sum, ret) => sum + ret, 0) / dayReturns.length;
+      }
+      series.values.push(series.cumulative * 100);
+    });
+
+    // Portfolio value
+    const dayReturns = getReturnsInCurrency(index, getReturnTickers(), portfolioCurrency);
+    if (dayReturns.length > 0) {
+      portfolioValue *= (1 + dayReturns.reduce((sum, ret) => sum + ret, 0) / dayReturns.length);
+    }
+    portfolioValues.push(portfolioValue);
+  }
+
+  // Destroy existing chart if it exists
+  if (marketChart) {
+    marketChart.destroy();
+  }
+
+  if (!document.getElementById('marketChartExport')) {
+    const exportControls = document.createElement('div');
+    exportControls.id = 'marketChartExport';
+    exportControls.style.cssText = 'text-align: right; margin-bottom: 6px;';
+    canvas.parentNode.insertBefore(exportControls, canvas);
+    attachExportMenu(exportControls, getCanvasExportActions('Market trends chart', 'market-trends', () => document.getElementById('marketChart')));
+  }
+
+  // Create new chart
+  const ctx = canvas.getContext('2d');
+  marketChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: dates,
+      datasets: [
+        ...marketSeries.map((series, index) => {
+          const color = MARKET_COLORS[index % MARKET_COLORS.length];
+          return {
+            label: `${series.market} Market (Cumulative Return %${marketCurrency ? `, ${marketCurrency}` : ''})`,
+            data: series.values,
+            borderColor: color,
+            backgroundColor: `${color}1a`,
+            tension: 0.4,
+            fill: true
+          };
+        }),
+        {
+          label: `Portfolio Value (${portfolioCurrency})`,
+          data: portfolioValues,
+          borderColor: '#f85149',
+          backgroundColor: 'rgba(248, 81, 73, 0.1)',
+          tension: 0.4,
+          yAxisID: 'y1',
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: {
+            color: '#e6edf3'
+          }
+        },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          backgroundColor: '#161b22',
+          titleColor: '#e6edf3',
+          bodyColor: '#e6edf3',
+          borderColor: '#30363d',
+          borderWidth: 1
+        }
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: '#8b949e',
+            maxRotation: 45,
+            minRotation: 45
+          },
+          grid: {
+            color: '#21262d'
+          }
+        },
+        y: {
+          type: 'linear',
+          display: true,
+          position: 'left',
+          ticks: {
+            color: '#8b949e'
+          },
+          grid: {
+            color: '#21262d'
+          }
+        },
+        y1: {
+          type: 'linear',
+          display: true,
+          position: 'right',
+          ticks: {
+            color: '#8b949e'
+          },
+          grid: {
+            drawOnChartArea: false
+          }
+        }
+      },
+      interaction: {
+        mode: 'nearest',
+        axis: 'x',
+        intersect: false
+      }
+    }
+  });
+}
+
+// Watchlists and alerts - named ticker lists shown as a card strip next to the
+// trending cards, and alert rules evaluated every time the data loads
+const WATCHLISTS_STORAGE_KEY = 'stockgraphix.watchlists';
+const ALERTS_STORAGE_KEY = 'stockgraphix.alerts';
+const ALERT_HISTORY_LIMIT = 200;
+const ALERT_RULE_TYPES = {
+  label: 'Label changes to',
+  momentum: 'Momentum',
+  correlation: 'Correlation with',
+  smaCross: 'Close crosses SMA'
+};
+let watchlists = null; // [{ id, name, tickers }]
+let selectedWatchlistId = null;
+let alertState = null; // { rules: [{ id, type, ticker, ..., lastValue }], history: [{ id, ruleId, message, dataDate, time, read }] }
+
+function loadWatchlists() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WATCHLISTS_STORAGE_KEY) || '[]');
+    if (Array.isArray(saved)) {
+      return saved.filter(watchlist => watchlist && watchlist.id && Array.isArray(watchlist.tickers));
+    }
+  } catch (error) {
+    console.warn('Could not read watchlists:', error.message);
+  }
+  return [];
+}
+
+function saveWatchlists() {
+  try {
+    localStorage.setItem(WATCHLISTS_STORAGE_KEY, JSON.stringify(watchlists));
+  } catch (error) {
+    console.warn('Could not save watchlists:', error.message);
+  }
+}
+
+function getWatchlists() {
+  if (!watchlists) {
+    watchlists = loadWatchlists();
+    if (watchlists.length === 0) {
+      watchlists.push({ id: 'default', name: 'My watchlist', tickers: [] });
+    }
+  }
+  return watchlists;
+}
+
+function getSelectedWatchlist() {
+  const lists = getWatchlists();
+  return lists.find(watchlist => watchlist.id === selectedWatchlistId) || lists[0];
+}
+
+function loadAlertState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY) || 'null');
+    if (saved && Array.isArray(saved.rules) && Array.isArray(saved.history)) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('Could not read alerts:', error.message);
+  }
+  return { rules: [], history: [] };
+}
+
+function saveAlertState() {
+  try {
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(getAlertState()));
+  } catch (error) {
+    console.warn('Could not save alerts:', error.message);
+  }
+}
+
+function getAlertState() {
+  if (!alertState) {
+    alertState = loadAlertState();
+  }
+  return alertState;
+}
+
+// Tickers that watchlists and rules can refer to
+function getWatchableTickers() {
+  const tickers = new Set(stockData.recommendations.map(stock => stock.ticker));
+  getReturnTickers().forEach(ticker => tickers.add(ticker));
+  return Array.from(tickers);
+}
+
+function describeAlertRule(rule) {
+  switch (rule.type) {
+    case 'label':
+      return `${rule.ticker} label changes to ${rule.value}`;
+    case 'momentum':
+      return `${rule.ticker} momentum ${rule.op} ${rule.value}%`;
+    case 'correlation':
+      return `${rule.ticker} correlation with ${rule.other} ${rule.op} ${rule.value}`;
+    case 'smaCross':
+      return `${rule.ticker} close crosses ${rule.direction === 'either' ? '' : `${rule.direction} `}its ${rule.period}-day SMA`;
+    default:
+      return `Unknown rule type "${rule.type}"`;
+  }
+}
+
+// Evaluate one rule against the loaded data. lastValue is persisted with the rule so
+// that label changes, threshold breaches and SMA crossings fire once, not on every load.
+// A rule's first evaluation (lastValue undefined) only records the current state, so
+// a condition that already holds when the rule is created does not fire.
+async function evaluateAlertRule(rule) {
+  const stock = stockData.recommendations.find(s => s.ticker === rule.ticker);
+  const compare = (value, op, threshold) => (op === 'below' ? value < threshold : value > threshold);
+  const baseline = rule.lastValue === undefined;
+
+  switch (rule.type) {
+    case 'label': {
+      if (!stock) return { fired: false, lastValue: rule.lastValue };
+      const changed = !baseline && rule.lastValue !== null && rule.lastValue !== stock.label;
+      return {
+        fired: changed && stock.label === rule.value,
+        lastValue: stock.label,
+        message: `${rule.ticker} label changed from ${rule.lastValue} to ${stock.label}`
+      };
+    }
+    case 'momentum': {
+      if (!stock || isNaN(stock.momentum)) return { fired: false, lastValue: rule.lastValue };
+      const momentum = stock.momentum * 100;
+      const active = compare(momentum, rule.op, rule.value);
+      return {
+        fired: !baseline && active && !rule.lastValue,
+        lastValue: active,
+        message: `${rule.ticker} momentum ${momentum.toFixed(2)}% is ${rule.op} ${rule.value}%`
+      };
+    }
+    case 'correlation': {
+      // Over the selected correlation window, like the network and heatmap
+      const corr = (getActiveCorrelations()[rule.ticker] || {})[rule.other];
+      if (typeof corr !== 'number' || isNaN(corr)) return { fired: false, lastValue: rule.lastValue };
+      const active = compare(corr, rule.op, rule.value);
+      return {
+        fired: !baseline && active && !rule.lastValue,
+        lastValue: active,
+        message: `${rule.ticker} correlation with ${rule.other} is ${corr.toFixed(3)} over ${describeNetworkWindow()} (${rule.op} ${rule.value})`
+      };
+    }
+    case 'smaCross': {
+      const bars = await loadPriceHistory(rule.ticker);
+      if (!bars || bars.length < rule.period + 1) return { fired: false, lastValue: rule.lastValue };
+      const closes = bars.map(bar => bar.close);
+      const sma = computeSMA(closes, rule.period);
+      const last = closes.length - 1;
+      const before = Math.sign(closes[last - 1] - sma[last - 1]);
+      const after = Math.sign(closes[last] - sma[last]);
+      const direction = after > 0 && before <= 0 ? 'above' : after < 0 && before >= 0 ? 'below' : null;
+      const barDate = bars[last].date;
+      // lastValue is the bar date of the last crossing reported (at first, the latest bar)
+      if (baseline) return { fired: false, lastValue: barDate };
+      const fired = direction !== null && (rule.direction === 'either' || rule.direction === direction) && rule.lastValue !== barDate;
+      return {
+        fired,
+        lastValue: fired ? barDate : rule.lastValue,
+        message: `${rule.ticker} closed ${direction} its ${rule.period}-day SMA on ${barDate} (${closes[last].toFixed(2)} vs ${(sma[last] || 0).toFixed(2)})`
+      };
+    }
+    default:
+      return { fired: false, lastValue: rule.lastValue };
+  }
+}
+
+// Run every rule, record what fired in the history and refresh the notification center
+async function evaluateAlertRules() {
+  const state = getAlertState();
+  const dataDate = stockData.returns.length > 0 ? stockData.returns[stockData.returns.length - 1].Date : null;
+  const triggered = [];
+
+  for (const rule of state.rules) {
+    try {
+      const result = await evaluateAlertRule(rule);
+      rule.lastValue = result.lastValue;
+      if (result.fired) {
+        triggered.push({
+          id: `${Date.now().toString(36)}-${triggered.length}`,
+          ruleId: rule.id,
+          message: result.message,
+          dataDate,
+          time: new Date().toISOString(),
+          read: false
+        });
+      }
+    } catch (error) {
+      console.warn(`Could not evaluate alert "${describeAlertRule(rule)}":`, error.message);
+    }
+  }
+
+  state.history = [...triggered, ...state.history].slice(0, ALERT_HISTORY_LIMIT);
+  saveAlertState();
+  renderNotificationCenter();
+
+  if (triggered.length > 0) {
+    console.log(`${triggered.length} alert(s) triggered`);
+  }
+  return triggered;
+}
+
+// Card strip for the selected watchlist, inserted after the trending cards
+function renderWatchlistStrip() {
+  const trendGrid = document.querySelector('.trend-grid');
+  if (!trendGrid || stockData.recommendations.length === 0) return;
+
+  let strip = document.getElementById('watchlistStrip');
+  if (!strip) {
+    strip = document.createElement('div');
+    strip.id = 'watchlistStrip';
+    strip.style.cssText = 'margin: 15px 0;';
+    trendGrid.parentNode.insertBefore(strip, trendGrid.nextSibling);
+  }
+
+  const lists = getWatchlists();
+  const watchlist = getSelectedWatchlist();
+  selectedWatchlistId = watchlist.id;
+  const available = getWatchableTickers().filter(ticker => !watchlist.tickers.includes(ticker));
+
+  strip.innerHTML = `
+    <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 10px; font-size: 13px; color: #8b949e;">
+      <span style="color: #e6edf3; font-weight: 500;">Watchlist</span>
+      <select id="watchlistSelect" class="trading-select">
+        ${lists.map(list => `<option value="${list.id}" ${list.id === watchlist.id ? 'selected' : ''}>${escapeHTML(list.name)} (${list.tickers.length})</option>`).join('')}
+      </select>
+      <select id="watchlistAddSelect" class="trading-select">
+        <option value="">Add ticker…</option>
+        ${available.map(ticker => `<option value="${ticker}">${ticker} · ${escapeHTML(getTickerInfo(ticker).name)}</option>`).join('')}
+      </select>
+      <input type="text" id="watchlistNameInput" class="trading-input" placeholder="New list name" style="width: 140px;">
+      <button id="watchlistCreateBtn" class="order-type-btn">New list</button>
+      <button id="watchlistDeleteBtn" class="order-type-btn" ${lists.length < 2 ? 'disabled' : ''}>Delete list</button>
+    </div>
+    <div class="trend-grid" id="watchlistCards"></div>
+  `;
+
+  const cards = document.getElementById('watchlistCards');
+  if (watchlist.tickers.length === 0) {
+    cards.outerHTML = '<div style="color: #6e7681; font-size: 13px;">No stocks in this watchlist yet - pick one from "Add ticker…".</div>';
+  } else {
+    watchlist.tickers.forEach(ticker => {
+      const stock = stockData.recommendations.find(s => s.ticker === ticker);
+      const card = document.createElement('div');
+      const momentum = stock && !isNaN(stock.momentum) ? stock.momentum : null;
+      const isGain = momentum === null || momentum >= 0;
+      card.className = `card ${isGain ? 'gain' : 'loss'}`;
+      card.style.cursor = 'pointer';
+      card.style.position = 'relative';
+      card.innerHTML = `
+        <button class="watchlist-remove" title="Remove from watchlist" style="position: absolute; top: 4px; right: 6px; background: none; border: none; color: #8b949e; cursor: pointer; font-size: 14px;">×</button>
+        <div style="font-weight: bold;">${ticker}</div>
+        <div style="font-size: 12px; margin-top: 5px; opacity: 0.8;">${escapeHTML(getTickerInfo(ticker).name)}</div>
+        <span>${momentum === null ? '—' : `${momentum >= 0 ? '+' : ''}${(momentum * 100).toFixed(2)}%`}</span>
+        <div style="font-size: 11px; margin-top: 3px; color: ${stock && stock.label === 'BUY' ? '#3fb950' : stock && stock.label === 'AVOID' ? '#f85149' : '#8b949e'};">
+          ${stock ? stock.label : 'No signal'}
+        </div>
+        <div data-quote-ticker="${ticker}" style="font-size: 11px; margin-top: 3px;">${formatLiveQuote(ticker)}</div>
+      `;
+      card.onclick = () => showStockDetails(ticker);
+      card.querySelector('.watchlist-remove').addEventListener('click', event => {
+        event.stopPropagation();
+        watchlist.tickers = watchlist.tickers.filter(other => other !== ticker);
+        saveWatchlists();
+        renderWatchlistStrip();
+      });
+      cards.appendChild(card);
+    });
+  }
+
+  document.getElementById('watchlistSelect').addEventListener('change', event => {
+    selectedWatchlistId = event.target.value;
+    renderWatchlistStrip();
+  });
+  document.getElementById('watchlistAddSelect').addEventListener('change', event => {
+    if (!event.target.value) return;
+    watchlist.tickers.push(event.target.value);
+    saveWatchlists();
+    renderWatchlistStrip();
+  });
+  document.getElementById('watchlistCreateBtn').addEventListener('click', () => {
+    const name = document.getElementById('watchlistNameInput').value.trim();
+    if (!name) {
+      alert('Enter a name for the new watchlist');
+      return;
+    }
+    const created = { id: Date.now().toString(36), name, tickers: [] };
+    watchlists.push(created);
+    selectedWatchlistId = created.id;
+    saveWatchlists();
+    renderWatchlistStrip();
+  });
+  document.getElementById('watchlistDeleteBtn').addEventListener('click', () => {
+    if (lists.length < 2 || !confirm(`Delete watchlist "${watchlist.name}"?`)) return;
+    watchlists = watchlists.filter(list => list.id !== watchlist.id);
+    selectedWatchlistId = null;
+    saveWatchlists();
+    renderWatchlistStrip();
+  });
+
+  syncQuoteSubscriptions();
+}
+
+// Bell button with an unread badge that opens the notification center
+function initializeNotificationCenter() {
+  if (document.getElementById('alertBellBtn')) return;
+
+  const bell = document.createElement('button');
+  bell.id = 'alertBellBtn';
+  bell.title = 'Alerts';
+  bell.style.cssText = 'position: fixed; top: 16px; right: 16px; z-index: 1000; background: #161b22; color: #e6edf3; border: 1px solid #30363d; border-radius: 20px; padding: 6px 12px; cursor: pointer; font-size: 14px;';
+  bell.innerHTML = '🔔 <span id="alertBadge" style="display: none; background: #f85149; color: #ffffff; border-radius: 10px; padding: 0 6px; font-size: 11px; margin-left: 4px;"></span>';
+
+  const center = document.createElement('div');
+  center.id = 'notificationCenter';
+  center.style.cssText = 'display: none; position: fixed; top: 56px; right: 16px; z-index: 1000; width: 420px; max-width: calc(100vw - 32px); max-height: 70vh; overflow-y: auto; background: #161b22; border: 1px solid #30363d; border-radius: 10px; padding: 16px; box-shadow: 0 8px 24px rgba(1, 4, 9, 0.6); font-size: 13px; color: #e6edf3;';
+
+  document.body.appendChild(bell);
+  document.body.appendChild(center);
+
+  bell.addEventListener('click', () => {
+    const opening = center.style.display === 'none';
+    center.style.display = opening ? 'block' : 'none';
+    if (opening) {
+      renderNotificationCenter();
+    } else {
+      // Everything shown while the panel was open counts as read
+      getAlertState().history.forEach(entry => {
+        entry.read = true;
+      });
+      saveAlertState();
+      renderNotificationCenter();
+    }
+  });
+
+  renderNotificationCenter();
+}
+
+function renderNotificationCenter() {
+  const state = getAlertState();
+  const unread = state.history.filter(entry => !entry.read).length;
+  const badge = document.getElementById('alertBadge');
+  if (badge) {
+    badge.style.display = unread > 0 ? 'inline' : 'none';
+    badge.textContent = unread;
+  }
+
+  const center = document.getElementById('notificationCenter');
+  if (!center || center.style.display === 'none') return;
+
+  const tickers = getWatchableTickers();
+  const tickerOptions = tickers.map(ticker => `<option value="${ticker}">${ticker}</option>`).join('');
+
+  center.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+      <div style="font-size: 16px; font-weight: 500;">Alerts</div>
+      <div style="display: flex; gap: 6px;">
+        <button id="alertCheckBtn" class="order-type-btn">Check now</button>
+        <button id="alertClearBtn" class="order-type-btn" ${state.history.length === 0 ? 'disabled' : ''}>Clear history</button>
+      </div>
+    </div>
+    <div style="color: #8b949e; margin-bottom: 6px;">Triggered (${state.history.length})</div>
+    ${state.history.length === 0
+      ? '<div style="color: #6e7681; margin-bottom: 12px;">Nothing has triggered yet. Rules are checked every time the data loads.</div>'
+      : `<div style="margin-bottom: 12px;">
+          ${state.history.map(entry => `
+            <div style="padding: 6px 8px; border-left: 3px solid ${entry.read ? '#30363d' : '#d29922'}; margin-bottom: 4px; background: #0d1117; border-radius: 4px;">
+              <div>${escapeHTML(entry.message)}</div>
+              <div style="color: #6e7681; font-size: 11px; margin-top: 2px;">${new Date(entry.time).toLocaleString()}${entry.dataDate ? ` · data to ${entry.dataDate}` : ''}</div>
+            </div>
+          `).join('')}
+        </div>`}
+    <div style="color: #8b949e; margin-bottom: 6px;">Rules (${state.rules.length})</div>
+    ${state.rules.map(rule => `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding: 4px 0; border-bottom: 1px solid #21262d;">
+        <span>${escapeHTML(describeAlertRule(rule))}</span>
+        <button class="alert-rule-delete order-type-btn" data-rule-id="${rule.id}" style="padding: 2px 8px;">Delete</button>
+      </div>
+    `).join('')}
+    <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-top: 10px;">
+      <select id="alertTickerSelect" class="trading-select">${tickerOptions}</select>
+      <select id="alertTypeSelect" class="trading-select">
+        ${Object.entries(ALERT_RULE_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+      </select>
+      <select id="alertLabelSelect" class="trading-select alert-field" data-types="label">
+        <option value="AVOID">AVOID</option>
+        <option value="HOLD">HOLD</option>
+        <option value="BUY">BUY</option>
+      </select>
+      <select id="alertOtherSelect" class="trading-select alert-field" data-types="correlation">${tickerOptions}</select>
+      <select id="alertOpSelect" class="trading-select alert-field" data-types="momentum correlation">
+        <option value="below">below</option>
+        <option value="above">above</option>
+      </select>
+      <input type="number" id="alertValueInput" class="trading-input alert-field" data-types="momentum correlation" step="0.1" style="width: 80px;">
+      <select id="alertDirectionSelect" class="trading-select alert-field" data-types="smaCross">
+        <option value="either">either way</option>
+        <option value="above">upwards</option>
+        <option value="below">downwards</option>
+      </select>
+      <input type="number" id="alertPeriodInput" class="trading-input alert-field" data-types="smaCross" min="2" step="1" value="50" style="width: 70px;" title="SMA period (days)">
+      <button id="alertAddBtn" class="order-type-btn">Add rule</button>
+    </div>
+  `;
+
+  const typeSelect = document.getElementById('alertTypeSelect');
+  const valueInput = document.getElementById('alertValueInput');
+  const syncFields = () => {
+    center.querySelectorAll('.alert-field').forEach(field => {
+      field.style.display = field.dataset.types.split(' ').includes(typeSelect.value) ? 'inline-block' : 'none';
+    });
+    valueInput.placeholder = typeSelect.value === 'momentum' ? '% e.g. -2' : 'ρ e.g. 0.8';
+  };
+  typeSelect.addEventListener('change', syncFields);
+  syncFields();
+
+  document.getElementById('alertAddBtn').addEventListener('click', addAlertRuleFromForm);
+  document.getElementById('alertCheckBtn').addEventListener('click', () => evaluateAlertRules());
+  document.getElementById('alertClearBtn').addEventListener('click', () => {
+    state.history = [];
+    saveAlertState();
+    renderNotificationCenter();
+  });
+  center.querySelectorAll('.alert-rule-delete').forEach(button => {
+    button.addEventListener('click', () => {
+      state.rules = state.rules.filter(rule => rule.id !== button.dataset.ruleId);
+      saveAlertState();
+      renderNotificationCenter();
+    });
+  });
+}
+
+function addAlertRuleFromForm() {
+  const type = document.getElementById('alertTypeSelect').value;
+  const ticker = document.getElementById('alertTickerSelect').value;
+  const rule = { id: Date.now().toString(36), type, ticker };
+
+  if (type === 'label') {
+    rule.value = document.getElementById('alertLabelSelect').value;
+  } else if (type === 'momentum' || type === 'correlation') {
+    rule.op = document.getElementById('alertOpSelect').value;
+    rule.value = parseFloat(document.getElementById('alertValueInput').value);
+    if (isNaN(rule.value)) {
+      alert('Enter a threshold value');
+      return;
+    }
+    if (type === 'correlation') {
+      rule.other = document.getElementById('alertOtherSelect').value;
+      if (rule.other === ticker) {
+        alert('Pick two different tickers');
+        return;
+      }
+    }
+  } else if (type === 'smaCross') {
+    rule.direction = document.getElementById('alertDirectionSelect').value;
+    rule.period = parseInt(document.getElementById('alertPeriodInput').value, 10);
+    if (!(rule.period >= 2)) {
+      alert('SMA period must be at least 2 days');
+      return;
+    }
+  }
+
+  getAlertState().rules.push(rule);
+  saveAlertState();
+  renderNotificationCenter();
+  // Record the current state as the rule's baseline; only later changes fire
+  evaluateAlertRule(rule)
+    .then(result => {
+      rule.lastValue = result.lastValue;
+      saveAlertState();
+    })
+    .catch(error => console.warn(`Could not evaluate alert "${describeAlertRule(rule)}":`, error.message));
+}
+
+// Portfolio analytics - user-defined portfolios (weights or share counts) measured over
+// the active returns window, in the reporting currency
+const PORTFOLIOS_STORAGE_KEY = 'stockgraphix.portfolios';
+const TRADING_DAYS_PER_YEAR = 252;
+const NORMAL_QUANTILES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+let portfolios = null; // saved portfolios: [{ id, name, mode: 'weights' | 'shares', holdings: [{ ticker, amount }] }]
+let selectedPortfolioId = 'equal';
+let portfolioRiskFreeRate = 0; // annual, as a fraction
+let portfolioChart = null;
+let portfolioRenderToken = 0;
+let portfolioLastResult = null; // { portfolio, series, metrics, riskContributions } from the last render, for exports
+
+function loadPortfolios() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PORTFOLIOS_STORAGE_KEY) || '[]');
+    if (Array.isArray(saved)) {
+      return saved.filter(portfolio => portfolio && portfolio.id && Array.isArray(portfolio.holdings));
+    }
+  } catch (error) {
+    console.warn('Could not read saved portfolios:', error.message);
+  }
+  return [];
+}
+
+function savePortfolios() {
+  try {
+    localStorage.setItem(PORTFOLIOS_STORAGE_KEY, JSON.stringify(portfolios));
+  } catch (error) {
+    console.warn('Could not save portfolios:', error.message);
+  }
+}
+
+// The built-in equal-weight, daily-rebalanced portfolio followed by the user's own
+function getPortfolios() {
+  if (!portfolios) {
+    portfolios = loadPortfolios();
+  }
+  const equalWeight = {
+    id: 'equal',
+    name: 'Equal weight (all tickers)',
+    mode: 'weights',
+    holdings: getReturnTickers().map(ticker => ({ ticker, amount: 1 })),
+    builtIn: true
+  };
+  return [equalWeight, ...portfolios];
+}
+
+function meanOf(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : NaN;
+}
+
+function sampleStdDev(values) {
+  if (values.length < 2) return NaN;
+  const mu = meanOf(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (values.length - 1));
+}
+
+// Linear-interpolated quantile of an ascending array
+function quantileOf(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function normalPDF(z) {
+  return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// Per-ticker daily returns over the active network window, restated in `currency`
+// (null where a return is missing). startDate is the last date before the window.
+function getWindowReturnSeries(tickers, currency) {
+  const rows = stockData.network ? getReturnsWindow(stockData.network.window) : stockData.returns;
+  if (rows.length === 0) {
+    return { rows, startDate: null, series: tickers.map(() => []) };
+  }
+
+  const offset = stockData.returns.indexOf(rows[0]);
+  return {
+    rows,
+    startDate: offset > 0 ? stockData.returns[offset - 1].Date : rows[0].Date,
+    series: tickers.map(ticker => rows.map((row, i) => {
+      const restated = getReturnsInCurrency(offset + i, [ticker], currency);
+      return restated.length > 0 ? restated[0] : null;
+    }))
+  };
+}
+
+// Value path of a portfolio over the active window. Weights are rebalanced daily;
+// share counts are bought at the close before the window and held.
+async function computePortfolioSeries(portfolio) {
+  const currency = getReportingCurrency();
+  const holdings = portfolio.holdings.filter(holding => holding.amount !== 0 && getReturnTickers().includes(holding.ticker));
+
+  if (holdings.length === 0) {
+    return { error: 'Add at least one holding with a non-zero amount' };
+  }
+
+  const tickers = holdings.map(holding => holding.ticker);
+  let { rows, startDate, series: tickerReturns } = getWindowReturnSeries(tickers, currency);
+  if (rows.length > 0 && startDate === rows[0].Date) {
+    // The window starts at the first row of the data, so there is no earlier close: the
+    // holdings are bought at that row's close and compounding starts on the next row
+    rows = rows.slice(1);
+    tickerReturns = tickerReturns.map(returns => returns.slice(1));
+  }
+  if (rows.length < 2) {
+    return { error: 'Not enough return observations in the selected window' };
+  }
+
+  let startValues;
+  if (portfolio.mode === 'shares') {
+    startValues = [];
+    for (const holding of holdings) {
+      const bars = await loadPriceHistory(holding.ticker);
+      if (!bars) {
+        return { error: `No price history for ${holding.ticker} - enter weights instead of shares` };
+      }
+      const bar = [...bars].reverse().find(b => b.date <= startDate) || bars[0];
+      const value = convertCurrency(holding.amount * bar.close, getTickerCurrency(holding.ticker), currency, bar.date);
+      if (value === null) {
+        return { error: `No FX rate to value ${holding.ticker} in ${currency}` };
+      }
+      startValues.push(value);
+    }
+  } else {
+    startValues = holdings.map(holding => holding.amount);
+  }
+
+  const startTotal = startValues.reduce((sum, value) => sum + value, 0);
+  if (!(startTotal > 0)) {
+    return { error: 'Holdings must add up to a positive amount' };
+  }
+  const weights = startValues.map(value => value / startTotal);
+
+  const returns = [];
+  const values = [portfolio.mode === 'shares' ? startTotal : 10000];
+  let holdingValues = startValues.slice();
+  rows.forEach((row, i) => {
+    let dayReturn;
+    if (portfolio.mode === 'shares') {
+      const before = holdingValues.reduce((sum, value) => sum + value, 0);
+      holdingValues = holdingValues.map((value, k) => value * (1 + (tickerReturns[k][i] || 0)));
+      dayReturn = holdingValues.reduce((sum, value) => sum + value, 0) / before - 1;
+    } else {
+      // Missing returns drop out and the remaining weights are rescaled for the day
+      let weighted = 0;
+      let weightSum = 0;
+      weights.forEach((weight, k) => {
+        if (tickerReturns[k][i] === null) return;
+        weighted += weight * tickerReturns[k][i];
+        weightSum += weight;
+      });
+      dayReturn = weightSum !== 0 ? weighted / weightSum : 0;
+    }
+    returns.push(dayReturn);
+    values.push(values[values.length - 1] * (1 + dayReturn));
+  });
+
+  const endTotal = holdingValues.reduce((sum, value) => sum + value, 0);
+  return {
+    currency,
+    tickers,
+    tickerReturns,
+    weights: portfolio.mode === 'shares' ? holdingValues.map(value => value / endTotal) : weights,
+    dates: [startDate, ...rows.map(row => row.Date)],
+    returns,
+    values
+  };
+}
+
+function computePortfolioMetrics(series, riskFreeRate) {
+  const { returns, values, dates } = series;
+  const n = returns.length;
+  const totalReturn = values[n] / values[0] - 1;
+  const annualizedReturn = Math.pow(1 + totalReturn, TRADING_DAYS_PER_YEAR / n) - 1;
+  const dailyVolatility = sampleStdDev(returns);
+  const annualizedVolatility = dailyVolatility * Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  // Sortino uses downside deviation below the daily risk-free rate
+  const dailyRiskFree = Math.pow(1 + riskFreeRate, 1 / TRADING_DAYS_PER_YEAR) - 1;
+  const downsideDeviation = Math.sqrt(meanOf(returns.map(r => Math.min(0, r - dailyRiskFree) ** 2))) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const excessReturn = annualizedReturn - riskFreeRate;
+
+  // Max drawdown: deepest fall from a running peak, and when (if ever) it was recovered
+  let peakIndex = 0;
+  let maxDrawdown = { depth: 0, peakDate: dates[0], troughDate: dates[0], recoveryDate: null };
+  let worstPeakIndex = 0;
+  let worstTroughIndex = 0;
+  values.forEach((value, i) => {
+    if (value > values[peakIndex]) peakIndex = i;
+    const depth = value / values[peakIndex] - 1;
+    if (depth < maxDrawdown.depth) {
+      maxDrawdown = { depth, peakDate: dates[peakIndex], troughDate: dates[i], recoveryDate: null };
+      worstPeakIndex = peakIndex;
+      worstTroughIndex = i;
+    }
+  });
+  if (maxDrawdown.depth < 0) {
+    const recovery = values.findIndex((value, i) => i > worstTroughIndex && value >= values[worstPeakIndex]);
+    maxDrawdown.recoveryDate = recovery === -1 ? null : dates[recovery];
+  }
+
+  // One-day VaR/CVaR as positive loss fractions
+  const sorted = returns.slice().sort((a, b) => a - b);
+  const mu = meanOf(returns);
+  const risk = Object.keys(NORMAL_QUANTILES).map(Number).map(confidence => {
+    const cutoff = quantileOf(sorted, 1 - confidence);
+    const tail = sorted.filter(r => r <= cutoff);
+    const z = NORMAL_QUANTILES[confidence];
+    return {
+      confidence,
+      historicalVaR: -cutoff,
+      historicalCVaR: -meanOf(tail),
+      parametricVaR: -(mu - z * dailyVolatility),
+      parametricCVaR: -(mu - dailyVolatility * normalPDF(z) / (1 - confidence))
+    };
+  });
+
+  return {
+    observations: n,
+    startValue: values[0],
+    endValue: values[n],
+    totalReturn,
+    annualizedReturn,
+    annualizedVolatility,
+    sharpe: annualizedVolatility > 0 ? excessReturn / annualizedVolatility : null,
+    sortino: downsideDeviation > 0 ? excessReturn / downsideDeviation : null,
+    maxDrawdown,
+    risk
+  };
+}
+
+// Each holding's share of portfolio volatility: RC_i = w_i (Σw)_i / σ_p, with Σ built from
+// the active correlation matrix and each ticker's volatility over the window
+function computeRiskContributions(series) {
+  const { tickers, tickerReturns, weights } = series;
+  const correlations = getActiveCorrelations();
+  const sigmas = tickerReturns.map(values => sampleStdDev(values.filter(value => value !== null)) || 0);
+  const rho = (i, j) => {
+    if (i === j) return 1;
+    const stored = (correlations[tickers[i]] || {})[tickers[j]];
+    if (typeof stored === 'number' && !isNaN(stored)) return stored;
+    const computed = pearsonCorrelation(tickerReturns[i], tickerReturns[j]);
+    return isNaN(computed) ? 0 : computed;
+  };
+
+  const marginal = tickers.map((_, i) =>
+    tickers.reduce((sum, __, j) => sum + rho(i, j) * sigmas[i] * sigmas[j] * weights[j], 0)
+  );
+  const variance = weights.reduce((sum, weight, i) => sum + weight * marginal[i], 0);
+  const portfolioSigma = Math.sqrt(Math.max(variance, 0));
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  return {
+    portfolioVolatility: portfolioSigma * annualize,
+    holdings: tickers.map((ticker, i) => ({
+      ticker,
+      weight: weights[i],
+      volatility: sigmas[i] * annualize,
+      contribution: portfolioSigma > 0 ? (weights[i] * marginal[i] / portfolioSigma) * annualize : 0,
+      share: variance > 0 ? weights[i] * marginal[i] / variance : 0
+    }))
+  };
+}
+
+// Build the portfolio currently described by the editor inputs
+function readPortfolioEditor(basePortfolio) {
+  const panel = document.getElementById('portfolioPanel');
+  const holdings = [...panel.querySelectorAll('[data-portfolio-ticker]')]
+    .map(input => ({ ticker: input.dataset.portfolioTicker, amount: parseFloat(input.value) || 0 }))
+    .filter(holding => holding.amount !== 0);
+
+  return {
+    ...basePortfolio,
+    name: document.getElementById('portfolioName').value.trim() || 'Untitled portfolio',
+    mode: document.getElementById('portfolioMode').value,
+    holdings
+  };
+}
+
+function renderPortfolioPanel() {
+  if (stockData.returns.length === 0) return;
+
+  let panel = document.getElementById('portfolioPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'portfolioPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    (document.querySelector('main') || document.body).appendChild(panel);
+  }
+
+  const list = getPortfolios();
+  const portfolio = list.find(item => item.id === selectedPortfolioId) || list[0];
+  selectedPortfolioId = portfolio.id;
+  const amounts = {};
+  portfolio.holdings.forEach(holding => {
+    amounts[holding.ticker] = holding.amount;
+  });
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Portfolio Analytics</div>
+      <div style="display: flex; gap: 8px; align-items: center;">
+        <select id="portfolioSelect" class="trading-select">
+          ${list.map(item => `<option value="${item.id}" ${item.id === portfolio.id ? 'selected' : ''}>${escapeHTML(item.name)}</option>`).join('')}
+          <option value="new">+ New portfolio</option>
+        </select>
+        <button id="portfolioDeleteBtn" class="order-type-btn" ${portfolio.builtIn ? 'disabled' : ''}>Delete</button>
+        <span id="portfolioExport"></span>
+      </div>
+    </div>
+    <div style="display: flex; flex-wrap: wrap; gap: 10px 16px; align-items: center; margin: 15px 0; font-size: 12px; color: #8b949e;">
+      <label>Name <input id="portfolioName" class="trading-input" style="width: 180px;" value="${escapeHTML(portfolio.builtIn ? 'My portfolio' : portfolio.name)}"></label>
+      <label>Amounts are
+        <select id="portfolioMode" class="trading-select">
+          <option value="weights" ${portfolio.mode === 'weights' ? 'selected' : ''}>Weights (rebalanced daily)</option>
+          <option value="shares" ${portfolio.mode === 'shares' ? 'selected' : ''}>Share counts (buy and hold)</option>
+        </select>
+      </label>
+      <label>Risk-free rate <input id="portfolioRiskFree" type="number" class="trading-input" step="0.1" style="width: 60px;" value="${(portfolioRiskFreeRate * 100).toFixed(2)}"> % p.a.</label>
+      <button id="portfolioSaveBtn" class="order-type-btn">${portfolio.builtIn ? 'Save as new' : 'Save'}</button>
+    </div>
+    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 8px; font-size: 12px; color: #e6edf3; margin-bottom: 15px;">
+      ${getReturnTickers().map(ticker => `
+        <label style="display: flex; justify-content: space-between; align-items: center; gap: 6px;">
+          ${ticker}
+          <input type="number" class="trading-input" data-portfolio-ticker="${ticker}" step="any" style="width: 70px; padding: 2px 4px;" value="${amounts[ticker] || ''}" placeholder="0">
+        </label>
+      `).join('')}
+    </div>
+    <div id="portfolioResults"></div>
+  `;
+
+  attachExportMenu(document.getElementById('portfolioExport'), getPortfolioExportActions());
+
+  document.getElementById('portfolioSelect').addEventListener('change', event => {
+    if (event.target.value === 'new') {
+      const created = { id: Date.now().toString(36), name: 'My portfolio', mode: 'weights', holdings: [] };
+      portfolios.push(created);
+      savePortfolios();
+      selectedPortfolioId = created.id;
+    } else {
+      selectedPortfolioId = event.target.value;
+    }
+    renderPortfolioPanel();
+  });
+
+  document.getElementById('portfolioDeleteBtn').addEventListener('click', () => {
+    if (portfolio.builtIn || !confirm(`Delete portfolio "${portfolio.name}"?`)) return;
+    portfolios = portfolios.filter(item => item.id !== portfolio.id);
+    savePortfolios();
+    selectedPortfolioId = 'equal';
+    renderPortfolioPanel();
+  });
+
+  document.getElementById('portfolioSaveBtn').addEventListener('click', () => {
+    const edited = readPortfolioEditor(portfolio);
+    if (portfolio.builtIn) {
+      delete edited.builtIn;
+      edited.id = Date.now().toString(36);
+      portfolios.push(edited);
+    } else {
+      portfolios = portfolios.map(item => (item.id === portfolio.id ? edited : item));
+    }
+    savePortfolios();
+    selectedPortfolioId = edited.id;
+    renderPortfolioPanel();
+  });
+
+  // Results follow the editor as it changes; only Save persists
+  const refresh = () => renderPortfolioAnalytics(readPortfolioEditor(portfolio));
+  panel.querySelectorAll('[data-portfolio-ticker], #portfolioMode').forEach(input => {
+    input.addEventListener('change', refresh);
+  });
+  document.getElementById('portfolioRiskFree').addEventListener('change', event => {
+    portfolioRiskFreeRate = (parseFloat(event.target.value) || 0) / 100;
+    refresh();
+    refreshOptimizer();
+    refreshBacktest();
+  });
+
+  renderPortfolioAnalytics(portfolio);
+}
+
+// Recompute results for the portfolio in the editor (after a window or currency change)
+function refreshPortfolioAnalytics() {
+  if (!document.getElementById('portfolioPanel')) return;
+  const portfolio = getPortfolios().find(item => item.id === selectedPortfolioId);
+  if (portfolio) {
+    renderPortfolioAnalytics(readPortfolioEditor(portfolio));
+  }
+}
+
+async function renderPortfolioAnalytics(portfolio) {
+  const container = document.getElementById('portfolioResults');
+  if (!container) return;
+
+  const token = ++portfolioRenderToken;
+  const series = await computePortfolioSeries(portfolio);
+  if (token !== portfolioRenderToken) return; // a newer render superseded this one
+
+  if (series.error) {
+    portfolioLastResult = null;
+    container.innerHTML = `<p style="color: #f85149; font-size: 13px;">${series.error}</p>`;
+    return;
+  }
+
+  const metrics = computePortfolioMetrics(series, portfolioRiskFreeRate);
+  const riskContributions = computeRiskContributions(series);
+  portfolioLastResult = { portfolio, series, metrics, riskContributions };
+  const ratio = value => (value === null || isNaN(value) ? '-' : value.toFixed(2));
+  const drawdown = metrics.maxDrawdown;
+  const stat = (label, value, color = '#e6edf3') => `
+    <div style="background: #0d1117; padding: 10px; border-radius: 8px; border: 1px solid #30363d;">
+      <div style="color: #8b949e; font-size: 12px;">${label}</div>
+      <div style="color: ${color}; font-size: 16px; font-weight: bold; margin-top: 4px;">${value}</div>
+    </div>
+  `;
+  const signColor = value => (value >= 0 ? '#3fb950' : '#f85149');
+
+  container.innerHTML = `
+    <div style="color: #8b949e; font-size: 12px; margin-bottom: 10px;">
+      ${series.dates[1]} → ${series.dates[series.dates.length - 1]} (${metrics.observations} days, ${describeNetworkWindow()}) · values in ${series.currency}
+    </div>
+    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; margin-bottom: 15px;">
+      ${stat('Value', `${formatMoney(metrics.startValue, series.currency)} → ${formatMoney(metrics.endValue, series.currency)}`)}
+      ${stat('Total return', formatPercent(metrics.totalReturn), signColor(metrics.totalReturn))}
+      ${stat('Annualized return', formatPercent(metrics.annualizedReturn), signColor(metrics.annualizedReturn))}
+      ${stat('Annualized volatility', formatPercent(metrics.annualizedVolatility))}
+      ${stat('Sharpe ratio', ratio(metrics.sharpe))}
+      ${stat('Sortino ratio', ratio(metrics.sortino))}
+      ${stat('Max drawdown', formatPercent(drawdown.depth), '#f85149')}
+    </div>
+    <div style="color: #8b949e; font-size: 12px; margin-bottom: 15px;">
+      Max drawdown: peak ${drawdown.peakDate}, trough ${drawdown.troughDate},
+      ${drawdown.depth === 0 ? 'no drawdown' : drawdown.recoveryDate ? `recovered ${drawdown.recoveryDate}` : 'not yet recovered'}
+    </div>
+    <div style="height: 260px; position: relative; margin-bottom: 15px;">
+      <canvas id="portfolioValueChart"></canvas>
+    </div>
+    <div style="display: grid; grid-template-columns: 1fr 1.4fr; gap: 20px; font-size: 12px;">
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr style="color: #8b949e; text-align: right;">
+          <th style="text-align: left; font-weight: normal;">1-day loss</th>
+          <th style="font-weight: normal;">Hist. VaR</th>
+          <th style="font-weight: normal;">Hist. CVaR</th>
+          <th style="font-weight: normal;">Param. VaR</th>
+          <th style="font-weight: normal;">Param. CVaR</th>
+        </tr>
+        ${metrics.risk.map(row => `
+          <tr style="color: #e6edf3; text-align: right; border-top: 1px solid #21262d;">
+            <td style="text-align: left;">${(row.confidence * 100).toFixed(0)}%</td>
+            <td>${formatPercent(row.historicalVaR)}</td>
+            <td>${formatPercent(row.historicalCVaR)}</td>
+            <td>${formatPercent(row.parametricVaR)}</td>
+            <td>${formatPercent(row.parametricCVaR)}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr style="color: #8b949e; text-align: right;">
+          <th style="text-align: left; font-weight: normal;">Holding</th>
+          <th style="font-weight: normal;">Weight</th>
+          <th style="font-weight: normal;">Volatility</th>
+          <th style="font-weight: normal;">Risk contrib.</th>
+          <th style="font-weight: normal;">% of risk</th>
+        </tr>
+        ${riskContributions.holdings.map(holding => `
+          <tr style="color: #e6edf3; text-align: right; border-top: 1px solid #21262d;">
+            <td style="text-align: left; cursor: pointer;" data-holding-ticker="${escapeHTML(holding.ticker)}">${escapeHTML(holding.ticker)}</td>
+            <td>${formatPercent(holding.weight, 1)}</td>
+            <td>${formatPercent(holding.volatility)}</td>
+            <td>${formatPercent(holding.contribution)}</td>
+            <td>${formatPercent(holding.share, 1)}</td>
+          </tr>
+        `).join('')}
+        <tr style="color: #8b949e; text-align: right; border-top: 1px solid #30363d;">
+          <td style="text-align: left;">Portfolio (from correlations)</td>
+          <td>100%</td>
+          <td colspan="3">${formatPercent(riskContributions.portfolioVolatility)}</td>
+        </tr>
+      </table>
+    </div>
+  `;
+
+  container.querySelectorAll('[data-holding-ticker]').forEach(cell => {
+    cell.addEventListener('click', () => showStockDetails(cell.dataset.holdingTicker));
+  });
+
+  drawPortfolioValueChart(series);
+}
+
+function drawPortfolioValueChart(series) {
+  const canvas = document.getElementById('portfolioValueChart');
+  if (!canvas) return;
+
+  if (portfolioChart) {
+    portfolioChart.destroy();
+  }
+
+  // Drawdown from the running peak, on a second axis
+  let peak = series.values[0];
+  const drawdowns = series.values.map(value => {
+    peak = Math.max(peak, value);
+    return (value / peak - 1) * 100;
+  });
+
+  portfolioChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: series.dates,
+      datasets: [
+        {
+          label: `Value (${series.currency})`,
+          data: series.values,
+          borderColor: '#58a6ff',
+          backgroundColor: 'rgba(88, 166, 255, 0.1)',
+          fill: true,
+          pointRadius: 0,
+          tension: 0
+        },
+        {
+          label: 'Drawdown (%)',
+          data: drawdowns,
+          borderColor: '#f85149',
+          backgroundColor: 'rgba(248, 81, 73, 0.15)',
+          fill: true,
+          pointRadius: 0,
+          tension: 0,
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: '#e6edf3' } },
+        tooltip: CHART_TOOLTIP_OPTIONS
+      },
+      scales: {
+        x: {
+          ticks: { color: '#8b949e', maxTicksLimit: 10 },
+          grid: { color: '#21262d' }
+        },
+        y: {
+          position: 'left',
+          ticks: { color: '#8b949e' },
+          grid: { color: '#21262d' }
+        },
+        y1: {
+          position: 'right',
+          max: 0,
+          ticks: { color: '#8b949e', callback: value => `${value}%` },
+          grid: { drawOnChartArea: false }
+        }
+      },
+      interaction: {
+        mode: 'nearest',
+        axis: 'x',
+        intersect: false
+      }
+    }
+  });
+}
+
+// Portfolio optimizer - minimum-variance, maximum-Sharpe, risk-parity and HRP weights
+// from the active window's returns, under long-only / per-asset cap constraints
+const OPTIMIZER_METHODS = [
+  { key: 'minVariance', label: 'Min variance', color: '#3fb950' },
+  { key: 'maxSharpe', label: 'Max Sharpe', color: '#d29922' },
+  { key: 'riskParity', label: 'Risk parity', color: '#a371f7' },
+  { key: 'hrp', label: 'HRP', color: '#f85149' }
+];
+const OPTIMIZER_FRONTIER_POINTS = 40;
+let optimizerSettings = { longOnly: true, maxWeight: 0.3 };
+let optimizerChart = null;
+let optimizerLastResult = null; // last successful runOptimizer result, for exports
+
+// Pairwise-complete sample covariance
+function sampleCovariance(xs, ys) {
+  const pairs = [];
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] !== null && ys[i] !== null) pairs.push([xs[i], ys[i]]);
+  }
+  if (pairs.length < 2) return 0;
+  const meanX = meanOf(pairs.map(pair => pair[0]));
+  const meanY = meanOf(pairs.map(pair => pair[1]));
+  return pairs.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0) / (pairs.length - 1);
+}
+
+// Annualized expected returns and covariance matrix for the optimizer
+function getOptimizerInputs(tickers) {
+  const { rows, series } = getWindowReturnSeries(tickers, getReportingCurrency());
+  const expectedReturns = series.map(values => meanOf(values.filter(value => value !== null)) * TRADING_DAYS_PER_YEAR);
+  const covariance = series.map(xs => series.map(ys => sampleCovariance(xs, ys) * TRADING_DAYS_PER_YEAR));
+  return { observations: rows.length, expectedReturns, covariance };
+}
+
+function multiplyMatrixVector(matrix, vector) {
+  return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+function dotProduct(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function getPortfolioStats(weights, inputs, riskFreeRate) {
+  const expectedReturn = dotProduct(weights, inputs.expectedReturns);
+  const volatility = Math.sqrt(Math.max(0, dotProduct(weights, multiplyMatrixVector(inputs.covariance, weights))));
+  return {
+    expectedReturn,
+    volatility,
+    sharpe: volatility > 0 ? (expectedReturn - riskFreeRate) / volatility : null
+  };
+}
+
+// Per-asset weight bounds implied by the constraint settings
+function getWeightBounds(n, settings) {
+  const cap = Math.min(1, settings.maxWeight);
+  return { lower: settings.longOnly ? 0 : -cap, upper: cap, feasible: n * cap >= 1 - 1e-9 };
+}
+
+// Euclidean projection onto { Σw = 1, lower ≤ w ≤ upper }: bisect on the shift τ
+// so that Σ clip(v − τ) = 1
+function projectOntoBoundedSimplex(vector, bounds) {
+  const clip = value => Math.min(bounds.upper, Math.max(bounds.lower, value));
+  const total = tau => vector.reduce((sum, value) => sum + clip(value - tau), 0);
+  let low = Math.min(...vector) - bounds.upper - 1;
+  let high = Math.max(...vector) - bounds.lower + 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (total(mid) > 1) low = mid; else high = mid;
+  }
+  return vector.map(value => clip(value - (low + high) / 2));
+}
+
+// Cap long-only weights (summing to 1) at `cap`, handing each excess to the uncapped assets
+// in proportion to their weights so their relative risk allocation is kept. Needs n·cap ≥ 1.
+function capWeights(weights, cap) {
+  const capped = weights.map(() => false);
+  let result = weights.slice();
+  for (let pass = 0; pass < weights.length; pass++) {
+    const over = result.map((value, i) => !capped[i] && value > cap + 1e-12);
+    if (!over.some(Boolean)) break;
+    over.forEach((isOver, i) => {
+      if (isOver) capped[i] = true;
+    });
+
+    const free = result.reduce((sum, value, i) => sum + (capped[i] ? 0 : value), 0);
+    const remaining = 1 - cap * capped.filter(Boolean).length;
+    result = result.map((value, i) => (capped[i] ? cap : free > 0 ? value * remaining / free : remaining / capped.filter(c => !c).length));
+  }
+  return result;
+}
+
+// Largest eigenvalue by power iteration (sets the gradient step size)
+function largestEigenvalue(matrix) {
+  let vector = matrix.map(() => 1);
+  let eigenvalue = 0;
+  for (let i = 0; i < 100; i++) {
+    const next = multiplyMatrixVector(matrix, vector);
+    const norm = Math.sqrt(dotProduct(next, next));
+    if (norm === 0) return 0;
+    vector = next.map(value => value / norm);
+    eigenvalue = norm;
+  }
+  return eigenvalue;
+}
+
+// Projected gradient descent on wᵀΣw − γ·μᵀw (γ = 0 gives minimum variance)
+function solveMeanVariance(inputs, bounds, gamma, start = null) {
+  const n = inputs.expectedReturns.length;
+  const step = 1 / (2 * Math.max(largestEigenvalue(inputs.covariance), 1e-12));
+  let weights = projectOntoBoundedSimplex(start || new Array(n).fill(1 / n), bounds);
+
+  for (let iteration = 0; iteration < 5000; iteration++) {
+    const gradient = multiplyMatrixVector(inputs.covariance, weights).map((value, i) => 2 * value - gamma * inputs.expectedReturns[i]);
+    const next = projectOntoBoundedSimplex(weights.map((value, i) => value - step * gradient[i]), bounds);
+    const change = next.reduce((max, value, i) => Math.max(max, Math.abs(value - weights[i])), 0);
+    weights = next;
+    if (change < 1e-10) break;
+  }
+  return weights;
+}
+
+// Sweep the risk-aversion trade-off to trace the constrained efficient frontier
+function computeEfficientFrontier(inputs, bounds, riskFreeRate) {
+  const gammas = [0, ...Array.from({ length: OPTIMIZER_FRONTIER_POINTS - 1 }, (_, i) => Math.pow(10, -3 + (5 * i) / (OPTIMIZER_FRONTIER_POINTS - 2)))];
+  const points = [];
+  let previous = null;
+  gammas.forEach(gamma => {
+    const weights = solveMeanVariance(inputs, bounds, gamma, previous);
+    previous = weights;
+    const stats = getPortfolioStats(weights, inputs, riskFreeRate);
+    const last = points[points.length - 1];
+    if (!last || Math.abs(stats.volatility - last.volatility) > 1e-6 || Math.abs(stats.expectedReturn - last.expectedReturn) > 1e-6) {
+      points.push({ weights, ...stats });
+    }
+  });
+  return points;
+}
+
+// Start from the best frontier point, then projected gradient ascent on the Sharpe ratio
+function solveMaxSharpe(inputs, bounds, riskFreeRate, frontier) {
+  const sharpeOf = weights => getPortfolioStats(weights, inputs, riskFreeRate).sharpe;
+  let best = frontier.reduce((a, b) => ((b.sharpe || -Infinity) > (a.sharpe || -Infinity) ? b : a)).weights;
+  let bestSharpe = sharpeOf(best);
+  if (bestSharpe === null) return best;
+
+  let step = 0.05;
+  for (let iteration = 0; iteration < 500 && step > 1e-8; iteration++) {
+    const sigmaW = multiplyMatrixVector(inputs.covariance, best);
+    const variance = dotProduct(best, sigmaW);
+    const volatility = Math.sqrt(variance);
+    const excess = dotProduct(best, inputs.expectedReturns) - riskFreeRate;
+    const gradient = inputs.expectedReturns.map((mu, i) => mu / volatility - excess * sigmaW[i] / (variance * volatility));
+    const candidate = projectOntoBoundedSimplex(best.map((value, i) => value + step * gradient[i]), bounds);
+    const candidateSharpe = sharpeOf(candidate);
+    if (candidateSharpe !== null && candidateSharpe > bestSharpe + 1e-12) {
+      best = candidate;
+      bestSharpe = candidateSharpe;
+      step *= 1.5;
+    } else {
+      step /= 2;
+    }
+  }
+  return best;
+}
+
+// Equal risk contribution (long-only) by multiplicative fixed-point updates, then capped
+function solveRiskParity(inputs, bounds) {
+  const n = inputs.expectedReturns.length;
+  let weights = inputs.covariance.map((row, i) => 1 / Math.sqrt(Math.max(row[i], 1e-12)));
+  const sum = weights.reduce((total, value) => total + value, 0);
+  weights = weights.map(value => value / sum);
+
+  for (let iteration = 0; iteration < 1000; iteration++) {
+    const sigmaW = multiplyMatrixVector(inputs.covariance, weights);
+    const variance = dotProduct(weights, sigmaW);
+    const target = variance / n;
+    const next = weights.map((value, i) => value * Math.sqrt(target / Math.max(value * sigmaW[i], 1e-18)));
+    const nextSum = next.reduce((total, value) => total + value, 0);
+    const normalized = next.map(value => value / nextSum);
+    const change = normalized.reduce((max, value, i) => Math.max(max, Math.abs(value - weights[i])), 0);
+    weights = normalized;
+    if (change < 1e-12) break;
+  }
+  return capWeights(weights, bounds.upper);
+}
+
+// Hierarchical risk parity (López de Prado): order assets by the linkage tree, then split
+// weight recursively between halves in inverse proportion to their inverse-variance risk
+function solveHRP(inputs, tickers, bounds) {
+  const n = tickers.length;
+  const merges = computeLinkage(tickers, getActiveCorrelations(), 'single');
+  const order = n === 1 ? [0] : merges[merges.length - 1].members;
+  const weights = new Array(n).fill(1);
+
+  const clusterVariance = members => {
+    const inverse = members.map(i => 1 / Math.max(inputs.covariance[i][i], 1e-12));
+    const total = inverse.reduce((sum, value) => sum + value, 0);
+    const w = inverse.map(value => value / total);
+    return members.reduce((sum, i, a) => sum + members.reduce((inner, j, b) => inner + w[a] * w[b] * inputs.covariance[i][j], 0), 0);
+  };
+
+  const bisect = members => {
+    if (members.length < 2) return;
+    const half = Math.floor(members.length / 2);
+    const left = members.slice(0, half);
+    const right = members.slice(half);
+    const leftVariance = clusterVariance(left);
+    const rightVariance = clusterVariance(right);
+    const alpha = 1 - leftVariance / (leftVariance + rightVariance);
+    left.forEach(i => { weights[i] *= alpha; });
+    right.forEach(i => { weights[i] *= 1 - alpha; });
+    bisect(left);
+    bisect(right);
+  };
+  bisect(order);
+
+  return capWeights(weights, bounds.upper);
+}
+
+function runOptimizer(tickers, settings, riskFreeRate) {
+  const bounds = getWeightBounds(tickers.length, settings);
+  if (!bounds.feasible) {
+    return { error: `A ${(settings.maxWeight * 100).toFixed(0)}% cap cannot hold ${tickers.length} assets to 100% - raise the cap` };
+  }
+
+  const inputs = getOptimizerInputs(tickers);
+  if (inputs.observations < NETWORK_MIN_OBSERVATIONS) {
+    return { error: `Only ${inputs.observations} trading day(s) in the window - need at least ${NETWORK_MIN_OBSERVATIONS}` };
+  }
+
+  const frontier = computeEfficientFrontier(inputs, bounds, riskFreeRate);
+  const allocations = {
+    minVariance: frontier[0].weights,
+    maxSharpe: solveMaxSharpe(inputs, bounds, riskFreeRate, frontier),
+    riskParity: solveRiskParity(inputs, bounds),
+    hrp: solveHRP(inputs, tickers, bounds)
+  };
+
+  const results = {};
+  Object.entries(allocations).forEach(([key, weights]) => {
+    results[key] = { weights, ...getPortfolioStats(weights, inputs, riskFreeRate) };
+  });
+
+  return {
+    tickers,
+    inputs,
+    frontier,
+    results,
+    assets: tickers.map((ticker, i) => ({
+      ticker,
+      expectedReturn: inputs.expectedReturns[i],
+      volatility: Math.sqrt(inputs.covariance[i][i])
+    }))
+  };
+}
+
+function renderOptimizerPanel() {
+  if (stockData.returns.length === 0) return;
+
+  let panel = document.getElementById('optimizerPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'optimizerPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    (document.querySelector('main') || document.body).appendChild(panel);
+  }
+
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Portfolio Optimizer</div>
+      <div style="display: flex; gap: 14px; align-items: center; font-size: 12px; color: #8b949e;">
+        <label><input type="checkbox" id="optimizerLongOnly" ${optimizerSettings.longOnly ? 'checked' : ''}> Long only</label>
+        <label>Max weight per asset <input type="number" id="optimizerMaxWeight" class="trading-input" min="1" max="100" step="1" style="width: 60px;" value="${(optimizerSettings.maxWeight * 100).toFixed(0)}"> %</label>
+        <span id="optimizerExport"></span>
+      </div>
+    </div>
+    <div id="optimizerResults" style="margin-top: 15px;"></div>
+  `;
+
+  attachExportMenu(document.getElementById('optimizerExport'), [
+    ...getTableExportActions('Optimized weights', 'optimizer-weights', () => {
+      const optimization = optimizerLastResult;
+      if (!optimization) return null;
+      const rows = optimization.tickers.map((ticker, i) => {
+        const row = { ticker };
+        OPTIMIZER_METHODS.forEach(method => {
+          row[method.key] = optimization.results[method.key].weights[i];
+        });
+        return row;
+      });
+      [['expectedReturn', 'expected_return'], ['volatility', 'volatility'], ['sharpe', 'sharpe']].forEach(([field, label]) => {
+        const row = { ticker: label };
+        OPTIMIZER_METHODS.forEach(method => {
+          row[method.key] = optimization.results[method.key][field];
+        });
+        rows.push(row);
+      });
+      return {
+        columns: [{ key: 'ticker', header: 'Ticker' }, ...OPTIMIZER_METHODS.map(method => ({ key: method.key, header: method.key }))],
+        rows
+      };
+    }),
+    ...getCanvasExportActions('Efficient frontier', 'efficient-frontier', () => document.getElementById('optimizerFrontierChart'))
+  ]);
+
+  document.getElementById('optimizerLongOnly').addEventListener('change', event => {
+    optimizerSettings.longOnly = event.target.checked;
+    refreshOptimizer();
+  });
+  document.getElementById('optimizerMaxWeight').addEventListener('change', event => {
+    const percent = parseFloat(event.target.value);
+    optimizerSettings.maxWeight = percent > 0 ? Math.min(percent, 100) / 100 : 1;
+    refreshOptimizer();
+  });
+
+  refreshOptimizer();
+}
+
+function refreshOptimizer() {
+  const container = document.getElementById('optimizerResults');
+  if (!container) return;
+
+  const optimization = runOptimizer(getReturnTickers(), optimizerSettings, portfolioRiskFreeRate);
+  optimizerLastResult = optimization.error ? null : optimization;
+  if (optimization.error) {
+    container.innerHTML = `<p style="color: #f85149; font-size: 13px;">${optimization.error}</p>`;
+    return;
+  }
+
+  const currency = getReportingCurrency();
+
+  container.innerHTML = `
+    <div style="color: #8b949e; font-size: 12px; margin-bottom: 10px;">
+      ${optimization.inputs.observations} days (${describeNetworkWindow()}) · returns in ${currency} · risk-free rate ${formatPercent(portfolioRiskFreeRate, 1)} from the portfolio panel
+    </div>
+    <div style="display: grid; grid-template-columns: 1.2fr 1fr; gap: 20px;">
+      <div style="height: 320px; position: relative;">
+        <canvas id="optimizerFrontierChart"></canvas>
+      </div>
+      <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+        <tr style="color: #8b949e; text-align: right;">
+          <th style="text-align: left; font-weight: normal;">Ticker</th>
+          ${OPTIMIZER_METHODS.map(method => `<th style="font-weight: normal; color: ${method.color};">${method.label}</th>`).join('')}
+        </tr>
+        ${optimization.tickers.map((ticker, i) => `
+          <tr style="color: #e6edf3; text-align: right; border-top: 1px solid #21262d;">
+            <td style="text-align: left;">${ticker}</td>
+            ${OPTIMIZER_METHODS.map(method => `<td>${formatPercent(optimization.results[method.key].weights[i], 1)}</td>`).join('')}
+          </tr>
+        `).join('')}
+        ${[['Exp. return', 'expectedReturn'], ['Volatility', 'volatility'], ['Sharpe', 'sharpe']].map(([label, field]) => `
+          <tr style="color: #8b949e; text-align: right; border-top: 1px solid #30363d;">
+            <td style="text-align: left;">${label}</td>
+            ${OPTIMIZER_METHODS.map(method => {
+              const value = optimization.results[method.key][field];
+              return `<td>${field === 'sharpe' ? (value === null ? '-' : value.toFixed(2)) : formatPercent(value, 1)}</td>`;
+            }).join('')}
+          </tr>
+        `).join('')}
+        <tr>
+          <td></td>
+          ${OPTIMIZER_METHODS.map(method => `
+            <td style="text-align: right; padding-top: 8px;">
+              <button class="order-type-btn" data-use-allocation="${method.key}" style="font-size: 11px;">Use</button>
+            </td>
+          `).join('')}
+        </tr>
+      </table>
+    </div>
+  `;
+
+  container.querySelectorAll('[data-use-allocation]').forEach(button => {
+    button.addEventListener('click', () => {
+      const method = OPTIMIZER_METHODS.find(item => item.key === button.dataset.useAllocation);
+      sendAllocationToPortfolio(`${method.label} (${describeNetworkWindow()})`, optimization.tickers, optimization.results[method.key].weights);
+    });
+  });
+
+  drawEfficientFrontierChart(optimization);
+}
+
+// Save an allocation as a weights portfolio and open it in the Portfolio Analytics panel
+function sendAllocationToPortfolio(name, tickers, weights) {
+  getPortfolios();
+  const portfolio = {
+    id: Date.now().toString(36),
+    name,
+    mode: 'weights',
+    holdings: tickers
+      .map((ticker, i) => ({ ticker, amount: Math.round(weights[i] * 10000) / 100 }))
+      .filter(holding => holding.amount !== 0)
+  };
+  portfolios.push(portfolio);
+  savePortfolios();
+  selectedPortfolioId = portfolio.id;
+  renderPortfolioPanel();
+
+  const panel = document.getElementById('portfolioPanel');
+  if (panel) {
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+function drawEfficientFrontierChart(optimization) {
+  const canvas = document.getElementById('optimizerFrontierChart');
+  if (!canvas) return;
+
+  if (optimizerChart) {
+    optimizerChart.destroy();
+  }
+
+  const point = stats => ({ x: stats.volatility * 100, y: stats.expectedReturn * 100 });
+  optimizerChart = new Chart(canvas.getContext('2d'), {
+    type: 'scatter',
+    data: {
+      datasets: [
+        {
+          label: 'Efficient frontier',
+          data: optimization.frontier.map(point),
+          borderColor: '#58a6ff',
+          backgroundColor: '#58a6ff',
+          showLine: true,
+          pointRadius: 0,
+          borderWidth: 2
+        },
+        {
+          label: 'Stocks',
+          data: optimization.assets.map(asset => ({ ...point(asset), ticker: asset.ticker })),
+          backgroundColor: '#8b949e',
+          pointRadius: 4
+        },
+        ...OPTIMIZER_METHODS.map(method => ({
+          label: method.label,
+          data: [point(optimization.results[method.key])],
+          backgroundColor: method.color,
+          borderColor: '#e6edf3',
+          pointRadius: 7,
+          pointStyle: 'rectRot'
+        }))
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: '#e6edf3' } },
+        tooltip: {
+          ...CHART_TOOLTIP_OPTIONS,
+          mode: 'nearest',
+          callbacks: {
+            label: context => {
+              const raw = context.raw;
+              const name = raw.ticker || context.dataset.label;
+              return `${name}: return ${raw.y.toFixed(1)}%, volatility ${raw.x.toFixed(1)}%`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: 'Annualized volatility (%)', color: '#8b949e' },
+          ticks: { color: '#8b949e' },
+          grid: { color: '#21262d' }
+        },
+        y: {
+          title: { display: true, text: 'Annualized return (%)', color: '#8b949e' },
+          ticks: { color: '#8b949e' },
+          grid: { color: '#21262d' }
+        }
+      }
+    }
+  });
 }
 
-// Load and draw stock price chart (6 months)
-let stockPriceChart = null;
+// Walk-forward backtest of the BUY/HOLD/AVOID signal. At each rebalance date everything
+// is computed from the trailing lookback only (no look-ahead): the features - mean daily
+// return (momentum), MST degree and mean correlation to MST neighbours - and the score rule
+// itself, which is refitted inside the lookback (see computeSignals) rather than read from
+// recommendations.csv, an end-of-period snapshot.
+const SIGNAL_FEATURES = ['momentum', 'avgCorr', 'degree'];
+const BACKTEST_STRATEGIES = {
+  buy: { label: 'Hold BUYs equally', include: ['BUY'] },
+  excludeAvoid: { label: 'Hold all but AVOIDs equally', include: ['BUY', 'HOLD'] }
+};
+let backtestSettings = { lookback: 60, rebalanceEvery: 20, strategy: 'buy', costBps: 10 };
+let backtestChart = null;
+let backtestLastResult = null; // last successful runBacktest result, for exports
+let pipelineSignalModel = null; // cached getPipelineSignalModel result
 
-async function loadStockPriceChart(ticker) {
-  try {
-    // Load stock CSV file directly (different format than other CSVs)
-    const response = await fetch(`data/${ticker}.csv`);
-    if (!response.ok) {
-      console.warn(`Could not load price data for ${ticker}`);
-      return;
+// Gaussian elimination with partial pivoting; null for a singular system
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
     }
-    
-    const text = await response.text();
-    const lines = text.trim().split('\n').filter(line => line.trim().length > 0);
-    
-    if (lines.length < 4) {
-      console.warn(`Insufficient data for ${ticker}`);
-      return;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
     }
-    
-    // Parse the special format: 
-    // Line 1: Price,Close,High,Low,Open,Volume
-    // Line 2: Ticker,TCS.NS,TCS.NS,TCS.NS,TCS.NS,TCS.NS
-    // Line 3: Date,,,,,
-    // Line 4+: Date,Close,High,Low,Open,Volume
-    const priceData = [];
-    for (let i = 3; i < lines.length; i++) {
-      const values = lines[i].split(',');
-      if (values.length >= 5) {
-        const date = values[0].trim();
-        // Based on the header: Price,Close,High,Low,Open,Volume
-        // So values are: Date,Close,High,Low,Open,Volume
-        const close = parseFloat(values[1]) || 0;  // Close price
-        const high = parseFloat(values[2]) || 0;   // High
-        const low = parseFloat(values[3]) || 0;    // Low
-        const open = parseFloat(values[4]) || 0;   // Open
-        
-        if (date && close > 0) {
-          priceData.push({ date, close, high, low, open });
-        }
-      }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+    solution[row] = sum / a[row][row];
+  }
+  return solution;
+}
+
+// Least-squares fit of target ≈ intercept + Σ weight·feature over items. Fitted on
+// standardised features (better conditioned), then converted back to raw weights; features
+// that do not vary get no weight, and a singular system falls back to the mean target.
+function fitSignalModel(items, targets) {
+  const stats = SIGNAL_FEATURES.map(feature => {
+    const values = items.map(item => item[feature]);
+    return { feature, mean: meanOf(values), sd: sampleStdDev(values) };
+  }).filter(stat => stat.sd > 0);
+  const design = items.map(item => [1, ...stats.map(stat => (item[stat.feature] - stat.mean) / stat.sd)]);
+  const normal = design[0].map((_, i) => design[0].map((_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)));
+  const rhs = design[0].map((_, i) => design.reduce((sum, row, r) => sum + row[i] * targets[r], 0));
+  const beta = solveLinearSystem(normal, rhs) || [meanOf(targets), ...stats.map(() => 0)];
+
+  const weights = {};
+  SIGNAL_FEATURES.forEach(feature => {
+    weights[feature] = 0;
+  });
+  let intercept = beta[0];
+  stats.forEach((stat, k) => {
+    weights[stat.feature] = beta[k + 1] / stat.sd;
+    intercept -= beta[k + 1] * stat.mean / stat.sd;
+  });
+
+  const predict = item => intercept + SIGNAL_FEATURES.reduce((sum, feature) => sum + weights[feature] * item[feature], 0);
+  const meanTarget = meanOf(targets);
+  const totalSS = targets.reduce((sum, target) => sum + (target - meanTarget) ** 2, 0);
+  const residualSS = items.reduce((sum, item, r) => sum + (targets[r] - predict(item)) ** 2, 0);
+  return { intercept, weights, r2: totalSS > 0 ? 1 - residualSS / totalSS : 1, predict };
+}
+
+// The pipeline's scoring rule, recovered from its output for the report's score breakdown:
+// score fitted as a linear blend of the features over recommendations.csv (exact when the
+// pipeline blends them linearly, r2 says how well it fits). Null without recommendations.
+function getPipelineSignalModel() {
+  if (pipelineSignalModel) return pipelineSignalModel;
+  const stocks = stockData.recommendations.filter(stock => SIGNAL_FEATURES.every(feature => Number.isFinite(stock[feature])) && Number.isFinite(stock.score));
+  if (stocks.length === 0) return null;
+
+  pipelineSignalModel = fitSignalModel(stocks, stocks.map(stock => stock.score));
+  return pipelineSignalModel;
+}
+
+function formatSignalModel(model) {
+  const number = value => (Math.abs(value) >= 0.01 || value === 0 ? value.toFixed(3) : value.toExponential(2));
+  return `score = ${number(model.intercept)} ${SIGNAL_FEATURES.map(feature => `${model.weights[feature] >= 0 ? '+' : '−'} ${number(Math.abs(model.weights[feature]))}·${feature}`).join(' ')}`;
+}
+
+// Features for every ticker from a block of return rows
+function computeSignalFeatures(rows, tickers) {
+  const correlations = computeCorrelationMatrix(rows, tickers);
+  const mstEdges = computeMST(tickers, correlations);
+  const neighbours = {};
+  tickers.forEach(ticker => {
+    neighbours[ticker] = [];
+  });
+  mstEdges.forEach(edge => {
+    neighbours[edge.u].push(edge.corr);
+    neighbours[edge.v].push(edge.corr);
+  });
+
+  return tickers.map(ticker => {
+    const item = {
+      ticker,
+      momentum: meanOf(rows.map(row => row[ticker]).filter(value => typeof value === 'number')),
+      degree: neighbours[ticker].length,
+      avgCorr: neighbours[ticker].length > 0 ? meanOf(neighbours[ticker]) : 0
+    };
+    SIGNAL_FEATURES.forEach(feature => {
+      if (isNaN(item[feature])) item[feature] = 0;
+    });
+    return item;
+  });
+}
+
+// Compounded return of each ticker over days [from, to) of stockData.returns, in `currency`
+function compoundReturns(from, to, tickers, currency) {
+  const growth = {};
+  tickers.forEach(ticker => {
+    let value = 1;
+    for (let i = from; i < to; i++) {
+      const restated = getReturnsInCurrency(i, [ticker], currency);
+      value *= 1 + (restated.length > 0 ? restated[0] : 0);
     }
-    
-    if (priceData.length === 0) {
-      console.warn(`No valid price data for ${ticker}`);
-      return;
+    growth[ticker] = value - 1;
+  });
+  return growth;
+}
+
+// Score and label for every ticker at the rebalance on day `start`, from the lookback days
+// [start - lookback, start) only. The rule is fitted inside the lookback: features from its
+// first lookback - rebalanceEvery days are regressed on each stock's return over its last
+// rebalanceEvery days, then applied to features from the latest lookback - rebalanceEvery
+// days, so the score predicts the return over the coming holding period. BUY when that
+// beats the round-trip cost, AVOID when it loses more than the cost, HOLD in between.
+function computeSignals(start, settings, tickers, currency) {
+  const rows = stockData.returns;
+  const { lookback, rebalanceEvery } = settings;
+  const training = computeSignalFeatures(rows.slice(start - lookback, start - rebalanceEvery), tickers);
+  const outcome = compoundReturns(start - rebalanceEvery, start, tickers, currency);
+  const model = fitSignalModel(training, training.map(item => outcome[item.ticker]));
+
+  const threshold = 2 * settings.costBps / 10000;
+  const signals = computeSignalFeatures(rows.slice(start - lookback + rebalanceEvery, start), tickers);
+  signals.forEach(item => {
+    item.score = model.predict(item);
+    item.label = item.score > threshold ? 'BUY' : item.score < -threshold ? 'AVOID' : 'HOLD';
+  });
+  return { model: { intercept: model.intercept, weights: model.weights, r2: model.r2 }, signals };
+}
+
+// Daily-rebalanced equal-weight return across `tickers` (renormalised over available data)
+function equalWeightReturn(dayIndex, tickers, currency) {
+  const dayReturns = getReturnsInCurrency(dayIndex, tickers, currency);
+  return dayReturns.length > 0 ? meanOf(dayReturns) : 0;
+}
+
+function runBacktest(settings) {
+  const rows = stockData.returns;
+  const tickers = getReturnTickers();
+  const currency = getReportingCurrency();
+  const { lookback, rebalanceEvery } = settings;
+  const include = BACKTEST_STRATEGIES[settings.strategy].include;
+
+  if (lookback - rebalanceEvery < NETWORK_MIN_OBSERVATIONS) {
+    return { error: `The lookback must be at least ${NETWORK_MIN_OBSERVATIONS} days longer than the rebalance interval: its last ${rebalanceEvery} days are held out to fit the score` };
+  }
+  if (rows.length < lookback + rebalanceEvery) {
+    return { error: `Need at least ${lookback + rebalanceEvery} days of returns for this lookback and rebalance interval` };
+  }
+
+  const dates = [rows[lookback - 1].Date];
+  const strategyReturns = [];
+  const rebalances = [];
+  let weights = {}; // ticker -> current (drifted) weight
+  const labelReturns = { BUY: [], HOLD: [], AVOID: [] };
+  let hits = 0;
+  let picks = 0;
+
+  for (let start = lookback; start < rows.length; start += rebalanceEvery) {
+    const end = Math.min(start + rebalanceEvery, rows.length);
+    const { model, signals } = computeSignals(start, settings, tickers, currency);
+    const selected = signals.filter(item => include.includes(item.label)).map(item => item.ticker);
+
+    // Turnover: one-way traded fraction of the book moving from drifted to target weights
+    const target = {};
+    selected.forEach(ticker => {
+      target[ticker] = 1 / selected.length;
+    });
+    const turnover = [...new Set([...Object.keys(weights), ...selected])]
+      .reduce((sum, ticker) => sum + Math.abs((target[ticker] || 0) - (weights[ticker] || 0)), 0) / 2;
+    const cost = turnover * 2 * settings.costBps / 10000;
+    weights = { ...target };
+
+    // Forward return of each ticker over the holding period, for hit rate and label spread
+    const forward = compoundReturns(start, end, tickers, currency);
+    const universeForward = meanOf(tickers.map(ticker => forward[ticker]));
+    signals.forEach(item => labelReturns[item.label].push(forward[item.ticker]));
+    signals.filter(item => item.label === 'BUY').forEach(item => {
+      picks++;
+      if (forward[item.ticker] > universeForward) hits++;
+    });
+
+    // Hold with drifting weights until the next rebalance
+    for (let i = start; i < end; i++) {
+      let dayReturn = 0;
+      const grown = {};
+      Object.entries(weights).forEach(([ticker, weight]) => {
+        const restated = getReturnsInCurrency(i, [ticker], currency);
+        const ret = restated.length > 0 ? restated[0] : 0;
+        dayReturn += weight * ret;
+        grown[ticker] = weight * (1 + ret);
+      });
+      const total = Object.values(grown).reduce((sum, value) => sum + value, 0);
+      Object.keys(grown).forEach(ticker => {
+        grown[ticker] = total > 0 ? grown[ticker] / total : 0;
+      });
+      weights = grown;
+      strategyReturns.push(i === start ? (1 + dayReturn) * (1 - cost) - 1 : dayReturn);
+      dates.push(rows[i].Date);
     }
-    
-    // Get last 6 months (approximately 130 trading days)
-    const last6Months = priceData.slice(-130);
-    
-    // Draw chart
-    drawStockPriceChart(last6Months, ticker);
-  } catch (error) {
-    console.error(`Error loading price chart for ${ticker}:`, error);
+
+    rebalances.push({
+      date: rows[start].Date,
+      selected,
+      labels: signals,
+      model,
+      turnover,
+      forwardReturn: meanOf(selected.map(ticker => forward[ticker]))
+    });
   }
+
+  // Benchmarks over the same days: every stock, then each market group, equal-weighted
+  const benchmarkDefs = [
+    { label: 'All stocks (equal weight)', tickers },
+    ...getMarketGroups(tickers).map(group => ({ label: `${group.market} (equal weight)`, tickers: group.tickers }))
+  ];
+  const toSeries = returns => {
+    const values = [10000];
+    returns.forEach(ret => values.push(values[values.length - 1] * (1 + ret)));
+    return { dates, returns, values };
+  };
+  const curves = [
+    { label: BACKTEST_STRATEGIES[settings.strategy].label, ...toSeries(strategyReturns) },
+    ...benchmarkDefs.map(def => ({
+      label: def.label,
+      ...toSeries(rows.slice(lookback).map((row, k) => equalWeightReturn(lookback + k, def.tickers, currency)))
+    }))
+  ];
+
+  const turnovers = rebalances.map(item => item.turnover);
+  return {
+    currency,
+    curves: curves.map(curve => ({ ...curve, metrics: computePortfolioMetrics(curve, portfolioRiskFreeRate) })),
+    rebalances,
+    averageTurnover: meanOf(turnovers.slice(1)), // the first rebalance is the initial purchase
+    totalTurnover: turnovers.reduce((sum, value) => sum + value, 0),
+    hitRate: picks > 0 ? hits / picks : null,
+    labelReturns: Object.fromEntries(Object.entries(labelReturns).map(([label, values]) => [label, meanOf(values)]))
+  };
 }
 
-function drawStockPriceChart(priceData, ticker) {
-  const canvas = document.getElementById('stockPriceChart');
-  if (!canvas) return;
+function renderBacktestPanel() {
+  if (stockData.returns.length === 0) return;
 
-  // Destroy existing chart if it exists
-  if (stockPriceChart) {
-    stockPriceChart.destroy();
+  let panel = document.getElementById('backtestPanel');
+  if (!panel) {
+    panel = document.createElement('section');
+    panel.id = 'backtestPanel';
+    panel.style.cssText = 'background: #161b22; padding: 20px; border-radius: 10px; border: 1px solid #30363d; margin: 20px 0;';
+    (document.querySelector('main') || document.body).appendChild(panel);
   }
 
-  const dates = priceData.map(d => d.date);
-  const closes = priceData.map(d => d.close);
-  const highs = priceData.map(d => d.high);
-  const lows = priceData.map(d => d.low);
+  const numberInput = (id, value, min, max) =>
+    `<input type="number" id="${id}" class="trading-input" min="${min}" max="${max}" value="${value}" style="width: 60px;">`;
 
-  // Determine color based on price trend
-  const firstPrice = closes[0];
-  const lastPrice = closes[closes.length - 1];
-  const isPositive = lastPrice >= firstPrice;
-  const chartColor = isPositive ? '#3fb950' : '#f85149';
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px;">
+      <div style="color: #e6edf3; font-size: 18px; font-weight: 500;">Signal Backtest (walk-forward)</div>
+      <div style="display: flex; gap: 14px; align-items: center; flex-wrap: wrap; font-size: 12px; color: #8b949e;">
+        <select id="backtestStrategy" class="trading-select">
+          ${Object.entries(BACKTEST_STRATEGIES).map(([key, strategy]) => `<option value="${key}" ${key === backtestSettings.strategy ? 'selected' : ''}>${strategy.label}</option>`).join('')}
+        </select>
+        <label>Lookback ${numberInput('backtestLookback', backtestSettings.lookback, NETWORK_MIN_OBSERVATIONS, 500)} days</label>
+        <label>Rebalance every ${numberInput('backtestRebalance', backtestSettings.rebalanceEvery, 1, 250)} days</label>
+        <label>Costs ${numberInput('backtestCost', backtestSettings.costBps, 0, 500)} bps</label>
+        <span id="backtestExport"></span>
+      </div>
+    </div>
+    <div id="backtestResults" style="margin-top: 15px;"></div>
+  `;
 
-  const ctx = canvas.getContext('2d');
-  stockPriceChart = new Chart(ctx, {
+  attachExportMenu(document.getElementById('backtestExport'), [
+    ...getTableExportActions('Equity curves', 'backtest-curves', () => {
+      if (!backtestLastResult) return null;
+      const curves = backtestLastResult.curves;
+      return {
+        columns: [{ key: 'date', header: 'Date' }, ...curves.map((curve, i) => ({ key: i, header: curve.label }))],
+        rows: curves[0].dates.map((date, k) => {
+          const row = { date };
+          curves.forEach((curve, i) => {
+            row[i] = curve.values[k];
+          });
+          return row;
+        })
+      };
+    }),
+    ...getTableExportActions('Rebalance log', 'backtest-rebalances', () => (backtestLastResult ? {
+      columns: [
+        { key: 'date', header: 'Date' },
+        { key: 'holdings', header: 'holdings' },
+        { key: 'turnover', header: 'turnover' },
+        { key: 'forwardReturn', header: 'forward_return' }
+      ],
+      rows: backtestLastResult.rebalances.map(item => ({ ...item, holdings: item.selected.join(' ') }))
+    } : null)),
+    ...getCanvasExportActions('Backtest chart', 'backtest', () => document.getElementById('backtestChart'))
+  ]);
+
+  const bind = (id, key, parse) => {
+    document.getElementById(id).addEventListener('change', event => {
+      backtestSettings[key] = parse(event.target.value);
+      refreshBacktest();
+    });
+  };
+  bind('backtestStrategy', 'strategy', value => value);
+  bind('backtestLookback', 'lookback', value => Math.max(NETWORK_MIN_OBSERVATIONS, parseInt(value, 10) || 60));
+  bind('backtestRebalance', 'rebalanceEvery', value => Math.max(1, parseInt(value, 10) || 20));
+  bind('backtestCost', 'costBps', value => Math.max(0, parseFloat(value) || 0));
+
+  refreshBacktest();
+}
+
+function refreshBacktest() {
+  const container = document.getElementById('backtestResults');
+  if (!container) return;
+
+  const backtest = runBacktest(backtestSettings);
+  backtestLastResult = backtest.error ? null : backtest;
+  if (backtest.error) {
+    container.innerHTML = `<p style="color: #f85149; font-size: 13px;">${backtest.error}</p>`;
+    return;
+  }
+
+  const ratio = value => (value === null || isNaN(value) ? '-' : value.toFixed(2));
+  const stat = (label, value) => `
+    <div style="background: #0d1117; padding: 10px; border-radius: 8px; border: 1px solid #30363d;">
+      <div style="color: #8b949e; font-size: 12px;">${label}</div>
+      <div style="color: #e6edf3; font-size: 16px; font-weight: bold; margin-top: 4px;">${value}</div>
+    </div>
+  `;
+
+  container.innerHTML = `
+    <div style="color: #8b949e; font-size: 12px; margin-bottom: 10px;">
+      ${backtest.rebalances.length} rebalances from ${backtest.rebalances[0].date} · values in ${backtest.currency} ·
+      score refitted on each lookback, latest ${formatSignalModel(backtest.rebalances[backtest.rebalances.length - 1].model)} (R² ${backtest.rebalances[backtest.rebalances.length - 1].model.r2.toFixed(3)}) ·
+      BUY above ${formatPercent(2 * backtestSettings.costBps / 10000, 2, { signed: true })} predicted return, AVOID below −${formatPercent(2 * backtestSettings.costBps / 10000)}
+    </div>
+    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; margin-bottom: 15px;">
+      ${stat('Hit rate (BUYs beating universe)', formatPercent(backtest.hitRate))}
+      ${stat('Avg turnover / rebalance', formatPercent(backtest.averageTurnover))}
+      ${stat('Total turnover', formatPercent(backtest.totalTurnover))}
+      ${['BUY', 'HOLD', 'AVOID'].map(label => stat(`Avg ${label} fwd return`, formatPercent(backtest.labelReturns[label]))).join('')}
+    </div>
+    <div style="height: 280px; position: relative; margin-bottom: 15px;">
+      <canvas id="backtestChart"></canvas>
+    </div>
+    <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+      <tr style="color: #8b949e; text-align: right;">
+        <th style="text-align: left; font-weight: normal;">Curve</th>
+        <th style="font-weight: normal;">Total return</th>
+        <th style="font-weight: normal;">Ann. return</th>
+        <th style="font-weight: normal;">Volatility</th>
+        <th style="font-weight: normal;">Sharpe</th>
+        <th style="font-weight: normal;">Max drawdown</th>
+        <th style="font-weight: normal;">Drawdown dates</th>
+      </tr>
+      ${backtest.curves.map((curve, index) => `
+        <tr style="color: ${index === 0 ? '#e6edf3' : '#8b949e'}; text-align: right; border-top: 1px solid #21262d;">
+          <td style="text-align: left;">${escapeHTML(curve.label)}</td>
+          <td>${formatPercent(curve.metrics.totalReturn)}</td>
+          <td>${formatPercent(curve.metrics.annualizedReturn)}</td>
+          <td>${formatPercent(curve.metrics.annualizedVolatility)}</td>
+          <td>${ratio(curve.metrics.sharpe)}</td>
+          <td>${formatPercent(curve.metrics.maxDrawdown.depth)}</td>
+          <td>${curve.metrics.maxDrawdown.peakDate} → ${curve.metrics.maxDrawdown.troughDate}</td>
+        </tr>
+      `).join('')}
+    </table>
+    <details style="margin-top: 15px;">
+      <summary style="cursor: pointer; color: #8b949e; font-size: 12px;">Rebalance log</summary>
+      <table style="width: 100%; font-size: 12px; border-collapse: collapse; margin-top: 8px;">
+        ${backtest.rebalances.map(item => `
+          <tr style="color: #e6edf3; border-top: 1px solid #21262d;">
+            <td style="color: #8b949e; padding: 4px 8px 4px 0; white-space: nowrap;">${item.date}</td>
+            <td>${item.selected.join(', ') || '<span style="color: #8b949e;">cash</span>'}</td>
+            <td style="text-align: right; color: #8b949e;">turnover ${formatPercent(item.turnover)}</td>
+            <td style="text-align: right; color: ${item.forwardReturn >= 0 ? '#3fb950' : '#f85149'};">${formatPercent(item.forwardReturn)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </details>
+  `;
+
+  drawBacktestChart(backtest);
+}
+
+function drawBacktestChart(backtest) {
+  const canvas = document.getElementById('backtestChart');
+  if (!canvas) return;
+
+  if (backtestChart) {
+    backtestChart.destroy();
+  }
+
+  backtestChart = new Chart(canvas.getContext('2d'), {
     type: 'line',
     data: {
-      labels: dates,
-      datasets: [
-        {
-          label: 'Close Price',
-          data: closes,
-          borderColor: chartColor,
-          backgroundColor: isPositive ? 'rgba(63, 185, 80, 0.1)' : 'rgba(248, 81, 73, 0.1)',
-          tension: 0.4,
-          fill: true,
-          pointRadius: 0,
-          pointHoverRadius: 4
-        }
-      ]
+      labels: backtest.curves[0].dates,
+      datasets: backtest.curves.map((curve, index) => ({
+        label: curve.label,
+        data: curve.values,
+        borderColor: index === 0 ? '#f85149' : MARKET_COLORS[(index - 1) % MARKET_COLORS.length],
+        borderWidth: index === 0 ? 2 : 1.5,
+        borderDash: index === 0 ? [] : [4, 3],
+        pointRadius: 0,
+        fill: false,
+        tension: 0
+      }))
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
-        legend: {
-          display: false
-        },
-        tooltip: {
-          mode: 'index',
-          intersect: false,
-          backgroundColor: '#161b22',
-          titleColor: '#e6edf3',
-          bodyColor: '#e6edf3',
-          borderColor: '#30363d',
-          borderWidth: 1,
-          callbacks: {
-            label: function(context) {
-              const index = context.dataIndex;
-              const data = priceData[index];
-              return [
-                `Open: ₹${data.open.toFixed(2)}`,
-                `High: ₹${data.high.toFixed(2)}`,
-                `Low: ₹${data.low.toFixed(2)}`,
-                `Close: ₹${data.close.toFixed(2)}`
-              ];
-            }
-          }
-        }
+        legend: { labels: { color: '#e6edf3' } },
+        tooltip: CHART_TOOLTIP_OPTIONS
       },
       scales: {
         x: {
-          ticks: {
-            color: '#8b949e',
-            maxRotation: 45,
-            minRotation: 45,
-            maxTicksLimit: 10
-          },
-          grid: {
-            color: '#21262d'
-          }
+          ticks: { color: '#8b949e', maxTicksLimit: 10 },
+          grid: { color: '#21262d' }
         },
         y: {
-          ticks: {
-            color: '#8b949e',
-            callback: function(value) {
-              return '₹' + value.toFixed(0);
-            }
-          },
-          grid: {
-            color: '#21262d'
-          }
+          ticks: { color: '#8b949e' },
+          grid: { color: '#21262d' }
         }
       },
       interaction: {
@@ -693,459 +7546,957 @@ function drawStockPriceChart(priceData, ticker) {
   });
 }
 
-// Show stock details (for clickable cards)
-function showStockDetails(ticker) {
+// Exports - tables as CSV or JSON, canvases and Chart.js charts as PNG (the network also
+// as vector SVG), and a printable single-stock report for investment memos
+const EXPORT_BACKGROUND = '#0d1117';
+
+// stockgraphix-<name>-<last data date>.<ext>
+function getExportFilename(name, extension) {
+  const stamp = stockData.returns.length > 0
+    ? stockData.returns[stockData.returns.length - 1].Date
+    : new Date().toISOString().slice(0, 10);
+  return `stockgraphix-${name}-${stamp}.${extension}`;
+}
+
+function downloadURL(filename, url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  downloadURL(filename, url);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// RFC 4180 field: quote when the value holds a comma, quote or line break
+function toCSVField(value) {
+  if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, header }]; rows: plain objects
+function toCSV(columns, rows) {
+  const lines = [columns.map(column => toCSVField(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCSVField(row[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function downloadTable(name, columns, rows, format) {
+  if (format === 'json') {
+    const records = rows.map(row => {
+      const record = {};
+      columns.forEach(column => {
+        record[column.header] = row[column.key] === undefined ? null : row[column.key];
+      });
+      return record;
+    });
+    downloadFile(getExportFilename(name, 'json'), JSON.stringify(records, null, 2), 'application/json');
+  } else {
+    downloadFile(getExportFilename(name, 'csv'), toCSV(columns, rows), 'text/csv');
+  }
+}
+
+// The canvases are transparent; flatten onto the dashboard background
+function getCanvasPNG(canvas) {
+  const flattened = document.createElement('canvas');
+  flattened.width = canvas.width;
+  flattened.height = canvas.height;
+  const ctx = flattened.getContext('2d');
+  ctx.fillStyle = EXPORT_BACKGROUND;
+  ctx.fillRect(0, 0, flattened.width, flattened.height);
+  ctx.drawImage(canvas, 0, 0);
+  return flattened.toDataURL('image/png');
+}
+
+// PNG action for a canvas that may be re-created between renders. These canvases are
+// bitmaps, so there is no SVG; the network has its own vector export (buildNetworkSVG).
+function getCanvasExportActions(label, name, getCanvas) {
+  const withCanvas = run => () => {
+    const canvas = getCanvas();
+    if (!canvas) {
+      alert(`${label} is not available yet`);
+      return;
+    }
+    run(canvas);
+  };
+  return [
+    { label: `${label} (PNG)`, run: withCanvas(canvas => downloadURL(getExportFilename(name, 'png'), getCanvasPNG(canvas))) }
+  ];
+}
+
+// CSV and JSON actions for a table built on demand
+function getTableExportActions(label, name, getTable) {
+  return ['csv', 'json'].map(format => ({
+    label: `${label} (${format.toUpperCase()})`,
+    run: () => {
+      const table = getTable();
+      if (!table) {
+        alert(`${label} is not available yet`);
+        return;
+      }
+      downloadTable(name, table.columns, table.rows, format);
+    }
+  }));
+}
+
+// "Export…" dropdown; picking an entry runs it and resets the menu
+function attachExportMenu(container, actions) {
+  if (!container) return null;
+  const select = document.createElement('select');
+  select.className = 'trading-select';
+  select.title = 'Export';
+  select.innerHTML = `
+    <option value="">Export…</option>
+    ${actions.map((action, i) => `<option value="${i}">${escapeHTML(action.label)}</option>`).join('')}
+  `;
+  select.addEventListener('change', () => {
+    const action = actions[select.value];
+    select.value = '';
+    if (action) {
+      action.run();
+    }
+  });
+  container.appendChild(select);
+  return select;
+}
+
+function getRecommendationsTable() {
+  if (stockData.recommendations.length === 0) return null;
+  return {
+    columns: [
+      { key: 'ticker', header: 'Ticker' },
+      { key: 'name', header: 'name' },
+      { key: 'market', header: 'market' },
+      { key: 'sector', header: 'sector' },
+      { key: 'momentum', header: 'momentum_mean' },
+      { key: 'avgCorr', header: 'avg_corr_mst' },
+      { key: 'degree', header: 'degree' },
+      { key: 'score', header: 'score' },
+      { key: 'label', header: 'label' }
+    ],
+    rows: stockData.recommendations.map(stock => {
+      const info = getTickerInfo(stock.ticker);
+      return { ...stock, name: info.name, market: info.market, sector: info.sector };
+    })
+  };
+}
+
+function getOrderBookTable() {
+  const orders = getFilteredOrders();
+  if (orders.length === 0) return null;
+  return {
+    columns: [
+      { key: 'id', header: 'order_id' },
+      { key: 'placedAt', header: 'placed_at' },
+      { key: 'updatedAt', header: 'updated_at' },
+      { key: 'ticker', header: 'ticker' },
+      { key: 'side', header: 'side' },
+      { key: 'quantity', header: 'quantity' },
+      { key: 'priceType', header: 'price_type' },
+      { key: 'limitPrice', header: 'limit_price' },
+      { key: 'orderType', header: 'product' },
+      { key: 'exchange', header: 'exchange' },
+      { key: 'asOf', header: 'as_of' },
+      { key: 'status', header: 'status' },
+      { key: 'fillPrice', header: 'fill_price' },
+      { key: 'fillDate', header: 'fill_date' },
+      { key: 'reason', header: 'reason' }
+    ],
+    rows: orders
+  };
+}
+
+// One row per execution, as filtered in the orders panel
+function getBlotterTable() {
+  const trades = getFilteredTrades();
+  if (trades.length === 0) return null;
+  return {
+    columns: [
+      { key: 'time', header: 'booked_at' },
+      { key: 'date', header: 'fill_date' },
+      { key: 'orderId', header: 'order_id' },
+      { key: 'ticker', header: 'ticker' },
+      { key: 'side', header: 'side' },
+      { key: 'quantity', header: 'quantity' },
+      { key: 'price', header: 'price' },
+      { key: 'currency', header: 'currency' },
+      { key: 'exchange', header: 'exchange' },
+      { key: 'product', header: 'product' },
+      { key: 'charges', header: 'charges' },
+      { key: 'fxRate', header: 'fx_rate' },
+      { key: 'interest', header: `interest_${getPaperAccount().currency.toLowerCase()}` },
+      { key: 'realizedPnl', header: `realized_pnl_${getPaperAccount().currency.toLowerCase()}` }
+    ],
+    rows: trades
+  };
+}
+
+function getCorrelationTable() {
+  const correlations = getActiveCorrelations();
+  const tickers = getHeatmapOrder();
+  if (tickers.length === 0) return null;
+  return {
+    columns: [{ key: 'Ticker', header: 'Ticker' }, ...tickers.map(ticker => ({ key: ticker, header: ticker }))],
+    rows: tickers.map(a => {
+      const row = { Ticker: a };
+      tickers.forEach(b => {
+        row[b] = a === b ? 1 : (correlations[a] || {})[b];
+      });
+      return row;
+    })
+  };
+}
+
+function getNetworkEdgesTable() {
+  if (graphEdges.length === 0) return null;
+  return {
+    columns: [
+      { key: 'u', header: 'u' },
+      { key: 'v', header: 'v' },
+      { key: 'corr', header: 'corr' },
+      { key: 'distance', header: 'distance' }
+    ],
+    rows: graphEdges.map(edge => ({ ...edge, distance: isNaN(edge.distance) ? correlationToDistance(edge.corr) : edge.distance }))
+  };
+}
+
+// Vector drawing of the network as currently laid out
+function buildNetworkSVG() {
+  if (graphNodeList.length === 0) return null;
+  const xs = graphNodeList.map(node => graphPositions[node].x);
+  const ys = graphNodeList.map(node => graphPositions[node].y);
+  const margin = 50;
+  const minX = Math.min(...xs) - margin;
+  const minY = Math.min(...ys) - margin;
+  const width = Math.max(...xs) - minX + margin;
+  const height = Math.max(...ys) - minY + margin;
+  const font = 'font-family="Segoe UI, sans-serif"';
+
+  const edges = graphEdges.map(edge => {
+    const u = graphPositions[edge.u];
+    const v = graphPositions[edge.v];
+    if (!u || !v) return '';
+    const color = edge.corr < 0 ? '#f85149' : '#58a6ff';
+    const opacity = Math.max(0.3, Math.abs(edge.corr)).toFixed(2);
+    return `<line x1="${u.x.toFixed(1)}" y1="${u.y.toFixed(1)}" x2="${v.x.toFixed(1)}" y2="${v.y.toFixed(1)}" stroke="${color}" stroke-opacity="${opacity}" stroke-width="2"/>`;
+  }).join('\n    ');
+
+  const nodes = graphNodeList.map(node => {
+    const pos = graphPositions[node];
+    return `<circle cx="${pos.x.toFixed(1)}" cy="${pos.y.toFixed(1)}" r="15" fill="${getGraphNodeColor(node)}" stroke="#161b22" stroke-width="2"/>
+    <text x="${pos.x.toFixed(1)}" y="${(pos.y - 30).toFixed(1)}" fill="#e6edf3" font-size="12" text-anchor="middle" dominant-baseline="middle" ${font}>${escapeHTML(node.replace('.NS', ''))}</text>`;
+  }).join('\n    ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(0)}" height="${height.toFixed(0)}" viewBox="${minX.toFixed(1)} ${minY.toFixed(1)} ${width.toFixed(1)} ${height.toFixed(1)}">
+  <rect x="${minX.toFixed(1)}" y="${minY.toFixed(1)}" width="${width.toFixed(1)}" height="${height.toFixed(1)}" fill="${EXPORT_BACKGROUND}"/>
+  <g>
+    ${edges}
+  </g>
+  <g>
+    ${nodes}
+  </g>
+</svg>
+`;
+}
+
+function getNetworkExportActions() {
+  return [
+    { label: 'Network (PNG)', run: () => graphCanvas && downloadURL(getExportFilename(`${graphMode}-network`, 'png'), getCanvasPNG(graphCanvas)) },
+    {
+      label: 'Network (SVG)',
+      run: () => {
+        const svg = buildNetworkSVG();
+        if (svg) downloadFile(getExportFilename(`${graphMode}-network`, 'svg'), svg, 'image/svg+xml');
+      }
+    },
+    ...getTableExportActions('Recommendations', 'recommendations', getRecommendationsTable),
+    ...getTableExportActions('Network edges', `${graphMode}-edges`, getNetworkEdgesTable),
+    ...getTableExportActions('MST timeline', 'mst-timeline', () => (mstTimeline && mstTimeline.steps.length > 0 ? {
+      columns: [
+        { key: 'from', header: 'from' },
+        { key: 'to', header: 'to' },
+        { key: 'survival', header: 'edge_survival' },
+        { key: 'treeLength', header: 'tree_length' }
+      ],
+      rows: mstTimeline.steps
+    } : null))
+  ];
+}
+
+function getPortfolioExportActions() {
+  const result = () => portfolioLastResult;
+  return [
+    ...getTableExportActions('Holdings and risk', 'portfolio-holdings', () => (result() ? {
+      columns: [
+        { key: 'ticker', header: 'Ticker' },
+        { key: 'weight', header: 'weight' },
+        { key: 'volatility', header: 'volatility' },
+        { key: 'contribution', header: 'risk_contribution' },
+        { key: 'share', header: 'risk_share' }
+      ],
+      rows: result().riskContributions.holdings
+    } : null)),
+    ...getTableExportActions('Value series', 'portfolio-values', () => (result() ? {
+      columns: [
+        { key: 'date', header: 'Date' },
+        { key: 'value', header: `value_${result().series.currency}` },
+        { key: 'return', header: 'return' }
+      ],
+      rows: result().series.dates.map((date, i) => ({
+        date,
+        value: result().series.values[i],
+        return: i > 0 ? result().series.returns[i - 1] : null
+      }))
+    } : null)),
+    {
+      label: 'Metrics (JSON)',
+      run: () => {
+        if (!result()) {
+          alert('Metrics are not available yet');
+          return;
+        }
+        const { portfolio, series, metrics } = result();
+        downloadFile(getExportFilename('portfolio-metrics', 'json'), JSON.stringify({
+          portfolio: { name: portfolio.name, mode: portfolio.mode, holdings: portfolio.holdings },
+          window: describeNetworkWindow(),
+          currency: series.currency,
+          riskFreeRate: portfolioRiskFreeRate,
+          metrics
+        }, null, 2), 'application/json');
+      }
+    },
+    ...getCanvasExportActions('Value chart', 'portfolio-chart', () => document.getElementById('portfolioValueChart'))
+  ];
+}
+
+// Score breakdown for the report: each feature's value and cross-sectional rank, and its
+// contribution under the pipeline scoring rule fitted from recommendations.csv, so the
+// contributions add up to the score the app shows
+function computeScoreBreakdown(ticker) {
+  const stocks = stockData.recommendations;
+  const index = stocks.findIndex(stock => stock.ticker === ticker);
+  const model = getPipelineSignalModel();
+  if (index === -1 || !model) return null;
+
+  const rankOf = values => 1 + values.filter(value => value > values[index]).length;
+  const features = SIGNAL_FEATURES.map(feature => {
+    const values = stocks.map(stock => stock[feature]);
+    const weight = model.weights[feature];
+    return { feature, value: values[index], rank: rankOf(values), weight, contribution: weight * values[index] };
+  });
+  const fitted = model.intercept + features.reduce((sum, feature) => sum + feature.contribution, 0);
+  return {
+    features,
+    intercept: model.intercept,
+    fitted,
+    score: stocks[index].score,
+    residual: stocks[index].score - fitted,
+    r2: model.r2,
+    scoreRank: Number.isFinite(stocks[index].score) ? rankOf(stocks.map(stock => stock.score)) : null,
+    universe: stocks.length
+  };
+}
+
+// Build the whole report before opening its window, so a failure never leaves a blank tab
+async function openStockReport(ticker) {
+  let html;
+  try {
+    html = await buildStockReportHTML(ticker);
+  } catch (error) {
+    console.error(`Could not build the report for ${ticker}:`, error);
+    alert(`Could not build the report for ${ticker}: ${error.message}`);
+    return;
+  }
+  if (!html) return;
+
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    alert('Allow pop-ups for this page to open the printable report');
+    return;
+  }
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+}
+
+// Missing or non-numeric values render as "-"
+async function buildStockReportHTML(ticker) {
   const stock = stockData.recommendations.find(s => s.ticker === ticker);
-  if (stock) {
-    document.getElementById('searchInput').value = ticker;
-    searchStock();
-    document.getElementById('searchInput').scrollIntoView({ behavior: 'smooth', block: 'center' });
+  if (!stock) return null;
+
+  const info = getTickerInfo(ticker);
+  const bars = await loadPriceHistory(ticker);
+  const breakdown = computeScoreBreakdown(ticker);
+  const chartCanvas = document.getElementById('stockPriceChart');
+  const chartImage = currentStockTicker === ticker && stockPriceChart && chartCanvas ? getCanvasPNG(chartCanvas) : null;
+  const isMissing = value => typeof value !== 'number' || !Number.isFinite(value);
+  const fixed = (value, digits) => (isMissing(value) ? '-' : value.toFixed(digits));
+  const featureLabels = { momentum: 'Momentum (mean daily return)', avgCorr: 'Avg MST-neighbour correlation', degree: 'MST degree' };
+
+  const peers = Object.entries(getActiveCorrelations()[ticker] || {})
+    .filter(([other, corr]) => other !== ticker && !isNaN(corr))
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 5);
+
+  let priceSummary = '<p>No price history available.</p>';
+  if (bars && bars.length > 0) {
+    const currency = getTickerCurrency(ticker);
+    const money = value => (isMissing(value) ? '-' : formatMoney(value, currency));
+    const lastBar = bars[bars.length - 1];
+    const yearBars = bars.slice(-TRADING_DAYS_PER_YEAR);
+    const highs = yearBars.map(bar => bar.high).filter(value => !isMissing(value));
+    const lows = yearBars.map(bar => bar.low).filter(value => !isMissing(value));
+    priceSummary = `
+      <table>
+        <tr><th>Last close (${lastBar.date})</th><td>${money(lastBar.close)}</td></tr>
+        <tr><th>Return since ${bars[0].date}</th><td>${formatPercent(lastBar.close / bars[0].close - 1, 2, { signed: true })}</td></tr>
+        <tr><th>High / low, last ${yearBars.length} sessions</th><td>${highs.length > 0 ? money(Math.max(...highs)) : '-'} / ${lows.length > 0 ? money(Math.min(...lows)) : '-'}</td></tr>
+      </table>
+    `;
   }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(ticker)} - StockGraphix report</title>
+  <style>
+    body { font-family: "Segoe UI", sans-serif; color: #1f2328; max-width: 820px; margin: 30px auto; padding: 0 20px; }
+    h1 { margin: 0; font-size: 24px; }
+    h2 { font-size: 16px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; margin-top: 28px; }
+    .meta { color: #656d76; font-size: 13px; margin-top: 4px; }
+    .label { display: inline-block; padding: 2px 10px; border-radius: 12px; color: #ffffff; font-weight: bold; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { padding: 5px 8px; border-bottom: 1px solid #d0d7de; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    img { width: 100%; border-radius: 6px; }
+    .note { color: #656d76; font-size: 11px; margin-top: 6px; }
+    @media print { .no-print { display: none; } body { margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()" style="float: right;">Print / Save as PDF</button>
+  <h1>${escapeHTML(ticker)} - ${escapeHTML(info.name)}</h1>
+  <div class="meta">${escapeHTML([info.exchange, info.market, info.sector, info.currency].filter(Boolean).join(' · '))}</div>
+  <div class="meta">Data to ${stockData.returns.length > 0 ? stockData.returns[stockData.returns.length - 1].Date : 'n/a'} · correlations over ${describeNetworkWindow()} · generated ${new Date().toLocaleString()}</div>
+  <p>
+    <span class="label" style="background: ${stock.label === 'BUY' ? '#1a7f37' : stock.label === 'AVOID' ? '#cf222e' : '#656d76'};">${stock.label}</span>
+    &nbsp;Score ${fixed(stock.score, 3)}${breakdown && breakdown.scoreRank ? ` (rank ${breakdown.scoreRank} of ${breakdown.universe})` : ''} · momentum ${formatPercent(stock.momentum, 2, { signed: true })}
+  </p>
+
+  <h2>Price</h2>
+  ${chartImage ? `<img src="${chartImage}" alt="${escapeHTML(ticker)} price chart">` : ''}
+  ${priceSummary}
+
+  <h2>Score breakdown</h2>
+  ${breakdown ? `
+    <table>
+      <tr><th>Feature</th><th>Value</th><th>Rank</th><th>Weight</th><th>Contribution</th></tr>
+      <tr><td>Intercept</td><td></td><td></td><td></td><td>${fixed(breakdown.intercept, 3)}</td></tr>
+      ${breakdown.features.map(feature => `
+        <tr>
+          <td>${featureLabels[feature.feature] || feature.feature}</td>
+          <td>${feature.feature === 'momentum' ? formatPercent(feature.value, 2, { signed: true }) : fixed(feature.value, feature.feature === 'degree' ? 0 : 3)}</td>
+          <td>${feature.rank} / ${breakdown.universe}</td>
+          <td>${fixed(feature.weight, 3)}</td>
+          <td>${fixed(feature.contribution, 3)}</td>
+        </tr>
+      `).join('')}
+      <tr><th>Fitted score</th><td></td><td></td><td></td><th>${fixed(breakdown.fitted, 3)}</th></tr>
+      <tr><th>Pipeline score</th><td>${fixed(breakdown.score, 3)}</td><td>${breakdown.scoreRank || '-'} / ${breakdown.universe}</td><td></td><th>${fixed(breakdown.score, 3)}</th></tr>
+    </table>
+    <div class="note">Weights are the pipeline's scoring rule fitted to recommendations.csv (R² ${fixed(breakdown.r2, 3)}); the fitted score differs from the pipeline score by ${fixed(breakdown.residual, 3)}.</div>
+  ` : '<p>No recommendation data.</p>'}
+
+  <h2>Most correlated peers</h2>
+  ${peers.length > 0 ? `
+    <table>
+      <tr><th>Ticker</th><th>Name</th><th>Correlation</th><th>Label</th></tr>
+      ${peers.map(([other, corr]) => {
+        const peer = stockData.recommendations.find(s => s.ticker === other);
+        return `<tr><td>${escapeHTML(other)}</td><td>${escapeHTML(getTickerInfo(other).name)}</td><td>${fixed(corr, 3)}</td><td>${peer ? peer.label : '-'}</td></tr>`;
+      }).join('')}
+    </table>
+  ` : '<p>No correlation data.</p>'}
+</body>
+</html>`;
 }
 
-// Draw MST Graph with interactivity
-function drawMSTGraph() {
-  const placeholder = document.querySelector('.graph-placeholder');
-  if (!placeholder || stockData.mstEdges.length === 0) return;
+// Export menu and report button in the stock view header
+function attachStockExports(ticker) {
+  const container = document.getElementById('stockExportControls');
+  if (!container) return;
 
-  // Create canvas for graph
-  const canvas = document.createElement('canvas');
-  canvas.width = 800;
-  canvas.height = 500;
-  canvas.style.width = '100%';
-  canvas.style.height = 'auto';
-  canvas.style.maxWidth = '100%';
-  canvas.style.border = '1px solid #30363d';
-  canvas.style.borderRadius = '10px';
-  canvas.style.background = '#0d1117';
-  canvas.style.cursor = 'pointer';
+  const reportButton = document.createElement('button');
+  reportButton.className = 'order-type-btn';
+  reportButton.textContent = 'Report';
+  reportButton.title = 'Printable single-stock report';
+  reportButton.addEventListener('click', () => openStockReport(ticker));
+  container.appendChild(reportButton);
 
-  placeholder.innerHTML = '';
-  placeholder.appendChild(canvas);
-  placeholder.style.padding = '20px';
+  attachExportMenu(container, [
+    ...getCanvasExportActions('Price chart', `${ticker}-price`, () => (stockPriceChart ? document.getElementById('stockPriceChart') : null)),
+    ...getTableExportActions('Price history', `${ticker}-prices`, () => {
+      const bars = stockData.priceHistory[ticker];
+      return bars ? {
+        columns: ['date', 'open', 'high', 'low', 'close', 'volume'].map(key => ({ key, header: key })),
+        rows: bars
+      } : null;
+    })
+  ]);
+}
+
+// Live quotes - a WebSocket client for the mock feed in server/feed.js (or anything that
+// speaks its protocol). The stream subscribes to every ticker on screen and patches the
+// cards, the stock header, the ticket price and the last bar of the price chart. Feed bars
+// are kept apart in liveQuotes and only merged for display, so paper fills, position marks
+// and alerts run on the loaded price files alone. Turn it
+// on with ?feed (same host, /feed), ?feed=<ws URL> or STOCKGRAPHIX_CONFIG.feedURL; the
+// status pill then shows the connection and connects or disconnects on click. Without a
+// requested feed (e.g. on static hosting, where none can exist) there is no pill.
+const QUOTE_FEED_PATH = '/feed';
+const QUOTE_RECONNECT_BASE_MS = 1000;
+const QUOTE_RECONNECT_MAX_MS = 30000;
+let quoteStream = {
+  url: null,
+  socket: null,
+  status: 'off', // 'off' | 'connecting' | 'live' | 'retrying'
+  attempts: 0,
+  retryTimer: null,
+  retryAt: null,
+  subscribed: new Set()
+};
+let liveQuotes = {}; // ticker -> { quote, bars: session bars from the feed, oldest first }
 
-  graphCanvas = canvas;
-  graphCtx = canvas.getContext('2d');
-  const width = canvas.width;
-  const height = canvas.height;
+function getQuoteFeedURL() {
+  const params = new URLSearchParams(window.location.search);
+  const configured = params.has('feed') ? params.get('feed') : (window.STOCKGRAPHIX_CONFIG || {}).feedURL;
+  const url = configured && configured !== '1' && configured !== 'on' ? configured : QUOTE_FEED_PATH;
+  if (/^wss?:\/\//.test(url)) return url;
+  // Paths are resolved against the page, switching http(s) for ws(s)
+  return new URL(url, window.location.href).href.replace(/^http/, 'ws');
+}
 
-  // Collect all unique nodes
-  const nodes = new Set();
-  stockData.mstEdges.forEach(edge => {
-    nodes.add(edge.u);
-    nodes.add(edge.v);
-  });
-  graphNodeList = Array.from(nodes);
+function isQuoteFeedRequested() {
+  const params = new URLSearchParams(window.location.search);
+  return params.has('feed') || Boolean((window.STOCKGRAPHIX_CONFIG || {}).feedURL);
+}
 
-  // Simple force-directed layout
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const radius = Math.min(width, height) * 0.35;
+function initializeQuoteStream() {
+  if (!isQuoteFeedRequested() || document.getElementById('quoteStreamStatus')) return;
 
-  // Position nodes in a circle
-  graphNodeList.forEach((node, i) => {
-    const angle = (2 * Math.PI * i) / graphNodeList.length;
-    graphPositions[node] = {
-      x: centerX + radius * Math.cos(angle),
-      y: centerY + radius * Math.sin(angle)
-    };
+  const pill = document.createElement('button');
+  pill.id = 'quoteStreamStatus';
+  pill.style.cssText = 'position: fixed; bottom: 16px; right: 16px; z-index: 1000; background: #161b22; color: #e6edf3; border: 1px solid #30363d; border-radius: 20px; padding: 6px 12px; cursor: pointer; font-size: 12px;';
+  pill.addEventListener('click', () => {
+    if (quoteStream.status === 'off') {
+      connectQuoteStream();
+    } else {
+      disconnectQuoteStream();
+    }
   });
+  document.body.appendChild(pill);
 
-  // Draw function
-  function redrawGraph() {
-    graphCtx.clearRect(0, 0, width, height);
+  renderQuoteStreamStatus();
+  connectQuoteStream();
+}
 
-    // Draw edges
-    stockData.mstEdges.forEach(edge => {
-      const u = graphPositions[edge.u];
-      const v = graphPositions[edge.v];
-      if (u && v) {
-        // Highlight edge if connected to hovered node
-        const isHighlighted = hoveredNode && (edge.u === hoveredNode || edge.v === hoveredNode);
-        const corr = Math.abs(edge.corr);
-        const alpha = isHighlighted ? 1.0 : Math.max(0.3, corr);
-        const lineWidth = isHighlighted ? 3 : 2;
-        
-        graphCtx.strokeStyle = `rgba(88, 166, 255, ${alpha})`;
-        graphCtx.lineWidth = lineWidth;
-        graphCtx.beginPath();
-        graphCtx.moveTo(u.x, u.y);
-        graphCtx.lineTo(v.x, v.y);
-        graphCtx.stroke();
-
-        // Draw edge weight (distance preferred, fallback to correlation) at midpoint
-        const weightValue = !isNaN(edge.distance) && edge.distance !== 0 ? edge.distance : edge.corr;
-        if (!isNaN(weightValue)) {
-          const midX = (u.x + v.x) / 2;
-          const midY = (u.y + v.y) / 2;
-          const label = weightValue.toFixed(2);
-          graphCtx.save();
-          graphCtx.font = '10px "Segoe UI", sans-serif';
-          const textWidth = graphCtx.measureText(label).width;
-          const padding = 4;
-          graphCtx.fillStyle = 'rgba(13, 17, 23, 0.85)';
-          graphCtx.fillRect(midX - textWidth / 2 - padding, midY - 8, textWidth + padding * 2, 16);
-          graphCtx.fillStyle = isHighlighted ? '#58a6ff' : '#8b949e';
-          graphCtx.textAlign = 'center';
-          graphCtx.textBaseline = 'middle';
-          graphCtx.fillText(label, midX, midY);
-          graphCtx.restore();
-        }
-      }
-    });
+function renderQuoteStreamStatus() {
+  const pill = document.getElementById('quoteStreamStatus');
+  if (!pill) return;
 
-    // Draw nodes
-    graphNodeList.forEach(node => {
-      const pos = graphPositions[node];
-      const stock = stockData.recommendations.find(s => s.ticker === node);
-      const label = stock ? stock.label : 'HOLD';
-      const isHovered = hoveredNode === node;
-      
-      // Node color based on recommendation
-      let nodeColor = '#8b949e'; // HOLD
-      if (label === 'BUY') nodeColor = '#3fb950';
-      if (label === 'AVOID') nodeColor = '#f85149';
-
-      // Draw node circle (larger if hovered)
-      const nodeRadius = isHovered ? 20 : 15;
-      graphCtx.fillStyle = nodeColor;
-      graphCtx.beginPath();
-      graphCtx.arc(pos.x, pos.y, nodeRadius, 0, 2 * Math.PI);
-      graphCtx.fill();
-      graphCtx.strokeStyle = isHovered ? '#58a6ff' : '#161b22';
-      graphCtx.lineWidth = isHovered ? 3 : 2;
-      graphCtx.stroke();
+  const states = {
+    off: { color: '#6e7681', text: 'Live feed off', title: 'Click to connect to the price feed' },
+    connecting: { color: '#d29922', text: 'Connecting…', title: `Connecting to ${quoteStream.url}` },
+    live: { color: '#3fb950', text: `Live · ${quoteStream.subscribed.size} ticker${quoteStream.subscribed.size === 1 ? '' : 's'}`, title: `Streaming from ${quoteStream.url} - click to disconnect` },
+    retrying: {
+      color: '#f85149',
+      text: `Disconnected · retrying in ${Math.max(0, Math.ceil((quoteStream.retryAt - Date.now()) / 1000))}s`,
+      title: `Lost ${quoteStream.url} - click to stop retrying`
+    }
+  };
+  const state = states[quoteStream.status];
+  pill.title = state.title;
+  pill.innerHTML = `<span style="color: ${state.color};">●</span> ${state.text}`;
+}
 
-      // Draw node label
-      graphCtx.fillStyle = isHovered ? '#58a6ff' : '#e6edf3';
-      graphCtx.font = isHovered ? 'bold 13px "Segoe UI", sans-serif' : '12px "Segoe UI", sans-serif';
-      graphCtx.textAlign = 'center';
-      graphCtx.textBaseline = 'middle';
-      
-      // Shorten ticker for display
-      const displayName = node.replace('.NS', '');
-      graphCtx.fillText(displayName, pos.x, pos.y - 30);
-      
-      // Show additional info on hover
-      if (isHovered && stock) {
-        const momentumPercent = (stock.momentum * 100).toFixed(2);
-        const sign = stock.momentum >= 0 ? '+' : '';
-        graphCtx.fillStyle = '#8b949e';
-        graphCtx.font = '10px "Segoe UI", sans-serif';
-        graphCtx.fillText(`${sign}${momentumPercent}%`, pos.x, pos.y + 35);
-        graphCtx.fillText(stock.label, pos.x, pos.y + 48);
-      }
-    });
+function setQuoteStreamStatus(status) {
+  quoteStream.status = status;
+  renderQuoteStreamStatus();
+}
 
-    // Add legend
-    graphCtx.fillStyle = '#8b949e';
-    graphCtx.font = '11px "Segoe UI", sans-serif';
-    graphCtx.textAlign = 'left';
-    graphCtx.fillText('BUY', 20, height - 50);
-    graphCtx.fillText('HOLD', 20, height - 35);
-    graphCtx.fillText('AVOID', 20, height - 20);
-    
-    graphCtx.fillStyle = '#3fb950';
-    graphCtx.beginPath();
-    graphCtx.arc(10, height - 50, 5, 0, 2 * Math.PI);
-    graphCtx.fill();
-    
-    graphCtx.fillStyle = '#8b949e';
-    graphCtx.beginPath();
-    graphCtx.arc(10, height - 35, 5, 0, 2 * Math.PI);
-    graphCtx.fill();
-    
-    graphCtx.fillStyle = '#f85149';
-    graphCtx.beginPath();
-    graphCtx.arc(10, height - 20, 5, 0, 2 * Math.PI);
-    graphCtx.fill();
-  }
+function connectQuoteStream() {
+  clearTimeout(quoteStream.retryTimer);
+  quoteStream.retryTimer = null;
+  quoteStream.url = getQuoteFeedURL();
+  setQuoteStreamStatus('connecting');
 
-  // Mouse move handler for hover
-  canvas.addEventListener('mousemove', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
-
-    let foundNode = null;
-    graphNodeList.forEach(node => {
-      const pos = graphPositions[node];
-      const distance = Math.sqrt((x - pos.x) ** 2 + (y - pos.y) ** 2);
-      if (distance <= 20) {
-        foundNode = node;
-      }
-    });
+  let socket;
+  try {
+    socket = new WebSocket(quoteStream.url);
+  } catch (error) {
+    console.warn('Could not open the price feed:', error.message);
+    scheduleQuoteReconnect();
+    return;
+  }
+  quoteStream.socket = socket;
 
-    if (foundNode !== hoveredNode) {
-      hoveredNode = foundNode;
-      redrawGraph();
+  socket.onopen = () => {
+    quoteStream.subscribed = new Set();
+    syncQuoteSubscriptions();
+  };
+  socket.onmessage = event => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('Ignoring malformed feed message:', event.data);
+      return;
     }
-  });
+    handleQuoteMessage(message);
+  };
+  socket.onclose = () => {
+    if (quoteStream.socket !== socket) return;
+    quoteStream.socket = null;
+    quoteStream.subscribed = new Set();
+    // A close we did not ask for: back off and try again
+    if (quoteStream.status !== 'off') {
+      scheduleQuoteReconnect();
+    }
+  };
+}
 
-  // Mouse leave handler
-  canvas.addEventListener('mouseleave', () => {
-    hoveredNode = null;
-    redrawGraph();
-  });
+// Exponential backoff with jitter, capped at QUOTE_RECONNECT_MAX_MS
+function scheduleQuoteReconnect() {
+  const delay = Math.min(QUOTE_RECONNECT_MAX_MS, QUOTE_RECONNECT_BASE_MS * 2 ** quoteStream.attempts) * (0.5 + Math.random() / 2);
+  quoteStream.attempts += 1;
+  quoteStream.retryAt = Date.now() + delay;
+  setQuoteStreamStatus('retrying');
+  console.warn(`Price feed disconnected, retrying in ${Math.round(delay / 1000)}s`);
 
-  // Click handler
-  canvas.addEventListener('click', (e) => {
-    if (hoveredNode) {
-      showStockDetails(hoveredNode);
+  // Tick the countdown in the status pill until the retry fires
+  const countdown = setInterval(() => {
+    if (quoteStream.status !== 'retrying') {
+      clearInterval(countdown);
+      return;
     }
-  });
+    renderQuoteStreamStatus();
+  }, 1000);
+  quoteStream.retryTimer = setTimeout(() => {
+    clearInterval(countdown);
+    connectQuoteStream();
+  }, delay);
+}
 
-  // Initial draw
-  redrawGraph();
+function disconnectQuoteStream() {
+  clearTimeout(quoteStream.retryTimer);
+  quoteStream.retryTimer = null;
+  quoteStream.attempts = 0;
+  setQuoteStreamStatus('off');
+
+  const socket = quoteStream.socket;
+  quoteStream.socket = null;
+  quoteStream.subscribed = new Set();
+  if (socket) {
+    socket.close();
+  }
 }
 
-// Update market trends
-function updateMarketTrends() {
-  if (stockData.returns.length === 0) return;
+// Tickers on screen: cards carrying data-quote-ticker plus the open stock and those of
+// its other exchange listings that have price data
+function getQuoteTickers() {
+  const tickers = new Set();
+  document.querySelectorAll('[data-quote-ticker]').forEach(element => tickers.add(element.dataset.quoteTicker));
+  if (currentStockTicker && document.getElementById('tradingInterface')) {
+    tickers.add(currentStockTicker);
+    getTickerListings(currentStockTicker)
+      .filter(listing => stockData.priceHistory[listing.symbol])
+      .forEach(listing => tickers.add(listing.symbol));
+  }
+  return tickers;
+}
 
-  const trendBox = document.querySelector('.trend-box');
-  if (!trendBox) return;
+function syncQuoteSubscriptions() {
+  const socket = quoteStream.socket;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
 
-  // Calculate aggregate metrics from returns
-  const usStocks = ['AAPL', 'MSFT', 'GOOG', 'AMZN'];
-  const indianStocks = ['PAYTM.NS', 'HDFCBANK.NS', 'ICICIBANK.NS', 'RELIANCE.NS', 'ITC.NS', 'TCS.NS'];
+  const wanted = getQuoteTickers();
+  const added = [...wanted].filter(ticker => !quoteStream.subscribed.has(ticker));
+  const removed = [...quoteStream.subscribed].filter(ticker => !wanted.has(ticker));
+  if (added.length > 0) {
+    socket.send(JSON.stringify({ type: 'subscribe', tickers: added }));
+  }
+  if (removed.length > 0) {
+    socket.send(JSON.stringify({ type: 'unsubscribe', tickers: removed }));
+  }
+  quoteStream.subscribed = wanted;
+  renderQuoteStreamStatus();
+}
 
-  // Calculate average returns for US and Indian markets
-  let usAvgReturn = 0;
-  let indianAvgReturn = 0;
-  let usCount = 0;
-  let indianCount = 0;
+function handleQuoteMessage(message) {
+  switch (message.type) {
+    case 'hello':
+      quoteStream.attempts = 0;
+      setQuoteStreamStatus('live');
+      console.log(`Price feed connected (session ${message.date}, ${message.speed} bars/min)`);
+      break;
+    case 'bars': {
+      const live = liveQuotes[message.ticker] || (liveQuotes[message.ticker] = { quote: null, bars: [] });
+      message.bars.forEach(bar => upsertBar(live.bars, bar));
+      updateLivePriceChart(message.ticker);
+      break;
+    }
+    case 'quote':
+      applyLiveQuote(message);
+      break;
+    case 'error':
+      console.warn(`Price feed: ${message.error}`);
+      break;
+    default:
+      console.warn('Unknown feed message type:', message.type);
+  }
+}
 
-  stockData.returns.forEach(day => {
-    usStocks.forEach(ticker => {
-      const ret = parseFloat(day[ticker]);
-      if (!isNaN(ret)) {
-        usAvgReturn += ret;
-        usCount++;
-      }
-    });
-    indianStocks.forEach(ticker => {
-      const ret = parseFloat(day[ticker]);
-      if (!isNaN(ret)) {
-        indianAvgReturn += ret;
-        indianCount++;
-      }
-    });
+// Replace the bar with the same date or append a newer one; returns 'updated', 'added' or null
+function upsertBar(bars, bar) {
+  const last = bars[bars.length - 1];
+  const next = { date: bar.date, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+  if (last && bar.date < last.date) return null;
+  if (last && bar.date === last.date) {
+    Object.assign(last, next);
+    return 'updated';
+  }
+  bars.push(next);
+  return 'added';
+}
+
+// Loaded price history with the session's feed bars folded into a copy, for the chart,
+// quote and ticket price. Null until the history is loaded.
+function getDisplayHistory(ticker) {
+  const history = stockData.priceHistory[ticker];
+  const live = liveQuotes[ticker];
+  if (!history || !live || live.bars.length === 0) return history || null;
+  const merged = history.map(bar => ({ ...bar }));
+  live.bars.forEach(bar => upsertBar(merged, bar));
+  return merged;
+}
+
+function applyLiveQuote(quote) {
+  const ticker = quote.ticker;
+  const live = liveQuotes[ticker] || (liveQuotes[ticker] = { quote: null, bars: [] });
+  live.quote = quote;
+  const change = upsertBar(live.bars, quote);
+
+  document.querySelectorAll(`[data-quote-ticker="${ticker}"]`).forEach(element => {
+    element.innerHTML = formatLiveQuote(ticker);
   });
+  // The open stock follows quotes for its own symbol and its other listings
+  const isListing = currentStockTicker !== null &&
+    getTickerListings(currentStockTicker).some(listing => listing.symbol === ticker);
+  if (!change || !isListing || !stockData.priceHistory[ticker]) return;
+  renderStockQuote(currentStockTicker);
+  updateTicketLivePrice(currentStockTicker);
+  if (ticker === currentStockTicker) updateLivePriceChart(ticker);
+}
 
-  usAvgReturn = usCount > 0 ? (usAvgReturn / usCount) * 100 : 0;
-  indianAvgReturn = indianCount > 0 ? (indianAvgReturn / indianCount) * 100 : 0;
+// "₹534.18 +0.39%" for cards, empty until the first quote
+function formatLiveQuote(ticker) {
+  const live = liveQuotes[ticker];
+  if (!live || !live.quote) return '';
+  const { price, changePercent } = live.quote;
+  const color = changePercent >= 0 ? '#3fb950' : '#f85149';
+  return `${formatInBase(price, getTickerCurrency(ticker))} <span style="color: ${color};">${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%</span>`;
+}
 
-  // Calculate portfolio value (assuming starting at 10000)
-  let portfolioValue = 10000;
-  stockData.returns.forEach(day => {
-    let dayReturn = 0;
-    let count = 0;
-    Object.keys(day).forEach(key => {
-      if (key !== 'Date') {
-        const ret = parseFloat(day[key]);
-        if (!isNaN(ret)) {
-          dayReturn += ret;
-          count++;
-        }
-      }
-    });
-    if (count > 0) {
-      portfolioValue *= (1 + dayReturn / count);
-    }
+// The ticket price follows the live price until the user types their own. The as-of
+// date stays on the loaded history, so orders still fill against real bars only.
+function updateTicketLivePrice(ticker) {
+  const tradingInterface = document.getElementById('tradingInterface');
+  if (!tradingInterface || tradingInterface.dataset.ticker !== ticker) return;
+  fillTicketPrice(ticker);
+}
+
+// URL routing - the hash mirrors the open stock and view settings so links can be
+// shared and the back button works, e.g. #/stock/TCS.NS?range=1Y&graph=pmfg&window=120
+let currentStockTicker = null;
+let applyingRoute = false;
+
+function parseRoute(hash) {
+  const [path, queryString = ''] = hash.replace(/^#/, '').split('?');
+  let segments;
+  try {
+    segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    console.warn(`Ignoring malformed link path "${path}"`);
+    segments = [];
+  }
+  const params = {};
+  new URLSearchParams(queryString).forEach((value, key) => {
+    params[key] = value;
   });
+  if (params.window !== undefined && !isValidWindowParam(params.window)) {
+    console.warn(`Ignoring invalid window "${params.window}" in link`);
+    delete params.window;
+  }
 
-  trendBox.innerHTML = `
-    <p>US Market Avg: <span>${usAvgReturn >= 0 ? '+' : ''}${usAvgReturn.toFixed(2)}%</span></p>
-    <p>Indian Market Avg: <span>${indianAvgReturn >= 0 ? '+' : ''}${indianAvgReturn.toFixed(2)}%</span></p>
-    <p>Portfolio Value: <span>$${portfolioValue.toFixed(2)}</span></p>
-  `;
+  return {
+    ticker: segments[0] === 'stock' && segments[1] ? segments[1] : null,
+    params
+  };
 }
 
-// Draw market trends chart
-function drawMarketTrendsChart() {
-  if (stockData.returns.length === 0) return;
+// window=<days> (at least NETWORK_MIN_OBSERVATIONS) or window=<from>..<to> with
+// YYYY-MM-DD dates, either of which may be left empty
+function isValidWindowParam(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) >= NETWORK_MIN_OBSERVATIONS;
+  }
+  return /^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/.test(value);
+}
 
-  const canvas = document.getElementById('marketChart');
-  if (!canvas) return;
+function getCurrentRoute() {
+  const params = {};
+  if (currentStockTicker) {
+    params.range = priceChartSettings.range;
+    if (priceChartSettings.type !== 'line') params.chart = priceChartSettings.type;
+  }
+  if (graphMode !== 'mst') params.graph = graphMode;
+  if (graphMode === 'threshold') params.threshold = graphThreshold.toFixed(2);
+  if (graphColorMode === 'cluster') params.color = 'cluster';
+  if (stockData.network) {
+    const range = stockData.network.window;
+    params.window = range.days ? String(range.days) : `${range.from || ''}..${range.to || ''}`;
+  }
 
-  // Prepare data for chart
-  const dates = stockData.returns.map(day => day.Date).slice(-30); // Last 30 days
-  const usStocks = ['AAPL', 'MSFT', 'GOOG', 'AMZN'];
-  const indianStocks = ['PAYTM.NS', 'HDFCBANK.NS', 'ICICIBANK.NS', 'RELIANCE.NS', 'ITC.NS', 'TCS.NS'];
+  const path = currentStockTicker ? `/stock/${encodeURIComponent(currentStockTicker)}` : '/';
+  const query = new URLSearchParams(params).toString();
+  return `#${path}${query ? `?${query}` : ''}`;
+}
 
-  // Calculate cumulative returns for US and Indian markets
-  const usReturns = [];
-  const indianReturns = [];
-  const portfolioValues = [];
-  
-  let usCumulative = 0;
-  let indianCumulative = 0;
-  let portfolioValue = 10000;
+// Write the current state to the URL; new stocks get their own history entry
+function updateRoute({ push = false } = {}) {
+  if (applyingRoute) return;
+  const hash = getCurrentRoute();
+  if (hash === window.location.hash) return;
 
-  stockData.returns.slice(-30).forEach(day => {
-    // US market average return
-    let usDayReturn = 0;
-    let usCount = 0;
-    usStocks.forEach(ticker => {
-      const ret = parseFloat(day[ticker]);
-      if (!isNaN(ret)) {
-        usDayReturn += ret;
-        usCount++;
-      }
-    });
-    if (usCount > 0) {
-      usCumulative += usDayReturn / usCount;
+  if (push) {
+    history.pushState(null, '', hash);
+  } else {
+    history.replaceState(null, '', hash);
+  }
+}
+
+// Restore view settings and the open stock from a route, then rewrite the hash in its
+// canonical form (a partial or invalid link keeps only what was applied)
+function applyRoute(route) {
+  applyingRoute = true;
+  try {
+    const { params } = route;
+
+    if (PRICE_CHART_RANGES.includes(params.range)) {
+      priceChartSettings.range = params.range;
     }
-    usReturns.push(usCumulative * 100);
+    priceChartSettings.type = ['candlestick', 'ohlc'].includes(params.chart) ? params.chart : 'line';
 
-    // Indian market average return
-    let indianDayReturn = 0;
-    let indianCount = 0;
-    indianStocks.forEach(ticker => {
-      const ret = parseFloat(day[ticker]);
-      if (!isNaN(ret)) {
-        indianDayReturn += ret;
-        indianCount++;
-      }
-    });
-    if (indianCount > 0) {
-      indianCumulative += indianDayReturn / indianCount;
+    graphMode = ['threshold', 'pmfg'].includes(params.graph) ? params.graph : 'mst';
+    graphColorMode = params.color === 'cluster' ? 'cluster' : 'label';
+    const threshold = parseFloat(params.threshold);
+    if (threshold >= 0 && threshold <= 1) {
+      graphThreshold = threshold;
     }
-    indianReturns.push(indianCumulative * 100);
+    syncGraphControls(params.window);
 
-    // Portfolio value
-    let dayReturn = 0;
-    let count = 0;
-    Object.keys(day).forEach(key => {
-      if (key !== 'Date') {
-        const ret = parseFloat(day[key]);
-        if (!isNaN(ret)) {
-          dayReturn += ret;
-          count++;
-        }
+    let windowApplied;
+    if (params.window && stockData.returns.length > 0) {
+      const [from, to] = params.window.split('..');
+      windowApplied = setNetworkWindow(to !== undefined ? { from, to } : { days: parseInt(params.window, 10) });
+    } else {
+      windowApplied = setNetworkWindow(null);
+    }
+    if (!windowApplied) {
+      drawMSTGraph();
+    }
+
+    const stock = route.ticker && stockData.recommendations.find(s => s.ticker === route.ticker);
+    const resultDiv = document.getElementById('result');
+    if (stock) {
+      document.getElementById('searchInput').value = stock.ticker;
+      renderStockView(stock);
+    } else {
+      currentStockTicker = null;
+      if (route.ticker && resultDiv) {
+        resultDiv.innerHTML = `<p style="color: #f85149;">Stock "${escapeHTML(route.ticker)}" from the link was not found.</p>`;
+      } else if (resultDiv) {
+        resultDiv.innerHTML = '';
       }
-    });
-    if (count > 0) {
-      portfolioValue *= (1 + dayReturn / count);
     }
-    portfolioValues.push(portfolioValue);
-  });
+  } finally {
+    applyingRoute = false;
+  }
+  updateRoute();
+}
 
-  // Destroy existing chart if it exists
-  if (marketChart) {
-    marketChart.destroy();
+// Reflect graph mode/threshold/window in the network toolbar without firing its handlers
+function syncGraphControls(windowParam) {
+  const modeSelect = document.getElementById('graphModeSelect');
+  if (!modeSelect) return;
+
+  modeSelect.value = graphMode;
+  document.getElementById('graphColorSelect').value = graphColorMode;
+  document.getElementById('graphThresholdControl').style.display = graphMode === 'threshold' ? 'inline' : 'none';
+  document.getElementById('graphThresholdSlider').value = graphThreshold;
+  document.getElementById('graphThresholdValue').textContent = graphThreshold.toFixed(2);
+
+  const windowSelect = document.getElementById('networkWindowSelect');
+  const customRange = document.getElementById('networkCustomRange');
+  if (!windowParam) {
+    windowSelect.value = 'pipeline';
+  } else if (windowParam.includes('..')) {
+    const [from, to] = windowParam.split('..');
+    windowSelect.value = 'custom';
+    document.getElementById('networkFrom').value = from;
+    document.getElementById('networkTo').value = to;
+  } else {
+    windowSelect.value = windowParam;
+    if (windowSelect.value !== windowParam) {
+      // Non-preset day counts still work; add them to the list
+      windowSelect.insertAdjacentHTML('beforeend', `<option value="${parseInt(windowParam, 10)}">Last ${parseInt(windowParam, 10)} days</option>`);
+      windowSelect.value = String(parseInt(windowParam, 10));
+    }
   }
+  customRange.style.display = windowSelect.value === 'custom' ? 'inline' : 'none';
+}
 
-  // Create new chart
-  const ctx = canvas.getContext('2d');
-  marketChart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels: dates,
-      datasets: [
-        {
-          label: 'US Market (Cumulative Return %)',
-          data: usReturns,
-          borderColor: '#58a6ff',
-          backgroundColor: 'rgba(88, 166, 255, 0.1)',
-          tension: 0.4,
-          fill: true
-        },
-        {
-          label: 'Indian Market (Cumulative Return %)',
-          data: indianReturns,
-          borderColor: '#3fb950',
-          backgroundColor: 'rgba(63, 185, 80, 0.1)',
-          tension: 0.4,
-          fill: true
-        },
-        {
-          label: 'Portfolio Value ($)',
-          data: portfolioValues,
-          borderColor: '#f85149',
-          backgroundColor: 'rgba(248, 81, 73, 0.1)',
-          tension: 0.4,
-          yAxisID: 'y1',
-          fill: false
-        }
-      ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          labels: {
-            color: '#e6edf3'
-          }
-        },
-        tooltip: {
-          mode: 'index',
-          intersect: false,
-          backgroundColor: '#161b22',
-          titleColor: '#e6edf3',
-          bodyColor: '#e6edf3',
-          borderColor: '#30363d',
-          borderWidth: 1
-        }
-      },
-      scales: {
-        x: {
-          ticks: {
-            color: '#8b949e',
-            maxRotation: 45,
-            minRotation: 45
-          },
-          grid: {
-            color: '#21262d'
-          }
-        },
-        y: {
-          type: 'linear',
-          display: true,
-          position: 'left',
-          ticks: {
-            color: '#8b949e'
-          },
-          grid: {
-            color: '#21262d'
-          }
-        },
-        y1: {
-          type: 'linear',
-          display: true,
-          position: 'right',
-          ticks: {
-            color: '#8b949e'
-          },
-          grid: {
-            drawOnChartArea: false
-          }
-        }
-      },
-      interaction: {
-        mode: 'nearest',
-        axis: 'x',
-        intersect: false
-      }
+// Only hashchange: it also fires when back/forward moves between pushState entries, and
+// listening to popstate as well would apply every navigation twice
+function initializeRouting() {
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash !== getCurrentRoute()) {
+      applyRoute(parseRoute(window.location.hash));
     }
   });
+
+  if (window.location.hash) {
+    applyRoute(parseRoute(window.location.hash));
+  }
 }
 
-// Allow Enter key to trigger search
+// Wire up search and load data once the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   console.log('DOM Content Loaded - Initializing StockGraphix...');
   
   const searchInput = document.getElementById('searchInput');
   if (searchInput) {
-    searchInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        searchStock();
-      }
-    });
+    // Enter, arrow keys and Escape are handled by the suggestion list
+    initializeSearchSuggestions();
   } else {
     console.error('Search input not found!');
   }
@@ -0,0 +1,320 @@
+// Mock price feed - replays the daily bars in <Ticker>.csv as a continuation of each
+// ticker's history, so the dashboard can be developed and demoed without a live market.
+//
+// Every replayed day is a historical bar rescaled to start from the previous synthetic
+// close and dated on the next weekday after the data ends; the replay wraps around at
+// the end of the file. A day is streamed as ticksPerBar quotes that walk
+// open -> nearer extreme -> other extreme -> close. The clock only runs while a client
+// is connected, and every client sees the same session.
+//
+// Protocol (JSON text frames):
+//   client -> { type: 'subscribe' | 'unsubscribe', tickers: [...] }
+//   server -> { type: 'hello', speed, ticksPerBar, date }
+//             { type: 'bars', ticker, bars }   completed session bars, sent on subscribe
+//             { type: 'quote', ticker, date, time, price, open, high, low, close, volume,
+//               previousClose, change, changePercent }
+//             { type: 'error', error, ticker? }
+'use strict';
+
+const { acceptWebSocket } = require('./websocket');
+
+const FEED_PATH = '/feed';
+const DEFAULT_FEED_OPTIONS = { speed: 6, ticksPerBar: 10, replayFrom: null };
+const HEARTBEAT_MS = 30000;
+const SESSION_BAR_LIMIT = 1000;
+
+function nextWeekday(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  do {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } while (next.getUTCDay() === 0 || next.getUTCDay() === 6);
+  return next.toISOString().slice(0, 10);
+}
+
+// Price after walking fraction (0..1) of the open -> extremes -> close path
+function pricePathAt(bar, fraction) {
+  const highFirst = Math.abs(bar.high - bar.open) < Math.abs(bar.open - bar.low);
+  const points = highFirst
+    ? [bar.open, bar.high, bar.low, bar.close]
+    : [bar.open, bar.low, bar.high, bar.close];
+  const lengths = points.slice(1).map((point, i) => Math.abs(point - points[i]));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  if (total === 0) return bar.close;
+
+  let remaining = fraction * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i]) {
+      return points[i] + Math.sign(points[i + 1] - points[i]) * remaining;
+    }
+    remaining -= lengths[i];
+  }
+  return bar.close;
+}
+
+function roundPrice(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function createFeed(store, options = {}) {
+  const settings = { ...DEFAULT_FEED_OPTIONS, ...options };
+  const tickMs = 60000 / settings.speed / settings.ticksPerBar;
+  const clients = new Set(); // { socket, tickers: Set }
+  const tickers = new Map(); // ticker -> Promise of replay state, for listed tickers with a price file
+  const session = { day: -1, tick: settings.ticksPerBar - 1, startDate: null };
+  let timer = null;
+  let heartbeat = null;
+
+  // Replay state for a ticker, caught up with the session so late subscribers match.
+  // Resolves to null when there is no usable price file; those reads are not cached.
+  function getTicker(ticker) {
+    if (!tickers.has(ticker)) {
+      const pending = store.readPrices(ticker).then(prices => {
+        if (!prices || prices.bars.length < 2) return null;
+
+        const source = prices.bars;
+        let cursor = 0;
+        if (settings.replayFrom) {
+          cursor = Math.max(0, source.findIndex(bar => bar.date >= settings.replayFrom));
+        }
+        const state = {
+          source,
+          cursor,
+          lastDate: source[source.length - 1].date,
+          previousClose: source[source.length - 1].close,
+          previousSourceClose: cursor > 0 ? source[cursor - 1].close : source[0].open,
+          day: -1,
+          bar: null,
+          bars: []
+        };
+        for (let day = 0; day <= session.day; day++) {
+          startDay(state, day);
+        }
+        return state;
+      }).catch(error => {
+        console.error(`Feed could not read prices for ${ticker}:`, error);
+        return null;
+      });
+      tickers.set(ticker, pending);
+      pending.then(state => {
+        if (!state && tickers.get(ticker) === pending) tickers.delete(ticker);
+      });
+    }
+    return tickers.get(ticker);
+  }
+
+  // Only symbols in tickers.csv (a Ticker, or an EXCHANGE:SYMBOL entry of its listings
+  // column) can be subscribed, which bounds the replay state
+  async function isListed(ticker) {
+    const listed = await store.readTable('tickers.csv');
+    return Boolean(listed) && listed.data.some(row => row.Ticker === ticker ||
+      (row.listings || '').split(';').some(entry => (entry.split(':')[1] || '').trim() === ticker));
+  }
+
+  function getSessionDate(day) {
+    let date = session.startDate;
+    for (let i = 0; i < day; i++) date = nextWeekday(date);
+    return date;
+  }
+
+  // Close yesterday's synthetic bar and rescale the next historical one onto it
+  function startDay(state, day) {
+    if (state.day >= day) return;
+    state.day = day;
+    if (state.bar) {
+      state.previousClose = state.bar.close;
+      state.bars.push(state.bar);
+      if (state.bars.length > SESSION_BAR_LIMIT) state.bars.shift();
+    }
+
+    const sourceBar = state.source[state.cursor];
+    const scale = state.previousClose / state.previousSourceClose;
+    state.bar = {
+      date: getSessionDate(day),
+      open: roundPrice(sourceBar.open * scale),
+      high: roundPrice(sourceBar.high * scale),
+      low: roundPrice(sourceBar.low * scale),
+      close: roundPrice(sourceBar.close * scale),
+      volume: sourceBar.volume
+    };
+    state.previousSourceClose = sourceBar.close;
+
+    state.cursor += 1;
+    if (state.cursor >= state.source.length) {
+      // Wrap without a gap: the next day opens where this one closes
+      state.cursor = 0;
+      state.previousSourceClose = state.source[0].open;
+    }
+  }
+
+  // The bar as it stands after the session's current tick
+  function getQuote(ticker, state) {
+    const fraction = settings.ticksPerBar > 1 ? session.tick / (settings.ticksPerBar - 1) : 1;
+    const bar = state.bar;
+    const price = roundPrice(pricePathAt(bar, fraction));
+
+    // High/low so far: the extremes the path has already passed through
+    let high = Math.max(bar.open, price);
+    let low = Math.min(bar.open, price);
+    for (let i = 0; i <= session.tick; i++) {
+      const value = pricePathAt(bar, settings.ticksPerBar > 1 ? i / (settings.ticksPerBar - 1) : 1);
+      high = Math.max(high, value);
+      low = Math.min(low, value);
+    }
+
+    const change = price - state.previousClose;
+    return {
+      type: 'quote',
+      ticker,
+      date: bar.date,
+      time: new Date().toISOString(),
+      price,
+      open: bar.open,
+      high: roundPrice(high),
+      low: roundPrice(low),
+      close: price,
+      volume: bar.volume === null ? null : Math.round(bar.volume * fraction),
+      previousClose: state.previousClose,
+      change: roundPrice(change),
+      changePercent: roundPrice(change / state.previousClose * 100)
+    };
+  }
+
+  async function step() {
+    session.tick += 1;
+    if (session.tick >= settings.ticksPerBar) {
+      session.tick = 0;
+      session.day += 1;
+      const states = await Promise.all(tickers.values());
+      states.forEach(state => state && startDay(state, session.day));
+    }
+
+    for (const [ticker, pending] of tickers) {
+      const state = await pending;
+      if (!state) continue;
+      const message = JSON.stringify(getQuote(ticker, state));
+      clients.forEach(client => {
+        if (client.tickers.has(ticker)) client.socket.send(message);
+      });
+    }
+  }
+
+  // The session starts on the first weekday after the latest bar of any listed ticker
+  async function startSession() {
+    if (session.startDate) return;
+    const listed = await store.readTable('tickers.csv');
+    const states = await Promise.all((listed ? listed.data : []).map(row => getTicker(row.Ticker)));
+    const lastDates = states.filter(Boolean).map(state => state.lastDate).sort();
+    session.startDate = nextWeekday(lastDates.length > 0 ? lastDates[lastDates.length - 1] : new Date().toISOString().slice(0, 10));
+  }
+
+  function updateClock() {
+    if (clients.size > 0 && !timer) {
+      timer = setInterval(() => {
+        step().catch(error => console.error('Feed step failed:', error));
+      }, tickMs);
+      heartbeat = setInterval(() => {
+        clients.forEach(({ socket }) => {
+          if (!socket.alive) {
+            socket.close(1001, 'Heartbeat timeout');
+            return;
+          }
+          socket.alive = false;
+          socket.ping();
+        });
+      }, HEARTBEAT_MS);
+    } else if (clients.size === 0 && timer) {
+      clearInterval(timer);
+      clearInterval(heartbeat);
+      timer = null;
+      heartbeat = null;
+    }
+  }
+
+  async function subscribe(client, requested) {
+    for (const ticker of requested) {
+      if (!(await isListed(ticker))) {
+        client.socket.send(JSON.stringify({ type: 'error', ticker, error: `Unknown ticker ${ticker}` }));
+        continue;
+      }
+      const state = await getTicker(ticker);
+      if (!state) {
+        client.socket.send(JSON.stringify({ type: 'error', ticker, error: `No price history for ${ticker}` }));
+        continue;
+      }
+      client.tickers.add(ticker);
+      if (session.day >= 0) {
+        if (state.bars.length > 0) {
+          client.socket.send(JSON.stringify({ type: 'bars', ticker, bars: state.bars }));
+        }
+        client.socket.send(JSON.stringify(getQuote(ticker, state)));
+      }
+    }
+  }
+
+  async function handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      client.socket.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+      return;
+    }
+
+    const requested = Array.isArray(message.tickers) ? message.tickers.filter(ticker => typeof ticker === 'string') : null;
+    if (!requested || (message.type !== 'subscribe' && message.type !== 'unsubscribe')) {
+      client.socket.send(JSON.stringify({ type: 'error', error: 'Expected { type: "subscribe" | "unsubscribe", tickers: [...] }' }));
+      return;
+    }
+    if (message.type === 'subscribe') {
+      await subscribe(client, requested);
+    } else {
+      requested.forEach(ticker => client.tickers.delete(ticker));
+    }
+  }
+
+  async function connect(socket) {
+    const client = { socket, tickers: new Set() };
+    clients.add(client);
+    socket.on('message', text => {
+      handleMessage(client, text).catch(error => console.error('Feed message failed:', error));
+    });
+    socket.on('close', () => {
+      clients.delete(client);
+      updateClock();
+    });
+    socket.on('error', () => {});
+
+    await startSession();
+    if (!socket.open) return;
+    socket.send(JSON.stringify({
+      type: 'hello',
+      speed: settings.speed,
+      ticksPerBar: settings.ticksPerBar,
+      date: getSessionDate(Math.max(session.day, 0))
+    }));
+    updateClock();
+  }
+
+  return { connect, settings };
+}
+
+// Serve the feed on FEED_PATH of an existing http server
+function attachFeed(server, store, options = {}) {
+  const feed = createFeed(store, options);
+  server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== FEED_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const connection = acceptWebSocket(req, socket);
+    if (connection) {
+      feed.connect(connection).catch(error => {
+        console.error('Feed connection failed:', error);
+        connection.close(1011, 'Internal error');
+      });
+    }
+  });
+  return feed;
+}
+
+module.exports = { FEED_PATH, DEFAULT_FEED_OPTIONS, createFeed, attachFeed, pricePathAt };
@@ -0,0 +1,390 @@
+// StockGraphix API server - serves the pipeline artifacts as JSON with ETag caching,
+// the dashboard itself and a mock WebSocket price feed on /feed (see feed.js), using
+// only Node's standard library.
+//
+//   node server/server.js [--port 8080] [--data ./data] [--speed 6] [--ticks 10]
+//                         [--replay-from 2024-01-01] [--no-feed]
+//
+// Table endpoints answer { file, columns, rows, errors }; errors are the CSV rows the
+// parser rejected, with their line numbers, so the Data Health panel still sees them.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DEFAULT_FEED_OPTIONS, attachFeed } = require('./feed');
+const { createStore } = require('./store');
+
+const DEFAULT_PORT = 8080;
+const STATIC_ROOT = path.resolve(__dirname, '..');
+// The dashboard's own assets - nothing else in the checkout (server sources, notes) is served
+const STATIC_FILES = ['/index.html', '/style.css', '/script.js', '/shared/csv.js', '/favicon.ico'];
+const DATA_FILE_PATTERN = /^\/data\/([A-Za-z0-9][A-Za-z0-9._\-^=]*\.csv)$/;
+const PRICE_RANGES = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12, All: null };
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Thrown by handlers for bad requests; becomes a JSON error response
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function computeETag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// If-None-Match may list several tags, or be *
+function matchesETag(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+function send(req, res, status, body, contentType) {
+  const etag = computeETag(body);
+  const headers = {
+    'Content-Type': contentType,
+    ETag: etag,
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag'
+  };
+
+  if (status === 200 && matchesETag(req, etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  headers['Content-Length'] = Buffer.byteLength(body);
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJSON(req, res, status, value) {
+  send(req, res, status, JSON.stringify(value), MIME_TYPES['.json']);
+}
+
+// Query helpers - comma-separated lists, YYYY-MM-DD dates and positive integers
+function getList(query, name) {
+  const value = query.get(name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+function getDate(query, name) {
+  const value = query.get(name);
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new HttpError(400, `"${name}" must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+// decodeURIComponent throws on malformed escapes such as %E0%A4%A
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed percent-encoding in URL');
+  }
+}
+
+function getPositiveInteger(query, name) {
+  const value = query.get(name);
+  if (!value) return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new HttpError(400, `"${name}" must be a positive integer`);
+  }
+  return parsed;
+}
+
+function checkKnownTickers(requested, known) {
+  const unknown = requested.filter(ticker => !known.includes(ticker));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown ticker(s): ${unknown.join(', ')}`);
+  }
+}
+
+function filterByDate(rows, column, from, to) {
+  return rows.filter(row => (!from || row[column] >= from) && (!to || row[column] <= to));
+}
+
+async function readTable(store, filename) {
+  const table = await store.readTable(filename);
+  if (!table) {
+    throw new HttpError(404, `${filename} is not available`);
+  }
+  return table;
+}
+
+function tableResponse(file, columns, rows, errors) {
+  return { file, columns, rows, errors };
+}
+
+// GET /api/recommendations?label=BUY,HOLD&ticker=AAPL,TCS.NS&market=US&sort=-score&limit=5
+async function handleRecommendations(store, query) {
+  const table = await readTable(store, 'recommendations.csv');
+  let rows = table.data;
+
+  const labels = getList(query, 'label');
+  if (labels) {
+    rows = rows.filter(row => labels.includes(row.label));
+  }
+  const tickers = getList(query, 'ticker');
+  if (tickers) {
+    rows = rows.filter(row => tickers.includes(row.Ticker));
+  }
+  const markets = getList(query, 'market');
+  if (markets) {
+    const info = await readTable(store, 'tickers.csv');
+    const inMarket = new Set(info.data.filter(row => markets.includes(row.market)).map(row => row.Ticker));
+    rows = rows.filter(row => inMarket.has(row.Ticker));
+  }
+
+  const sort = query.get('sort');
+  if (sort) {
+    const column = sort.replace(/^-/, '');
+    if (!table.headers.includes(column)) {
+      throw new HttpError(400, `Cannot sort by unknown column "${column}"`);
+    }
+    const direction = sort.startsWith('-') ? -1 : 1;
+    rows = [...rows].sort((a, b) => (a[column] < b[column] ? -direction : a[column] > b[column] ? direction : 0));
+  }
+
+  const limit = getPositiveInteger(query, 'limit');
+  if (limit) {
+    rows = rows.slice(0, limit);
+  }
+  return tableResponse('recommendations.csv', table.headers, rows, table.errors);
+}
+
+// GET /api/correlations?tickers=AAPL,MSFT - the full matrix or a square sub-matrix
+async function handleCorrelations(store, query) {
+  const table = await readTable(store, 'corr.csv');
+  const tickers = getList(query, 'tickers');
+  if (!tickers) {
+    return tableResponse('corr.csv', table.headers, table.data, table.errors);
+  }
+
+  checkKnownTickers(tickers, table.headers.filter(header => header !== 'Ticker'));
+  const rows = table.data
+    .filter(row => tickers.includes(row.Ticker))
+    .map(row => {
+      const filtered = { Ticker: row.Ticker };
+      tickers.forEach(ticker => {
+        filtered[ticker] = row[ticker];
+      });
+      return filtered;
+    });
+  return tableResponse('corr.csv', ['Ticker', ...tickers], rows, table.errors);
+}
+
+// GET /api/mst?ticker=TCS.NS - every MST edge, or only those touching a ticker
+async function handleMST(store, query) {
+  const table = await readTable(store, 'mst_edges.csv');
+  const tickers = getList(query, 'ticker');
+  const rows = tickers
+    ? table.data.filter(row => tickers.includes(row.u) || tickers.includes(row.v))
+    : table.data;
+  return tableResponse('mst_edges.csv', table.headers, rows, table.errors);
+}
+
+// GET /api/returns?from=2024-01-01&to=2024-06-30&tickers=AAPL,TCS.NS
+async function handleReturns(store, query) {
+  const table = await readTable(store, 'returns.csv');
+  const rows = filterByDate(table.data, 'Date', getDate(query, 'from'), getDate(query, 'to'));
+  const tickers = getList(query, 'tickers');
+  if (!tickers) {
+    return tableResponse('returns.csv', table.headers, rows, table.errors);
+  }
+
+  checkKnownTickers(tickers, table.headers.filter(header => header !== 'Date'));
+  const columns = ['Date', ...tickers];
+  return tableResponse('returns.csv', columns, rows.map(row => {
+    const filtered = {};
+    columns.forEach(column => {
+      filtered[column] = row[column];
+    });
+    return filtered;
+  }), table.errors);
+}
+
+// GET /api/tickers?market=India
+async function handleTickers(store, query) {
+  const table = await readTable(store, 'tickers.csv');
+  const markets = getList(query, 'market');
+  const rows = markets ? table.data.filter(row => markets.includes(row.market)) : table.data;
+  return tableResponse('tickers.csv', table.headers, rows, table.errors);
+}
+
+// GET /api/fx?from=&to=
+async function handleFX(store, query) {
+  const table = await readTable(store, 'fx.csv');
+  const rows = filterByDate(table.data, 'Date', getDate(query, 'from'), getDate(query, 'to'));
+  return tableResponse('fx.csv', table.headers, rows, table.errors);
+}
+
+// GET /api/prices/:ticker?range=1M|3M|6M|1Y|All (relative to the last bar) or from=&to=
+async function handlePrices(store, query, ticker) {
+  const prices = await store.readPrices(ticker);
+  if (!prices || prices.bars.length === 0) {
+    throw new HttpError(404, `No price history for ${ticker}`);
+  }
+
+  let from = getDate(query, 'from');
+  const to = getDate(query, 'to');
+  const range = query.get('range');
+  if (range) {
+    if (!(range in PRICE_RANGES)) {
+      throw new HttpError(400, `"range" must be one of ${Object.keys(PRICE_RANGES).join(', ')}`);
+    }
+    if (PRICE_RANGES[range]) {
+      const start = new Date(`${prices.bars[prices.bars.length - 1].date}T00:00:00Z`);
+      start.setUTCMonth(start.getUTCMonth() - PRICE_RANGES[range]);
+      from = start.toISOString().slice(0, 10);
+    }
+  }
+
+  return tableResponse(
+    `${ticker}.csv`,
+    ['date', 'open', 'high', 'low', 'close', 'volume'],
+    filterByDate(prices.bars, 'date', from, to),
+    prices.errors
+  );
+}
+
+const ENDPOINTS = [
+  { path: '/api/recommendations', pattern: /^\/api\/recommendations$/, handler: handleRecommendations, query: 'label, ticker, market, sort, limit' },
+  { path: '/api/correlations', pattern: /^\/api\/correlations$/, handler: handleCorrelations, query: 'tickers' },
+  { path: '/api/mst', pattern: /^\/api\/mst$/, handler: handleMST, query: 'ticker' },
+  { path: '/api/returns', pattern: /^\/api\/returns$/, handler: handleReturns, query: 'from, to, tickers' },
+  { path: '/api/tickers', pattern: /^\/api\/tickers$/, handler: handleTickers, query: 'market' },
+  { path: '/api/fx', pattern: /^\/api\/fx$/, handler: handleFX, query: 'from, to' },
+  { path: '/api/prices/:ticker', pattern: /^\/api\/prices\/([^/]+)$/, handler: handlePrices, query: 'range, from, to' }
+];
+
+async function handleAPI(store, req, res, url) {
+  if (url.pathname === '/api' || url.pathname === '/api/') {
+    sendJSON(req, res, 200, { endpoints: ENDPOINTS.map(endpoint => ({ path: endpoint.path, query: endpoint.query })) });
+    return;
+  }
+
+  for (const endpoint of ENDPOINTS) {
+    const match = url.pathname.match(endpoint.pattern);
+    if (match) {
+      const params = match.slice(1).map(decodePathSegment);
+      sendJSON(req, res, 200, await endpoint.handler(store, url.searchParams, ...params));
+      return;
+    }
+  }
+  throw new HttpError(404, `No endpoint at ${url.pathname}`);
+}
+
+// Outside /api only the dashboard assets and the CSVs in the data directory are served
+async function handleStatic(req, res, url, dataDir) {
+  const relative = decodePathSegment(url.pathname === '/' ? '/index.html' : url.pathname);
+  const dataFile = relative.match(DATA_FILE_PATTERN);
+  let file;
+  if (STATIC_FILES.includes(relative)) {
+    file = path.join(STATIC_ROOT, relative);
+  } else if (dataFile) {
+    file = path.join(dataDir, dataFile[1]);
+  } else {
+    throw new HttpError(404, 'Not found');
+  }
+
+  let body;
+  try {
+    body = await fs.promises.readFile(file);
+  } catch (error) {
+    throw new HttpError(404, 'Not found');
+  }
+  send(req, res, 200, body, MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+}
+
+// feed: options for the mock price feed, or false to leave it out
+function createServer({ dataDir = path.join(STATIC_ROOT, 'data'), feed = {} } = {}) {
+  const store = createStore(dataDir);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+          'Access-Control-Allow-Headers': 'If-None-Match'
+        });
+        res.end();
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `${req.method} is not supported`);
+      }
+
+      if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        await handleAPI(store, req, res, url);
+      } else {
+        await handleStatic(req, res, url, dataDir);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`${req.method} ${req.url}:`, error);
+      }
+      sendJSON(req, res, status, { error: status === 500 ? 'Internal server error' : error.message });
+    }
+  });
+
+  if (feed) {
+    attachFeed(server, store, feed);
+  }
+  return server;
+}
+
+// feed holds the feed options; whether it runs at all is the separate feedEnabled flag,
+// so --no-feed and the feed options can come in any order
+function parseArgs(argv) {
+  const options = { feed: {}, feedEnabled: true };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--data') options.dataDir = path.resolve(argv[++i]);
+    else if (argv[i] === '--speed') options.feed.speed = Number(argv[++i]);
+    else if (argv[i] === '--ticks') options.feed.ticksPerBar = Number(argv[++i]);
+    else if (argv[i] === '--replay-from') options.feed.replayFrom = argv[++i];
+    else if (argv[i] === '--no-feed') options.feedEnabled = false;
+  }
+
+  const { speed, ticksPerBar } = options.feed;
+  if (speed !== undefined && !(speed > 0)) throw new Error('--speed must be a positive number of bars per minute');
+  if (ticksPerBar !== undefined && !(Number.isInteger(ticksPerBar) && ticksPerBar >= 1)) throw new Error('--ticks must be a positive integer');
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const port = options.port || Number(process.env.PORT) || DEFAULT_PORT;
+  const dataDir = options.dataDir || path.join(STATIC_ROOT, 'data');
+  createServer({ dataDir, feed: options.feedEnabled ? options.feed : false }).listen(port, () => {
+    console.log(`StockGraphix API listening on http://localhost:${port}/api (data: ${dataDir})`);
+    if (options.feedEnabled) {
+      console.log(`Mock price feed on ws://localhost:${port}/feed (${options.feed.speed || DEFAULT_FEED_OPTIONS.speed} bars/min)`);
+    }
+  });
+}
+
+module.exports = { createServer, parseArgs, HttpError };
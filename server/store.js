@@ -0,0 +1,55 @@
+// Artifact store for the API server - parses the CSVs in the data directory and
+// keeps the result until the file's size or modification time changes
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_SCHEMAS, parseCSV, parsePriceCSV } = require('../shared/csv');
+
+// Tickers name price files, so keep them to characters that cannot leave the directory
+const TICKER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.\-^=]*$/;
+
+function createStore(dataDir) {
+  const cache = new Map(); // filename -> { version, value }
+
+  // Parse a file once per version; resolves to null when the file does not exist
+  async function readCached(filename, parse) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(path.join(dataDir, filename));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const version = `${stat.size}-${stat.mtimeMs}`;
+    const cached = cache.get(filename);
+    if (cached && cached.version === version) {
+      return cached.value;
+    }
+
+    const text = await fs.promises.readFile(path.join(dataDir, filename), 'utf8');
+    const value = parse(text);
+    cache.set(filename, { version, value });
+    return value;
+  }
+
+  // { headers, data, errors } for one of the pipeline artifacts
+  function readTable(filename) {
+    const schema = DATA_SCHEMAS[filename];
+    if (!schema) {
+      return Promise.reject(new Error(`Unknown artifact "${filename}"`));
+    }
+    return readCached(filename, text => parseCSV(text, schema));
+  }
+
+  // { bars, errors } from <Ticker>.csv, or null for unknown tickers
+  async function readPrices(ticker) {
+    if (!TICKER_PATTERN.test(ticker)) return null;
+    return readCached(`${ticker}.csv`, parsePriceCSV);
+  }
+
+  return { dataDir, readTable, readPrices };
+}
+
+module.exports = { createStore };
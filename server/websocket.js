@@ -0,0 +1,189 @@
+// Minimal WebSocket server side (RFC 6455) on top of an http 'upgrade' event - text
+// frames, ping/pong and close only, which is all the price feed needs
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN, never fragmented; server frames are not masked
+  return Buffer.concat([header, payload]);
+}
+
+// One complete frame from the front of buffer, or null until enough bytes have arrived
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const longLength = buffer.readBigUInt64BE(2);
+    length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) {
+    return { error: 1009, reason: 'Message too big' };
+  }
+  if (!masked) {
+    return { error: 1002, reason: 'Client frames must be masked' };
+  }
+
+  if (buffer.length < offset + 4 + length) return null;
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+// Emits 'message' (string), 'close' (code) and 'error'
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // payloads of a fragmented text message so far
+    this.alive = true; // cleared by the heartbeat, set again by any pong
+
+    socket.on('data', chunk => this.receive(chunk));
+    // http servers leave upgraded sockets half-open; a peer that hangs up without a
+    // close frame would otherwise keep the connection (and the feed clock) alive
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this.finish(1006));
+    socket.on('error', error => {
+      this.emit('error', error);
+      this.finish(1006);
+    });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (this.open && (frame = decodeFrame(this.buffer))) {
+      if (frame.error) {
+        this.close(frame.error, frame.reason);
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.size);
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        if (opcode === OPCODES.text) this.fragments = [];
+        if (!this.fragments) {
+          this.close(1002, 'Unexpected continuation frame');
+          return;
+        }
+        this.fragments.push(payload);
+        const message = Buffer.concat(this.fragments);
+        if (message.length > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too big');
+        } else if (fin) {
+          this.fragments = null;
+          this.emit('message', message.toString('utf8'));
+        }
+        break;
+      }
+      case OPCODES.binary:
+        this.close(1003, 'Binary messages are not supported');
+        break;
+      case OPCODES.ping:
+        this.write(OPCODES.pong, payload);
+        break;
+      case OPCODES.pong:
+        this.alive = true;
+        break;
+      case OPCODES.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      default:
+        this.close(1002, `Unknown opcode ${opcode}`);
+    }
+  }
+
+  write(opcode, payload) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(opcode, payload));
+  }
+
+  send(text) {
+    this.write(OPCODES.text, Buffer.from(text, 'utf8'));
+  }
+
+  ping() {
+    this.write(OPCODES.ping, Buffer.alloc(0));
+  }
+
+  close(code = 1000, reason = '') {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.write(OPCODES.close, payload);
+    this.socket.end();
+    this.finish(code);
+  }
+
+  finish(code) {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close', code);
+  }
+}
+
+// Completes the opening handshake; returns null (after answering 400) for requests that
+// are not WebSocket upgrades
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
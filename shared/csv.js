@@ -0,0 +1,233 @@
+// CSV parsing and the declared schemas of the pipeline artifacts, shared by the dashboard
+// (included by index.html before script.js, or loaded by script.js itself when the page
+// does not include it) and the API server (require('../shared/csv'))
+//
+// RFC 4180: quoted fields, "" escapes, CRLF/LF/CR line endings, UTF-8 BOM
+'use strict';
+
+const CSV_MISSING_VALUES = ['', 'NA', 'N/A', 'NaN', 'nan', 'null'];
+
+// Split CSV text into records of raw fields, remembering the line each record starts on.
+// Records with a quoting error are flagged malformed; the error itself is in errors.
+function tokenizeCSV(text) {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let malformed = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields, malformed });
+    }
+    fields = [];
+    malformed = false;
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      if (field.trim() === '' && !quoted) {
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else {
+        errors.push({ line, message: 'Unexpected quote inside unquoted field' });
+        malformed = true;
+        field += ch;
+      }
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (quoted) {
+      // Only whitespace may follow a closing quote
+      if (ch.trim() !== '') {
+        errors.push({ line, message: 'Unexpected characters after closing quote' });
+        malformed = true;
+        field += ch;
+      }
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Unterminated quoted field' });
+    malformed = true;
+  }
+  if (field !== '' || quoted || fields.length > 0) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+// Convert a raw field to the declared column type. Returns { value } or { error }.
+function coerceCSVValue(raw, type) {
+  if (type === 'string') return { value: raw };
+  if (CSV_MISSING_VALUES.includes(raw)) return { value: null };
+
+  if (type === 'number' || type === 'integer') {
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      return { error: `expected a number, got "${raw}"` };
+    }
+    if (type === 'integer' && !Number.isInteger(value)) {
+      return { error: `expected an integer, got "${raw}"` };
+    }
+    return { value };
+  }
+
+  if (type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(raw) || isNaN(Date.parse(raw))) {
+      return { error: `expected a YYYY-MM-DD date, got "${raw}"` };
+    }
+    return { value: raw.slice(0, 10) };
+  }
+
+  return { value: raw };
+}
+
+// Parse CSV text into typed row objects.
+// options.types: { column: 'string' | 'number' | 'integer' | 'date' }
+// options.defaultType: type for columns not listed in types (default 'string')
+// options.required: columns that must not be empty
+// options.skipRows: number of records after the header to ignore
+// Malformed rows (bad quoting, wrong field count, bad values) are left out of data and
+// reported in errors with their line number.
+function parseCSV(text, options = {}) {
+  const { types = {}, defaultType = 'string', required = [], skipRows = 0 } = options;
+  const { records, errors } = tokenizeCSV(text);
+  if (records.length === 0) return { headers: [], data: [], errors };
+
+  const headers = records[0].fields;
+  const data = [];
+
+  required.forEach(column => {
+    if (!headers.includes(column)) {
+      errors.push({ line: records[0].line, message: `Missing required column "${column}"` });
+    }
+  });
+
+  for (let i = 1 + skipRows; i < records.length; i++) {
+    const { line, fields, malformed } = records[i];
+    if (malformed) continue; // already reported by the tokenizer
+    if (fields.length !== headers.length) {
+      errors.push({ line, message: `Expected ${headers.length} fields, found ${fields.length}` });
+      continue;
+    }
+
+    const obj = {};
+    const rowErrors = [];
+    headers.forEach((header, index) => {
+      const type = types[header] || defaultType;
+      const result = coerceCSVValue(fields[index], type);
+      if (result.error) {
+        rowErrors.push(`${header}: ${result.error}`);
+      } else if (required.includes(header) && (result.value === null || result.value === '')) {
+        rowErrors.push(`${header}: value is required`);
+      } else {
+        obj[header] = result.value;
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, message: rowErrors.join('; ') });
+    } else {
+      data.push(obj);
+    }
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { headers, data, errors };
+}
+
+// Yahoo Finance export: a Price,Close,High,Low,Open,Volume header, a Ticker row and a
+// Date row, then one bar per line with the date in the "Price" column
+function parsePriceCSV(text) {
+  const parsed = parseCSV(text, {
+    types: { Price: 'date', Close: 'number', High: 'number', Low: 'number', Open: 'number', Volume: 'number' },
+    required: ['Price', 'Close', 'High', 'Low', 'Open'],
+    skipRows: 2
+  });
+
+  return {
+    bars: parsed.data
+      .filter(row => row.Close > 0)
+      .map(row => ({
+        date: row.Price,
+        open: row.Open,
+        high: row.High,
+        low: row.Low,
+        close: row.Close,
+        volume: row.Volume === undefined ? null : row.Volume
+      })),
+    errors: parsed.errors
+  };
+}
+
+// Parse options per artifact; script.js also runs its health checks against these
+const DATA_SCHEMAS = {
+  'recommendations.csv': {
+    types: { momentum_mean: 'number', avg_corr_mst: 'number', degree: 'integer', score: 'number' },
+    required: ['Ticker', 'momentum_mean', 'avg_corr_mst', 'degree', 'score', 'label']
+  },
+  'corr.csv': {
+    types: { Ticker: 'string' },
+    defaultType: 'number',
+    required: ['Ticker']
+  },
+  'mst_edges.csv': {
+    types: { corr: 'number', distance: 'number' },
+    required: ['u', 'v', 'corr', 'distance']
+  },
+  'returns.csv': {
+    types: { Date: 'date' },
+    defaultType: 'number',
+    required: ['Date']
+  },
+  'tickers.csv': {
+    required: ['Ticker', 'name', 'market', 'exchange', 'sector', 'currency']
+  },
+  'fx.csv': {
+    types: { Date: 'date' },
+    defaultType: 'number',
+    required: ['Date']
+  }
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { CSV_MISSING_VALUES, DATA_SCHEMAS, tokenizeCSV, coerceCSVValue, parseCSV, parsePriceCSV };
+}
@@ -0,0 +1,137 @@
+// Signal backtest in script.js - the least-squares score fit, the pipeline's rule recovered
+// from recommendations.csv, and the walk-forward loop (no look-ahead, costs, bookkeeping)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, plain } = require('./helpers/dashboard');
+
+const TICKERS = ['AAA', 'BBB', 'CCC', 'DDD', 'EEE'];
+
+// score = 0.5 + 10·momentum − 0.5·avgCorr − 0.1·degree; labels by score band
+function makeRecommendations() {
+  const features = [
+    [0.004, 0.30, 1], [0.002, 0.55, 3], [-0.001, 0.20, 2],
+    [0.003, 0.70, 2], [0.000, 0.40, 1], [-0.002, 0.65, 4]
+  ];
+  return features.map(([momentum, avgCorr, degree], i) => {
+    const score = 0.5 + 10 * momentum - 0.5 * avgCorr - 0.1 * degree;
+    return { ticker: `T${i}`, momentum, avgCorr, degree, score, label: score > 0.1 ? 'BUY' : score < -0.1 ? 'AVOID' : 'HOLD' };
+  });
+}
+
+// Deterministic daily returns with different drifts and overlapping cycles
+function makeReturns(days) {
+  const rows = [];
+  const start = Date.UTC(2024, 0, 1);
+  for (let t = 0; t < days; t++) {
+    const row = { Date: new Date(start + t * 86400000).toISOString().slice(0, 10) };
+    TICKERS.forEach((ticker, k) => {
+      row[ticker] = 0.0005 * (k - 2) + 0.01 * Math.sin(0.37 * t + k * 1.3) + 0.004 * Math.cos(0.11 * t * (k + 1));
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+function setup({ days = 120, recommendations = makeRecommendations() } = {}) {
+  const dashboard = loadDashboard();
+  dashboard.run(`stockData.recommendations = ${JSON.stringify(recommendations)}`);
+  dashboard.run(`stockData.returns = ${JSON.stringify(makeReturns(days))}`);
+  dashboard.run(`stockData.returnTickers = ${JSON.stringify(TICKERS)}`);
+  dashboard.run('pipelineSignalModel = null');
+  return dashboard;
+}
+
+const SETTINGS = { lookback: 40, rebalanceEvery: 20, strategy: 'buy', costBps: 0 };
+
+test('solveLinearSystem solves a pivoting system and returns null when singular', () => {
+  const { run } = loadDashboard();
+  const solution = plain(run('solveLinearSystem([[0, 2, 1], [1, 1, 1], [2, 1, 0]], [7, 6, 4])'));
+  [1, 2, 3].forEach((value, i) => assert.ok(Math.abs(solution[i] - value) < 1e-12));
+  assert.equal(run('solveLinearSystem([[1, 2], [2, 4]], [1, 2])'), null);
+});
+
+test('the pipeline model recovers a linear scoring rule from recommendations.csv', () => {
+  const { run } = setup();
+  const model = run('getPipelineSignalModel()');
+  assert.ok(Math.abs(model.intercept - 0.5) < 1e-9);
+  assert.ok(Math.abs(model.weights.momentum - 10) < 1e-7);
+  assert.ok(Math.abs(model.weights.avgCorr + 0.5) < 1e-9);
+  assert.ok(Math.abs(model.weights.degree + 0.1) < 1e-9);
+  assert.ok(Math.abs(model.r2 - 1) < 1e-12);
+  assert.ok(Math.abs(model.predict({ momentum: 0.01, avgCorr: 0.2, degree: 1 }) - 0.4) < 1e-9);
+});
+
+test('the backtest needs a lookback longer than the holding period and enough history', () => {
+  assert.match(setup().run(`runBacktest(${JSON.stringify({ ...SETTINGS, lookback: 30 })}).error`), /at least 20 days longer than the rebalance interval/);
+  assert.match(setup({ days: 50 }).run(`runBacktest(${JSON.stringify(SETTINGS)}).error`), /at least 60 days/);
+});
+
+test('signals are fitted inside the lookback and labelled against the round-trip cost', () => {
+  const { run } = setup();
+  const settings = { ...SETTINGS, costBps: 25 };
+  const { model, signals } = plain(run(`computeSignals(60, ${JSON.stringify(settings)}, stockData.returnTickers, 'native')`));
+  assert.deepEqual(signals.map(item => item.ticker), TICKERS);
+  signals.forEach(item => {
+    const score = model.intercept + ['momentum', 'avgCorr', 'degree'].reduce((sum, feature) => sum + model.weights[feature] * item[feature], 0);
+    assert.ok(Math.abs(item.score - score) < 1e-12);
+    assert.equal(item.label, item.score > 0.005 ? 'BUY' : item.score < -0.005 ? 'AVOID' : 'HOLD');
+  });
+  // The snapshot in recommendations.csv plays no part
+  assert.deepEqual(plain(setup({ recommendations: [] }).run(`computeSignals(60, ${JSON.stringify(settings)}, stockData.returnTickers, 'native')`)), { model, signals });
+});
+
+test('the backtest rebalances on schedule and books the curve from 10,000', () => {
+  const { run } = setup();
+  const result = run(`runBacktest(${JSON.stringify(SETTINGS)})`);
+  assert.equal(result.error, undefined);
+  assert.deepEqual(plain(result.rebalances.map(item => item.date)), ['2024-02-10', '2024-03-01', '2024-03-21', '2024-04-10']);
+
+  const strategy = result.curves[0];
+  assert.equal(strategy.dates.length, 120 - 40 + 1);
+  assert.equal(strategy.dates[0], '2024-02-09'); // the day before the first rebalance
+  assert.equal(strategy.values[0], 10000);
+  assert.equal(strategy.values.length, strategy.dates.length);
+  // Every held stock was labelled BUY at its rebalance
+  result.rebalances.forEach(item => {
+    item.selected.forEach(ticker => assert.equal(item.labels.find(label => label.ticker === ticker).label, 'BUY'));
+  });
+  assert.equal(result.rebalances[0].turnover, result.rebalances[0].selected.length > 0 ? 0.5 : 0);
+});
+
+test('signals only use returns before each rebalance date', () => {
+  const baseline = setup().run(`runBacktest(${JSON.stringify(SETTINGS)})`);
+
+  // Rewrite every return from the second rebalance on; the signals (scores, fitted rule and
+  // labels) of the first two rebalances must not move
+  const { run } = setup();
+  run('stockData.returns.slice(60).forEach(row => { Object.keys(row).forEach(key => { if (key !== "Date") row[key] = -row[key] * 3; }); })');
+  const changed = run(`runBacktest(${JSON.stringify(SETTINGS)})`);
+
+  [0, 1].forEach(k => {
+    assert.deepEqual(plain(changed.rebalances[k].labels), plain(baseline.rebalances[k].labels));
+    assert.deepEqual(plain(changed.rebalances[k].model), plain(baseline.rebalances[k].model));
+    assert.deepEqual(plain(changed.rebalances[k].selected), plain(baseline.rebalances[k].selected));
+  });
+  assert.notDeepEqual(plain(changed.rebalances[2].labels), plain(baseline.rebalances[2].labels));
+
+  // A single future bar is enough to show up if it leaked into an earlier signal
+  const nudged = setup();
+  nudged.run('stockData.returns[60].AAA += 0.05');
+  const result = nudged.run(`runBacktest(${JSON.stringify(SETTINGS)})`);
+  assert.deepEqual(plain(result.rebalances[1]), { ...plain(baseline.rebalances[1]), forwardReturn: plain(result.rebalances[1]).forwardReturn });
+  assert.notDeepEqual(plain(result.rebalances[2].model), plain(baseline.rebalances[2].model));
+});
+
+test('trading costs are charged on turnover at each rebalance', () => {
+  const { run } = setup();
+  const free = run(`runBacktest(${JSON.stringify(SETTINGS)})`);
+  const costly = run(`runBacktest(${JSON.stringify({ ...SETTINGS, costBps: 50 })})`);
+  const turnover = free.rebalances[0].turnover;
+  const first = free.curves[0].returns[0];
+  const cost = turnover * 2 * 50 / 10000;
+  assert.ok(Math.abs(costly.curves[0].returns[0] - ((1 + first) * (1 - cost) - 1)) < 1e-12);
+  // Days between rebalances are not charged
+  assert.equal(costly.curves[0].returns[1], free.curves[0].returns[1]);
+});
@@ -0,0 +1,92 @@
+// shared/csv.js - tokenizer, typed parsing with row-level errors, and the price file format
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DATA_SCHEMAS, tokenizeCSV, coerceCSVValue, parseCSV, parsePriceCSV } = require('../shared/csv');
+
+test('tokenizeCSV handles quoted commas, escaped quotes and embedded line breaks', () => {
+  const { records, errors } = tokenizeCSV('name,note\n"Tata, Sons","said ""hi""\nthen left"\nplain,  spaced  \n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(record => record.fields), [
+    ['name', 'note'],
+    ['Tata, Sons', 'said "hi"\nthen left'],
+    ['plain', 'spaced']
+  ]);
+  // The third record starts after the two-line quoted field
+  assert.deepEqual(records.map(record => record.line), [1, 2, 4]);
+});
+
+test('tokenizeCSV accepts CRLF and CR line endings, a BOM and skips blank lines', () => {
+  const { records } = tokenizeCSV('\uFEFFa,b\r\n1,2\r\n\r\n3,4\r5,6');
+  assert.deepEqual(records.map(record => record.fields), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+});
+
+test('tokenizeCSV flags quoting errors on the record they occur in', () => {
+  const { records, errors } = tokenizeCSV('a,b\nx"y,1\n"ok"z,2\n3,"open');
+  assert.deepEqual(errors.map(error => error.line), [2, 3, 4]);
+  assert.deepEqual(records.map(record => record.malformed), [false, true, true, true]);
+  assert.match(errors[2].message, /Unterminated/);
+});
+
+test('coerceCSVValue converts declared types and maps missing markers to null', () => {
+  assert.deepEqual(coerceCSVValue('1.5', 'number'), { value: 1.5 });
+  assert.deepEqual(coerceCSVValue('NA', 'number'), { value: null });
+  assert.deepEqual(coerceCSVValue('', 'date'), { value: null });
+  assert.deepEqual(coerceCSVValue('2024-07-15 00:00:00', 'date'), { value: '2024-07-15' });
+  assert.deepEqual(coerceCSVValue('NA', 'string'), { value: 'NA' });
+  assert.match(coerceCSVValue('2.5', 'integer').error, /integer/);
+  assert.match(coerceCSVValue('abc', 'number').error, /number/);
+  assert.match(coerceCSVValue('15/07/2024', 'date').error, /YYYY-MM-DD/);
+});
+
+test('parseCSV keeps good rows and reports bad ones with their line numbers', () => {
+  const text = [
+    'Ticker,momentum_mean,avg_corr_mst,degree,score,label',
+    'AAPL,0.001,0.4,2,0.5,BUY',
+    'MSFT,abc,0.4,2,0.5,HOLD',
+    'TCS.NS,0.002,0.3,1',
+    'INFY.NS,0.001,0.2,1.5,0.1,HOLD',
+    ',0.001,0.2,1,0.1,AVOID',
+    'ITC.NS,NA,0.1,3,-0.2,AVOID'
+  ].join('\n');
+  const { headers, data, errors } = parseCSV(text, DATA_SCHEMAS['recommendations.csv']);
+
+  assert.equal(headers.length, 6);
+  assert.deepEqual(data.map(row => row.Ticker), ['AAPL']);
+  assert.deepEqual(data[0], { Ticker: 'AAPL', momentum_mean: 0.001, avg_corr_mst: 0.4, degree: 2, score: 0.5, label: 'BUY' });
+  assert.deepEqual(errors.map(error => error.line), [3, 4, 5, 6, 7]);
+  assert.match(errors[0].message, /momentum_mean: expected a number/);
+  assert.match(errors[1].message, /Expected 6 fields, found 4/);
+  assert.match(errors[2].message, /degree: expected an integer/);
+  assert.match(errors[3].message, /Ticker: value is required/);
+  assert.match(errors[4].message, /momentum_mean: value is required/);
+});
+
+test('parseCSV reports missing required columns and does not report malformed rows twice', () => {
+  const { data, errors } = parseCSV('Date,AAPL\n2024-01-02,0.01\n2024-01-03,"0.02"x\n', { types: { Date: 'date' }, defaultType: 'number', required: ['Date', 'MSFT'] });
+  assert.equal(data.length, 1);
+  assert.deepEqual(errors.map(error => [error.line, error.message]), [
+    [1, 'Missing required column "MSFT"'],
+    [3, 'Unexpected characters after closing quote']
+  ]);
+});
+
+test('parsePriceCSV reads the Yahoo Finance layout and drops empty bars', () => {
+  const text = [
+    'Price,Close,High,Low,Open,Volume',
+    'Ticker,TCS.NS,TCS.NS,TCS.NS,TCS.NS,TCS.NS',
+    'Date,,,,,',
+    '2024-07-11,530.5,532,528,529,1200',
+    '2024-07-12,0,0,0,0,0',
+    '2024-07-15,534.18,537.87,533.51,537.14,',
+    '2024-07-16,oops,1,1,1,1'
+  ].join('\n');
+  const { bars, errors } = parsePriceCSV(text);
+
+  assert.deepEqual(bars, [
+    { date: '2024-07-11', open: 529, high: 532, low: 528, close: 530.5, volume: 1200 },
+    { date: '2024-07-15', open: 537.14, high: 537.87, low: 533.51, close: 534.18, volume: null }
+  ]);
+  assert.deepEqual(errors.map(error => error.line), [7]);
+});
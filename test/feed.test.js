@@ -0,0 +1,242 @@
+// server/websocket.js and server/feed.js - the RFC 6455 handshake and framing (masking,
+// fragmentation, ping/pong, close codes) and the feed's subscribe protocol, over real
+// sockets against attachFeed on an ephemeral port
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { attachFeed, pricePathAt } = require('../server/feed');
+const { createStore } = require('../server/store');
+
+const FILES = {
+  'tickers.csv': [
+    'Ticker,name,market,exchange,sector,currency,listings',
+    'TCS.NS,Tata Consultancy Services,IN,NSE,Technology,INR,NSE;BSE:TCS.BO',
+    'AAPL,Apple Inc.,US,NASDAQ,Technology,USD,NASDAQ'
+  ],
+  'TCS.NS.csv': [
+    'Price,Close,High,Low,Open,Volume',
+    'Ticker,TCS.NS,TCS.NS,TCS.NS,TCS.NS,TCS.NS',
+    'Date,,,,,',
+    '2024-07-11,100,104,99,101,1000',
+    '2024-07-12,102,103,100,100,1000'
+  ]
+};
+
+let server;
+let port;
+let dataDir;
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockgraphix-feed-'));
+  Object.entries(FILES).forEach(([name, lines]) => fs.writeFileSync(path.join(dataDir, name), `${lines.join('\n')}\n`));
+  server = http.createServer((req, res) => res.end());
+  // 4 quotes per bar at 3000 bars a minute: a tick every 5 ms
+  attachFeed(server, createStore(dataDir), { speed: 3000, ticksPerBar: 4 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Client frames are always masked; fin: false starts or continues a fragmented message
+function encodeClientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+  const data = Buffer.from(payload);
+  const length = data.length < 126 ? data.length : data.length < 65536 ? 126 : 127;
+  const header = Buffer.alloc(2 + (length === 126 ? 2 : length === 127 ? 8 : 0));
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  header[1] = (masked ? 0x80 : 0) | length;
+  if (length === 126) header.writeUInt16BE(data.length, 2);
+  if (length === 127) header.writeBigUInt64BE(BigInt(data.length), 2);
+  if (!masked) return Buffer.concat([header, data]);
+
+  const mask = crypto.randomBytes(4);
+  return Buffer.concat([header, mask, data.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+// Opens /feed (or `pathname`) and collects the server's frames; resolves to the 101
+// response's headers and a client, or rejects with the status of a refused upgrade
+function connect({ pathname = '/feed', key = crypto.randomBytes(16).toString('base64') } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13' };
+    if (key) headers['Sec-WebSocket-Key'] = key;
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, headers });
+    req.on('response', res => reject(new Error(`HTTP ${res.statusCode}`)));
+    req.on('error', reject);
+    req.on('upgrade', (res, socket, head) => {
+      const frames = [];
+      const waiting = [];
+      let buffer = Buffer.alloc(0);
+      const deliver = () => {
+        while (waiting.length > 0) {
+          const index = frames.findIndex(waiting[0].test);
+          if (index === -1) return;
+          waiting.shift().resolve(frames.splice(index, 1)[0]);
+        }
+      };
+      const receive = chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) break;
+          const frame = { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + length) };
+          frame.json = frame.opcode === 0x1 ? JSON.parse(frame.payload.toString('utf8')) : null;
+          frame.code = frame.opcode === 0x8 && length >= 2 ? frame.payload.readUInt16BE(0) : null;
+          frames.push(frame);
+          buffer = buffer.subarray(offset + length);
+        }
+        deliver();
+      };
+      // The first frames can arrive in the same packet as the 101 response
+      receive(head);
+      socket.on('data', receive);
+      socket.on('error', () => {});
+
+      resolve({
+        headers: res.headers,
+        socket,
+        frames,
+        write: (opcode, payload, options) => socket.write(encodeClientFrame(opcode, payload, options)),
+        send: message => socket.write(encodeClientFrame(0x1, typeof message === 'string' ? message : JSON.stringify(message))),
+        // The next frame passing test (taken out of the queue), waiting for it if need be
+        next: (test = () => true) => new Promise(done => {
+          waiting.push({ test, resolve: done });
+          deliver();
+        }),
+        message: type => new Promise(done => {
+          waiting.push({ test: frame => frame.json && frame.json.type === type, resolve: frame => done(frame.json) });
+          deliver();
+        }),
+        closed: new Promise(done => socket.on('close', done)),
+        end: () => socket.destroy()
+      });
+    });
+    req.end();
+  });
+}
+
+const isClose = frame => frame.opcode === 0x8;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('pricePathAt walks open -> nearer extreme -> other extreme -> close', () => {
+  // The low is nearer the open, so the path is 10 -> 9 -> 12 -> 11 (length 5)
+  const bar = { open: 10, high: 12, low: 9, close: 11 };
+  assert.equal(pricePathAt(bar, 0), 10);
+  assert.equal(pricePathAt(bar, 0.2), 9);
+  assert.equal(pricePathAt(bar, 0.5), 10.5);
+  assert.equal(pricePathAt(bar, 0.8), 12);
+  assert.equal(pricePathAt(bar, 1), 11);
+  assert.equal(pricePathAt({ open: 5, high: 5, low: 5, close: 5 }, 0.5), 5);
+});
+
+test('the handshake answers with the RFC 6455 accept key and greets the client', async () => {
+  // The sample key and accept value from RFC 6455 section 1.3
+  const client = await connect({ key: 'dGhlIHNhbXBsZSBub25jZQ==' });
+  assert.equal(client.headers['sec-websocket-accept'], 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  const hello = await client.message('hello');
+  assert.deepEqual(hello, { type: 'hello', speed: 3000, ticksPerBar: 4, date: '2024-07-15' }); // the Monday after the last bar
+  client.end();
+
+  await assert.rejects(connect({ pathname: '/elsewhere' }), /HTTP 404|socket hang up/);
+  await assert.rejects(connect({ key: '' }), /HTTP 400|socket hang up/);
+});
+
+test('subscribers get quotes from the replayed session until they unsubscribe', async () => {
+  const client = await connect();
+  await client.message('hello');
+  client.send({ type: 'subscribe', tickers: ['TCS.NS'] });
+  const quote = await client.message('quote');
+  assert.equal(quote.ticker, 'TCS.NS');
+  assert.ok(quote.date >= '2024-07-15');
+  assert.ok(quote.low <= quote.price && quote.price <= quote.high);
+  assert.equal(quote.change, Math.round((quote.price - quote.previousClose) * 10000) / 10000);
+
+  // Messages are handled in order, so nothing follows the pong of a ping sent after unsubscribing
+  client.send({ type: 'unsubscribe', tickers: ['TCS.NS'] });
+  client.write(0x9, 'after');
+  await client.next(frame => frame.opcode === 0xa);
+  client.frames.length = 0;
+  await wait(50);
+  assert.equal(client.frames.filter(frame => frame.json && frame.json.type === 'quote').length, 0);
+  client.end();
+});
+
+test('bad subscriptions and messages are answered with errors', async () => {
+  const client = await connect();
+  await client.message('hello');
+
+  client.send({ type: 'subscribe', tickers: ['NOPE'] });
+  assert.deepEqual(await client.message('error'), { type: 'error', ticker: 'NOPE', error: 'Unknown ticker NOPE' });
+  // Listed in tickers.csv, but there is no TCS.BO.csv
+  client.send({ type: 'subscribe', tickers: ['TCS.BO'] });
+  assert.deepEqual(await client.message('error'), { type: 'error', ticker: 'TCS.BO', error: 'No price history for TCS.BO' });
+  client.send('not json');
+  assert.equal((await client.message('error')).error, 'Messages must be JSON');
+  client.send({ type: 'watch', tickers: ['TCS.NS'] });
+  assert.match((await client.message('error')).error, /Expected \{ type: "subscribe" \| "unsubscribe"/);
+  client.end();
+});
+
+test('fragmented and split frames are reassembled; pings are answered with their payload', async () => {
+  const client = await connect();
+  await client.message('hello');
+
+  const text = JSON.stringify({ type: 'subscribe', tickers: ['NOPE'] });
+  client.write(0x1, text.slice(0, 10), { fin: false });
+  client.write(0x9, 'mid'); // control frames may come between fragments
+  client.write(0x0, text.slice(10, 20), { fin: false });
+  client.write(0x0, text.slice(20));
+  const pong = await client.next(frame => frame.opcode === 0xa);
+  assert.equal(pong.payload.toString(), 'mid');
+  assert.equal((await client.message('error')).ticker, 'NOPE');
+
+  // One frame delivered a byte at a time
+  const frame = encodeClientFrame(0x1, JSON.stringify({ type: 'subscribe', tickers: ['SPLIT'] }));
+  for (const byte of frame) {
+    client.socket.write(Buffer.from([byte]));
+    await wait(1);
+  }
+  assert.equal((await client.message('error')).ticker, 'SPLIT');
+  client.end();
+});
+
+test('protocol violations close the connection with the matching code', async () => {
+  const cases = [
+    { code: 1002, send: client => client.write(0x1, 'hi', { masked: false }) },
+    { code: 1002, send: client => client.write(0x0, 'orphan') },
+    { code: 1003, send: client => client.write(0x2, 'binary') },
+    { code: 1002, send: client => client.write(0x3, 'reserved') },
+    { code: 1009, send: client => client.write(0x1, 'x'.repeat(64 * 1024 + 1)) },
+    { code: 4000, send: client => client.write(0x8, Buffer.from([0x0f, 0xa0])) } // a client close is echoed
+  ];
+  for (const { code, send } of cases) {
+    const client = await connect();
+    await client.message('hello');
+    send(client);
+    const close = await client.next(isClose);
+    assert.equal(close.code, code);
+    await client.closed;
+  }
+});
+
+test('a client that hangs up without a close frame is let go', async () => {
+  const client = await connect();
+  await client.message('hello');
+  client.end();
+  const open = () => new Promise(resolve => server.getConnections((error, count) => resolve(count)));
+  for (let i = 0; i < 100 && (await open()) > 0; i++) await wait(10);
+  assert.equal(await open(), 0);
+});
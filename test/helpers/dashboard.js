@@ -0,0 +1,54 @@
+// Loads shared/csv.js and script.js into a fresh VM context, as index.html does, with just
+// enough of a browser (an empty document, in-memory localStorage) for their pure functions.
+// run(source) evaluates in the script's scope, so top-level let/const state is reachable.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SCRIPTS = ['shared/csv.js', 'script.js'];
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+function loadDashboard() {
+  const document = {
+    addEventListener() {},
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => []
+  };
+  const context = vm.createContext({
+    console,
+    document,
+    localStorage: createStorage(),
+    location: { hash: '', search: '', href: 'http://localhost/' },
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout
+  });
+  context.window = context;
+
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return { run: source => vm.runInContext(source, context) };
+}
+
+// Values built inside the context have its own Array/Object prototypes; copy them out
+// so node:assert's deep equality compares contents only
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadDashboard, plain };
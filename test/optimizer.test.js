@@ -0,0 +1,92 @@
+// Portfolio optimizer in script.js - constraint projection, weight caps and each solver
+// checked against closed-form answers for uncorrelated assets
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, plain } = require('./helpers/dashboard');
+
+// Two uncorrelated assets: volatility 20% and 10%, expected return 10% and 5%
+const INPUTS = { observations: 250, expectedReturns: [0.1, 0.05], covariance: [[0.04, 0], [0, 0.01]] };
+const UNBOUNDED = { lower: 0, upper: 1, feasible: true };
+
+function assertWeights(actual, expected, tolerance = 1e-4) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((weight, i) => {
+    assert.ok(Math.abs(weight - expected[i]) < tolerance, `weight ${i}: ${weight} vs ${expected[i]}`);
+  });
+}
+
+test('projectOntoBoundedSimplex returns fully invested weights inside the bounds', () => {
+  const { run } = loadDashboard();
+  const bounds = { lower: -0.2, upper: 0.5 };
+  const weights = plain(run(`projectOntoBoundedSimplex([0.9, 0.4, -0.6, 0.1], ${JSON.stringify(bounds)})`));
+  assert.ok(Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1) < 1e-9);
+  weights.forEach(weight => assert.ok(weight >= bounds.lower - 1e-12 && weight <= bounds.upper + 1e-12));
+  // Points already on the simplex are left alone
+  assertWeights(plain(run(`projectOntoBoundedSimplex([0.25, 0.25, 0.5], ${JSON.stringify(bounds)})`)), [0.25, 0.25, 0.5], 1e-9);
+});
+
+test('capWeights hands the excess to uncapped assets in proportion to their weights', () => {
+  const { run } = loadDashboard();
+  assertWeights(plain(run('capWeights([0.6, 0.3, 0.1], 0.5)')), [0.5, 0.375, 0.125], 1e-12);
+  // Redistribution can push another asset over the cap, which is then capped too
+  assertWeights(plain(run('capWeights([0.5, 0.4, 0.05, 0.05], 0.35)')), [0.35, 0.35, 0.15, 0.15], 1e-12);
+  assertWeights(plain(run('capWeights([0.2, 0.8], 1)')), [0.2, 0.8], 1e-12);
+});
+
+test('getWeightBounds flags caps that cannot hold every asset to 100%', () => {
+  const { run } = loadDashboard();
+  assert.deepEqual(plain(run('getWeightBounds(3, { longOnly: true, maxWeight: 0.3 })')), { lower: 0, upper: 0.3, feasible: false });
+  assert.deepEqual(plain(run('getWeightBounds(4, { longOnly: false, maxWeight: 0.3 })')), { lower: -0.3, upper: 0.3, feasible: true });
+  assert.match(run("runOptimizer(['A', 'B', 'C'], { longOnly: true, maxWeight: 0.3 }, 0).error"), /cannot hold 3 assets/);
+});
+
+test('minimum variance weights uncorrelated assets by inverse variance', () => {
+  const { run } = loadDashboard();
+  assertWeights(plain(run(`solveMeanVariance(${JSON.stringify(INPUTS)}, ${JSON.stringify(UNBOUNDED)}, 0)`)), [0.2, 0.8]);
+  // A 60% cap binds on the low-volatility asset
+  assertWeights(plain(run(`solveMeanVariance(${JSON.stringify(INPUTS)}, { lower: 0, upper: 0.6 }, 0)`)), [0.4, 0.6]);
+});
+
+test('maximum Sharpe finds the tangency portfolio', () => {
+  const { run } = loadDashboard();
+  // Σ⁻¹μ = [2.5, 5] for a zero risk-free rate, so the tangency weights are 1/3 and 2/3
+  const weights = plain(run(`(() => {
+    const inputs = ${JSON.stringify(INPUTS)};
+    const bounds = ${JSON.stringify(UNBOUNDED)};
+    return solveMaxSharpe(inputs, bounds, 0, computeEfficientFrontier(inputs, bounds, 0));
+  })()`));
+  assertWeights(weights, [1 / 3, 2 / 3], 1e-3);
+});
+
+test('the efficient frontier starts at minimum variance and rises in return', () => {
+  const { run } = loadDashboard();
+  const frontier = plain(run(`computeEfficientFrontier(${JSON.stringify(INPUTS)}, ${JSON.stringify(UNBOUNDED)}, 0)`));
+  assertWeights(frontier[0].weights, [0.2, 0.8]);
+  for (let i = 1; i < frontier.length; i++) {
+    assert.ok(frontier[i].expectedReturn >= frontier[i - 1].expectedReturn - 1e-9);
+  }
+  assertWeights(frontier[frontier.length - 1].weights, [1, 0], 1e-2);
+});
+
+test('risk parity equalizes risk contributions and respects the cap', () => {
+  const { run } = loadDashboard();
+  // Uncorrelated assets get weights proportional to 1/σ
+  assertWeights(plain(run(`solveRiskParity(${JSON.stringify(INPUTS)}, ${JSON.stringify(UNBOUNDED)})`)), [1 / 3, 2 / 3], 1e-6);
+
+  const three = { observations: 250, expectedReturns: [0, 0, 0], covariance: [[0.04, 0.006, 0], [0.006, 0.01, 0.002], [0, 0.002, 0.0225]] };
+  const weights = plain(run(`solveRiskParity(${JSON.stringify(three)}, ${JSON.stringify(UNBOUNDED)})`));
+  const marginal = three.covariance.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+  const contributions = weights.map((weight, i) => weight * marginal[i]);
+  contributions.forEach(contribution => assert.ok(Math.abs(contribution - contributions[0]) < 1e-8));
+
+  assertWeights(plain(run(`solveRiskParity(${JSON.stringify(INPUTS)}, { lower: 0, upper: 0.5 })`)), [0.5, 0.5], 1e-9);
+});
+
+test('HRP splits between uncorrelated clusters by inverse variance', () => {
+  const { run } = loadDashboard();
+  run("stockData.correlations = { A: { A: 1, B: 0 }, B: { A: 0, B: 1 } }");
+  assertWeights(plain(run(`solveHRP(${JSON.stringify(INPUTS)}, ['A', 'B'], ${JSON.stringify(UNBOUNDED)})`)), [0.2, 0.8], 1e-9);
+  assertWeights(plain(run(`solveHRP(${JSON.stringify(INPUTS)}, ['A', 'B'], { lower: 0, upper: 0.7 })`)), [0.3, 0.7], 1e-9);
+});
@@ -0,0 +1,208 @@
+// Paper trading in script.js - charges and margin, the fill simulator, the ledger and
+// order validation. Tickers without tickers.csv metadata trade in INR, the account currency.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDashboard, plain } = require('./helpers/dashboard');
+
+const BARS = [
+  { date: '2024-07-01', open: 100, high: 104, low: 99, close: 103, volume: 1000 },
+  { date: '2024-07-02', open: 103, high: 105, low: 101, close: 102, volume: 1000 },
+  { date: '2024-07-03', open: 98, high: 99, low: 95, close: 97, volume: 1000 },
+  { date: '2024-07-04', open: 97, high: 110, low: 96, close: 109, volume: 1000 }
+];
+
+function setup() {
+  const dashboard = loadDashboard();
+  dashboard.run('paperAccount = createPaperAccount()');
+  dashboard.run(`stockData.priceHistory['TCS.NS'] = ${JSON.stringify(BARS)}`);
+  return dashboard;
+}
+
+test('Indian charges itemize STT, exchange and SEBI fees, GST and buy-side stamp duty', () => {
+  const { run } = setup();
+  const buy = plain(run("computeOrderCharges({ exchange: 'NSE', product: 'delivery', side: 'buy', quantity: 100, price: 500 })"));
+  const amount = label => buy.items.find(item => item.label === label).amount;
+
+  assert.equal(amount('Brokerage'), 0);
+  assert.equal(amount('STT'), 50); // 0.1% of 50,000, rounded to the rupee
+  assert.equal(amount('NSE transaction fee'), Math.round(50000 * 0.0000297 * 100) / 100);
+  assert.equal(amount('Stamp duty'), 7.5);
+  assert.equal(amount('GST'), Math.round((amount('NSE transaction fee') + amount('SEBI fee')) * 0.18 * 100) / 100);
+  assert.equal(buy.total, Math.round(buy.items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100);
+
+  const sell = plain(run("computeOrderCharges({ exchange: 'NSE', product: 'delivery', side: 'sell', quantity: 100, price: 500 })"));
+  assert.equal(sell.items.find(item => item.label === 'Stamp duty').amount, 0);
+
+  // Intraday brokerage is 0.03% capped at ₹20 per order
+  const intraday = plain(run("computeOrderCharges({ exchange: 'NSE', product: 'intraday', side: 'buy', quantity: 1000, price: 500 })"));
+  assert.equal(intraday.items.find(item => item.label === 'Brokerage').amount, 20);
+});
+
+test('US charges only apply the SEC fee and FINRA TAF to sells', () => {
+  const { run } = setup();
+  const buy = plain(run("computeOrderCharges({ exchange: 'NASDAQ', product: 'delivery', side: 'buy', quantity: 1000, price: 200 })"));
+  const sell = plain(run("computeOrderCharges({ exchange: 'NASDAQ', product: 'delivery', side: 'sell', quantity: 1000, price: 200 })"));
+  assert.equal(buy.schedule, 'US equity');
+  assert.equal(buy.total, 0);
+  assert.equal(sell.items.find(item => item.label === 'SEC fee').amount, Math.round(200000 * 27.8 / 1e6 * 100) / 100);
+  assert.equal(sell.items.find(item => item.label === 'FINRA TAF').amount, 0.17); // $0.000166 a share
+});
+
+test('order costs need the product margin plus charges; MTF funds the rest at interest', () => {
+  const { run } = setup();
+  const mtf = plain(run("computeOrderCosts({ exchange: 'NSE', product: 'mtf', side: 'buy', quantity: 100, price: 500 })"));
+  assert.equal(mtf.margin, 12500);
+  assert.equal(mtf.funded, 37500);
+  assert.equal(mtf.required, 12500 + mtf.charges.total);
+  assert.ok(Math.abs(mtf.dailyInterest - 37500 * 0.15 / 365) < 1e-9);
+
+  const sell = plain(run("computeOrderCosts({ exchange: 'NSE', product: 'mtf', side: 'sell', quantity: 100, price: 500 })"));
+  assert.equal(sell.margin, 0);
+  assert.equal(sell.required, sell.charges.total);
+});
+
+test('market orders fill at the next open and limits only when a later bar crosses them', () => {
+  const { run } = setup();
+  const fill = order => plain(run(`simulateOrderFill(${JSON.stringify(order)}, stockData.priceHistory['TCS.NS'])`));
+
+  assert.deepEqual(fill({ side: 'buy', priceType: 'market', asOf: '2024-07-01' }), { price: 103, date: '2024-07-02', close: 102 });
+  // Bars on or before the as-of date are never used
+  assert.deepEqual(fill({ side: 'buy', priceType: 'limit', limitPrice: 100, asOf: '2024-07-01' }), { price: 98, date: '2024-07-03', close: 97 });
+  assert.deepEqual(fill({ side: 'buy', priceType: 'limit', limitPrice: 96, asOf: '2024-07-01' }), { price: 96, date: '2024-07-03', close: 97 });
+  assert.deepEqual(fill({ side: 'sell', priceType: 'limit', limitPrice: 108, asOf: '2024-07-02' }), { price: 108, date: '2024-07-04', close: 109 });
+  assert.equal(fill({ side: 'buy', priceType: 'limit', limitPrice: 90, asOf: '2024-07-01' }), null);
+  assert.equal(fill({ side: 'buy', priceType: 'market', asOf: '2024-07-04' }), null);
+});
+
+test('orders that cannot fill yet stay pending with a note saying why', async () => {
+  const { run } = setup();
+  run('renderOrdersPanel = () => {}'); // the stub document cannot build the panel
+  const place = fields => run(`placePaperOrder(${JSON.stringify({ ticker: 'TCS.NS', side: 'buy', quantity: 1, priceType: 'market', limitPrice: 0, orderType: 'delivery', exchange: 'NSE', ...fields })})`);
+
+  // Nothing trades after the last bar, so the default as-of date leaves nothing to fill against
+  const latest = plain(await place({ asOf: '2024-07-04' }));
+  assert.equal(latest.status, 'pending');
+  assert.match(latest.reason, /Waiting for a bar after 2024-07-04/);
+  const limit = plain(await place({ priceType: 'limit', limitPrice: 90, asOf: '2024-07-01' }));
+  assert.equal(limit.reason, 'Limit not reached through 2024-07-04');
+  assert.equal(plain(await place({ asOf: '2024-07-01' })).status, 'filled');
+});
+
+test('orders on another listing fill and are priced against that listing\'s bars', async () => {
+  const { run } = setup();
+  run('renderOrdersPanel = () => {}');
+  run("stockData.tickerInfo['TCS.NS'] = { ticker: 'TCS.NS', currency: 'INR', listings: [{ exchange: 'NSE', symbol: 'TCS.NS' }, { exchange: 'BSE', symbol: 'TCS.BO' }] }");
+  run(`stockData.priceHistory['TCS.BO'] = ${JSON.stringify(BARS.map(bar => ({ ...bar, open: bar.open + 1, close: bar.close + 1 })))}`);
+
+  assert.equal(run("getOrderReferencePrice({ ticker: 'TCS.NS', exchange: 'BSE', asOf: '2024-07-01' })"), 104);
+  assert.equal(run("getOrderReferencePrice({ ticker: 'TCS.NS', exchange: 'NSE', asOf: '2024-07-01' })"), 103);
+  const order = plain(await run("placePaperOrder({ ticker: 'TCS.NS', side: 'buy', quantity: 1, priceType: 'market', limitPrice: 0, asOf: '2024-07-01', orderType: 'delivery', exchange: 'BSE' })"));
+  assert.equal(order.status, 'filled');
+  assert.equal(order.fillPrice, 104);
+});
+
+test('modifying an order keeps to whole shares', async () => {
+  const { run } = setup();
+  run('renderOrdersPanel = () => {}');
+  run('alerts = []; alert = message => alerts.push(message)');
+  const order = plain(await run("placePaperOrder({ ticker: 'TCS.NS', side: 'buy', quantity: 5, priceType: 'limit', limitPrice: 90, asOf: '2024-07-01', orderType: 'delivery', exchange: 'NSE' })"));
+  assert.equal(order.status, 'pending');
+
+  assert.equal(await run(`modifyPaperOrder(${order.id}, { quantity: 2.5, limitPrice: 90 })`), false);
+  assert.match(run('alerts[0]'), /whole number of shares/);
+  assert.equal(await run(`modifyPaperOrder(${order.id}, { quantity: 3, limitPrice: 90 })`), true);
+  assert.equal(run('getPaperAccount().orders[0].quantity'), 3);
+});
+
+test('delivery trades move cash by turnover and charges and realize P&L on sells', () => {
+  const { run } = setup();
+  const buy = plain(run("applyPaperTrade('TCS.NS', 'buy', 100, 100, '2024-07-02', { exchange: 'NSE' })"));
+  assert.equal(buy.ok, true);
+  const account = () => plain(run('getPaperAccount()'));
+  assert.ok(Math.abs(account().cash - (1000000 - 10000 - buy.trade.charges)) < 1e-6);
+  assert.ok(Math.abs(account().positions['TCS.NS'].avgCost - (10000 + buy.trade.charges) / 100) < 1e-9);
+
+  const sell = plain(run("applyPaperTrade('TCS.NS', 'sell', 100, 110, '2024-07-04', { exchange: 'NSE' })"));
+  const expected = 1000 - buy.trade.charges - sell.trade.charges;
+  assert.ok(Math.abs(sell.trade.realizedPnl - expected) < 1e-6);
+  assert.ok(Math.abs(account().cash - (1000000 + expected)) < 1e-6);
+  assert.equal(account().positions['TCS.NS'].quantity, 0);
+
+  const oversell = plain(run("applyPaperTrade('TCS.NS', 'sell', 1, 110, '2024-07-04', { exchange: 'NSE' })"));
+  assert.equal(oversell.ok, false);
+  assert.match(oversell.error, /Insufficient holding/);
+});
+
+test('MTF buys pay only margin and charges, carry the rest as borrowed and accrue interest', () => {
+  const { run } = setup();
+  const buy = plain(run("applyPaperTrade('TCS.NS', 'buy', 100, 500, '2024-07-01', { exchange: 'NSE', product: 'mtf' })"));
+  const charges = buy.trade.charges;
+  let account = plain(run('getPaperAccount()'));
+  assert.ok(Math.abs(account.cash - (1000000 - 12500 - charges)) < 1e-6);
+  assert.equal(account.positions['TCS.NS'].borrowed, 37500);
+
+  // Marked at cost (there is no last price), equity nets off the loan and the interest
+  // accrued up to the latest bar, three days later
+  const accrued = 37500 * 0.15 / 365 * 3;
+  const valuation = plain(run('getPaperAccountValuation()'));
+  assert.equal(valuation.borrowed, 37500);
+  assert.ok(Math.abs(valuation.interest - accrued) < 1e-6);
+  assert.ok(Math.abs(valuation.equity - (1000000 - accrued)) < 1e-6);
+
+  // Half the position sold 30 days later repays half the loan and pays 30 days' interest
+  const sell = plain(run("applyPaperTrade('TCS.NS', 'sell', 50, 500, '2024-07-31', { exchange: 'NSE', product: 'mtf' })"));
+  const interest = 37500 * 0.15 / 365 * 30;
+  assert.ok(Math.abs(sell.trade.interest - interest) < 1e-6);
+  assert.equal(sell.trade.repaid, 18750);
+  account = plain(run('getPaperAccount()'));
+  assert.equal(account.positions['TCS.NS'].borrowed, 18750);
+  assert.equal(account.positions['TCS.NS'].interestFrom, '2024-07-31');
+  assert.ok(Math.abs(account.interestPaid - interest) < 1e-6);
+  assert.ok(Math.abs(account.cash - (1000000 - 12500 - charges + 25000 - sell.trade.charges - 18750 - interest)) < 1e-6);
+});
+
+test('intraday buys are squared off at the close and never reach the position', () => {
+  const { run } = setup();
+  const missingClose = plain(run("applyPaperTrade('TCS.NS', 'buy', 10, 100, '2024-07-02', { exchange: 'NSE', product: 'intraday' })"));
+  assert.equal(missingClose.ok, false);
+
+  const result = plain(run("applyPaperTrade('TCS.NS', 'buy', 10, 100, '2024-07-02', { exchange: 'NSE', product: 'intraday', squareOffPrice: 102 })"));
+  assert.equal(result.ok, true);
+  assert.equal(result.squareOff.side, 'sell');
+  assert.equal(result.squareOff.price, 102);
+  const expected = 20 - result.trade.charges - result.squareOff.charges;
+  assert.ok(Math.abs(result.squareOff.realizedPnl - expected) < 1e-6);
+
+  const account = plain(run('getPaperAccount()'));
+  assert.ok(Math.abs(account.cash - (1000000 + expected)) < 1e-6);
+  assert.equal(account.positions['TCS.NS'].quantity, 0);
+  assert.equal(account.trades.length, 2);
+});
+
+test('order validation needs a reference price and leaves out what pending orders hold', () => {
+  const { run } = setup();
+  const order = fields => JSON.stringify({ id: 99, ticker: 'TCS.NS', side: 'buy', quantity: 10, limitPrice: null, asOf: '2024-07-02', orderType: 'delivery', exchange: 'NSE', ...fields });
+
+  // Only whole shares trade
+  assert.match(run(`getOrderRejection(${order({ quantity: 1.5 })})`), /whole number of shares/);
+  assert.match(run(`getOrderRejection(${order({ quantity: 0 })})`), /whole number of shares/);
+
+  // An empty market ticket is priced at the as-of close; without history it is rejected
+  assert.equal(run(`getOrderRejection(${order({})})`), '');
+  assert.match(run(`getOrderRejection(${order({ ticker: 'AAPL' })})`), /No reference price/);
+  assert.match(run(`getOrderRejection(${order({ quantity: 20000 })})`), /Insufficient cash/);
+
+  // A pending buy holds ~₹612,000 of the ₹1,000,000, leaving too little for a ₹510,000 buy
+  run("getPaperAccount().orders.push({ id: 1, ticker: 'TCS.NS', side: 'buy', quantity: 6000, priceType: 'limit', limitPrice: 102, asOf: '2024-07-02', orderType: 'delivery', exchange: 'NSE', status: 'pending' })");
+  assert.match(run(`getOrderRejection(${order({ quantity: 5000, limitPrice: 102 })})`), /held for pending buys/);
+  // ...but the pending order itself is checked without its own reservation
+  assert.equal(run(`getOrderRejection(${order({ id: 1, quantity: 6000, limitPrice: 102 })})`), '');
+
+  // Shares in pending sells cannot be sold twice
+  run("applyPaperTrade('TCS.NS', 'buy', 10, 100, '2024-07-02', { exchange: 'NSE' })");
+  run("getPaperAccount().orders.push({ id: 2, ticker: 'TCS.NS', side: 'sell', quantity: 8, priceType: 'limit', limitPrice: 120, asOf: '2024-07-02', orderType: 'delivery', exchange: 'NSE', status: 'pending' })");
+  assert.equal(run(`getOrderRejection(${order({ side: 'sell', quantity: 2 })})`), '');
+  assert.match(run(`getOrderRejection(${order({ side: 'sell', quantity: 3 })})`), /8 of them already in pending sells/);
+});
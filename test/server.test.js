@@ -0,0 +1,166 @@
+// server/server.js - API routing and query handling, ETag revalidation, the static file
+// allow-list and command-line parsing, against a small data directory
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createServer, parseArgs } = require('../server/server');
+
+const FILES = {
+  'recommendations.csv': [
+    'Ticker,momentum_mean,avg_corr_mst,degree,score,label',
+    'AAPL,0.002,0.4,2,0.6,BUY',
+    'MSFT,0.001,0.5,3,0.1,HOLD',
+    'TCS.NS,0.003,0.3,1,0.9,BUY',
+    'ITC.NS,-0.001,0.6,2,-0.4,AVOID'
+  ],
+  'tickers.csv': [
+    'Ticker,name,market,exchange,sector,currency,listings',
+    'AAPL,Apple Inc.,US,NASDAQ,Technology,USD,NASDAQ',
+    'MSFT,Microsoft Corporation,US,NASDAQ,Technology,USD,NASDAQ',
+    'TCS.NS,Tata Consultancy Services,IN,NSE,Technology,INR,NSE|BSE',
+    'ITC.NS,ITC Limited,IN,NSE,Consumer,INR,NSE|BSE'
+  ],
+  'TCS.NS.csv': [
+    'Price,Close,High,Low,Open,Volume',
+    'Ticker,TCS.NS,TCS.NS,TCS.NS,TCS.NS,TCS.NS',
+    'Date,,,,,',
+    '2024-05-15,3800,3820,3780,3790,1000',
+    '2024-06-14,3900,3920,3880,3890,1000',
+    '2024-06-17,3950,3960,3900,3910,1000',
+    '2024-07-15,4000,4010,3980,3990,1000'
+  ]
+};
+
+let server;
+let port;
+let dataDir;
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockgraphix-'));
+  Object.entries(FILES).forEach(([name, lines]) => fs.writeFileSync(path.join(dataDir, name), `${lines.join('\n')}\n`));
+  server = createServer({ dataDir, feed: false });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(pathname, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const json = /json/.test(res.headers['content-type'] || '') && body ? JSON.parse(body) : null;
+        resolve({ status: res.statusCode, headers: res.headers, body, json });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('/api lists the endpoints and unknown endpoints are 404', async () => {
+  const index = await request('/api');
+  assert.equal(index.status, 200);
+  assert.ok(index.json.endpoints.some(endpoint => endpoint.path === '/api/prices/:ticker'));
+
+  const missing = await request('/api/nothing');
+  assert.equal(missing.status, 404);
+  assert.match(missing.json.error, /No endpoint at \/api\/nothing/);
+});
+
+test('recommendations filter by label and market, sort and limit', async () => {
+  const buys = await request('/api/recommendations?label=BUY&sort=-score');
+  assert.equal(buys.status, 200);
+  assert.deepEqual(buys.json.rows.map(row => row.Ticker), ['TCS.NS', 'AAPL']);
+  assert.deepEqual(buys.json.errors, []);
+
+  const us = await request('/api/recommendations?market=US&sort=score&limit=1');
+  assert.deepEqual(us.json.rows.map(row => row.Ticker), ['MSFT']);
+
+  const badSort = await request('/api/recommendations?sort=-price');
+  assert.equal(badSort.status, 400);
+  assert.match(badSort.json.error, /unknown column "price"/);
+  assert.equal((await request('/api/recommendations?limit=0')).status, 400);
+});
+
+test('prices are cut to a range relative to the last bar', async () => {
+  const month = await request('/api/prices/TCS.NS?range=1M');
+  assert.equal(month.status, 200);
+  assert.equal(month.json.file, 'TCS.NS.csv');
+  assert.deepEqual(month.json.rows.map(row => row.date), ['2024-06-17', '2024-07-15']);
+
+  const window = await request('/api/prices/TCS.NS?from=2024-06-01&to=2024-06-30');
+  assert.deepEqual(window.json.rows.map(row => row.date), ['2024-06-14', '2024-06-17']);
+
+  assert.equal((await request('/api/prices/TCS.NS?range=2W')).status, 400);
+  assert.equal((await request('/api/prices/AAPL')).status, 404);
+  // Tickers that could name a file outside the data directory are unknown, not read
+  assert.equal((await request('/api/prices/..%2Ftickers')).status, 404);
+  const malformed = await request('/api/prices/%E0%A4%A');
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.json.error, /percent-encoding/);
+});
+
+test('responses carry an ETag and answer 304 when it still matches', async () => {
+  const first = await request('/api/tickers');
+  assert.equal(first.status, 200);
+  assert.ok(first.headers.etag);
+
+  const again = await request('/api/tickers', { headers: { 'If-None-Match': first.headers.etag } });
+  assert.equal(again.status, 304);
+  assert.equal(again.body, '');
+  const weak = await request('/api/tickers', { headers: { 'If-None-Match': `W/${first.headers.etag}` } });
+  assert.equal(weak.status, 304);
+  const stale = await request('/api/tickers', { headers: { 'If-None-Match': '"stale"' } });
+  assert.equal(stale.status, 200);
+});
+
+test('only GET, HEAD and OPTIONS are accepted', async () => {
+  const post = await request('/api/recommendations', { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.match(post.json.error, /POST is not supported/);
+
+  const head = await request('/api/recommendations', { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.body, '');
+  assert.equal((await request('/api/recommendations', { method: 'OPTIONS' })).status, 204);
+});
+
+test('static files are limited to the dashboard assets and the data CSVs', async () => {
+  const script = await request('/script.js');
+  assert.equal(script.status, 200);
+  assert.match(script.headers['content-type'], /text\/javascript/);
+
+  const csv = await request('/data/tickers.csv');
+  assert.equal(csv.status, 200);
+  assert.equal(csv.body, `${FILES['tickers.csv'].join('\n')}\n`);
+
+  assert.equal((await request('/data/missing.csv')).status, 404);
+  assert.equal((await request('/server/server.js')).status, 404);
+  assert.equal((await request('/data/..%2Fserver%2Fserver.js')).status, 404);
+  assert.equal((await request('/package.json')).status, 404);
+});
+
+test('parseArgs reads the port, data directory and feed options in any order', () => {
+  const options = parseArgs(['--no-feed', '--speed', '12', '--port', '9000', '--data', 'somewhere', '--ticks', '4']);
+  assert.equal(options.port, 9000);
+  assert.equal(options.dataDir, path.resolve('somewhere'));
+  assert.equal(options.feedEnabled, false);
+  assert.deepEqual(options.feed, { speed: 12, ticksPerBar: 4 });
+
+  assert.equal(parseArgs(['--speed', '3', '--no-feed']).feedEnabled, false);
+  assert.equal(parseArgs([]).feedEnabled, true);
+  assert.throws(() => parseArgs(['--speed', '0']), /--speed must be a positive number/);
+  assert.throws(() => parseArgs(['--ticks', '1.5']), /--ticks must be a positive integer/);
+});